@@ -34,6 +34,11 @@ class Scratch3ControlBlocks {
             control_wait_until: this.waitUntil,
             control_if: this.if,
             control_if_else: this.ifElse,
+            control_switch: this.switch,
+            control_switch_default: this.switchDefault,
+            control_case: this.case,
+            control_case_next: this.caseNext,
+            control_exitCase: this.exitCase,
             control_stop: this.stop,
             control_stop_sprite: this.stopSprite,
             control_create_clone_of: this.createClone,
@@ -189,6 +194,151 @@ class Scratch3ControlBlocks {
         }
     }
 
+    switch (args, util) {
+        this._switch(args, util, 'SUBSTACK', null);
+    }
+
+    switchDefault (args, util) {
+        this._switch(args, util, 'SUBSTACK1', 'SUBSTACK2');
+    }
+
+    /**
+     * Run the cases of a switch block. They behave like a JS switch statement, which is what the compiler
+     * turns them into: the first case with the same value runs, along with the cases after it until one
+     * of them breaks, and the default runs if no case matches or the last case falls through.
+     * @param {object} args The switch's arguments.
+     * @param {BlockUtility} util The block utility.
+     * @param {string} casesInput Name of the input with the cases.
+     * @param {?string} defaultInput Name of the input with the default branch, if the switch has one.
+     */
+    _switch (args, util, casesInput, defaultInput) {
+        const thread = util.thread;
+        const blocks = thread.target.blocks;
+        const block = blocks.getBlock(thread.peekStack());
+        const defaultBranch = defaultInput && block.inputs[defaultInput] ? block.inputs[defaultInput].block : null;
+
+        if (util.stackFrame.switchState) {
+            // The cases ran to the end after a case that runs the next one, so fall through to the default.
+            thread.peekStackFrame().isLoop = false;
+            thread.pushStack(defaultBranch);
+            return;
+        }
+
+        util.stackFrame.switchState = {
+            value: Cast.toString(args.CONDITION),
+            matched: false,
+            defaultBranch
+        };
+        // Blocks before the first case can never run.
+        const firstBlock = block.inputs[casesInput] ? block.inputs[casesInput].block : null;
+        const firstCase = this._findCase(blocks, firstBlock);
+        if (firstCase) {
+            thread.pushStack(firstCase);
+        } else if (defaultBranch) {
+            thread.pushStack(defaultBranch);
+        }
+    }
+
+    case (args, util) {
+        this._case(args, util, false);
+    }
+
+    caseNext (args, util) {
+        this._case(args, util, true);
+    }
+
+    /**
+     * @param {object} args The case's arguments.
+     * @param {BlockUtility} util The block utility.
+     * @param {boolean} runsNext Whether the case runs the blocks after it instead of its own branch.
+     */
+    _case (args, util, runsNext) {
+        const thread = util.thread;
+        const switchIndex = this._findSwitch(thread);
+        if (switchIndex === -1) return;
+        const switchFrame = thread.stackFrames[switchIndex];
+        const state = switchFrame.executionContext.switchState;
+        const blocks = thread.target.blocks;
+        const blockId = thread.peekStack();
+
+        if (!state.matched) {
+            if (Cast.toString(args.CONDITION) !== state.value) {
+                const nextCase = this._findCase(blocks, blocks.getNextBlock(blockId));
+                this._jumpInSwitch(thread, switchIndex, nextCase || state.defaultBranch);
+                return;
+            }
+            state.matched = true;
+        }
+
+        if (runsNext) {
+            // Continue with the next block. If this reaches the end of the cases, the switch runs the default.
+            switchFrame.isLoop = state.defaultBranch !== null;
+            return;
+        }
+        // Run this case's branch, then leave the switch.
+        this._jumpInSwitch(thread, switchIndex, blocks.getBranch(blockId, 1));
+    }
+
+    exitCase (args, util) {
+        const switchIndex = this._findSwitch(util.thread);
+        if (switchIndex !== -1) {
+            this._jumpInSwitch(util.thread, switchIndex, null);
+        }
+    }
+
+    /**
+     * @param {Blocks} blocks The blocks of the target.
+     * @param {?string} blockId The first block to look at.
+     * @returns {?string} The ID of that block or the first case block after it, if any.
+     */
+    _findCase (blocks, blockId) {
+        while (blockId) {
+            const opcode = blocks.getOpcode(blocks.getBlock(blockId));
+            if (opcode === 'control_case' || opcode === 'control_case_next') {
+                return blockId;
+            }
+            blockId = blocks.getNextBlock(blockId);
+        }
+        return null;
+    }
+
+    /**
+     * @param {Thread} thread The thread running a case block.
+     * @returns {number} The index in the thread's stack of the innermost switch, or -1 if it isn't in a switch.
+     */
+    _findSwitch (thread) {
+        for (let i = thread.stackFrames.length - 2; i >= 0; i--) {
+            const context = thread.stackFrames[i].executionContext;
+            if (context && context.switchState) {
+                return i;
+            }
+            // Switches in the script that called a custom block don't count.
+            const block = thread.target.blocks.getBlock(thread.stack[i]);
+            if (block && block.opcode === 'procedures_call') {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Leave everything the thread is running inside a switch, then run other blocks in it.
+     * @param {Thread} thread The thread.
+     * @param {number} switchIndex The index of the switch in the thread's stack.
+     * @param {?string} blockId The block to run next in the switch, or null to leave the switch.
+     */
+    _jumpInSwitch (thread, switchIndex, blockId) {
+        while (thread.stack.length > switchIndex + 1) {
+            thread.popStack();
+        }
+        thread.peekStackFrame().isLoop = false;
+        if (blockId) {
+            thread.pushStack(blockId);
+        } else {
+            thread.goToNextBlock();
+        }
+    }
+
     stop (args, util) {
         const option = args.STOP_OPTION;
         if (option === 'all') {
@@ -1,4 +1,5 @@
 const Cast = require('../util/cast');
+const Variable = require('../engine/variable');
 const { validateArray } = require('../util/json-block-utilities');
 
 class Scratch3DataBlocks {
@@ -8,6 +9,12 @@ class Scratch3DataBlocks {
          * @type {Runtime}
          */
         this.runtime = runtime;
+
+        /**
+         * Source of random numbers for "random" list indexes, so they respect the runtime's seed.
+         * @type {function(): number}
+         */
+        this._random = () => this.runtime.random();
     }
 
     /**
@@ -19,6 +26,9 @@ class Scratch3DataBlocks {
             data_variable: this.getVariable,
             data_setvariableto: this.setVariableTo,
             data_changevariableby: this.changeVariableBy,
+            data_localvariable: this.getLocalVariable,
+            data_setlocalvariableto: this.setLocalVariableTo,
+            data_changelocalvariableby: this.changeLocalVariableBy,
             data_hidevariable: this.hideVariable,
             data_showvariable: this.showVariable,
             data_listcontents: this.getListContents,
@@ -52,7 +62,7 @@ class Scratch3DataBlocks {
     data_itemexistslist (args, util) {
         const list = util.target.lookupOrCreateList(
             args.LIST.id, args.LIST.name);
-        const index = Cast.toListIndex(args.INDEX, list.value.length, false);
+        const index = Cast.toListIndex(args.INDEX, list.value.length, false, this._random);
         if (index === Cast.LIST_INVALID) {
             return false;
         }
@@ -148,6 +158,25 @@ class Scratch3DataBlocks {
         }
     }
 
+    getLocalVariable (args, util) {
+        const variable = util.target.lookupOrCreateLocalVariable(
+            args.VARIABLE.id, args.VARIABLE.name);
+        const values = util.thread.getLocalVariables();
+        return values.hasOwnProperty(variable.id) ? values[variable.id] : variable.value;
+    }
+
+    setLocalVariableTo (args, util) {
+        const variable = util.target.lookupOrCreateLocalVariable(
+            args.VARIABLE.id, args.VARIABLE.name);
+        util.thread.getLocalVariables()[variable.id] = Variable.castLocalValue(variable.valueType, args.VALUE);
+    }
+
+    changeLocalVariableBy (args, util) {
+        const castedValue = Cast.toNumber(this.getLocalVariable(args, util));
+        const dValue = Cast.toNumber(args.VALUE);
+        this.setLocalVariableTo({VARIABLE: args.VARIABLE, VALUE: castedValue + dValue}, util);
+    }
+
     changeMonitorVisibility (id, visible) {
         // Send the monitor blocks an event like the flyout checkbox event.
         // This both updates the monitor state and changes the isMonitored block flag.
@@ -217,7 +246,7 @@ class Scratch3DataBlocks {
     deleteOfList (args, util) {
         const list = util.target.lookupOrCreateList(
             args.LIST.id, args.LIST.name);
-        const index = Cast.toListIndex(args.INDEX, list.value.length, true);
+        const index = Cast.toListIndex(args.INDEX, list.value.length, true, this._random);
         if (index === Cast.LIST_INVALID) {
             return;
         } else if (index === Cast.LIST_ALL) {
@@ -239,7 +268,7 @@ class Scratch3DataBlocks {
         const item = args.ITEM;
         const list = util.target.lookupOrCreateList(
             args.LIST.id, args.LIST.name);
-        const index = Cast.toListIndex(args.INDEX, list.value.length + 1, false);
+        const index = Cast.toListIndex(args.INDEX, list.value.length + 1, false, this._random);
         if (index === Cast.LIST_INVALID) {
             return;
         }
@@ -251,7 +280,7 @@ class Scratch3DataBlocks {
         const item = args.ITEM;
         const list = util.target.lookupOrCreateList(
             args.LIST.id, args.LIST.name);
-        const index = Cast.toListIndex(args.INDEX, list.value.length, false);
+        const index = Cast.toListIndex(args.INDEX, list.value.length, false, this._random);
         if (index === Cast.LIST_INVALID) {
             return;
         }
@@ -262,7 +291,7 @@ class Scratch3DataBlocks {
     getItemOfList (args, util) {
         const list = util.target.lookupOrCreateList(
             args.LIST.id, args.LIST.name);
-        const index = Cast.toListIndex(args.INDEX, list.value.length, false);
+        const index = Cast.toListIndex(args.INDEX, list.value.length, false, this._random);
         if (index === Cast.LIST_INVALID) {
             return '';
         }
@@ -183,17 +183,23 @@ class Scratch3MotionBlocks {
         util.target.setXY(x, y);
     }
 
-    getTargetXY (targetName, util) {
+    getTargetXY (targetName, util) { // used by compiler, which doesn't pass util
         let targetX = 0;
         let targetY = 0;
         if (targetName === '_mouse_') {
-            targetX = util.ioQuery('mouse', 'getScratchX');
-            targetY = util.ioQuery('mouse', 'getScratchY');
+            if (util) {
+                targetX = util.ioQuery('mouse', 'getScratchX');
+                targetY = util.ioQuery('mouse', 'getScratchY');
+            } else {
+                const mouse = this.runtime.ioDevices.mouse;
+                targetX = mouse.getScratchX();
+                targetY = mouse.getScratchY();
+            }
         } else if (targetName === '_random_') {
             const stageWidth = this.runtime.stageWidth;
             const stageHeight = this.runtime.stageHeight;
-            targetX = Math.round(stageWidth * (Math.random() - 0.5));
-            targetY = Math.round(stageHeight * (Math.random() - 0.5));
+            targetX = Math.round(stageWidth * (this.runtime.random() - 0.5));
+            targetY = Math.round(stageHeight * (this.runtime.random() - 0.5));
         } else {
             targetName = Cast.toString(targetName);
             const goToTarget = this.runtime.getSpriteTargetByName(targetName);
@@ -278,7 +284,7 @@ class Scratch3MotionBlocks {
             targetX = util.ioQuery('mouse', 'getScratchX');
             targetY = util.ioQuery('mouse', 'getScratchY');
         } else if (args.TOWARDS === '_random_') {
-            util.target.setDirection(Math.round(Math.random() * 360) - 180);
+            util.target.setDirection(Math.round(this.runtime.random() * 360) - 180);
             return;
         } else {
             args.TOWARDS = Cast.toString(args.TOWARDS);
@@ -313,7 +319,7 @@ class Scratch3MotionBlocks {
             }
         } else {
             // First time: save data for future use.
-            util.stackFrame.timer = new Timer();
+            util.stackFrame.timer = new Timer(util.nowObj);
             util.stackFrame.timer.start();
             util.stackFrame.duration = Cast.toNumber(args.SECS);
             util.stackFrame.startX = util.target.x;
@@ -463,8 +469,8 @@ class Scratch3MotionBlocks {
         } else if (args.SPRITE === '_random_') {
             const stageWidth = this.runtime.stageWidth;
             const stageHeight = this.runtime.stageHeight;
-            const x = Math.round(stageWidth * (Math.random() - 0.5));
-            const y = Math.round(stageHeight * (Math.random() - 0.5));
+            const x = Math.round(stageWidth * (this.runtime.random() - 0.5));
+            const y = Math.round(stageHeight * (this.runtime.random() - 0.5));
             return this.ifOnXYBounce({ X: x, Y: y }, util);
         } else {
             const spriteName = Cast.toString(args.SPRITE);
@@ -154,7 +154,7 @@ class Scratch3OperatorsBlocks {
 
     true () { return true; }
     false () { return false; }
-    randomBoolean () { return Boolean(Math.round(Math.random())); }
+    randomBoolean () { return Boolean(Math.round(this.runtime.random())); }
 
     constrainnumber (args) {
         return Math.min(Math.max(args.min, args.inp), args.max);
@@ -280,9 +280,9 @@ class Scratch3OperatorsBlocks {
         if (low === high) return low;
         // If both arguments are ints, truncate the result to an int.
         if (Cast.isInt(from) && Cast.isInt(to)) {
-            return low + Math.floor(Math.random() * ((high + 1) - low));
+            return low + Math.floor(this.runtime.random() * ((high + 1) - low));
         }
-        return (Math.random() * (high - low)) + low;
+        return (this.runtime.random() * (high - low)) + low;
     }
 
     join (args) {
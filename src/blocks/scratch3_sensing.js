@@ -478,7 +478,7 @@ class Scratch3SensingBlocks {
 
     current (args) {
         const menuOption = Cast.toString(args.CURRENTMENU).toLowerCase();
-        const date = new Date();
+        const date = new Date(this.runtime.now());
         switch (menuOption) {
         case 'year': return date.getFullYear();
         case 'month': return date.getMonth() + 1; // getMonth is zero-based
@@ -498,7 +498,7 @@ class Scratch3SensingBlocks {
     daysSince2000 () {
         const msPerDay = 24 * 60 * 60 * 1000;
         const start = new Date(2000, 0, 1); // Months are 0-indexed.
-        const today = new Date();
+        const today = new Date(this.runtime.now());
         const dstAdjust = today.getTimezoneOffset() - start.getTimezoneOffset();
         let mSecsSinceStart = today.valueOf() - start.valueOf();
         mSecsSinceStart += ((today.getTimezoneOffset() - dstAdjust) * 60 * 1000);
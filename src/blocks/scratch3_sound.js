@@ -251,7 +251,13 @@ class Scratch3SoundBlocks {
         if (index >= 0) {
             const {target} = util;
             const {sprite} = target;
-            const {soundId} = sprite.sounds[index];
+            const sound = sprite.sounds[index];
+            // Sounds from a project that is still loading play once they have loaded
+            const assetLoadTracker = this.runtime && this.runtime.assetLoadTracker;
+            if (assetLoadTracker && assetLoadTracker.isLoading(sound)) {
+                return assetLoadTracker.whenLoaded([sound]).then(() => this._playSound(args, util, storeWaiting));
+            }
+            const {soundId} = sound;
             if (sprite.soundBank) {
                 if (storeWaiting === STORE_WAITING) {
                     this._addWaitingSound(target.id, soundId);
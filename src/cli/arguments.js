@@ -0,0 +1,272 @@
+/**
+ * Exit codes used by the command line runner.
+ * @enum {number}
+ */
+const ExitCode = {
+    /** All scripts finished running. */
+    SUCCESS: 0,
+    /** The project could not be loaded, a script threw an error or the runner crashed. */
+    ERROR: 1,
+    /** The command line arguments were invalid. */
+    USAGE: 2,
+    /** The project was still running when --max-time elapsed. */
+    TIMEOUT: 3,
+    /** The project was still running when --max-frames was reached. */
+    FRAME_LIMIT: 4,
+    /** At least one test did not pass. */
+    TEST_FAILURE: 5
+};
+
+/**
+ * Formats the results of --test can be written in.
+ * @const {Array.<string>}
+ */
+const TEST_FORMATS = ['tap', 'junit'];
+
+const USAGE = `Usage: scratch-vm [options] <project file>
+
+Runs a project headlessly until all of its scripts finish.
+
+Options:
+  --max-time <seconds>       Stop after this many seconds of wall-clock time
+  --max-frames <frames>      Stop after this many frames have been stepped
+  --turbo                    Enable turbo mode
+  --compatibility-mode       Run like Scratch: at 30 frames per second, without turbo mode,
+                             interpolation or the settings stored in the project that remove limits
+  --framerate <fps>          Run at a custom framerate
+  --stage-size <w>x<h>       Use a custom stage size
+  --runtime-option <k>=<v>   Set a runtime option, such as maxClones=300
+  --compiler-option <k>=<v>  Set a compiler option, such as warpTimer=true
+  --no-compiler              Disable the compiler and only use the interpreter
+  --seed <seed>              Use seeded random numbers and a virtual clock so runs are repeatable
+  --input-tape <file>        Replay input recorded with vm.startInputRecording()
+  --test                     Run the "when test starts" scripts instead of the project
+  --test-format <format>     Write test results as tap (the default) or junit
+  --test-timeout <seconds>   Fail tests that run for longer than this in project time (default 10)
+  --help                     Show this message
+
+Answers to "ask and wait" blocks are read from stdin, one per line.
+With --test, each test runs at --framerate from the state the project was loaded in.
+
+Exit codes:
+  ${ExitCode.SUCCESS}  all scripts finished
+  ${ExitCode.ERROR}  the project could not be loaded or a script threw an error
+  ${ExitCode.USAGE}  invalid arguments
+  ${ExitCode.TIMEOUT}  --max-time elapsed before the project finished
+  ${ExitCode.FRAME_LIMIT}  --max-frames was reached before the project finished
+  ${ExitCode.TEST_FAILURE}  at least one test did not pass`;
+
+/**
+ * Error thrown when the command line arguments are invalid.
+ */
+class UsageError extends Error {
+    constructor (message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse the value half of a key=value option. Booleans, numbers and JSON are
+ * converted, anything else is kept as a string.
+ * @param {string} value Raw value from the command line.
+ * @returns {*} Parsed value.
+ */
+const parseOptionValue = value => {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+/**
+ * @param {string} flag Name of the flag, for error messages.
+ * @param {string|undefined} value Raw value from the command line.
+ * @returns {number} Parsed non-negative number.
+ */
+const parseNumber = (flag, value) => {
+    const number = Number(value);
+    if (typeof value !== 'string' || value.trim() === '' || !Number.isFinite(number) || number < 0) {
+        throw new UsageError(`${flag} expects a non-negative number`);
+    }
+    return number;
+};
+
+/**
+ * @param {string} flag Name of the flag, for error messages.
+ * @param {string|undefined} value Raw value from the command line, in the form key=value.
+ * @returns {Array} Tuple of the key and the parsed value.
+ */
+const parseKeyValue = (flag, value) => {
+    const index = typeof value === 'string' ? value.indexOf('=') : -1;
+    if (index <= 0) {
+        throw new UsageError(`${flag} expects key=value`);
+    }
+    return [value.substring(0, index), parseOptionValue(value.substring(index + 1))];
+};
+
+/**
+ * @typedef {object} CLIOptions
+ * @property {?string} file Path to the project file.
+ * @property {boolean} help True if the usage message should be shown.
+ * @property {number} maxTime Maximum wall-clock time in milliseconds, or Infinity.
+ * @property {number} maxFrames Maximum number of frames, or Infinity.
+ * @property {boolean} turbo True if turbo mode should be enabled.
+ * @property {boolean} compatibilityMode True if the project should run like it would in Scratch,
+ * ignoring the settings stored in the project.
+ * @property {number} framerate Target frames per second.
+ * @property {?Array.<number>} stageSize Width and height of the stage, or null for the default.
+ * @property {object} runtimeOptions Options passed to Runtime.setRuntimeOptions.
+ * @property {object} compilerOptions Options passed to Runtime.setCompilerOptions.
+ * @property {?string} inputTape Path to an input tape to replay.
+ * @property {boolean} test True if the project's tests should be run instead of the project.
+ * @property {string} testFormat One of TEST_FORMATS.
+ * @property {number} testTimeout Milliseconds of project time each test may run for.
+ */
+
+/**
+ * Parse the arguments given to the command line runner.
+ * @param {Array.<string>} argv Arguments, not including the node binary or script path.
+ * @returns {CLIOptions} Parsed options.
+ * @throws {UsageError} If the arguments are invalid.
+ */
+const parseArguments = argv => {
+    const options = {
+        file: null,
+        help: false,
+        maxTime: Infinity,
+        maxFrames: Infinity,
+        turbo: false,
+        compatibilityMode: false,
+        framerate: 30,
+        stageSize: null,
+        runtimeOptions: {},
+        compilerOptions: {},
+        inputTape: null,
+        test: false,
+        testFormat: 'tap',
+        testTimeout: 10000
+    };
+
+    let framerateSet = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            if (options.file !== null) {
+                throw new UsageError(`Unexpected argument: ${arg}`);
+            }
+            options.file = arg;
+            continue;
+        }
+
+        // Support both --flag value and --flag=value
+        let flag = arg;
+        let value;
+        const equalsIndex = arg.indexOf('=');
+        if (equalsIndex !== -1) {
+            flag = arg.substring(0, equalsIndex);
+            value = arg.substring(equalsIndex + 1);
+        }
+        const takeValue = () => {
+            if (typeof value === 'string') return value;
+            i++;
+            return argv[i];
+        };
+
+        switch (flag) {
+        case '--help':
+            options.help = true;
+            break;
+        case '--max-time':
+            options.maxTime = parseNumber(flag, takeValue()) * 1000;
+            break;
+        case '--max-frames':
+            options.maxFrames = Math.floor(parseNumber(flag, takeValue()));
+            break;
+        case '--turbo':
+            options.turbo = true;
+            break;
+        case '--compatibility-mode':
+            options.compatibilityMode = true;
+            break;
+        case '--framerate':
+            options.framerate = parseNumber(flag, takeValue());
+            framerateSet = true;
+            break;
+        case '--stage-size': {
+            const size = takeValue();
+            const match = typeof size === 'string' && size.match(/^(\d+)x(\d+)$/);
+            if (!match) {
+                throw new UsageError(`${flag} expects <width>x<height>`);
+            }
+            options.stageSize = [+match[1], +match[2]];
+            break;
+        }
+        case '--runtime-option': {
+            const [key, optionValue] = parseKeyValue(flag, takeValue());
+            options.runtimeOptions[key] = optionValue;
+            break;
+        }
+        case '--compiler-option': {
+            const [key, optionValue] = parseKeyValue(flag, takeValue());
+            options.compilerOptions[key] = optionValue;
+            break;
+        }
+        case '--no-compiler':
+            options.compilerOptions.enabled = false;
+            break;
+        case '--seed': {
+            const seed = takeValue();
+            if (typeof seed !== 'string') {
+                throw new UsageError(`${flag} expects a value`);
+            }
+            options.runtimeOptions.seed = parseOptionValue(seed);
+            break;
+        }
+        case '--input-tape': {
+            const tape = takeValue();
+            if (typeof tape !== 'string') {
+                throw new UsageError(`${flag} expects a file`);
+            }
+            options.inputTape = tape;
+            break;
+        }
+        case '--test':
+            options.test = true;
+            break;
+        case '--test-format': {
+            const format = takeValue();
+            if (!TEST_FORMATS.includes(format)) {
+                throw new UsageError(`${flag} expects one of: ${TEST_FORMATS.join(', ')}`);
+            }
+            options.testFormat = format;
+            break;
+        }
+        case '--test-timeout':
+            options.testTimeout = parseNumber(flag, takeValue()) * 1000;
+            break;
+        default:
+            throw new UsageError(`Unknown option: ${flag}`);
+        }
+    }
+
+    if (options.compatibilityMode && (framerateSet || options.turbo)) {
+        throw new UsageError('--compatibility-mode cannot be used with --framerate or --turbo');
+    }
+
+    if (!options.help && options.file === null) {
+        throw new UsageError('No project file specified');
+    }
+
+    return options;
+};
+
+module.exports = {
+    ExitCode,
+    TEST_FORMATS,
+    USAGE,
+    UsageError,
+    parseArguments
+};
@@ -1,40 +1,240 @@
+/* eslint-env node */
 const fs = require('fs');
+const readline = require('readline');
+const minilog = require('minilog');
 const VirtualMachine = require('../index');
+const Runtime = require('../engine/runtime');
+const {ExitCode, USAGE, UsageError, parseArguments} = require('./arguments');
+const {formatTAP, formatJUnit} = require('./test-report');
 
 /* eslint-disable no-console */
 
-const file = process.argv[2];
-if (!file) {
-    throw new Error('Invalid file');
+/**
+ * Feeds lines read from stdin into "ask and wait" blocks.
+ * Answers are queued, so input can be piped in before the questions are asked.
+ */
+class AnswerQueue {
+    constructor (vm, input) {
+        this.vm = vm;
+        this.answers = [];
+        this.waiting = false;
+        this.ended = false;
+
+        this.reader = readline.createInterface({input});
+        this.reader.on('line', line => {
+            this.answers.push(line);
+            this._flush();
+        });
+        this.reader.on('close', () => {
+            this.ended = true;
+            this._flush();
+        });
+
+        vm.runtime.on('QUESTION', question => {
+            if (question === null) {
+                // The question was cancelled by stop all or the asking sprite stopping.
+                this.waiting = false;
+                return;
+            }
+            if (question) {
+                console.log(question);
+            }
+            this.waiting = true;
+            this._flush();
+        });
+    }
+
+    _flush () {
+        if (!this.waiting) return;
+        if (this.answers.length > 0) {
+            this.waiting = false;
+            this.vm.runtime.emit('ANSWER', this.answers.shift());
+        } else if (this.ended) {
+            // Nothing more will ever arrive, so answer with nothing instead of hanging forever.
+            this.waiting = false;
+            this.vm.runtime.emit('ANSWER', '');
+        }
+    }
+
+    close () {
+        this.reader.close();
+    }
 }
 
-const runProject = async buffer => {
+/**
+ * @param {VirtualMachine} vm The VM to inspect.
+ * @returns {boolean} True if any thread that isn't only updating a monitor is still running.
+ */
+const hasActiveThreads = vm => vm.runtime.threads.some(thread => !thread.updateMonitor && !thread.isKilled);
+
+/**
+ * Runtime options that --compatibility-mode resets, in case the project changed them.
+ * @const {object}
+ */
+const COMPATIBILITY_RUNTIME_OPTIONS = {
+    maxClones: Runtime.MAX_CLONES,
+    miscLimits: true,
+    fencing: true
+};
+
+/**
+ * Create a VM with the project loaded and the command line options applied.
+ * @param {Buffer} buffer Project data.
+ * @param {CLIOptions} options Parsed command line options.
+ * @returns {Promise.<VirtualMachine>} The VM.
+ */
+const loadProject = async (buffer, options) => {
     const vm = new VirtualMachine();
-    vm.runtime.on('SAY', (target, type, text) => {
-        console.log(text);
-    });
-    vm.setCompatibilityMode(true);
+    vm.setFramerate(options.framerate);
+    vm.setTurboMode(options.turbo);
+    vm.setRuntimeOptions(options.runtimeOptions);
+    vm.setCompilerOptions(options.compilerOptions);
     vm.clear();
     await vm.loadProject(buffer);
-    vm.start();
-    vm.greenFlag();
-    await new Promise(resolve => {
-        const interval = setInterval(() => {
-            let active = 0;
-            const threads = vm.runtime.threads;
-            for (let i = 0; i < threads.length; i++) {
-                if (!threads[i].updateMonitor) {
-                    active += 1;
-                }
-            }
-            if (active === 0) {
-                clearInterval(interval);
-                resolve();
+    // Projects can store their own settings, so the command line needs to be applied again to override them.
+    vm.setFramerate(options.framerate);
+    if (options.compatibilityMode) {
+        vm.setTurboMode(false);
+        vm.setInterpolation(false);
+        vm.setFixedTimestep(false);
+        vm.setRuntimeOptions(COMPATIBILITY_RUNTIME_OPTIONS);
+    } else if (options.turbo) {
+        vm.setTurboMode(true);
+    }
+    vm.setRuntimeOptions(options.runtimeOptions);
+    vm.setCompilerOptions(options.compilerOptions);
+    if (options.stageSize) {
+        vm.setStageSize(options.stageSize[0], options.stageSize[1]);
+    }
+    return vm;
+};
+
+/**
+ * Run the tests in a project and print the results in the format from the options.
+ * @param {Buffer} buffer Project data.
+ * @param {CLIOptions} options Parsed command line options.
+ * @returns {Promise.<number>} Exit code.
+ */
+const runProjectTests = async (buffer, options) => {
+    // Errors are part of the results, so logging them as well would only break the output.
+    minilog.disable();
+    const vm = await loadProject(buffer, options);
+    const report = await vm.runTests({
+        framerate: options.framerate,
+        timeout: options.testTimeout
+    });
+    const format = options.testFormat === 'junit' ? formatJUnit : formatTAP;
+    process.stdout.write(format(report));
+    return report.failed > 0 ? ExitCode.TEST_FAILURE : ExitCode.SUCCESS;
+};
+
+/**
+ * Run a loaded project until it finishes or one of the limits in options is reached. It has finished once
+ * no scripts are running and every event on the input tape has been replayed.
+ * @param {VirtualMachine} vm The VM the project is loaded into.
+ * @param {CLIOptions} options Parsed command line options.
+ * @returns {Promise.<number>} Exit code.
+ */
+const runLoadedProject = async (vm, options) => {
+    vm.runtime.on('SAY', (target, type, text) => {
+        if (text !== '') {
+            console.log(text);
+        }
+    });
+
+    if (options.inputTape) {
+        vm.playInputTape(fs.readFileSync(options.inputTape, 'utf-8'));
+    }
+
+    let hadError = false;
+    const onError = () => {
+        hadError = true;
+    };
+    vm.runtime.on(Runtime.RUNTIME_ERROR, onError);
+    vm.runtime.on(Runtime.COMPILE_ERROR, onError);
+
+    const answers = new AnswerQueue(vm, process.stdin);
+    let frames = 0;
+    let timeout = null;
+    let onStep = null;
+    const exitCode = await new Promise(resolve => {
+        onStep = () => {
+            // Every step after the first means the previous one has completed.
+            const tapeFinished = !vm.inputPlayer || vm.inputPlayer.isFinished();
+            if (frames > 0 && tapeFinished && !hasActiveThreads(vm)) {
+                resolve(ExitCode.SUCCESS);
+            } else if (frames >= options.maxFrames) {
+                resolve(ExitCode.FRAME_LIMIT);
             }
-        }, 50);
+            frames++;
+        };
+        vm.runtime.on(Runtime.RUNTIME_STEP_START, onStep);
+        if (Number.isFinite(options.maxTime)) {
+            timeout = setTimeout(() => resolve(ExitCode.TIMEOUT), options.maxTime);
+        }
+        vm.start();
+        vm.greenFlag();
     });
+    clearTimeout(timeout);
+    vm.runtime.removeListener(Runtime.RUNTIME_STEP_START, onStep);
+    vm.runtime.removeListener(Runtime.RUNTIME_ERROR, onError);
+    vm.runtime.removeListener(Runtime.COMPILE_ERROR, onError);
+    answers.close();
     vm.stopAll();
     vm.stop();
+    // Scripts that threw an error may not have done everything they were meant to.
+    return hadError ? ExitCode.ERROR : exitCode;
 };
 
-runProject(fs.readFileSync(file));
+/**
+ * Run a project until it finishes or one of the limits in options is reached.
+ * @param {Buffer} buffer Project data.
+ * @param {CLIOptions} options Parsed command line options.
+ * @returns {Promise.<number>} Exit code.
+ */
+const runProject = async (buffer, options) => runLoadedProject(await loadProject(buffer, options), options);
+
+const main = async () => {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (e) {
+        if (e instanceof UsageError) {
+            console.error(e.message);
+            console.error(USAGE);
+            return ExitCode.USAGE;
+        }
+        throw e;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return ExitCode.SUCCESS;
+    }
+
+    let buffer;
+    try {
+        buffer = fs.readFileSync(options.file);
+    } catch (e) {
+        console.error(`Could not read ${options.file}: ${e.message}`);
+        return ExitCode.ERROR;
+    }
+    if (options.test) {
+        return runProjectTests(buffer, options);
+    }
+    return runProject(buffer, options);
+};
+
+if (require.main === module) {
+    main()
+        .then(exitCode => {
+            process.exit(exitCode);
+        })
+        .catch(error => {
+            console.error(error);
+            process.exit(ExitCode.ERROR);
+        });
+}
+
+module.exports = {
+    runLoadedProject
+};
@@ -0,0 +1,90 @@
+const xmlEscape = require('../util/xml-escape');
+const {TestStatus} = require('../engine/test-runner');
+
+/**
+ * @param {TestResult} result Result of a test.
+ * @returns {string} Name that identifies the test in the whole project.
+ */
+const getFullName = result => `${result.targetName}: ${result.name}`;
+
+/**
+ * Format the results of vm.runTests in the Test Anything Protocol.
+ * @param {TestReport} report Results from vm.runTests.
+ * @returns {string} TAP version 13 output.
+ */
+const formatTAP = report => {
+    const lines = ['TAP version 13', `1..${report.tests.length}`];
+    report.tests.forEach((result, index) => {
+        const ok = result.status === TestStatus.PASS ? 'ok' : 'not ok';
+        // Names can't contain # as it starts a directive.
+        const name = getFullName(result).replace(/#/g, '\\#');
+        lines.push(`${ok} ${index + 1} - ${name}`);
+        if (result.status !== TestStatus.PASS) {
+            // JSON strings are valid YAML.
+            lines.push(
+                '  ---',
+                `  status: ${result.status}`,
+                `  message: ${JSON.stringify(result.message)}`,
+                `  frames: ${result.frames}`,
+                '  ...'
+            );
+        }
+    });
+    lines.push(`# pass ${report.passed}`, `# fail ${report.failed}`);
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Format the results of vm.runTests as JUnit XML, with one test suite for each sprite.
+ * Failed assertions and timeouts are failures, other errors are errors.
+ * @param {TestReport} report Results from vm.runTests.
+ * @returns {string} JUnit XML document.
+ */
+const formatJUnit = report => {
+    const suites = new Map();
+    for (const result of report.tests) {
+        if (!suites.has(result.targetName)) {
+            suites.set(result.targetName, []);
+        }
+        suites.get(result.targetName).push(result);
+    }
+
+    const countFailures = results => results.filter(result => (
+        result.status === TestStatus.FAIL || result.status === TestStatus.TIMEOUT
+    )).length;
+    const countErrors = results => results.filter(result => result.status === TestStatus.ERROR).length;
+    const seconds = results => (results.reduce((total, result) => total + result.time, 0) / 1000).toFixed(3);
+    const counts = results => `tests="${results.length}" failures="${countFailures(results)}" ` +
+        `errors="${countErrors(results)}" time="${seconds(results)}"`;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites ${counts(report.tests)}>`
+    ];
+    for (const [targetName, results] of suites) {
+        lines.push(`  <testsuite name="${xmlEscape(targetName)}" ${counts(results)}>`);
+        for (const result of results) {
+            const attributes = `name="${xmlEscape(result.name)}" classname="${xmlEscape(targetName)}" ` +
+                `time="${(result.time / 1000).toFixed(3)}"`;
+            if (result.status === TestStatus.PASS) {
+                lines.push(`    <testcase ${attributes}/>`);
+                continue;
+            }
+            const element = result.status === TestStatus.ERROR ? 'error' : 'failure';
+            const message = xmlEscape(result.message || '');
+            lines.push(
+                `    <testcase ${attributes}>`,
+                `      <${element} message="${message}" type="${result.status}">${message}</${element}>`,
+                '    </testcase>'
+            );
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+    formatTAP,
+    formatJUnit
+};
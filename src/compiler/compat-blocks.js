@@ -13,41 +13,18 @@ const statementBlocks = [
     'control_decr_counter',
     'control_set_counter',
     'looks_hideallsprites',
-    'looks_say',
-    'looks_sayforsecs',
     'looks_setstretchto',
     'looks_switchbackdroptoandwait',
-    'looks_think',
-    'looks_thinkforsecs',
     'motion_align_scene',
-    'motion_glidesecstoxy',
-    'motion_glideto',
     'motion_goto',
     'motion_pointtowards',
     'motion_scroll_right',
     'motion_scroll_up',
-    'sensing_askandwait',
     'sensing_setdragmode',
-    'sound_changeeffectby',
-    'sound_changevolumeby',
-    'sound_cleareffects',
-    'sound_play',
-    'sound_playuntildone',
-    'sound_stop',
-    'sound_seteffectto',
-    'sound_setvolumeto',
-    'sound_stopallsounds',
     "looks_setStretch",
     "data_reverselist",
     "data_arraylist",
-    "control_switch",
-    "control_switch_default",
-    "control_case",
-    "control_exitCase",
-    "control_case_next",
     "control_backToGreenFlag",
-    'looks_setHorizTransform',
-    'looks_setVertTransform',
     'looks_layersSetLayer',
     'control_waitsecondsoruntil',
     'control_delete_clones_of',
@@ -57,7 +34,6 @@ const statementBlocks = [
     'looks_previousbackdrop',
     'motion_pointinrandomdirection',
     'motion_move_sprite_to_scene_side',
-    'sound_playallsounds',
     'looks_stoptalking',
     'sensing_setclipboard',
     'motion_movebacksteps',
@@ -82,7 +58,6 @@ const outputBlocks = [
     'sensing_loud',
     'sensing_loudness',
     'sensing_userid',
-    'sound_volume',
     "control_if_return_else_return",
     "looks_stretchGetX",
     "looks_stretchGetY",
@@ -114,9 +89,6 @@ const outputBlocks = [
     "looks_getSpriteVisible",
     "looks_getEffectValue",
     'looks_layersGetLayer',
-    'sound_isSoundPlaying',
-    'sound_getEffectValue',
-    'sound_getLength',
     "sensing_directionTo",
     "sensing_distanceTo",
     "operator_boolify",
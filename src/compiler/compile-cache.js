@@ -0,0 +1,214 @@
+/**
+ * @fileoverview
+ * Persistent cache of compiled scripts, so scripts that haven't changed don't need to be compiled
+ * again when a project is reloaded.
+ *
+ * Entries are addressed by a hash of everything the compiler's output depends on: the blocks of
+ * the script and of the procedures it calls, the compiler options, the loaded extensions and the
+ * variables, costumes and sounds the script can refer to. The IR is generated from exactly these,
+ * so hashing them instead of the IR lets a cache hit skip IR generation as well as JS generation.
+ *
+ * The generated JS is kept in a storage backend: in memory or in a user-supplied adapter. It is never
+ * saved in or loaded from a project file: the cache runs the JS it loads, so a project could otherwise
+ * run any code it wanted, and keys are not hashed securely enough to tell a forged entry apart.
+ */
+
+const {collectScriptBlocks, serializeCompileResult, restoreCompileResult} = require('./compile-job');
+const {getNamesOfCostumesAndSounds} = require('./ir-optimizer');
+
+/**
+ * Increased whenever the compiler's output changes, so entries made by other versions are not used.
+ * @const {number}
+ */
+const COMPILE_CACHE_VERSION = 4;
+
+/**
+ * A compiled script as it is stored.
+ * @typedef {object} CompileCacheEntry
+ * @property {number} version COMPILE_CACHE_VERSION of the compiler that made this entry.
+ * @property {{source: string, sourceMap: Array}} entry The script's factory and source map.
+ * @property {Object.<string, {source: string, sourceMap: Array}>} procedures The same for each procedure variant.
+ */
+
+/**
+ * Storage for compile cache entries. Both methods are called while a script is starting, so they
+ * must be synchronous. Entries only contain JSON values.
+ * @typedef {object} CompileCacheStorage
+ * @property {function(string): ?CompileCacheEntry} get Find the entry with a key, if any.
+ * @property {function(string, CompileCacheEntry)} set Store an entry.
+ */
+
+/**
+ * Stores compiled scripts in memory, so they are kept while the page is open.
+ * @implements {CompileCacheStorage}
+ */
+class MemoryCompileCacheStorage {
+    constructor () {
+        /**
+         * @type {Map.<string, CompileCacheEntry>}
+         */
+        this.entries = new Map();
+    }
+
+    get (key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    set (key, entry) {
+        this.entries.set(key, entry);
+    }
+}
+
+/**
+ * 64-bit non-cryptographic hash of a string.
+ * @param {string} string The string to hash.
+ * @returns {string} 16 hexadecimal characters.
+ */
+const hashString = string => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < string.length; i++) {
+        const char = string.charCodeAt(i);
+        h1 = Math.imul(h1 ^ char, 2654435761);
+        h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * @param {object} object An object.
+ * @returns {Array.<Array>} The object's entries sorted by key, so the order properties were added in doesn't matter.
+ */
+const sortedEntries = object => Object.keys(object)
+    .sort()
+    .map(key => [key, object[key]]);
+
+/**
+ * @param {Target} target A sprite or the stage.
+ * @returns {Array.<Array>} The variables of the target that scripts can refer to.
+ */
+const describeVariables = target => Object.keys(target.variables)
+    .sort()
+    .map(id => {
+        const variable = target.variables[id];
+        return [id, variable.name, variable.type, !!variable.isCloud, variable.valueType];
+    });
+
+class CompileCache {
+    /**
+     * @param {Runtime} runtime The runtime whose scripts are cached.
+     * @param {CompileCacheStorage} storage Where entries are kept.
+     */
+    constructor (runtime, storage) {
+        this.runtime = runtime;
+        this.storage = storage;
+    }
+
+    /**
+     * @param {Runtime} runtime The runtime whose scripts are cached.
+     * @param {'memory'|CompileCacheStorage} storage 'memory' to keep compiled scripts in memory, or a storage
+     * adapter.
+     * @returns {CompileCache} A compile cache.
+     */
+    static create (runtime, storage) {
+        if (storage === 'memory') {
+            return new CompileCache(runtime, new MemoryCompileCacheStorage());
+        }
+        if (!storage || typeof storage.get !== 'function' || typeof storage.set !== 'function') {
+            throw new Error('Compile cache storage must have get and set methods');
+        }
+        return new CompileCache(runtime, storage);
+    }
+
+    /**
+     * @param {Thread} thread The thread whose script is being compiled.
+     * @returns {object} Everything the compiled script depends on.
+     */
+    describeScript (thread) {
+        const runtime = this.runtime;
+        const target = thread.target;
+        const stage = runtime.getTargetForStage();
+        const scriptBlocks = collectScriptBlocks(runtime, thread.blockContainer, thread.topBlock);
+        const topBlock = scriptBlocks[0];
+        const comment = topBlock && topBlock.comment && target.comments[topBlock.comment];
+
+        return {
+            version: COMPILE_CACHE_VERSION,
+            compilerOptions: sortedEntries(runtime.compilerOptions),
+            debug: !!runtime.debug,
+            profiler: runtime.blockProfiler !== null,
+            extensions: runtime._blockInfo.map(categoryInfo => [
+                categoryInfo.id,
+                categoryInfo.blocks.map(blockInfo => (
+                    blockInfo.info && [blockInfo.info.opcode, blockInfo.info.blockType]
+                ))
+            ]),
+            compileHooks: Object.keys(runtime._compileHooks).sort(),
+            addonBlocks: Object.keys(runtime.addonBlocks).sort(),
+            isStage: target.isStage,
+            effects: Object.keys(target.effects),
+            variables: describeVariables(target),
+            stageVariables: stage && stage !== target ? describeVariables(stage) : [],
+            namesOfCostumesAndSounds: Array.from(getNamesOfCostumesAndSounds(runtime)).sort(),
+            comment: comment ? comment.text : null,
+            blocks: scriptBlocks.map(block => [
+                block.id,
+                block.opcode,
+                sortedEntries(block.fields).map(([name, field]) => [name, field.value, field.id]),
+                sortedEntries(block.inputs).map(([name, input]) => [name, input.block, input.shadow]),
+                block.mutation || null,
+                block.next
+            ])
+        };
+    }
+
+    /**
+     * @param {Thread} thread The thread whose script is being compiled.
+     * @returns {string} The key of the script's entry.
+     */
+    getKey (thread) {
+        return hashString(JSON.stringify(this.describeScript(thread)));
+    }
+
+    /**
+     * @param {string} key The key of an entry.
+     * @returns {boolean} Whether the cache has a usable entry with the key.
+     */
+    has (key) {
+        const entry = this.storage.get(key);
+        return !!entry && entry.version === COMPILE_CACHE_VERSION;
+    }
+
+    /**
+     * Turn a cached entry back into the result of compile().
+     * @param {string} key The key of the entry.
+     * @returns {object|null} The compiled script, or null if it isn't in the cache.
+     */
+    load (key) {
+        const entry = this.storage.get(key);
+        if (!entry || entry.version !== COMPILE_CACHE_VERSION) {
+            return null;
+        }
+
+        const result = restoreCompileResult(entry, `compiled/cache/${key}/`);
+        result.fromCache = true;
+        return result;
+    }
+
+    /**
+     * @param {string} key The key of the entry.
+     * @param {object} result The result of compile().
+     */
+    save (key, result) {
+        this.storage.set(key, Object.assign({
+            version: COMPILE_CACHE_VERSION
+        }, serializeCompileResult(result.ir)));
+    }
+}
+
+module.exports = {
+    CompileCache,
+    MemoryCompileCacheStorage
+};
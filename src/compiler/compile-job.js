@@ -0,0 +1,326 @@
+/**
+ * @fileoverview
+ * Compile jobs describe a script with everything the compiler reads from the runtime and its targets,
+ * as plain data that can be posted to a worker. The worker rebuilds just enough of a runtime from the
+ * job to run the compiler, and sends back the generated JS.
+ */
+
+const Blocks = require('../engine/blocks');
+const Target = require('../engine/target');
+const Thread = require('../engine/thread');
+const Variable = require('../engine/variable');
+const jsexecute = require('./jsexecute');
+const {SourceMap} = require('./source-map');
+const {IntermediateScript, IntermediateRepresentation} = require('./intermediate');
+const {getNamesOfCostumesAndSounds} = require('./ir-optimizer');
+
+/**
+ * @typedef {object} CompileJob
+ * @property {string} topBlockId ID of the top block of the script.
+ * @property {Array.<object>} blocks The blocks of the script and the procedures it calls.
+ * @property {boolean} isStage Whether the script belongs to the stage.
+ * @property {string} targetName Name of the sprite or stage.
+ * @property {Array.<string>} effects Graphic effects the target supports.
+ * @property {Object.<string, string>} comments Text of the comments attached to the blocks, by comment ID.
+ * @property {Array.<Array>} variables ID, name, type, cloud flag and value type of each of the target's variables.
+ * @property {Array.<Array>} stageVariables The same for the stage, if the target is a sprite.
+ * @property {Array.<string>} namesOfCostumesAndSounds Names of every costume and sound in the project.
+ * @property {object} compilerOptions The runtime's compiler options.
+ * @property {boolean} debug Whether the runtime is in debug mode.
+ * @property {boolean} profiler Whether the block profiler is enabled.
+ * @property {Array.<string>} primitives Opcodes used by the script that the runtime has a function for.
+ * @property {Object.<string, boolean>} hats Hat opcodes used by the script, and whether they are edge-activated.
+ * @property {Array.<object>} blockInfo Opcodes, block types and branch counts of the extensions the script uses.
+ */
+
+/**
+ * @typedef {object} CompileJobResult
+ * @property {{source: string, sourceMap: Array}} entry The script's factory and source map.
+ * @property {Object.<string, {source: string, sourceMap: Array}>} procedures The same for each procedure variant.
+ * @property {Array.<Array>} createdVariables ID, name and type of the variables the compiler had to create.
+ */
+
+/**
+ * Find every block a script's compiled code depends on: the blocks reachable from its top block,
+ * including inputs and shadows, and the definitions of the procedures it calls.
+ * @param {Runtime} runtime The runtime.
+ * @param {Blocks} blockContainer The blocks the script is in.
+ * @param {string} topBlockId ID of the top block.
+ * @returns {Array.<object>} The blocks, starting with the top block.
+ */
+const collectScriptBlocks = (runtime, blockContainer, topBlockId) => {
+    const result = [];
+    const visited = new Set();
+    const visit = id => {
+        if (!id || visited.has(id)) return;
+        visited.add(id);
+        // Flyout blocks are stored in a special block container.
+        const block = blockContainer.getBlock(id) || runtime.flyoutBlocks.getBlock(id);
+        if (!block) return;
+        result.push(block);
+        for (const input of Object.values(block.inputs)) {
+            visit(input.block);
+            visit(input.shadow);
+        }
+        visit(block.next);
+        if (block.opcode === 'procedures_call' && block.mutation) {
+            visit(blockContainer.getProcedureDefinition(block.mutation.proccode));
+        }
+    };
+    visit(topBlockId);
+    return result;
+};
+
+/**
+ * @param {Target} target A sprite or the stage.
+ * @returns {Array.<Array>} The target's variables.
+ */
+const serializeVariables = target => Object.values(target.variables)
+    .map(variable => [variable.id, variable.name, variable.type, !!variable.isCloud, variable.valueType]);
+
+/**
+ * Describe a script so it can be compiled in a worker.
+ * @param {Thread} thread A thread whose script should be compiled.
+ * @returns {?CompileJob} The job, or null if the script uses blocks that can only be compiled on the
+ * main thread, like blocks with compile hooks and addon blocks.
+ */
+const createCompileJob = thread => {
+    const target = thread.target;
+    const runtime = target.runtime;
+    const stage = runtime.getTargetForStage();
+    const blocks = collectScriptBlocks(runtime, thread.blockContainer, thread.topBlock);
+
+    const primitives = [];
+    const hats = {};
+    const comments = {};
+    const extensions = new Set();
+    for (const block of blocks) {
+        if (runtime.getCompileHook(block.opcode)) {
+            return null;
+        }
+        if (block.opcode === 'procedures_call' && block.mutation && runtime.getAddonBlock(block.mutation.proccode)) {
+            return null;
+        }
+        if (runtime.getOpcodeFunction(block.opcode)) {
+            primitives.push(block.opcode);
+        }
+        if (runtime.getIsHat(block.opcode)) {
+            hats[block.opcode] = !!runtime.getIsEdgeActivatedHat(block.opcode);
+        }
+        if (block.comment && target.comments[block.comment]) {
+            comments[block.comment] = target.comments[block.comment].text;
+        }
+        extensions.add(block.opcode.split('_')[0]);
+    }
+
+    return {
+        topBlockId: thread.topBlock,
+        blocks,
+        isStage: target.isStage,
+        targetName: target.getName(),
+        effects: Object.keys(target.effects || {}),
+        comments,
+        variables: serializeVariables(target),
+        stageVariables: stage && stage !== target ? serializeVariables(stage) : [],
+        namesOfCostumesAndSounds: Array.from(getNamesOfCostumesAndSounds(runtime)),
+        compilerOptions: runtime.compilerOptions,
+        debug: !!runtime.debug,
+        profiler: runtime.blockProfiler !== null,
+        primitives,
+        hats,
+        blockInfo: runtime._blockInfo
+            .filter(categoryInfo => extensions.has(categoryInfo.id))
+            .map(categoryInfo => ({
+                id: categoryInfo.id,
+                blocks: categoryInfo.blocks.map(blockInfo => ({
+                    info: {
+                        opcode: blockInfo.info.opcode,
+                        blockType: blockInfo.info.blockType,
+                        branchCount: blockInfo.info.branchCount
+                    }
+                }))
+            }))
+    };
+};
+
+/**
+ * The parts of a runtime the compiler uses, rebuilt from a compile job.
+ */
+class CompileJobRuntime {
+    /**
+     * @param {CompileJob} job The job.
+     */
+    constructor (job) {
+        this.job = job;
+        this.compilerOptions = job.compilerOptions;
+        this.debug = job.debug;
+        this.blockProfiler = job.profiler ? {} : null;
+        this.compileCache = null;
+        this._blockInfo = job.blockInfo;
+        this.flyoutBlocks = new Blocks(this, true);
+        this.stage = null;
+        // Only used to find the names of costumes and sounds.
+        this.targets = [{
+            isOriginal: true,
+            sprite: {
+                costumes: job.namesOfCostumesAndSounds.map(name => ({name})),
+                sounds: []
+            }
+        }];
+    }
+
+    getTargetForStage () {
+        return this.stage;
+    }
+
+    getOpcodeFunction (opcode) {
+        return this.job.primitives.includes(opcode) ? () => {} : null;
+    }
+
+    getIsHat (opcode) {
+        return Object.prototype.hasOwnProperty.call(this.job.hats, opcode);
+    }
+
+    getIsEdgeActivatedHat (opcode) {
+        return this.getIsHat(opcode) && this.job.hats[opcode];
+    }
+
+    getCompileHook () {
+        return null;
+    }
+
+    getAddonBlock () {
+        return null;
+    }
+
+    emitProjectChanged () {}
+}
+
+/**
+ * @param {Target} target The target to add variables to.
+ * @param {Array.<Array>} variables Variables from serializeVariables.
+ */
+const deserializeVariables = (target, variables) => {
+    for (const [id, name, type, isCloud, valueType] of variables) {
+        target.variables[id] = new Variable(id, name, type, isCloud, valueType);
+    }
+};
+
+/**
+ * @param {IntermediateScript} script A script that has been compiled.
+ * @returns {{source: string, sourceMap: Array}} The script's factory and source map.
+ */
+const serializeCompiledScript = script => ({
+    source: script.cachedSource,
+    sourceMap: script.cachedSourceMap.mappings.map(mapping => Object.assign({}, mapping))
+});
+
+/**
+ * @param {IntermediateRepresentation} ir The compiled script and the procedures it calls.
+ * @returns {{entry: object, procedures: Object.<string, object>}} The factory and source map of each of them.
+ */
+const serializeCompileResult = ir => {
+    const procedures = {};
+    for (const procedureVariant of Object.keys(ir.procedures)) {
+        procedures[procedureVariant] = serializeCompiledScript(ir.procedures[procedureVariant]);
+    }
+    return {
+        entry: serializeCompiledScript(ir.entry),
+        procedures
+    };
+};
+
+/**
+ * Evaluate JS generated somewhere else, like in a worker or in an earlier session.
+ * @param {{entry: object, procedures: Object.<string, object>}} data Output of serializeCompileResult.
+ * @param {string} sourceURLPrefix Prefix of the sourceURL of each evaluated script.
+ * @returns {object} The same result as compile(). The IR only contains the generated JS, not the script's nodes.
+ */
+const restoreCompileResult = (data, sourceURLPrefix) => {
+    const sourceMaps = [];
+    let index = 0;
+    const restore = ({source, sourceMap: mappings}) => {
+        const script = new IntermediateScript();
+        const sourceMap = new SourceMap(`${sourceURLPrefix}${index++}.js`);
+        sourceMap.mappings = mappings.map(mapping => Object.assign({}, mapping));
+        sourceMap.lineOffset = jsexecute.getLineOffset(source);
+        script.cachedCompileResult = jsexecute.scopedEval(source, sourceMap.sourceURL);
+        script.cachedSource = source;
+        script.cachedSourceMap = sourceMap;
+        sourceMaps.push(sourceMap);
+        return script;
+    };
+
+    const ir = new IntermediateRepresentation();
+    ir.entry = restore(data.entry);
+    const procedures = {};
+    for (const procedureVariant of Object.keys(data.procedures)) {
+        ir.procedures[procedureVariant] = restore(data.procedures[procedureVariant]);
+        procedures[procedureVariant] = ir.procedures[procedureVariant].cachedCompileResult;
+    }
+
+    return {
+        startingFunction: ir.entry.cachedCompileResult,
+        procedures,
+        sourceMaps,
+        ir
+    };
+};
+
+/**
+ * Compile the script in a job. This runs in the worker.
+ * @param {CompileJob} job The job.
+ * @returns {CompileJobResult} The generated JS.
+ * @throws {*} If the script can't be compiled.
+ */
+const compileJob = job => {
+    // importing the compiler here avoids circular dependency issues
+    const compile = require('./compile');
+
+    const runtime = new CompileJobRuntime(job);
+    const blocks = new Blocks(runtime, true);
+    for (const block of job.blocks) {
+        blocks.createBlock(block);
+    }
+
+    const stage = new Target(runtime, job.isStage ? blocks : null);
+    stage.isStage = true;
+    deserializeVariables(stage, job.isStage ? job.variables : job.stageVariables);
+    runtime.stage = stage;
+
+    let target = stage;
+    if (!job.isStage) {
+        target = new Target(runtime, blocks);
+        target.isStage = false;
+        deserializeVariables(target, job.variables);
+    }
+    target.isOriginal = true;
+    target.getName = () => job.targetName;
+    target.effects = {};
+    for (const effect of job.effects) {
+        target.effects[effect] = 0;
+    }
+    for (const commentId of Object.keys(job.comments)) {
+        target.comments[commentId] = {text: job.comments[commentId]};
+    }
+
+    const knownVariables = new Set(Object.keys(target.variables));
+    const thread = new Thread(job.topBlockId);
+    thread.target = target;
+    thread.blockContainer = blocks;
+    const result = compile(thread);
+
+    return Object.assign(serializeCompileResult(result.ir), {
+        createdVariables: Object.values(target.variables)
+            .filter(variable => !knownVariables.has(variable.id))
+            .map(variable => [variable.id, variable.name, variable.type])
+    });
+};
+
+module.exports = {
+    collectScriptBlocks,
+    createCompileJob,
+    compileJob,
+    serializeCompileResult,
+    restoreCompileResult
+};
@@ -2,21 +2,30 @@ const IRGenerator = require('./irgen');
 const JSGenerator = require('./jsgen');
 
 const compile = thread => {
+    const compileCache = thread.target.runtime.compileCache;
+    if (compileCache) {
+        const cachedResult = compileCache.load(compileCache.getKey(thread));
+        if (cachedResult) {
+            return cachedResult;
+        }
+    }
+
     const irGenerator = new IRGenerator(thread);
     const ir = irGenerator.generate();
 
     const procedures = {};
+    const sourceMaps = [];
     const target = thread.target;
 
     const compileScript = script => {
-        if (script.cachedCompileResult) {
-            return script.cachedCompileResult;
+        if (!script.cachedCompileResult) {
+            const compiler = new JSGenerator(script, ir, target);
+            script.cachedCompileResult = compiler.compile();
+            script.cachedSource = compiler.factorySource;
+            script.cachedSourceMap = compiler.sourceMap;
         }
-
-        const compiler = new JSGenerator(script, ir, target);
-        const result = compiler.compile();
-        script.cachedCompileResult = result;
-        return result;
+        sourceMaps.push(script.cachedSourceMap);
+        return script.cachedCompileResult;
     };
 
     const entry = compileScript(ir.entry);
@@ -27,10 +36,20 @@ const compile = thread => {
         procedures[procedureVariant] = procedureTree;
     }
 
-    return {
+    const result = {
         startingFunction: entry,
-        procedures
+        procedures,
+        sourceMaps,
+        ir
     };
+
+    if (compileCache) {
+        // Generating the IR can create missing variables, so the key is only computed now that the
+        // script is in the state it will be in the next time it is compiled.
+        compileCache.save(compileCache.getKey(thread), result);
+    }
+
+    return result;
 };
 
 module.exports = compile;
@@ -0,0 +1,10 @@
+/* eslint-env worker */
+
+const dispatch = require('../dispatch/worker-dispatch');
+const {compileJob} = require('./compile-job');
+
+dispatch.waitForConnection.then(() => {
+    dispatch.setService('compiler', {
+        compile: compileJob
+    }).then(() => dispatch.call('compiler.host', 'onWorkerReady'));
+});
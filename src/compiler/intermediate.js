@@ -32,6 +32,12 @@ class IntermediateScript {
          */
         this.procedureCode = '';
 
+        /**
+         * This procedure's variant, if any.
+         * @type {string}
+         */
+        this.procedureVariant = '';
+
         /**
          * List of names of arguments accepted by this function, if it is a procedure.
          * @type {string[]}
@@ -64,11 +70,37 @@ class IntermediateScript {
          */
         this.dependedProcedures = [];
 
+        /**
+         * Whether this procedure calls itself in tail position. These calls are marked with `tail`
+         * and jump back to the start of the procedure instead.
+         * @type {boolean}
+         */
+        this.hasTailCalls = false;
+
+        /**
+         * Whether this procedure calls itself in any other position. Its recursion then runs on a
+         * stack kept in the heap instead of the JS stack, which requires the procedure to yield.
+         * @type {boolean}
+         */
+        this.usesHeapStack = false;
+
         /**
          * Cached result of compiling this script.
          * @type {Function|null}
          */
         this.cachedCompileResult = null;
+
+        /**
+         * The JS that was generated for this script, once compiled.
+         * @type {string|null}
+         */
+        this.cachedSource = null;
+
+        /**
+         * Maps lines of cachedSource to the blocks they were generated from, once compiled.
+         * @type {import('./source-map').SourceMap|null}
+         */
+        this.cachedSourceMap = null;
     }
 }
 
@@ -0,0 +1,656 @@
+/**
+ * @fileoverview
+ * Optimizations made to intermediate scripts before they are compiled to JS.
+ *
+ *  - Constant expressions such as (2 * 3) + x are evaluated at compile time.
+ *  - "if" blocks with a constant condition are replaced with the branch that always runs.
+ *  - The type of each variable is tracked across blocks, so that reading a variable that was set
+ *    to a number doesn't need to cast it to a number again. Variable reads of a known type get an
+ *    `inferredType` (see InferredType).
+ *  - Loops that never yield get a list of `hoistedVariables`: variables that are read but can't
+ *    change while the loop runs, so they only need to be cast once before it.
+ *  - Calls procedures make to themselves are marked as tail calls when the procedure returns right
+ *    after them, so they can be compiled as jumps. See optimizeRecursion.
+ *
+ * Whenever another script may run, or we can't see what a block does (yields, procedure calls,
+ * compatibility layer blocks, ...), everything known about variables is forgotten.
+ */
+
+const Cast = require('../util/cast');
+
+/**
+ * Types of values. These match the types used by the JS generator.
+ * @enum {string}
+ */
+const InferredType = {
+    /** A number that is never NaN. */
+    NUMBER: 'number',
+    /** A number that may be NaN. */
+    NUMBER_OR_NAN: 'numberOrNaN',
+    STRING: 'string',
+    BOOLEAN: 'boolean'
+};
+
+/**
+ * Types of the values of input nodes, for the nodes where the type never depends on the inputs.
+ * Must be kept in sync with JSGenerator.descendInput.
+ * @type {Object.<string, InferredType>}
+ */
+const INPUT_TYPES = {};
+for (const kind of [
+    'op.acos', 'op.add', 'op.advlog', 'op.asin', 'op.cos', 'op.divide', 'op.ln', 'op.log', 'op.mod',
+    'op.multiply', 'op.sin', 'op.sqrt', 'op.subtract', 'op.tan'
+]) {
+    INPUT_TYPES[kind] = InferredType.NUMBER_OR_NAN;
+}
+for (const kind of [
+    'list.indexOf', 'list.length', 'looks.backdropNumber', 'looks.costumeNumber', 'looks.size',
+    'motion.direction', 'motion.x', 'motion.y', 'mouse.x', 'mouse.y', 'op.10^', 'op.abs', 'op.atan',
+    'op.ceiling', 'op.e^', 'op.floor', 'op.length', 'op.round', 'sensing.date', 'sensing.dayofweek',
+    'sensing.daysSince2000', 'sensing.distance', 'sensing.hour', 'sensing.minute', 'sensing.month',
+    'sensing.second', 'sensing.year', 'sound.effect', 'sound.length', 'sound.volume', 'timer.get'
+]) {
+    INPUT_TYPES[kind] = InferredType.NUMBER;
+}
+for (const kind of [
+    'list.contents', 'looks.backdropName', 'looks.costumeName', 'op.join', 'op.letterOf', 'sensing.answer',
+    'sensing.username', 'tw.lastKeyPressed'
+]) {
+    INPUT_TYPES[kind] = InferredType.STRING;
+}
+for (const kind of [
+    'args.boolean', 'keyboard.pressed', 'list.contains', 'mouse.down', 'op.and', 'op.contains', 'op.equals',
+    'op.greater', 'op.less', 'op.not', 'op.or', 'sensing.colorTouchingColor', 'sensing.touching',
+    'sensing.touchingColor', 'sound.isPlaying'
+]) {
+    INPUT_TYPES[kind] = InferredType.BOOLEAN;
+}
+
+/**
+ * Types of the values of local variables, by the type of value they are declared to hold.
+ * Local variables that hold any type of value aren't listed.
+ * @type {Object.<string, InferredType>}
+ */
+const LOCAL_VARIABLE_TYPES = {
+    number: InferredType.NUMBER,
+    string: InferredType.STRING,
+    boolean: InferredType.BOOLEAN
+};
+
+/**
+ * Input nodes that can run arbitrary code, including yielding.
+ */
+const IMPURE_INPUTS = new Set(['compat', 'extension.hook', 'procedures.call']);
+
+/**
+ * Stacked nodes that can't change variables or let other scripts run.
+ * Anything not in this list, and not handled separately, forgets all known types.
+ */
+const TRANSPARENT_BLOCKS = new Set([
+    'control.createClone', 'control.stopOthers', 'list.add', 'list.delete', 'list.deleteAll', 'list.hide',
+    'list.insert', 'list.replace', 'list.show', 'localVar.set', 'looks.backwardLayers', 'looks.changeEffect',
+    'looks.changeSize', 'looks.clearEffects', 'looks.forwardLayers', 'looks.goToBack', 'looks.goToFront',
+    'looks.hide', 'looks.nextBackdrop', 'looks.nextCostume', 'looks.say', 'looks.setColor', 'looks.setEffect',
+    'looks.setFont', 'looks.setHorizTransform', 'looks.setShape', 'looks.setSize', 'looks.setVertTransform',
+    'looks.show', 'looks.switchBackdrop', 'looks.switchCostume', 'looks.think', 'motion.changeX', 'motion.changeY',
+    'motion.ifOnEdgeBounce', 'motion.setDirection', 'motion.setRotationStyle', 'motion.setX', 'motion.setXY',
+    'motion.setY', 'motion.step', 'noop', 'pen.changeParam', 'pen.changeSize', 'pen.clear', 'pen.down',
+    'pen.legacyChangeHue', 'pen.legacyChangeShade', 'pen.legacySetHue', 'pen.legacySetShade', 'pen.setColor',
+    'pen.setParam', 'pen.setSize', 'pen.stamp', 'pen.up', 'sound.clearEffects', 'sound.play', 'sound.playAll',
+    'sound.stop', 'sound.stopAll', 'timer.reset', 'var.hide', 'var.show', 'visualReport'
+]);
+
+const NUMBER_OPERATORS = {
+    'op.add': (a, b) => a + b,
+    'op.subtract': (a, b) => a - b,
+    'op.multiply': (a, b) => a * b,
+    'op.divide': (a, b) => a / b,
+    'op.mod': (a, b) => {
+        // Same as mod() in jsexecute
+        let result = a % b;
+        if (result / b < 0) result += b;
+        return result;
+    }
+};
+
+const COMPARISON_OPERATORS = {
+    'op.equals': comparison => comparison === 0,
+    'op.greater': comparison => comparison > 0,
+    'op.less': comparison => comparison < 0
+};
+
+/**
+ * @param {Runtime} runtime The runtime.
+ * @returns {Set.<string>} The names of all costumes and sounds in the project.
+ */
+const getNamesOfCostumesAndSounds = runtime => {
+    const result = new Set();
+    for (const target of runtime.targets) {
+        if (target.isOriginal) {
+            const sprite = target.sprite;
+            for (const costume of sprite.costumes) {
+                result.add(costume.name);
+            }
+            for (const sound of sprite.sounds) {
+                result.add(sound.name);
+            }
+        }
+    }
+    return result;
+};
+
+/**
+ * Call a function for each input node directly inside another node.
+ * @param {*} node The node.
+ * @param {function(*, string)} callback Called with each child input node and the property it's in.
+ */
+const forEachChildInput = (node, callback) => {
+    for (const key of Object.keys(node)) {
+        const value = node[key];
+        if (value && typeof value === 'object' && typeof value.kind === 'string') {
+            callback(value, key);
+        }
+    }
+};
+
+/**
+ * Call a function for a node and every node inside it, including nodes in substacks.
+ * @param {*} node The node.
+ * @param {function(*)} callback Called with each node.
+ */
+const walkNode = (node, callback) => {
+    callback(node);
+    for (const key of Object.keys(node)) {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                if (item && typeof item.kind === 'string') {
+                    walkNode(item, callback);
+                }
+            }
+        } else if (value && typeof value === 'object') {
+            if (typeof value.kind === 'string') {
+                walkNode(value, callback);
+            } else if (key === 'inputs') {
+                // compat and extension.hook nodes store their inputs in an object
+                for (const input of Object.values(value)) {
+                    walkNode(input, callback);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * @param {*} node An input node.
+ * @returns {boolean} true if the node or any node inside it can run arbitrary code.
+ */
+const isImpure = node => {
+    let impure = false;
+    walkNode(node, child => {
+        if (IMPURE_INPUTS.has(child.kind)) {
+            impure = true;
+        }
+    });
+    return impure;
+};
+
+/**
+ * Evaluate an input node at compile time, the same way it would be evaluated when the script runs.
+ * @param {*} node An input node.
+ * @returns {{value: *}|null} The value of the node, or null if it isn't always the same.
+ */
+const evaluateConstant = node => {
+    if (node.kind === 'constant') {
+        return {value: node.value};
+    }
+    if (node.kind === 'op.not') {
+        const operand = evaluateConstant(node.operand);
+        return operand && {value: !Cast.toBoolean(operand.value)};
+    }
+    if (!node.left || !node.right) {
+        return null;
+    }
+    const left = evaluateConstant(node.left);
+    const right = left && evaluateConstant(node.right);
+    if (!right) {
+        return null;
+    }
+    if (NUMBER_OPERATORS.hasOwnProperty(node.kind)) {
+        return {value: NUMBER_OPERATORS[node.kind](Cast.toNumber(left.value), Cast.toNumber(right.value))};
+    }
+    if (COMPARISON_OPERATORS.hasOwnProperty(node.kind)) {
+        return {value: COMPARISON_OPERATORS[node.kind](Cast.compare(left.value, right.value))};
+    }
+    switch (node.kind) {
+    case 'op.join':
+        return {value: Cast.toString(left.value) + Cast.toString(right.value)};
+    case 'op.and':
+        return {value: Cast.toBoolean(left.value) && Cast.toBoolean(right.value)};
+    case 'op.or':
+        return {value: Cast.toBoolean(left.value) || Cast.toBoolean(right.value)};
+    }
+    return null;
+};
+
+/**
+ * Booleans aren't folded into constants as the JS generator treats constants as strings or numbers,
+ * which would change how they are stored in variables. NaN and -0 would also be turned into 0.
+ * @param {*} value A value from evaluateConstant.
+ * @returns {boolean} true if a constant node with this value behaves the same as the expression.
+ */
+const canFold = value => (
+    typeof value === 'string' ||
+    (typeof value === 'number' && !Number.isNaN(value) && !Object.is(value, -0))
+);
+
+/**
+ * @param {Map.<string, InferredType>} a Known variable types.
+ * @param {Map.<string, InferredType>} b Other known variable types.
+ * @returns {Map.<string, InferredType>} The types that are known in both.
+ */
+const joinTypes = (a, b) => {
+    const result = new Map();
+    for (const [id, type] of a) {
+        const other = b.get(id);
+        if (other === type) {
+            result.set(id, type);
+        } else if (
+            (type === InferredType.NUMBER && other === InferredType.NUMBER_OR_NAN) ||
+            (type === InferredType.NUMBER_OR_NAN && other === InferredType.NUMBER)
+        ) {
+            result.set(id, InferredType.NUMBER_OR_NAN);
+        }
+    }
+    return result;
+};
+
+/**
+ * @param {Map.<string, InferredType>} a Known variable types.
+ * @param {Map.<string, InferredType>} b Other known variable types.
+ * @returns {boolean} true if both are the same.
+ */
+const isSameTypes = (a, b) => {
+    if (a.size !== b.size) {
+        return false;
+    }
+    for (const [id, type] of a) {
+        if (b.get(id) !== type) {
+            return false;
+        }
+    }
+    return true;
+};
+
+const NO_TYPES = new Map();
+
+class ScriptOptimizer {
+    /**
+     * @param {IntermediateScript} script The script to optimize.
+     * @param {Set.<string>} namesOfCostumesAndSounds Names from getNamesOfCostumesAndSounds.
+     */
+    constructor (script, namesOfCostumesAndSounds) {
+        this.script = script;
+        this.namesOfCostumesAndSounds = namesOfCostumesAndSounds;
+
+        /**
+         * Types of variables at the current point in the script, by variable ID.
+         * Replaced instead of modified, so it can be saved and restored around branches.
+         * @type {Map.<string, InferredType>}
+         */
+        this.types = NO_TYPES;
+
+        /**
+         * Number of times types have been forgotten. Used to tell if a loop contains anything unknown.
+         * @type {number}
+         */
+        this.forgotten = 0;
+    }
+
+    forget () {
+        this.types = NO_TYPES;
+        this.forgotten++;
+    }
+
+    /**
+     * @param {string} id The ID of the variable.
+     * @param {InferredType|null} type The new type of the variable, or null if it is unknown.
+     */
+    setType (id, type) {
+        this.types = new Map(this.types);
+        if (type) {
+            this.types.set(id, type);
+        } else {
+            this.types.delete(id);
+        }
+    }
+
+    /**
+     * @param {*} value Value of a constant node.
+     * @returns {InferredType} The type of the value the JS generator stores in variables for the constant.
+     */
+    getConstantType (value) {
+        // See ConstantInput.asSafe()
+        if (typeof value === 'number') {
+            return Number.isNaN(value) ? InferredType.NUMBER_OR_NAN : InferredType.NUMBER;
+        }
+        if (
+            typeof value === 'string' &&
+            !this.namesOfCostumesAndSounds.has(value) &&
+            (+value).toString() === value
+        ) {
+            return Number.isNaN(+value) ? InferredType.NUMBER_OR_NAN : InferredType.NUMBER;
+        }
+        return InferredType.STRING;
+    }
+
+    /**
+     * @param {*} node An optimized input node.
+     * @returns {InferredType|null} The type of the node's value, or null if it is unknown.
+     */
+    getInputType (node) {
+        if (node.kind === 'constant') {
+            return this.getConstantType(node.value);
+        }
+        if (node.kind === 'var.get') {
+            return node.inferredType || null;
+        }
+        if (node.kind === 'localVar.get') {
+            return LOCAL_VARIABLE_TYPES[node.variable.valueType] || null;
+        }
+        return INPUT_TYPES[node.kind] || null;
+    }
+
+    /**
+     * Fold constant expressions inside an input node.
+     * @param {*} node An input node.
+     * @returns {*} The node, or a constant node to replace it with.
+     */
+    foldInput (node) {
+        forEachChildInput(node, (child, key) => {
+            node[key] = this.foldInput(child);
+        });
+        if (node.kind === 'constant') {
+            return node;
+        }
+        const result = evaluateConstant(node);
+        if (result && canFold(result.value)) {
+            return {
+                kind: 'constant',
+                value: result.value
+            };
+        }
+        return node;
+    }
+
+    /**
+     * Fold an input node and annotate the types of the variables read by it.
+     * @param {*} node An input node.
+     * @returns {*} The node to replace it with.
+     */
+    optimizeInput (node) {
+        node = this.foldInput(node);
+        // We don't know when the variables are read relative to the code that runs.
+        if (isImpure(node)) {
+            this.forget();
+        }
+        walkNode(node, child => {
+            if (child.kind === 'var.get') {
+                const type = this.types.get(child.variable.id);
+                if (type) {
+                    child.inferredType = type;
+                } else {
+                    delete child.inferredType;
+                }
+            }
+        });
+        if (isImpure(node)) {
+            this.forget();
+        }
+        return node;
+    }
+
+    /**
+     * Optimize the inputs directly inside a stacked node.
+     * @param {*} node A stacked node.
+     */
+    optimizeInputsOf (node) {
+        forEachChildInput(node, (child, key) => {
+            node[key] = this.optimizeInput(child);
+        });
+    }
+
+    /**
+     * @param {Array} nodes List of stacked nodes.
+     * @returns {Array} Optimized list of stacked nodes.
+     */
+    optimizeStack (nodes) {
+        const result = [];
+        for (const node of nodes) {
+            const replacement = this.optimizeStackedBlock(node, true);
+            if (replacement) {
+                result.push(...replacement);
+            } else {
+                result.push(node);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param {*} node A stacked node.
+     * @param {boolean} canReplace Whether the node can be replaced with other nodes.
+     * @returns {Array|null} Nodes to replace the node with, or null to keep it.
+     */
+    optimizeStackedBlock (node, canReplace) {
+        switch (node.kind) {
+        case 'var.set':
+            node.value = this.optimizeInput(node.value);
+            this.setType(node.variable.id, this.getInputType(node.value));
+            return null;
+
+        case 'control.if': {
+            node.condition = this.optimizeInput(node.condition);
+            const condition = evaluateConstant(node.condition);
+            if (condition && canReplace) {
+                return this.optimizeStack(Cast.toBoolean(condition.value) ? node.whenTrue : node.whenFalse);
+            }
+            const before = this.types;
+            node.whenTrue = this.optimizeStack(node.whenTrue);
+            const afterTrue = this.types;
+            this.types = before;
+            node.whenFalse = this.optimizeStack(node.whenFalse);
+            this.types = joinTypes(afterTrue, this.types);
+            return null;
+        }
+
+        case 'control.repeat':
+            node.times = this.optimizeInput(node.times);
+            this.optimizeLoop(node, null);
+            return null;
+        case 'control.while':
+            this.optimizeLoop(node, 'condition');
+            return null;
+        case 'control.for':
+            // The count is checked before every iteration.
+            this.optimizeLoop(node, 'count', InferredType.NUMBER);
+            return null;
+        case 'list.forEach':
+            this.optimizeLoop(node, null, node.num ? InferredType.NUMBER : null);
+            return null;
+        }
+
+        if (TRANSPARENT_BLOCKS.has(node.kind)) {
+            this.optimizeInputsOf(node);
+        } else {
+            this.forget();
+            this.optimizeInputsOf(node);
+            this.forget();
+        }
+        return null;
+    }
+
+    /**
+     * @param {*} node A loop node.
+     * @returns {boolean} true if the loop may yield after each iteration. See JSGenerator.yieldLoop.
+     */
+    loopYields (node) {
+        if (node.kind === 'list.forEach') {
+            return false;
+        }
+        if (node.kind === 'control.while' && node.warpTimer) {
+            return true;
+        }
+        return !this.script.isWarp || this.script.warpTimer;
+    }
+
+    /**
+     * @param {*} node A loop node with its body in `do`.
+     * @param {string|null} headInput Name of the input that is evaluated before every iteration, if any.
+     * @param {InferredType|null} [variableType] Type the loop's `variable` is set to before every iteration.
+     */
+    optimizeLoop (node, headInput, variableType) {
+        const yields = this.loopYields(node);
+        if (yields) {
+            this.forget();
+        }
+        const entry = this.types;
+        const forgottenBefore = this.forgotten;
+
+        // Find the types at the start of every iteration by going through the loop until they stop changing.
+        // Types can only be forgotten in each pass, so this always finishes.
+        let head = entry;
+        let exit;
+        for (;;) {
+            this.types = head;
+            if (headInput) {
+                node[headInput] = this.optimizeInput(node[headInput]);
+            }
+            exit = this.types;
+            if (node.variable) {
+                this.setType(node.variable.id, variableType);
+            }
+            node.do = this.optimizeStack(node.do);
+            if (yields) {
+                this.forget();
+            }
+            const next = joinTypes(entry, this.types);
+            if (isSameTypes(next, head)) {
+                break;
+            }
+            head = next;
+        }
+        this.types = exit;
+
+        if (!yields && this.forgotten === forgottenBefore) {
+            this.hoistVariables(node, head);
+        }
+    }
+
+    /**
+     * Find the variables that a loop reads but can't change.
+     * @param {*} node A loop node that never yields and only contains blocks that can't change variables.
+     * @param {Map.<string, InferredType>} head Types at the start of every iteration.
+     */
+    hoistVariables (node, head) {
+        const reads = new Map();
+        const writes = new Set();
+        const visit = child => {
+            if (child.kind === 'var.get') {
+                reads.set(child.variable.id, child.variable);
+            } else if (child.kind === 'var.set' || child.kind === 'control.for' || child.kind === 'list.forEach') {
+                writes.add(child.variable.id);
+            }
+        };
+        walkNode(node, visit);
+
+        const hoisted = [];
+        for (const [id, variable] of reads) {
+            // Variables that are always numbers don't need to be cast.
+            if (!writes.has(id) && head.get(id) !== InferredType.NUMBER) {
+                hoisted.push(variable);
+            }
+        }
+        if (hoisted.length) {
+            node.hoistedVariables = hoisted;
+        } else {
+            delete node.hoistedVariables;
+        }
+    }
+}
+
+/**
+ * Find the calls a procedure makes to itself. Calls after which the procedure returns straight away
+ * are marked as tail calls. If there are any others, the procedure's recursion uses a heap stack.
+ * @param {IntermediateScript} script The procedure.
+ */
+const optimizeRecursion = script => {
+    const isSelfCall = node => node.kind === 'procedures.call' && node.variant === script.procedureVariant;
+
+    const selfCalls = [];
+    let reportsValues = false;
+    const findSelfCalls = node => {
+        if (isSelfCall(node)) {
+            selfCalls.push(node);
+        } else if (node.kind === 'procedures.return') {
+            reportsValues = true;
+            if (isSelfCall(node.return)) {
+                node.return.tail = true;
+            }
+        }
+    };
+    for (const node of script.stack) {
+        walkNode(node, findSelfCalls);
+    }
+
+    /**
+     * @param {Array} stack Stacked nodes.
+     * @param {boolean} returnsAfter Whether the procedure returns after the last node.
+     */
+    const markTailCalls = (stack, returnsAfter) => {
+        for (let i = 0; i < stack.length; i++) {
+            const node = stack[i];
+            const next = stack[i + 1];
+            const isTail = typeof next === 'undefined' ? returnsAfter : next.kind === 'control.stopScript';
+            if (node.kind === 'control.if') {
+                markTailCalls(node.whenTrue, isTail);
+                markTailCalls(node.whenFalse, isTail);
+            } else if (isTail && isSelfCall(node)) {
+                node.tail = true;
+            }
+        }
+    };
+    // The result of a stacked call is ignored, so a procedure that reports values can't continue as the call.
+    if (!reportsValues) {
+        markTailCalls(script.stack, true);
+    }
+
+    script.hasTailCalls = selfCalls.some(node => node.tail);
+    script.usesHeapStack = selfCalls.some(node => !node.tail);
+    // Tail calls loop, and loops yield when they are stuck even in warp mode.
+    if (script.hasTailCalls || script.usesHeapStack) {
+        script.yields = true;
+    }
+};
+
+/**
+ * Optimize a script in place.
+ * @param {IntermediateScript} script The script to optimize.
+ * @param {Runtime} runtime The runtime the script is compiled for.
+ */
+const optimizeScript = (script, runtime) => {
+    if (!script.stack) {
+        return;
+    }
+    const optimizer = new ScriptOptimizer(script, getNamesOfCostumesAndSounds(runtime));
+    script.stack = optimizer.optimizeStack(script.stack);
+    if (script.isProcedure) {
+        optimizeRecursion(script);
+    }
+};
+
+module.exports = {
+    InferredType,
+    getNamesOfCostumesAndSounds,
+    optimizeScript
+};
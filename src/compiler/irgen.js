@@ -7,6 +7,7 @@ const log = require('../util/log');
 const Clone = require('../util/clone');
 const {IntermediateScript, IntermediateRepresentation} = require('./intermediate');
 const compatBlocks = require('./compat-blocks');
+const {optimizeScript} = require('./ir-optimizer');
 
 /**
  * @fileoverview Generate intermediate representations from Scratch blocks.
@@ -14,6 +15,7 @@ const compatBlocks = require('./compat-blocks');
 
 const SCALAR_TYPE = '';
 const LIST_TYPE = 'list';
+const LOCAL_TYPE = 'local';
 
 /**
  * @typedef {Object.<string, *>} Node
@@ -30,7 +32,8 @@ const createVariableData = (scope, varObj) => ({
     scope,
     id: varObj.id,
     name: varObj.name,
-    isCloud: varObj.isCloud
+    isCloud: varObj.isCloud,
+    valueType: varObj.valueType
 });
 
 /**
@@ -90,6 +93,7 @@ class ScriptTreeGenerator {
         const procedureCode = parseProcedureCode(procedureVariant);
 
         this.script.procedureCode = procedureCode;
+        this.script.procedureVariant = procedureVariant;
         this.script.isProcedure = true;
         this.script.yields = false;
 
@@ -250,6 +254,11 @@ class ScriptTreeGenerator {
                 kind: 'var.get',
                 variable: this.descendVariable(block, 'VARIABLE', SCALAR_TYPE)
             };
+        case 'data_localvariable':
+            return {
+                kind: 'localVar.get',
+                variable: this.descendVariable(block, 'VARIABLE', LOCAL_TYPE)
+            };
         case 'data_itemoflist':
             return {
                 kind: 'list.get',
@@ -656,12 +665,31 @@ class ScriptTreeGenerator {
                 kind: 'sensing.username'
             };
 
+        case 'sound_getEffectValue':
+            return {
+                kind: 'sound.effect',
+                effect: block.fields.EFFECT.value.toLowerCase()
+            };
+        case 'sound_getLength':
+            return {
+                kind: 'sound.length',
+                sound: this.descendInputOfBlock(block, 'SOUND_MENU')
+            };
+        case 'sound_isSoundPlaying':
+            return {
+                kind: 'sound.isPlaying',
+                sound: this.descendInputOfBlock(block, 'SOUND_MENU')
+            };
         case 'sound_sounds_menu':
             // This menu is special compared to other menus -- it actually has an opcode function.
             return {
                 kind: 'constant',
                 value: block.fields.SOUND_MENU.value
             };
+        case 'sound_volume':
+            return {
+                kind: 'sound.volume'
+            };
 
         // used by the stacked version of this block to run as an input block 
         // despite there being a stacked version
@@ -772,6 +800,11 @@ class ScriptTreeGenerator {
             };
 
         default: {
+            const compileHook = this.runtime.getCompileHook(block.opcode);
+            if (compileHook && compileHook.output) {
+                return this.descendCompileHook(block, compileHook);
+            }
+
             const opcodeFunction = this.runtime.getOpcodeFunction(block.opcode);
             if (opcodeFunction) {
                 // It might be a non-compiled primitive from a standard category
@@ -1006,6 +1039,21 @@ class ScriptTreeGenerator {
                 }
             };
         }
+        case 'data_changelocalvariableby': {
+            const variable = this.descendVariable(block, 'VARIABLE', LOCAL_TYPE);
+            return {
+                kind: 'localVar.set',
+                variable,
+                value: {
+                    kind: 'op.add',
+                    left: {
+                        kind: 'localVar.get',
+                        variable
+                    },
+                    right: this.descendInputOfBlock(block, 'VALUE')
+                }
+            };
+        }
         case 'data_deletealloflist':
             return {
                 kind: 'list.deleteAll',
@@ -1073,6 +1121,12 @@ class ScriptTreeGenerator {
                 variable: this.descendVariable(block, 'VARIABLE', SCALAR_TYPE),
                 value: this.descendInputOfBlock(block, 'VALUE')
             };
+        case 'data_setlocalvariableto':
+            return {
+                kind: 'localVar.set',
+                variable: this.descendVariable(block, 'VARIABLE', LOCAL_TYPE),
+                value: this.descendInputOfBlock(block, 'VALUE')
+            };
         case 'data_showlist':
             return {
                 kind: 'list.show',
@@ -1143,6 +1197,18 @@ class ScriptTreeGenerator {
             return {
                 kind: 'looks.nextCostume'
             };
+        case 'looks_say':
+            return {
+                kind: 'looks.say',
+                message: this.descendInputOfBlock(block, 'MESSAGE')
+            };
+        case 'looks_sayforsecs':
+            this.script.yields = true;
+            return {
+                kind: 'looks.sayForSecs',
+                message: this.descendInputOfBlock(block, 'MESSAGE'),
+                seconds: this.descendInputOfBlock(block, 'SECS')
+            };
         case 'looks_seteffectto':
             return {
                 kind: 'looks.setEffect',
@@ -1172,6 +1238,16 @@ class ScriptTreeGenerator {
                 prop: block.fields.prop.value,
                 value: this.descendInputOfBlock(block, 'color')
             };
+        case 'looks_setHorizTransform':
+            return {
+                kind: 'looks.setHorizTransform',
+                percent: this.descendInputOfBlock(block, 'PERCENT')
+            };
+        case 'looks_setVertTransform':
+            return {
+                kind: 'looks.setVertTransform',
+                percent: this.descendInputOfBlock(block, 'PERCENT')
+            };
         case 'looks_show':
             return {
                 kind: 'looks.show'
@@ -1186,6 +1262,18 @@ class ScriptTreeGenerator {
                 kind: 'looks.switchCostume',
                 costume: this.descendInputOfBlock(block, 'COSTUME')
             };
+        case 'looks_think':
+            return {
+                kind: 'looks.think',
+                message: this.descendInputOfBlock(block, 'MESSAGE')
+            };
+        case 'looks_thinkforsecs':
+            this.script.yields = true;
+            return {
+                kind: 'looks.thinkForSecs',
+                message: this.descendInputOfBlock(block, 'MESSAGE'),
+                seconds: this.descendInputOfBlock(block, 'SECS')
+            };
 
         case 'motion_changexby':
             return {
@@ -1197,6 +1285,21 @@ class ScriptTreeGenerator {
                 kind: 'motion.changeY',
                 dy: this.descendInputOfBlock(block, 'DY')
             };
+        case 'motion_glidesecstoxy':
+            this.script.yields = true;
+            return {
+                kind: 'motion.glide',
+                seconds: this.descendInputOfBlock(block, 'SECS'),
+                x: this.descendInputOfBlock(block, 'X'),
+                y: this.descendInputOfBlock(block, 'Y')
+            };
+        case 'motion_glideto':
+            this.script.yields = true;
+            return {
+                kind: 'motion.glideTo',
+                seconds: this.descendInputOfBlock(block, 'SECS'),
+                target: this.descendInputOfBlock(block, 'TO')
+            };
         case 'motion_gotoxy':
             return {
                 kind: 'motion.setXY',
@@ -1429,6 +1532,12 @@ class ScriptTreeGenerator {
             };
         }
 
+        case 'sensing_askandwait':
+            this.script.yields = true;
+            return {
+                kind: 'sensing.askAndWait',
+                question: this.descendInputOfBlock(block, 'QUESTION')
+            };
         case 'sensing_set_of':
             return {
                 kind: 'sensing.set.of',
@@ -1441,6 +1550,61 @@ class ScriptTreeGenerator {
                 kind: 'timer.reset'
             };
 
+        case 'sound_changeeffectby':
+            this.script.yields = true;
+            return {
+                kind: 'sound.changeEffect',
+                effect: block.fields.EFFECT.value.toLowerCase(),
+                value: this.descendInputOfBlock(block, 'VALUE')
+            };
+        case 'sound_changevolumeby':
+            this.script.yields = true;
+            return {
+                kind: 'sound.changeVolume',
+                volume: this.descendInputOfBlock(block, 'VOLUME')
+            };
+        case 'sound_cleareffects':
+            return {
+                kind: 'sound.clearEffects'
+            };
+        case 'sound_play':
+            return {
+                kind: 'sound.play',
+                sound: this.descendInputOfBlock(block, 'SOUND_MENU')
+            };
+        case 'sound_playallsounds':
+            return {
+                kind: 'sound.playAll'
+            };
+        case 'sound_playuntildone':
+            this.script.yields = true;
+            return {
+                kind: 'sound.playUntilDone',
+                sound: this.descendInputOfBlock(block, 'SOUND_MENU')
+            };
+        case 'sound_seteffectto':
+            this.script.yields = true;
+            return {
+                kind: 'sound.setEffect',
+                effect: block.fields.EFFECT.value.toLowerCase(),
+                value: this.descendInputOfBlock(block, 'VALUE')
+            };
+        case 'sound_setvolumeto':
+            this.script.yields = true;
+            return {
+                kind: 'sound.setVolume',
+                volume: this.descendInputOfBlock(block, 'VOLUME')
+            };
+        case 'sound_stop':
+            return {
+                kind: 'sound.stop',
+                sound: this.descendInputOfBlock(block, 'SOUND_MENU')
+            };
+        case 'sound_stopallsounds':
+            return {
+                kind: 'sound.stopAll'
+            };
+
             /*
             can someone set up the jsgen for these, i dont want to rn
             case "sensing_regextest":
@@ -1595,6 +1759,11 @@ class ScriptTreeGenerator {
             */
 
         default: {
+            const compileHook = this.runtime.getCompileHook(block.opcode);
+            if (compileHook && !compileHook.output) {
+                return this.descendCompileHook(block, compileHook);
+            }
+
             const opcodeFunction = this.runtime.getOpcodeFunction(block.opcode);
             if (opcodeFunction) {
                 // It might be a non-compiled primitive from a standard category
@@ -1666,7 +1835,19 @@ class ScriptTreeGenerator {
                 break;
             }
 
+            if (this.runtime.debug) {
+                // Give the debugger a chance to pause before every block, so breakpoints can be
+                // changed without recompiling.
+                result.push({
+                    kind: 'debugger.checkpoint',
+                    blockId
+                });
+                this.script.yields = true;
+            }
+
             const node = this.descendStackedBlock(block);
+            // Used to map the generated JS back to blocks.
+            node.blockId = blockId;
             result.push(node);
 
             blockId = block.next;
@@ -1679,7 +1860,7 @@ class ScriptTreeGenerator {
      * Descend into a variable.
      * @param {*} block The block that has the variable.
      * @param {string} fieldName The name of the field that the variable is stored in.
-     * @param {''|'list'} type Variable type, '' for scalar and 'list' for list.
+     * @param {''|'list'|'local'} type Variable type, '' for scalar, 'list' for list and 'local' for local variables.
      * @private
      * @returns {*} A parsed variable object.
      */
@@ -1699,7 +1880,7 @@ class ScriptTreeGenerator {
     /**
      * @param {string} id The ID of the variable.
      * @param {string} name The name of the variable.
-     * @param {''|'list'} type The variable type.
+     * @param {''|'list'|'local'} type The variable type.
      * @private
      * @returns {*} A parsed variable object.
      */
@@ -1800,6 +1981,40 @@ class ScriptTreeGenerator {
         };
     }
 
+    /**
+     * Descend into a block that an extension compiles itself.
+     * @param {*} block The block.
+     * @param {CompileHook} compileHook The hook registered for the block's opcode.
+     * @private
+     * @returns {Node} The parsed node.
+     */
+    descendCompileHook (block, compileHook) {
+        if (compileHook.yields) {
+            this.script.yields = true;
+        }
+        const inputs = {};
+        const fields = {};
+        for (const name of Object.keys(block.inputs)) {
+            inputs[name] = this.descendInputOfBlock(block, name);
+        }
+        // Inputs that were never dragged out in the editor may not be saved.
+        for (const name of Object.keys(compileHook.inputs || {})) {
+            if (!inputs.hasOwnProperty(name)) {
+                inputs[name] = this.descendInputOfBlock(block, name);
+            }
+        }
+        for (const name of Object.keys(block.fields)) {
+            fields[name] = block.fields[name].value;
+        }
+        return {
+            kind: 'extension.hook',
+            opcode: block.opcode,
+            inputs,
+            fields,
+            data: compileHook.ir ? compileHook.ir(block, this) : null
+        };
+    }
+
     analyzeLoop () {
         if (!this.script.isWarp || this.script.warpTimer) {
             this.script.yields = true;
@@ -1958,6 +2173,7 @@ class IRGenerator {
      */
     generate () {
         const entry = this.generateScriptTree(new ScriptTreeGenerator(this.thread), this.thread.topBlock);
+        optimizeScript(entry, this.thread.target.runtime);
 
         // Compile any required procedures.
         // As procedures can depend on other procedures, this process may take several iterations.
@@ -1977,6 +2193,7 @@ class IRGenerator {
                     generator.setProcedureVariant(procedureVariant);
                     if (isWarp) generator.enableWarp();
                     const compiledProcedure = this.generateScriptTree(generator, definitionId);
+                    optimizeScript(compiledProcedure, this.thread.target.runtime);
                     this.procedures[procedureVariant] = compiledProcedure;
                     procedureTreeCache[procedureVariant] = compiledProcedure;
                 }
@@ -7,6 +7,8 @@
 /* eslint-disable valid-jsdoc */
 /* eslint-disable max-len */
 
+const {findLineInStack} = require('./source-map');
+
 const globalState = {
     Timer: require('../util/timer'),
     Cast: require('../util/cast'),
@@ -83,18 +85,6 @@ runtimeFunctions.waitThreads = `const waitThreads = function*(threads) {
     }
 }`;
 
-/**
- * waitPromise: Wait until a Promise resolves or rejects before continuing.
- * @param {Promise} promise The promise to wait for.
- * @returns {*} the value that the promise resolves to, otherwise undefined if the promise rejects
- */
-
-/**
- * isPromise: Determine if a value is Promise-like
- * @param {unknown} promise The value to check
- * @returns {promise is PromiseLike} True if the value is Promise-like (has a .then())
- */
-
 /**
  * executeInCompatibilityLayer: Execute a scratch-vm primitive.
  * @param {*} inputs The inputs to pass to the block.
@@ -104,33 +94,6 @@ runtimeFunctions.waitThreads = `const waitThreads = function*(threads) {
  * @returns {*} the value returned by the block, if any.
  */
 runtimeFunctions.executeInCompatibilityLayer = `let hasResumedFromPromise = false;
-const waitPromise = function*(promise) {
-    const thread = globalState.thread;
-    let returnValue;
-
-    promise
-        .then(value => {
-            returnValue = value;
-            thread.status = 0; // STATUS_RUNNING
-        })
-        .catch(error => {
-            thread.status = 0; // STATUS_RUNNING
-            globalState.log.warn('Promise rejected in compiled script:', error);
-        });
-
-    // enter STATUS_PROMISE_WAIT and yield
-    // this will stop script execution until the promise handlers reset the thread status
-    thread.status = 1; // STATUS_PROMISE_WAIT
-    yield;
-
-    return returnValue;
-};
-const isPromise = value => (
-    // see engine/execute.js
-    value !== null &&
-    typeof value === 'object' &&
-    typeof value.then === 'function'
-);
 const executeInCompatibilityLayer = function*(inputs, blockFunction, isWarp, useFlags, blockId) {
     const thread = globalState.thread;
 
@@ -141,7 +104,15 @@ const executeInCompatibilityLayer = function*(inputs, blockFunction, isWarp, use
     const executeBlock = () => {
         const blockUtility = globalState.blockUtility;
         blockUtility.init(thread, blockId);
-        return blockFunction(inputs, blockUtility);
+        try {
+            return blockFunction(inputs, blockUtility);
+        } catch (error) {
+            // Errors that stop the thread are reported by execute() once the generator has unwound.
+            const runtime = thread.target.runtime;
+            if (runtime.runtimeOptions.errorBehavior !== 'continue') throw error;
+            runtime.handleRuntimeError(thread, error, blockId);
+            return '';
+        }
     };
 
     let returnValue = executeBlock();
@@ -195,6 +166,47 @@ const executeInCompatibilityLayer = function*(inputs, blockFunction, isWarp, use
     return returnValue;
 }`;
 
+/**
+ * waitPromise: Wait until a Promise resolves or rejects before continuing.
+ * @param {Promise} promise The promise to wait for.
+ * @returns {*} the value that the promise resolves to, otherwise undefined if the promise rejects
+ */
+
+/**
+ * isPromise: Determine if a value is Promise-like
+ * @param {unknown} promise The value to check
+ * @returns {promise is PromiseLike} True if the value is Promise-like (has a .then())
+ */
+runtimeFunctions.waitPromise = `const waitPromise = function*(promise) {
+    const thread = globalState.thread;
+    let returnValue;
+
+    promise
+        .then(value => {
+            returnValue = value;
+            thread.status = 0; // STATUS_RUNNING
+        })
+        .catch(error => {
+            // Continue unless the thread was stopped because of the error
+            if (thread.target.runtime.handleRuntimeError(thread, error)) {
+                thread.status = 0; // STATUS_RUNNING
+            }
+        });
+
+    // enter STATUS_PROMISE_WAIT and yield
+    // this will stop script execution until the promise handlers reset the thread status
+    thread.status = 1; // STATUS_PROMISE_WAIT
+    yield;
+
+    return returnValue;
+};
+const isPromise = value => (
+    // see engine/execute.js
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.then === 'function'
+);`;
+
 /**
  * End the current script.
  */
@@ -308,7 +320,7 @@ const compareLessThan = (v1, v2) => typeof v1 === 'number' && typeof v2 === 'num
  * @param {number} high Upper bound
  * @returns {number} A random integer between low and high, inclusive.
  */
-runtimeFunctions.randomInt = `const randomInt = (low, high) => low + Math.floor(Math.random() * ((high + 1) - low))`;
+runtimeFunctions.randomInt = `const randomInt = (low, high) => low + Math.floor(globalState.thread.target.runtime.random() * ((high + 1) - low))`;
 
 /**
  * Generate a random float.
@@ -316,7 +328,7 @@ runtimeFunctions.randomInt = `const randomInt = (low, high) => low + Math.floor(
  * @param {number} high Upper bound
  * @returns {number} A random floating point number between low and high.
  */
-runtimeFunctions.randomFloat = `const randomFloat = (low, high) => (Math.random() * (high - low)) + low`;
+runtimeFunctions.randomFloat = `const randomFloat = (low, high) => (globalState.thread.target.runtime.random() * (high - low)) + low`;
 
 /**
  * Create and start a timer.
@@ -336,7 +348,7 @@ runtimeFunctions.timer = `const timer = () => {
  */
 // Date.UTC(2000, 0, 1) === 946684800000
 // Hardcoding it is marginally faster
-runtimeFunctions.daysSince2000 = `const daysSince2000 = () => (Date.now() - 946684800000) / (24 * 60 * 60 * 1000)`;
+runtimeFunctions.daysSince2000 = `const daysSince2000 = () => (globalState.thread.target.runtime.now() - 946684800000) / (24 * 60 * 60 * 1000)`;
 
 /**
  * Determine distance to a sprite or point.
@@ -377,7 +389,7 @@ baseRuntime += `const listIndexSlow = (index, length) => {
         return length - 1;
     } else if (index === 'random' || index === 'any') {
         if (length > 0) {
-            return (Math.random() * length) | 0;
+            return (globalState.thread.target.runtime.random() * length) | 0;
         }
         return -1;
     }
@@ -527,6 +539,37 @@ runtimeFunctions.mod = `const mod = (n, modulus) => {
     return result;
 }`;
 
+/**
+ * runOnHeapStack: Run a procedure that calls itself, keeping the calls that haven't returned in an
+ * array instead of on the JS stack, so deep recursion can't overflow it.
+ * The procedure makes these calls by yielding the generator of the call; any other yield is passed on.
+ * @param {Generator} generator The procedure's generator.
+ * @returns {*} The value returned by the procedure.
+ */
+runtimeFunctions.runOnHeapStack = `const runOnHeapStack = function*(generator) {
+    const thread = globalState.thread;
+    const stack = [generator];
+    let returnValue;
+    while (true) {
+        const result = stack[stack.length - 1].next(returnValue);
+        returnValue = undefined;
+        if (result.done) {
+            stack.pop();
+            if (stack.length === 0) {
+                return result.value;
+            }
+            returnValue = result.value;
+        } else if (result.value) {
+            if (stack.length >= thread.target.runtime.runtimeOptions.maxRecursionDepth) {
+                throw new Error('Maximum recursion depth exceeded');
+            }
+            stack.push(result.value);
+        } else {
+            yield;
+        }
+    }
+}`;
+
 /**
  * Implements Scratch tangent.
  * @param {number} angle Angle in degrees.
@@ -546,27 +589,59 @@ runtimeFunctions.tan = `const tan = (angle) => {
  */
 const execute = thread => {
     globalState.thread = thread;
-    thread.generator.next();
+    try {
+        thread.generator.next();
+    } catch (error) {
+        // The generator can't be resumed after throwing, so the thread stops even if errors should be ignored.
+        if (thread.target.runtime.handleRuntimeError(thread, error)) {
+            thread.target.runtime.sequencer.retireThread(thread);
+        }
+    }
 };
 
 const insertRuntime = source => {
     let result = baseRuntime;
+    let inserted = '';
     for (const functionName of Object.keys(runtimeFunctions)) {
-        if (source.includes(functionName)) {
-            result += `${runtimeFunctions[functionName]};`;
+        // Runtime functions can use the ones defined after them, like executeInCompatibilityLayer uses waitPromise.
+        if (source.includes(functionName) || inserted.includes(functionName)) {
+            inserted += `${runtimeFunctions[functionName]};`;
         }
     }
+    result += inserted;
     result += `return ${source}`;
     return result;
 };
 
+const countLines = string => string.split('\n').length - 1;
+
+/**
+ * Number of lines the JS engine adds before the body of a function created by new Function().
+ * @type {number|null}
+ */
+let functionHeaderLines = null;
+
+const getFunctionHeaderLines = () => {
+    if (functionHeaderLines === null) {
+        const sourceURL = 'compiler/function-header.js';
+        const stack = new Function(`return new Error().stack;\n//# sourceURL=${sourceURL}`)();
+        const line = findLineInStack(stack, sourceURL);
+        functionHeaderLines = line === null ? 0 : line - 1;
+    }
+    return functionHeaderLines;
+};
+
 /**
  * Evaluate arbitrary JS in the context of the runtime.
  * @param {string} source The string to evaluate.
+ * @param {string} [sourceURL] Name of the script in stack traces and developer tools.
  * @returns {*} The result of evaluating the string.
  */
-const scopedEval = source => {
-    const withRuntime = insertRuntime(source);
+const scopedEval = (source, sourceURL) => {
+    let withRuntime = insertRuntime(source);
+    if (sourceURL) {
+        withRuntime += `\n//# sourceURL=${sourceURL}`;
+    }
     try {
         return new Function('globalState', withRuntime)(globalState);
     } catch (e) {
@@ -575,7 +650,19 @@ const scopedEval = source => {
     }
 };
 
+/**
+ * Determine how many lines come before the first line of a source string when it is evaluated by scopedEval.
+ * Line numbers in stack traces minus this offset are line numbers in the source.
+ * @param {string} source The string that was evaluated.
+ * @returns {number} The number of lines.
+ */
+const getLineOffset = source => {
+    const withRuntime = insertRuntime(source);
+    return getFunctionHeaderLines() + countLines(withRuntime) - countLines(source);
+};
+
 execute.scopedEval = scopedEval;
+execute.getLineOffset = getLineOffset;
 execute.runtimeFunctions = runtimeFunctions;
 
 module.exports = execute;
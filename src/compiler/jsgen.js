@@ -3,6 +3,8 @@ const Cast = require('../util/cast');
 const VariablePool = require('./variable-pool');
 const jsexecute = require('./jsexecute');
 const environment = require('./environment');
+const {SourceMap} = require('./source-map');
+const {InferredType, getNamesOfCostumesAndSounds} = require('./ir-optimizer');
 
 // Imported for JSDoc types, not to actually use
 // eslint-disable-next-line no-unused-vars
@@ -30,10 +32,45 @@ const TYPE_UNKNOWN = 4;
 const TYPE_NUMBER_NAN = 5;
 
 
+/**
+ * Maps the types used by compile hooks to input types.
+ */
+const COMPILE_HOOK_TYPES = {
+    number: TYPE_NUMBER,
+    string: TYPE_STRING,
+    boolean: TYPE_BOOLEAN,
+    unknown: TYPE_UNKNOWN
+};
+
+/**
+ * Maps the types inferred by the IR optimizer to input types.
+ */
+const INFERRED_TYPES = {
+    [InferredType.NUMBER]: TYPE_NUMBER,
+    [InferredType.NUMBER_OR_NAN]: TYPE_NUMBER_NAN,
+    [InferredType.STRING]: TYPE_STRING,
+    [InferredType.BOOLEAN]: TYPE_BOOLEAN
+};
+
+/**
+ * Maps the types of value local variables hold to input types, and to the JS they start with.
+ */
+const LOCAL_VARIABLE_TYPES = {
+    number: {type: TYPE_NUMBER, initialValue: '0'},
+    string: {type: TYPE_STRING, initialValue: '""'},
+    boolean: {type: TYPE_BOOLEAN, initialValue: 'false'},
+    any: {type: TYPE_UNKNOWN, initialValue: '0'}
+};
+
 // Pen-related constants
 const PEN_EXT = 'runtime.ext_pen';
 const PEN_STATE = `${PEN_EXT}._getPenState(target)`;
 
+/**
+ * Label of the loop around procedures that call themselves in tail position. Tail calls continue it.
+ */
+const TAIL_CALL_LABEL = 'tailCall';
+
 /**
  * Variable pool used for factory function names.
  */
@@ -207,6 +244,21 @@ class ConstantInput {
     }
 }
 
+/**
+ * A variable that can't change while a loop runs, so it was cast to a number once before the loop.
+ * @implements {Input}
+ */
+class HoistedVariableInput extends TypedInput {
+    constructor (source, type, numberSource) {
+        super(source, type);
+        this.numberSource = numberSource;
+    }
+
+    asNumber () {
+        return this.numberSource;
+    }
+}
+
 /**
  * @implements {Input}
  */
@@ -300,22 +352,6 @@ class VariableInput {
     }
 }
 
-const getNamesOfCostumesAndSounds = runtime => {
-    const result = new Set();
-    for (const target of runtime.targets) {
-        if (target.isOriginal) {
-            const sprite = target.sprite;
-            for (const costume of sprite.costumes) {
-                result.add(costume.name);
-            }
-            for (const sound of sprite.sounds) {
-                result.add(sound.name);
-            }
-        }
-    }
-    return result;
-};
-
 const isSafeConstantForEqualsOptimization = input => {
     const numberValue = +input.constantValue;
     // Do not optimize 0
@@ -385,9 +421,54 @@ class JSGenerator {
         this._setupVariablesPool = new VariablePool('b');
         this._setupVariables = {};
 
+        /**
+         * Maps IDs of the local variables (Variable.LOCAL_TYPE) the script uses to the JS variable
+         * declared for each of them.
+         * @type {Object.<string, {name: string, valueType: string}>}
+         */
+        this.scriptLocalVariables = {};
+        this._scriptLocalVariablesPool = new VariablePool('l');
+
         this.descendedIntoModulo = false;
 
+        /**
+         * Maps IDs of variables in hoistedVariables of the loops being generated to the local
+         * variable that holds their number value.
+         * @type {Object.<string, string>}
+         */
+        this.hoistedCasts = {};
+
+        /**
+         * Labels of the switch statements being generated, innermost last.
+         * @type {string[]}
+         */
+        this.switchLabels = [];
+
         this.debug = this.target.runtime.debug;
+        this.profiling = this.target.runtime.blockProfiler !== null;
+
+        this.factoryName = this.getScriptFactoryName();
+
+        /**
+         * Maps lines of the generated script factory to block IDs.
+         * @type {SourceMap}
+         */
+        this.sourceMap = new SourceMap(`compiled/${this.factoryName}.js`);
+
+        /**
+         * The ID of the block that code is currently being generated for.
+         * @type {string|null}
+         */
+        this.currentBlockId = null;
+
+        /**
+         * The generated script factory, once compiled.
+         * @type {string|null}
+         */
+        this.factorySource = null;
+
+        this._countedSourceLength = 0;
+        this._countedSourceLines = 0;
     }
 
     /**
@@ -440,6 +521,12 @@ class JSGenerator {
 
         case 'constant':
             return this.safeConstantInput(node.value);
+
+        case 'extension.hook': {
+            const hook = this.getCompileHook(node);
+            const source = hook.js(this.descendCompileHookArguments(node, hook), this, node.data);
+            return new TypedInput(`(${source})`, COMPILE_HOOK_TYPES[hook.output] || TYPE_UNKNOWN);
+        }
         case 'math.polygon':
             let points = JSON.stringify(node.points.map((point, num) => ({x: `x${num}`, y: `y${num}`})));
             for (let num = 0; num < node.points.length; num++) {
@@ -643,20 +730,20 @@ class JSGenerator {
         case 'sensing.colorTouchingColor':
             return new TypedInput(`target.colorIsTouchingColor(colorToList(${this.descendInput(node.target).asColor()}), colorToList(${this.descendInput(node.mask).asColor()}))`, TYPE_BOOLEAN);
         case 'sensing.date':
-            return new TypedInput(`(new Date().getDate())`, TYPE_NUMBER);
+            return new TypedInput(`(new Date(runtime.now()).getDate())`, TYPE_NUMBER);
         case 'sensing.dayofweek':
-            return new TypedInput(`(new Date().getDay() + 1)`, TYPE_NUMBER);
+            return new TypedInput(`(new Date(runtime.now()).getDay() + 1)`, TYPE_NUMBER);
         case 'sensing.daysSince2000':
             return new TypedInput('daysSince2000()', TYPE_NUMBER);
         case 'sensing.distance':
             // TODO: on stages, this can be computed at compile time
             return new TypedInput(`distance(${this.descendInput(node.target).asString()})`, TYPE_NUMBER);
         case 'sensing.hour':
-            return new TypedInput(`(new Date().getHours())`, TYPE_NUMBER);
+            return new TypedInput(`(new Date(runtime.now()).getHours())`, TYPE_NUMBER);
         case 'sensing.minute':
-            return new TypedInput(`(new Date().getMinutes())`, TYPE_NUMBER);
+            return new TypedInput(`(new Date(runtime.now()).getMinutes())`, TYPE_NUMBER);
         case 'sensing.month':
-            return new TypedInput(`(new Date().getMonth() + 1)`, TYPE_NUMBER);
+            return new TypedInput(`(new Date(runtime.now()).getMonth() + 1)`, TYPE_NUMBER);
         case 'sensing.of': {
             const object = this.descendInput(node.object).asString();
             const property = node.property;
@@ -698,7 +785,7 @@ class JSGenerator {
             return new TypedInput(`runtime.ext_scratch3_sensing.getAttributeOf({OBJECT: ${object}, PROPERTY: "${sanitize(property)}" })`, TYPE_UNKNOWN);
         }
         case 'sensing.second':
-            return new TypedInput(`(new Date().getSeconds())`, TYPE_NUMBER);
+            return new TypedInput(`(new Date(runtime.now()).getSeconds())`, TYPE_NUMBER);
         case 'sensing.touching':
             return new TypedInput(`target.isTouchingObject(${this.descendInput(node.object).asUnknown()})`, TYPE_BOOLEAN);
         case 'sensing.touchingColor':
@@ -706,7 +793,16 @@ class JSGenerator {
         case 'sensing.username':
             return new TypedInput('runtime.ioDevices.userData.getUsername()', TYPE_STRING);
         case 'sensing.year':
-            return new TypedInput(`(new Date().getFullYear())`, TYPE_NUMBER);
+            return new TypedInput(`(new Date(runtime.now()).getFullYear())`, TYPE_NUMBER);
+
+        case 'sound.effect':
+            return new TypedInput(`runtime.ext_scratch3_sound.getEffectValue({ EFFECT: "${sanitize(node.effect)}" }, { target: target })`, TYPE_NUMBER);
+        case 'sound.isPlaying':
+            return new TypedInput(`runtime.ext_scratch3_sound.isSoundPlaying({ SOUND_MENU: ${this.descendInput(node.sound).asSafe()} }, { target: target })`, TYPE_BOOLEAN);
+        case 'sound.length':
+            return new TypedInput(`runtime.ext_scratch3_sound.getLength({ SOUND_MENU: ${this.descendInput(node.sound).asSafe()} }, { target: target })`, TYPE_NUMBER);
+        case 'sound.volume':
+            return new TypedInput('target.volume', TYPE_NUMBER);
 
         case 'timer.get':
             return new TypedInput('runtime.ioDevices.clock.projectTimer()', TYPE_NUMBER);
@@ -714,8 +810,26 @@ class JSGenerator {
         case 'tw.lastKeyPressed':
             return new TypedInput('runtime.ioDevices.keyboard.getLastKeyPressed()', TYPE_STRING);
 
-        case 'var.get':
-            return this.descendVariable(node.variable);
+        case 'var.get': {
+            const variable = this.descendVariable(node.variable);
+            if (variable.type !== TYPE_UNKNOWN || variable.isNeverNumber()) {
+                return variable;
+            }
+            // The IR optimizer can know more about variables that were set in other stacks.
+            const type = node.inferredType ? INFERRED_TYPES[node.inferredType] : TYPE_UNKNOWN;
+            if (type !== TYPE_NUMBER && this.hoistedCasts.hasOwnProperty(node.variable.id)) {
+                return new HoistedVariableInput(variable.source, type, this.hoistedCasts[node.variable.id]);
+            }
+            if (type !== TYPE_UNKNOWN) {
+                return new TypedInput(variable.source, type);
+            }
+            return variable;
+        }
+
+        case 'localVar.get': {
+            const local = this.descendLocalVariable(node.variable);
+            return new TypedInput(local.name, LOCAL_VARIABLE_TYPES[local.valueType].type);
+        }
 
         case 'procedures.call': {
             const types = {
@@ -725,34 +839,12 @@ class JSGenerator {
             };
             const type = node.type || 'string';
             const blockType = types[type];
-            const procedureCode = node.code;
-            const procedureVariant = node.variant;
-            let source = '(';
             // Do not generate any code for empty procedures.
-            const procedureData = this.ir.procedures[procedureVariant];
+            const procedureData = this.ir.procedures[node.variant];
             if (procedureData.stack === null) {
                 break;
             }
-            if (!this.isWarp && procedureCode === this.script.procedureCode) {
-                // Direct recursion yields.
-                this.yieldNotWarp();
-            }
-            if (procedureData.yields) {
-                source += 'yield* ';
-                if (!this.script.yields) {
-                    throw new Error('Script uses yielding procedure but is not marked as yielding.');
-                }
-            }
-            source += `thread.procedures["${sanitize(procedureVariant)}"](`;
-            // Only include arguments if the procedure accepts any.
-            if (procedureData.arguments.length) {
-                const args = [];
-                for (const input of node.arguments) {
-                    args.push(this.descendInput(input).asSafe());
-                }
-                source += args.join(',');
-            }
-            source += `))`;
+            const source = `(${this.generateProcedureCall(node)})`;
             // Variable input types may have changes after a procedure call.
             this.resetVariableInputs();
             return new TypedInput(source, blockType);
@@ -788,6 +880,11 @@ class JSGenerator {
             break;
         }
 
+        case 'debugger.checkpoint':
+            this.source += `if (runtime.debugger.checkpoint(thread, "${sanitize(node.blockId)}", ${this.frames.length})) yield;\n`;
+            this.yielded();
+            break;
+
         case 'compat': {
             // If the last command in a loop returns a promise, immediately continue to the next iteration.
             // If you don't do this, the loop effectively yields twice per iteration and will run at half-speed.
@@ -799,6 +896,18 @@ class JSGenerator {
             break;
         }
 
+        case 'extension.hook': {
+            const hook = this.getCompileHook(node);
+            this.source += `${hook.js(this.descendCompileHookArguments(node, hook), this, node.data)};\n`;
+            if (hook.yields) {
+                this.yielded();
+            } else {
+                // The extension could have changed any variable.
+                this.resetVariableInputs();
+            }
+            break;
+        }
+
         case 'control.createClone':
             this.source += `runtime.ext_scratch3_control._createClone(${this.descendInput(node.target).asString()}, target);\n`;
             break;
@@ -811,6 +920,7 @@ class JSGenerator {
             break;
         case 'control.for': {
             this.resetVariableInputs();
+            const hoistedCasts = this.hoistCasts(node);
             const index = this.localVariables.next();
             this.source += `var ${index} = 0; `;
             this.source += `while (${index} < ${this.descendInput(node.count).asNumber()}) { `;
@@ -819,10 +929,14 @@ class JSGenerator {
             this.descendStack(node.do, new Frame(true));
             this.yieldLoop();
             this.source += '}\n';
+            this.hoistedCasts = hoistedCasts;
             break;
         }
-        case 'control.switch':
-            this.source += `switch (${this.descendInput(node.test).asString()}) {\n`;
+        case 'control.switch': {
+            // The switch is labelled so "exit case" can leave it from inside loops.
+            const label = this.localVariables.next();
+            this.switchLabels.push(label);
+            this.source += `${label}: switch (${this.descendInput(node.test).asString()}) {\n`;
             this.descendStack(node.conditions, new Frame(false));
             // only add the else branch if it won't be empty
             // this makes scripts have a bit less useless noise in them
@@ -831,7 +945,9 @@ class JSGenerator {
                 this.descendStack(node.default, new Frame(false));
             }
             this.source += `}\n`;
+            this.switchLabels.pop();
             break;
+        }
         case 'control.case':
             this.source += `case ${this.descendInput(node.condition).asString()}:\n`;
             if (!node.runsNext){
@@ -840,7 +956,10 @@ class JSGenerator {
             }
             break;
         case 'control.exitCase':
-            this.source += `break;\n`;
+            // Outside of a switch, this does nothing.
+            if (this.switchLabels.length) {
+                this.source += `break ${this.switchLabels[this.switchLabels.length - 1]};\n`;
+            }
             break;
         case 'control.if':
             this.source += `if (${this.descendInput(node.condition).asBoolean()}) {\n`;
@@ -855,10 +974,13 @@ class JSGenerator {
             break;
         case 'control.repeat': {
             const i = this.localVariables.next();
-            this.source += `for (var ${i} = ${this.descendInput(node.times).asNumber()}; ${i} >= 0.5; ${i}--) {\n`;
+            const times = this.descendInput(node.times).asNumber();
+            const hoistedCasts = this.hoistCasts(node);
+            this.source += `for (var ${i} = ${times}; ${i} >= 0.5; ${i}--) {\n`;
             this.descendStack(node.do, new Frame(true));
             this.yieldLoop();
             this.source += `}\n`;
+            this.hoistedCasts = hoistedCasts;
             break;
         }
         case 'control.stopAll':
@@ -909,8 +1031,9 @@ class JSGenerator {
             this.source += 'thread.timer = null;\n';
             break;
         }
-        case 'control.while':
+        case 'control.while': {
             this.resetVariableInputs();
+            const hoistedCasts = this.hoistCasts(node);
             this.source += `while (${this.descendInput(node.condition).asBoolean()}) {\n`;
             this.descendStack(node.do, new Frame(true));
             if (node.warpTimer) {
@@ -919,7 +1042,9 @@ class JSGenerator {
                 this.yieldLoop();
             }
             this.source += `}\n`;
+            this.hoistedCasts = hoistedCasts;
             break;
+        }
         case 'control.runAsSprite':
             const stage = 'runtime.getTargetForStage()';
             const sprite = this.descendInput(node.sprite).asString();
@@ -955,12 +1080,14 @@ class JSGenerator {
             const list = this.referenceVariable(node.list);
             const set = this.descendVariable(node.variable);
             const to = node.num ? 'index + 1' : 'value';
+            const hoistedCasts = this.hoistCasts(node);
             this.source += 
             `for (let index = 0; index < ${list}.value.length; index++) {` + 
                 `const value = ${list}.value[index];` + 
                 `${set.source} = ${to};`;
             this.descendStack(node.do, new Frame(true));
             this.source += `};\n`;
+            this.hoistedCasts = hoistedCasts;
             break;
         }
         case 'list.add': {
@@ -1054,6 +1181,12 @@ class JSGenerator {
         case 'looks.nextCostume':
             this.source += 'target.setCostume(target.currentCostume + 1);\n';
             break;
+        case 'looks.say':
+            this.source += `runtime.ext_scratch3_looks._say(${this.descendBubbleText(node.message)}, target);\n`;
+            break;
+        case 'looks.sayForSecs':
+            this.waitPromise(`runtime.ext_scratch3_looks.sayforsecs({ MESSAGE: ${this.descendBubbleText(node.message)}, SECS: ${this.descendInput(node.seconds).asNumber()} }, { target: target })`);
+            break;
         case 'looks.setEffect':
             if (this.target.effects.hasOwnProperty(node.effect)) {
                 this.source += `target.setEffect("${sanitize(node.effect)}", runtime.ext_scratch3_looks.clampEffect("${sanitize(node.effect)}", ${this.descendInput(node.value).asNumber()}));\n`;
@@ -1071,6 +1204,12 @@ class JSGenerator {
         case 'looks.setShape':
             this.source += `runtime.ext_scratch3_looks.setShape({ prop: "${sanitize(node.prop)}", color: ${this.descendInput(node.value).asColor()} }, { target: target });\n`;
             break;
+        case 'looks.setHorizTransform':
+            this.source += `target.setTransform([target.transform[0], ${this.descendInput(node.percent).asNumber()} / 100]);\n`;
+            break;
+        case 'looks.setVertTransform':
+            this.source += `target.setTransform([${this.descendInput(node.percent).asNumber()} / 100, target.transform[1]]);\n`;
+            break;
         case 'looks.show':
             this.source += 'target.setVisible(true);\n';
             this.source += 'runtime.ext_scratch3_looks._renderBubble(target);\n';
@@ -1081,6 +1220,12 @@ class JSGenerator {
         case 'looks.switchCostume':
             this.source += `runtime.ext_scratch3_looks._setCostume(target, ${this.descendInput(node.costume).asSafe()});\n`;
             break;
+        case 'looks.think':
+            this.source += `runtime.ext_scratch3_looks._think(${this.descendBubbleText(node.message)}, target);\n`;
+            break;
+        case 'looks.thinkForSecs':
+            this.waitPromise(`runtime.ext_scratch3_looks.thinkforsecs({ MESSAGE: ${this.descendBubbleText(node.message)}, SECS: ${this.descendInput(node.seconds).asNumber()} }, { target: target })`);
+            break;
 
         case 'motion.changeX':
             this.source += `target.setXY(target.x + ${this.descendInput(node.dx).asNumber()}, target.y);\n`;
@@ -1088,6 +1233,19 @@ class JSGenerator {
         case 'motion.changeY':
             this.source += `target.setXY(target.x, target.y + ${this.descendInput(node.dy).asNumber()});\n`;
             break;
+        case 'motion.glide':
+            this.glide(this.descendInput(node.seconds).asNumber(), this.descendInput(node.x).asNumber(), this.descendInput(node.y).asNumber());
+            break;
+        case 'motion.glideTo': {
+            const seconds = this.descendInput(node.seconds).asNumber();
+            const position = this.localVariables.next();
+            this.source += `var ${position} = runtime.ext_scratch3_motion.getTargetXY(${this.descendInput(node.target).asString()});\n`;
+            // Like the interpreter, don't glide at all if the sprite doesn't exist.
+            this.source += `if (${position}) {\n`;
+            this.glide(seconds, `${position}[0]`, `${position}[1]`);
+            this.source += '}\n';
+            break;
+        }
         case 'motion.ifOnEdgeBounce':
             this.source += `runtime.ext_scratch3_motion._ifOnEdgeBounce(target);\n`;
             break;
@@ -1157,37 +1315,25 @@ class JSGenerator {
             this.source += `${PEN_EXT}._penUp(target);\n`;
             break;
 
-        case 'procedures.return': 
+        case 'procedures.return':
+            if (node.return.tail) {
+                this.tailCall(node.return);
+                break;
+            }
             this.source += `return ${this.descendInput(node.return).asString()};`;
             break;
         case 'procedures.call': {
-            const procedureCode = node.code;
-            const procedureVariant = node.variant;
             // Do not generate any code for empty procedures.
-            const procedureData = this.ir.procedures[procedureVariant];
+            const procedureData = this.ir.procedures[node.variant];
             if (procedureData.stack === null) {
                 break;
             }
-            if (!this.isWarp && procedureCode === this.script.procedureCode) {
-                // Direct recursion yields.
-                this.yieldNotWarp();
-            }
-            if (procedureData.yields) {
-                this.source += 'yield* ';
-                if (!this.script.yields) {
-                    throw new Error('Script uses yielding procedure but is not marked as yielding.');
-                }
-            }
-            this.source += `thread.procedures["${sanitize(procedureVariant)}"](`;
-            // Only include arguments if the procedure accepts any.
-            if (procedureData.arguments.length) {
-                const args = [];
-                for (const input of node.arguments) {
-                    args.push(this.descendInput(input).asSafe());
-                }
-                this.source += args.join(',');
+            if (node.tail) {
+                this.tailCall(node);
+                break;
             }
-            this.source += `);\n`;
+            const call = this.generateProcedureCall(node);
+            this.source += `${call};\n`;
             if (node.type === 'hat') {
                 throw new Error('custom hat blocks are not suported');
             }
@@ -1196,6 +1342,41 @@ class JSGenerator {
             break;
         }
 
+        case 'sensing.askAndWait':
+            this.waitPromise(`runtime.ext_scratch3_sensing.askAndWait({ QUESTION: ${this.descendInput(node.question).asUnknown()} }, { target: target })`);
+            break;
+
+        case 'sound.changeEffect':
+            this.waitPromise(`runtime.ext_scratch3_sound.changeEffect({ EFFECT: "${sanitize(node.effect)}", VALUE: ${this.descendInput(node.value).asNumber()} }, { target: target })`);
+            break;
+        case 'sound.changeVolume':
+            this.waitPromise(`runtime.ext_scratch3_sound._updateVolume(${this.descendInput(node.volume).asNumber()} + target.volume, target)`);
+            break;
+        case 'sound.clearEffects':
+            this.source += 'runtime.ext_scratch3_sound._clearEffectsForTarget(target);\n';
+            break;
+        case 'sound.play':
+            this.source += `runtime.ext_scratch3_sound.playSound({ SOUND_MENU: ${this.descendInput(node.sound).asSafe()} }, { target: target });\n`;
+            break;
+        case 'sound.playAll':
+            this.source += 'runtime.ext_scratch3_sound.playSoundAllLolOpAOIUHFoiubea87fge87iufwhef87wye87fn(null, { target: target });\n';
+            break;
+        case 'sound.playUntilDone':
+            this.waitPromise(`runtime.ext_scratch3_sound.playSoundAndWait({ SOUND_MENU: ${this.descendInput(node.sound).asSafe()} }, { target: target })`);
+            break;
+        case 'sound.setEffect':
+            this.waitPromise(`runtime.ext_scratch3_sound.setEffect({ EFFECT: "${sanitize(node.effect)}", VALUE: ${this.descendInput(node.value).asNumber()} }, { target: target })`);
+            break;
+        case 'sound.setVolume':
+            this.waitPromise(`runtime.ext_scratch3_sound._updateVolume(${this.descendInput(node.volume).asNumber()}, target)`);
+            break;
+        case 'sound.stop':
+            this.source += `runtime.ext_scratch3_sound.stopSpecificSound({ SOUND_MENU: ${this.descendInput(node.sound).asSafe()} }, { target: target });\n`;
+            break;
+        case 'sound.stopAll':
+            this.source += 'runtime.ext_scratch3_sound.stopAllSounds();\n';
+            break;
+
         case 'timer.reset':
             this.source += 'runtime.ioDevices.clock.resetProjectTimer();\n';
             break;
@@ -1221,6 +1402,21 @@ class JSGenerator {
             this.source += `runtime.monitorBlocks.changeBlock({ id: "${sanitize(node.variable.id)}", element: "checkbox", value: true }, runtime);\n`;
             break;
 
+        case 'localVar.set': {
+            const local = this.descendLocalVariable(node.variable);
+            const value = this.descendInput(node.value);
+            if (local.valueType === 'number') {
+                this.source += `${local.name} = ${value.asNumber()};\n`;
+            } else if (local.valueType === 'string') {
+                this.source += `${local.name} = ${value.asString()};\n`;
+            } else if (local.valueType === 'boolean') {
+                this.source += `${local.name} = ${value.asBoolean()};\n`;
+            } else {
+                this.source += `${local.name} = ${value.asSafe()};\n`;
+            }
+            break;
+        }
+
         case 'visualReport': {
             const value = this.localVariables.next();
             this.source += `const ${value} = ${this.descendInput(node.input).asUnknown()};`;
@@ -1296,6 +1492,26 @@ class JSGenerator {
         return result;
     }
 
+    /**
+     * Cast the hoistedVariables of a loop to numbers before the loop starts.
+     * @param {*} node The loop node.
+     * @returns {Object.<string, string>} The previous hoisted casts, to restore after the loop.
+     */
+    hoistCasts (node) {
+        const previous = this.hoistedCasts;
+        if (node.hoistedVariables) {
+            this.hoistedCasts = Object.assign({}, previous);
+            for (const variable of node.hoistedVariables) {
+                if (!previous.hasOwnProperty(variable.id)) {
+                    const local = this.localVariables.next();
+                    this.source += `var ${local} = ${this.descendVariable(variable).asNumber()};\n`;
+                    this.hoistedCasts[variable.id] = local;
+                }
+            }
+        }
+        return previous;
+    }
+
     resetVariableInputs () {
         this.variableInputs = {};
     }
@@ -1305,18 +1521,64 @@ class JSGenerator {
         // TODO: allow if/else to inherit values
         this.resetVariableInputs();
         this.pushFrame(frame);
+        const parentBlockId = this.currentBlockId;
 
         for (let i = 0; i < nodes.length; i++) {
             frame.isLastBlock = i === nodes.length - 1;
-            this.descendStackedBlock(nodes[i]);
+            if (nodes[i].blockId) {
+                this.mapSourceToBlock(nodes[i].blockId);
+            }
+            if (this.profiling && nodes[i].blockId) {
+                this.descendProfiledBlock(nodes[i]);
+            } else {
+                this.descendStackedBlock(nodes[i]);
+            }
         }
 
+        // Code after the stack, such as the end of a loop, belongs to the block that contains the stack.
+        this.mapSourceToBlock(parentBlockId);
+
         // Leaving a stack -- any assumptions made in the current stack do not apply outside of it
         // TODO: in if/else this might create an extra unused object
         this.resetVariableInputs();
         this.popFrame();
     }
 
+    /**
+     * Compile a stacked node, measured by the block profiler.
+     * @param {*} node Stacked node to compile. It must have a blockId.
+     */
+    descendProfiledBlock (node) {
+        const blockId = node.blockId;
+        const block = this.target.blocks.getBlock(blockId) || this.target.runtime.flyoutBlocks.getBlock(blockId);
+        const opcode = block ? block.opcode : node.kind;
+        const procedureCode = node.kind === 'procedures.call' ? `"${sanitize(node.code)}"` : 'null';
+        // Profiling may be disabled while the script is still running.
+        this.source += `if (runtime.blockProfiler) runtime.blockProfiler.enterBlock(thread, "${sanitize(opcode)}", ${procedureCode});\n`;
+        this.source += 'try {\n';
+        this.descendStackedBlock(node);
+        this.source += '} finally {\n';
+        this.source += 'if (runtime.blockProfiler) runtime.blockProfiler.exitBlock(thread);\n';
+        this.source += '}\n';
+    }
+
+    /**
+     * Record that the code generated from now on belongs to a block.
+     * @param {string|null} blockId The ID of the block.
+     */
+    mapSourceToBlock (blockId) {
+        this.currentBlockId = blockId;
+        // Only count the lines that were added since the last call
+        const source = this.source;
+        for (let i = this._countedSourceLength; i < source.length; i++) {
+            if (source.charCodeAt(i) === 10) {
+                this._countedSourceLines++;
+            }
+        }
+        this._countedSourceLength = source.length;
+        this.sourceMap.addMapping(this._countedSourceLines + 1, blockId);
+    }
+
     descendVariable (variable) {
         if (this.variableInputs.hasOwnProperty(variable.id)) {
             return this.variableInputs[variable.id];
@@ -1326,6 +1588,20 @@ class JSGenerator {
         return input;
     }
 
+    /**
+     * @param {*} variable A variable codegen object of a local variable.
+     * @returns {{name: string, valueType: string}} The JS variable that holds the local variable's value.
+     */
+    descendLocalVariable (variable) {
+        if (!this.scriptLocalVariables.hasOwnProperty(variable.id)) {
+            this.scriptLocalVariables[variable.id] = {
+                name: this._scriptLocalVariablesPool.next(),
+                valueType: LOCAL_VARIABLE_TYPES.hasOwnProperty(variable.valueType) ? variable.valueType : 'any'
+            };
+        }
+        return this.scriptLocalVariables[variable.id];
+    }
+
     referenceVariable (variable) {
         if (variable.scope === 'target') {
             return this.evaluateOnce(`target.variables["${sanitize(variable.id)}"]`);
@@ -1398,6 +1674,123 @@ class JSGenerator {
         this.source += 'runtime.requestRedraw();\n';
     }
 
+    /**
+     * @param {*} node A procedures.call node.
+     * @returns {string[]} JS for the arguments the procedure accepts.
+     */
+    descendProcedureArguments (node) {
+        // Only include arguments if the procedure accepts any.
+        if (!this.ir.procedures[node.variant].arguments.length) {
+            return [];
+        }
+        return node.arguments.map(input => this.descendInput(input).asSafe());
+    }
+
+    /**
+     * @param {*} node A procedures.call node of a procedure that isn't empty.
+     * @returns {string} A JS expression that calls the procedure.
+     */
+    generateProcedureCall (node) {
+        const procedureData = this.ir.procedures[node.variant];
+        if (!this.isWarp && node.code === this.script.procedureCode) {
+            // Direct recursion yields.
+            this.yieldNotWarp();
+        }
+        const call = `thread.procedures["${sanitize(node.variant)}"](${this.descendProcedureArguments(node).join(',')})`;
+        if (!procedureData.yields) {
+            return call;
+        }
+        if (!this.script.yields) {
+            throw new Error('Script uses yielding procedure but is not marked as yielding.');
+        }
+        if (!procedureData.usesHeapStack) {
+            return `yield* ${call}`;
+        }
+        if (procedureData === this.script) {
+            // The runOnHeapStack that is running this procedure runs the call too.
+            return `yield ${call}`;
+        }
+        return `yield* runOnHeapStack(${call})`;
+    }
+
+    /**
+     * Write JS for a call a procedure makes to itself in tail position: the arguments are replaced and
+     * the procedure starts again.
+     * @param {*} node A procedures.call node marked as a tail call.
+     */
+    tailCall (node) {
+        // Direct recursion yields, and a procedure that calls itself forever in warp mode must not freeze.
+        this.yieldStuckOrNotWarp();
+        // Every argument is evaluated before any are replaced, as they can use each other.
+        const args = this.descendProcedureArguments(node).map(source => {
+            const variable = this.localVariables.next();
+            this.source += `var ${variable} = ${source};\n`;
+            return variable;
+        });
+        args.forEach((variable, i) => {
+            this.source += `p${i} = ${variable};\n`;
+        });
+        this.source += `continue ${TAIL_CALL_LABEL};\n`;
+        this.resetVariableInputs();
+    }
+
+    /**
+     * Write JS to call a block that may return a promise, and wait for the promise like the interpreter does.
+     * @param {string} source JS that calls the block.
+     */
+    waitPromise (source) {
+        const value = this.localVariables.next();
+        this.source += `var ${value} = ${source};\n`;
+        this.source += `if (isPromise(${value})) {\n`;
+        this.source += `yield* waitPromise(${value});\n`;
+        // Waiting already yielded, so the loop doesn't need to yield again. See the "compat" stacked block.
+        if (this.isLastBlockInLoop()) {
+            this.source += 'continue;\n';
+        }
+        this.source += '}\n';
+        this.yielded();
+    }
+
+    /**
+     * Write JS to glide the sprite to a position, the same way as the interpreter's glide block.
+     * @param {string} seconds JS number of seconds the glide takes.
+     * @param {string} x JS number of the X position to glide to.
+     * @param {string} y JS number of the Y position to glide to.
+     */
+    glide (seconds, x, y) {
+        const duration = this.localVariables.next();
+        const startX = this.localVariables.next();
+        const startY = this.localVariables.next();
+        const endX = this.localVariables.next();
+        const endY = this.localVariables.next();
+        const elapsed = this.localVariables.next();
+        this.source += `var ${duration} = ${seconds} * 1000;\n`;
+        this.source += `var ${startX} = target.x, ${startY} = target.y, ${endX} = ${x}, ${endY} = ${y};\n`;
+        this.source += `if (${duration} > 0) {\n`;
+        this.source += 'thread.timer = timer();\n';
+        this.yieldStuckOrNotWarp();
+        this.source += `var ${elapsed};\n`;
+        this.source += `while ((${elapsed} = thread.timer.timeElapsed()) < ${duration}) {\n`;
+        this.source += `target.setXY(${startX} + ((${elapsed} / ${duration}) * (${endX} - ${startX})), ${startY} + ((${elapsed} / ${duration}) * (${endY} - ${startY})));\n`;
+        this.yieldStuckOrNotWarp();
+        this.source += '}\n';
+        this.source += 'thread.timer = null;\n';
+        this.source += '}\n';
+        this.source += `target.setXY(${endX}, ${endY});\n`;
+    }
+
+    /**
+     * @param {*} node Input node of the text of a speech or thought bubble.
+     * @returns {string} JS of the text. Text typed into the block stays a string, so "1.234" isn't rounded like numbers are.
+     */
+    descendBubbleText (node) {
+        const input = this.descendInput(node);
+        if (input instanceof ConstantInput && typeof input.constantValue === 'string') {
+            return input.asString();
+        }
+        return input.asUnknown();
+    }
+
     safeConstantInput (value) {
         const unsafe = typeof value === 'string' && this.namesOfCostumesAndSounds.has(value);
         return new ConstantInput(value, !unsafe);
@@ -1449,6 +1842,50 @@ class JSGenerator {
         return result;
     }
 
+    /**
+     * @param {*} node The "extension.hook" kind node.
+     * @returns {CompileHook} The hook to generate the node with.
+     */
+    getCompileHook (node) {
+        const hook = this.target.runtime.getCompileHook(node.opcode);
+        if (!hook) {
+            throw new Error(`JS: No compile hook for ${node.opcode}`);
+        }
+        return hook;
+    }
+
+    /**
+     * Compile the inputs and fields of an "extension.hook" node to the arguments given to its hook.
+     * @param {*} node The "extension.hook" kind node.
+     * @param {CompileHook} hook The hook for the node.
+     * @returns {Object.<string, string>} JavaScript expression for each input and field.
+     */
+    descendCompileHookArguments (node, hook) {
+        const types = hook.inputs || {};
+        const args = {};
+        for (const inputName of Object.keys(node.inputs)) {
+            const input = this.descendInput(node.inputs[inputName]);
+            switch (types[inputName]) {
+            case 'number':
+                args[inputName] = input.asNumber();
+                break;
+            case 'string':
+                args[inputName] = input.asString();
+                break;
+            case 'boolean':
+                args[inputName] = input.asBoolean();
+                break;
+            default:
+                args[inputName] = input.asSafe();
+                break;
+            }
+        }
+        for (const fieldName of Object.keys(node.fields)) {
+            args[fieldName] = `"${sanitize(String(node.fields[fieldName]))}"`;
+        }
+        return args;
+    }
+
     getScriptFactoryName () {
         return factoryNameVariablePool.next();
     }
@@ -1474,7 +1911,7 @@ class JSGenerator {
         let script = '';
 
         // Setup the factory
-        script += `(function ${this.getScriptFactoryName()}(thread) { `;
+        script += `(function ${this.factoryName}(thread) { `;
         script += 'const target = thread.target; ';
         script += 'const runtime = target.runtime; ';
         script += 'const stage = runtime.getTargetForStage();\n';
@@ -1500,9 +1937,24 @@ class JSGenerator {
             script += args.join(',');
         }
         script += ') {\n';
+        if (this.script.hasTailCalls) {
+            // Inside the loop, so that tail calls start with new local variables like any other call.
+            script += `${TAIL_CALL_LABEL}: while (true) {\n`;
+        }
+        const localVariables = Object.values(this.scriptLocalVariables);
+        if (localVariables.length) {
+            script += `let ${localVariables
+                .map(local => `${local.name} = ${LOCAL_VARIABLE_TYPES[local.valueType].initialValue}`)
+                .join(', ')};\n`;
+        }
 
+        // Mappings were recorded relative to the start of the script's body.
+        this.sourceMap.shift(script.split('\n').length - 1);
         script += this.source;
 
+        if (this.script.hasTailCalls) {
+            script += 'return;\n}\n';
+        }
         if (!this.isProcedure) {
             script += 'retire();\n';
         }
@@ -1522,7 +1974,9 @@ class JSGenerator {
         }
 
         const factory = this.createScriptFactory();
-        const fn = jsexecute.scopedEval(factory);
+        const fn = jsexecute.scopedEval(factory, this.sourceMap.sourceURL);
+        this.sourceMap.lineOffset = jsexecute.getLineOffset(factory);
+        this.factorySource = factory;
 
         if (this.debug) {
             log.info(`JS: ${this.target.getName()}: compiled ${this.script.procedureCode || 'script'}`, factory);
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Maps lines of JS generated by the compiler back to the blocks they came from.
+ */
+
+/**
+ * Find the stack frames that are in a given script.
+ * @param {*} error An error, or a string containing a stack trace.
+ * @param {string} sourceURL The sourceURL of the script.
+ * @returns {Array.<{index: number, line: number}>} For each frame, innermost first, its position in the stack
+ * and its 1-indexed line number.
+ */
+const findFramesInStack = (error, sourceURL) => {
+    const stack = typeof error === 'string' ? error : error && error.stack;
+    const frames = [];
+    if (typeof stack !== 'string') {
+        return frames;
+    }
+    const search = `${sourceURL}:`;
+    let index = stack.indexOf(search);
+    while (index !== -1) {
+        const match = stack.substring(index + search.length).match(/^\d+/);
+        if (match) {
+            frames.push({
+                index,
+                line: +match[0]
+            });
+        }
+        index = stack.indexOf(search, index + search.length);
+    }
+    return frames;
+};
+
+/**
+ * Find the line of the innermost stack frame that is in a given script.
+ * @param {*} error An error, or a string containing a stack trace.
+ * @param {string} sourceURL The sourceURL of the script.
+ * @returns {number|null} 1-indexed line number, or null if the script is not in the stack.
+ */
+const findLineInStack = (error, sourceURL) => {
+    const frames = findFramesInStack(error, sourceURL);
+    return frames.length === 0 ? null : frames[0].line;
+};
+
+class SourceMap {
+    /**
+     * @param {string} sourceURL The sourceURL the script was evaluated with.
+     */
+    constructor (sourceURL) {
+        /**
+         * The sourceURL the script was evaluated with. Stack traces refer to the script by this name.
+         * @type {string}
+         */
+        this.sourceURL = sourceURL;
+
+        /**
+         * Sorted list of lines where the code of a block starts. Each block continues until the next entry.
+         * Lines are 1-indexed lines of the script factory.
+         * Code that is not part of any block, such as setup code, has a null blockId.
+         * @type {Array.<{line: number, blockId: string|null}>}
+         */
+        this.mappings = [];
+
+        /**
+         * Number of lines that the JS engine sees before the first line of the script factory.
+         * @type {number}
+         */
+        this.lineOffset = 0;
+    }
+
+    /**
+     * Record that the code starting at a line belongs to a block.
+     * @param {number} line The line.
+     * @param {string|null} blockId The ID of the block.
+     */
+    addMapping (line, blockId) {
+        const last = this.mappings[this.mappings.length - 1];
+        if (last && last.line === line) {
+            // The block before this one did not generate any code on this line.
+            this.mappings.pop();
+        }
+        const previous = this.mappings[this.mappings.length - 1];
+        if (previous && previous.blockId === blockId) {
+            return;
+        }
+        this.mappings.push({line, blockId});
+    }
+
+    /**
+     * Shift all mappings down.
+     * @param {number} lines Number of lines to shift by.
+     */
+    shift (lines) {
+        for (const mapping of this.mappings) {
+            mapping.line += lines;
+        }
+    }
+
+    /**
+     * @param {number} line 1-indexed line of the script factory.
+     * @returns {string|null} The ID of the block that generated the line, if any.
+     */
+    getBlockId (line) {
+        let blockId = null;
+        for (const mapping of this.mappings) {
+            if (mapping.line > line) {
+                break;
+            }
+            blockId = mapping.blockId;
+        }
+        return blockId;
+    }
+
+    /**
+     * Find the innermost stack frame in the script factory. Frames in the runtime functions that are
+     * evaluated along with the factory, such as executeInCompatibilityLayer, are skipped.
+     * @param {*} error An error thrown by the script.
+     * @returns {{index: number, line: number}|null} Position of the frame in the stack and 1-indexed line of
+     * the script factory, or null if the script is not in the stack.
+     */
+    findFrame (error) {
+        for (const frame of findFramesInStack(error, this.sourceURL)) {
+            const line = frame.line - this.lineOffset;
+            if (line >= 1) {
+                return {
+                    index: frame.index,
+                    line
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {*} error An error thrown by the script.
+     * @returns {string|null} The ID of the block that threw the error, if it could be determined.
+     */
+    getBlockIdForError (error) {
+        const frame = this.findFrame(error);
+        return frame ? this.getBlockId(frame.line) : null;
+    }
+
+    toJSON () {
+        return this.mappings;
+    }
+}
+
+/**
+ * Find the block that threw an error in compiled code.
+ * @param {*} error The error.
+ * @param {SourceMap[]} sourceMaps Source maps of the scripts that may have thrown the error.
+ * @returns {string|null} The ID of the block, if it could be determined.
+ */
+const getBlockIdForError = (error, sourceMaps) => {
+    // The innermost frame is listed first, so the script that appears earliest in the stack threw the error.
+    let best = null;
+    for (const sourceMap of sourceMaps) {
+        const frame = sourceMap.findFrame(error);
+        if (frame && (best === null || frame.index < best.frame.index)) {
+            best = {sourceMap, frame};
+        }
+    }
+    return best ? best.sourceMap.getBlockId(best.frame.line) : null;
+};
+
+module.exports = {
+    SourceMap,
+    findLineInStack,
+    getBlockIdForError
+};
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview
+ * Compiles scripts in a worker, so loading a project with a lot of scripts doesn't freeze the page.
+ * Scripts run in the interpreter until they have been compiled.
+ */
+
+const dispatch = require('../dispatch/central-dispatch');
+const log = require('../util/log');
+const Variable = require('../engine/variable');
+const {createCompileJob, restoreCompileResult} = require('./compile-job');
+
+/**
+ * Compiles jobs somewhere other than the main thread.
+ * @typedef {object} CompilerService
+ * @property {function(CompileJob): Promise.<CompileJobResult>} compile Compile the script in a job.
+ */
+
+/**
+ * Start a worker that compiles scripts and connect it to the dispatch system.
+ * @returns {CompilerService} Sends jobs to the worker once it is ready.
+ */
+const startCompilerWorker = () => {
+    const ready = new Promise(resolve => {
+        dispatch.setServiceSync('compiler.host', {
+            onWorkerReady: resolve
+        });
+    });
+    const CompilerWorker = require(
+        'worker-loader?name=js/compiler-worker/compiler-worker.[hash].js!./compiler-worker'
+    );
+    dispatch.addWorker(new CompilerWorker());
+    return {
+        compile: job => ready.then(() => dispatch.call('compiler', 'compile', job))
+    };
+};
+
+/**
+ * Create the variables that were missing when a script was compiled, like the compiler does on the main thread.
+ * @param {Target} target The target that owns the script.
+ * @param {Array.<Array>} variables ID, name and type of each variable.
+ */
+const createVariables = (target, variables) => {
+    // The compiled script is shared between clones, so they all need the variables.
+    const targets = target.sprite ? target.sprite.clones : [target];
+    for (const [id, name, type] of variables) {
+        for (const instance of targets) {
+            if (!instance.variables.hasOwnProperty(id)) {
+                instance.variables[id] = new Variable(id, name, type, false);
+            }
+        }
+    }
+};
+
+class WorkerCompiler {
+    /**
+     * @param {Runtime} runtime The runtime whose scripts are compiled.
+     * @param {CompilerService} [service] Where jobs are compiled. Defaults to a new worker.
+     */
+    constructor (runtime, service) {
+        this.runtime = runtime;
+        this.service = service || startCompilerWorker();
+        this.nextJobId = 0;
+    }
+
+    /**
+     * Start compiling a script in the worker. The result is stored in the block container's cache, so
+     * threads started afterwards run the compiled script.
+     * @param {Thread} thread A thread whose script should be compiled. It isn't changed.
+     * @returns {boolean} Whether the script is being compiled in the worker. If not, it should be compiled
+     * on the main thread, because it is already in the compile cache or it uses blocks that can only be
+     * compiled on the main thread.
+     */
+    compileInWorker (thread) {
+        const blocks = thread.blockContainer;
+        const topBlockId = thread.topBlock;
+        const target = thread.target;
+        const compileCache = this.runtime.compileCache;
+        if (compileCache && compileCache.has(compileCache.getKey(thread))) {
+            return false;
+        }
+        const job = createCompileJob(thread);
+        if (!job) {
+            return false;
+        }
+
+        const jobId = this.nextJobId++;
+        const pending = {};
+        pending.promise = this.service.compile(job).then(data => {
+            // The blocks were changed while the worker was compiling them.
+            if (blocks.getPendingCompile(topBlockId) !== pending) return;
+            blocks.setPendingCompile(topBlockId, null);
+
+            createVariables(target, data.createdVariables);
+            const result = restoreCompileResult(data, `compiled/worker/${jobId}/`);
+            blocks.cacheCompileResult(topBlockId, result);
+            if (compileCache) {
+                compileCache.save(compileCache.getKey(thread), result);
+            }
+        }, workerError => {
+            if (blocks.getPendingCompile(topBlockId) !== pending) return;
+            blocks.setPendingCompile(topBlockId, null);
+
+            // Compile on the main thread instead, which also gives a proper error if the script can't be compiled.
+            // importing the compiler here avoids circular dependency issues
+            const compile = require('./compile');
+            try {
+                blocks.cacheCompileResult(topBlockId, compile(thread));
+            } catch (error) {
+                log.error('cannot compile script', target.getName(), error, workerError);
+                blocks.cacheCompileError(topBlockId, error);
+                this.runtime.emitCompileError(target, error);
+            }
+        });
+        blocks.setPendingCompile(topBlockId, pending);
+        return true;
+    }
+}
+
+module.exports = WorkerCompiler;
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview
+ * Keeps track of the costumes and sounds that are still loading, to report progress and so that a
+ * project can be used before all of its assets have loaded. See the progressive option of
+ * VirtualMachine#loadProject.
+ *
+ * An asset counts as loaded once it has loaded or failed to load, as the costume or sound can then be
+ * used, possibly as the default asset. Critical assets are those a project uses as soon as it starts:
+ * the green flag waits for them, but not for the others.
+ */
+
+/**
+ * @typedef {object} AssetLoadProgress
+ * @property {number} loadedAssets Number of costumes and sounds that have loaded.
+ * @property {number} totalAssets Number of costumes and sounds being loaded.
+ * @property {number} loadedBytes Size of the assets that have loaded.
+ * @property {number} totalBytes Size of all the assets being loaded. Assets whose size isn't known before
+ * they have loaded, such as those loaded from a server, are only counted once they have loaded.
+ */
+
+/**
+ * @param {object} item A costume or sound that has loaded.
+ * @returns {number} The size of its asset, or 0 if it has none.
+ */
+const getLoadedSize = item => {
+    const asset = item.broken ? item.broken.asset : item.asset;
+    return asset && asset.data ? asset.data.byteLength : 0;
+};
+
+class AssetLoadTracker {
+    /**
+     * @param {Runtime} runtime The runtime that progress is reported to.
+     */
+    constructor (runtime) {
+        this.runtime = runtime;
+        this.reset();
+    }
+
+    /**
+     * Forget the assets being loaded, when the project is replaced. Assets from the old project that are
+     * still loading are not reported.
+     */
+    reset () {
+        /**
+         * Costumes and sounds that are loading, mapped to a promise for when they have loaded and
+         * whether they are critical.
+         * @type {Map.<object, {promise: Promise, critical: boolean}>}
+         */
+        this._pending = new Map();
+
+        /**
+         * The call waiting for the critical assets to load, if any.
+         * @type {?{callback: function}}
+         */
+        this._waitingCall = null;
+
+        this._loadedAssets = 0;
+        this._totalAssets = 0;
+        this._loadedBytes = 0;
+        this._totalBytes = 0;
+    }
+
+    /**
+     * Track a costume or sound while it loads.
+     * @param {object} item The costume or sound. It can be used while it loads.
+     * @param {Promise} promise Settles when it has loaded.
+     * @param {object} [options] Options.
+     * @param {?number} [options.size] Size of its asset in bytes, if it is known before it loads.
+     * @param {boolean} [options.critical] Whether it is used as soon as the project starts.
+     * @returns {Promise} The same promise.
+     */
+    track (item, promise, {size = null, critical = false} = {}) {
+        const pending = this._pending;
+        this._totalAssets++;
+        if (size !== null) this._totalBytes += size;
+        const loaded = () => {
+            if (this._pending !== pending) return;
+            pending.delete(item);
+            const loadedSize = size === null ? getLoadedSize(item) : size;
+            if (size === null) this._totalBytes += loadedSize;
+            this._loadedBytes += loadedSize;
+            this._loadedAssets++;
+            this.emitProgress();
+            if (pending.size === 0) this.runtime.emitAssetsLoaded();
+        };
+        pending.set(item, {
+            promise: promise.then(loaded, loaded),
+            critical
+        });
+        return promise;
+    }
+
+    /**
+     * @returns {AssetLoadProgress} How much has loaded.
+     */
+    getProgress () {
+        return {
+            loadedAssets: this._loadedAssets,
+            totalAssets: this._totalAssets,
+            loadedBytes: this._loadedBytes,
+            totalBytes: this._totalBytes
+        };
+    }
+
+    /**
+     * Report the current progress to the runtime.
+     */
+    emitProgress () {
+        this.runtime.emitAssetLoadProgress(this.getProgress());
+    }
+
+    /**
+     * @param {object} item A costume or sound.
+     * @returns {boolean} Whether it is still loading.
+     */
+    isLoading (item) {
+        return this._pending.has(item);
+    }
+
+    /**
+     * @returns {boolean} Whether any costumes or sounds are still loading.
+     */
+    isLoadingAny () {
+        return this._pending.size > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether any critical assets are still loading.
+     */
+    isLoadingCritical () {
+        for (const {critical} of this._pending.values()) {
+            if (critical) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {Array.<object>} [items] Costumes and sounds. Defaults to all of those that are loading.
+     * @returns {Promise} Resolves when they have loaded.
+     */
+    whenLoaded (items = Array.from(this._pending.keys())) {
+        const promises = [];
+        for (const item of items) {
+            const pending = this._pending.get(item);
+            if (pending) promises.push(pending.promise);
+        }
+        return Promise.all(promises).then(() => {});
+    }
+
+    /**
+     * @returns {Promise} Resolves when the critical assets that are loading have loaded.
+     */
+    whenCriticalLoaded () {
+        const items = [];
+        for (const [item, {critical}] of this._pending) {
+            if (critical) items.push(item);
+        }
+        return this.whenLoaded(items);
+    }
+
+    /**
+     * Call a function once the critical assets have loaded, or now if none are loading. Only one call
+     * waits at a time: calling this again while one is waiting replaces its function.
+     * @param {function} callback The function to call.
+     */
+    callWhenCriticalLoaded (callback) {
+        if (!this.isLoadingCritical()) {
+            this._waitingCall = null;
+            callback();
+            return;
+        }
+        if (this._waitingCall) {
+            this._waitingCall.callback = callback;
+            return;
+        }
+        const waitingCall = {callback};
+        this._waitingCall = waitingCall;
+        const wait = () => this.whenCriticalLoaded().then(() => {
+            if (this._waitingCall !== waitingCall) return;
+            // Critical assets may have been added while these loaded
+            if (this.isLoadingCritical()) return wait();
+            this._waitingCall = null;
+            waitingCall.callback();
+        });
+        wait();
+    }
+
+    /**
+     * Cancel the call waiting for the critical assets to load, if any.
+     */
+    cancelWaitingCall () {
+        this._waitingCall = null;
+    }
+}
+
+module.exports = AssetLoadTracker;
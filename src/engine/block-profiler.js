@@ -0,0 +1,480 @@
+/**
+ * @fileoverview
+ * A higher level profiler than Profiler. Instead of timing the internals of the VM, BlockProfiler
+ * measures the project: how much time is spent in each opcode, script, target and custom block.
+ * The results can be exported as JSON or as a Chrome trace-event file.
+ *
+ * Interpreted scripts are measured by the sequencer. Compiled scripts are instrumented when they are
+ * compiled, so the runtime clears its compile caches when block profiling is enabled.
+ *
+ * Timing is per thread: while a thread is yielded, time does not count towards the blocks it is in
+ * the middle of, such as "wait" or a custom block.
+ *
+ * Reporters count towards the stack block that uses them. Differences between the interpreter and compiler:
+ *  - In compiled scripts, blocks in a C block's branches are nested inside it. In the interpreter,
+ *    they run separately.
+ *  - In the interpreter, the time taken by a custom block's definition is not part of the
+ *    procedures_call opcode.
+ */
+
+const Thread = require('./thread');
+
+/**
+ * Default maximum number of events kept for the trace. Once it is reached, the trace stops
+ * recording but the report is still updated.
+ * @const {number}
+ */
+const DEFAULT_MAX_TRACE_EVENTS = 200000;
+
+/**
+ * Process id used in trace events.
+ * @const {number}
+ */
+const TRACE_PID = 1;
+
+const defaultNow = () => {
+    if (typeof performance !== 'undefined') {
+        return performance.now();
+    }
+    return Date.now();
+};
+
+/**
+ * @typedef {object} ProfileEntry
+ * @property {string} name Name of what was measured.
+ * @property {number} count Number of times it ran.
+ * @property {number} selfTime Milliseconds spent in it, not counting nested entries of the same kind.
+ * @property {number} totalTime Milliseconds spent in it, including nested entries.
+ */
+
+/**
+ * An open measurement on a thread's stack.
+ */
+class OpenFrame {
+    /**
+     * @param {string} category "block" or "procedure".
+     * @param {string} name Opcode or procedure code.
+     * @param {object} entry The entry in the report that the frame is measured into.
+     * @param {number} now Current time.
+     */
+    constructor (category, name, entry, now) {
+        this.category = category;
+        this.name = name;
+        this.entry = entry;
+        /**
+         * Time spent in the frame before the thread last yielded.
+         * @type {number}
+         */
+        this.accumulated = 0;
+        /**
+         * Time the thread last started running inside the frame, or null while it is yielded.
+         * @type {?number}
+         */
+        this.resumedAt = now;
+        /**
+         * Total time of nested frames of the same category.
+         * @type {number}
+         */
+        this.childTime = 0;
+        /**
+         * ID of the procedures_call block, for procedure frames opened by the interpreter.
+         * @type {?string}
+         */
+        this.callBlockId = null;
+    }
+
+    /**
+     * @param {number} now Current time.
+     * @returns {number} Time spent in the frame so far.
+     */
+    elapsed (now) {
+        return this.accumulated + (this.resumedAt === null ? 0 : now - this.resumedAt);
+    }
+}
+
+/**
+ * Measurements in progress for a thread.
+ */
+class ThreadProfile {
+    /**
+     * @param {number} id Thread id used in the trace.
+     */
+    constructor (id) {
+        this.id = id;
+        /**
+         * @type {Array.<OpenFrame>}
+         */
+        this.frames = [];
+        /**
+         * Time the current step started.
+         * @type {number}
+         */
+        this.stepStart = 0;
+    }
+}
+
+class BlockProfiler {
+    /**
+     * @param {object} [options] Options.
+     * @param {function(): number} [options.now] Returns the current time in milliseconds.
+     * @param {number} [options.maxTraceEvents] Maximum number of trace events to keep.
+     */
+    constructor (options = {}) {
+        this._now = options.now || defaultNow;
+        this.maxTraceEvents = typeof options.maxTraceEvents === 'number' ?
+            options.maxTraceEvents :
+            DEFAULT_MAX_TRACE_EVENTS;
+
+        this.startTime = this._now();
+
+        /** @type {Map.<string, ProfileEntry>} */
+        this.opcodes = new Map();
+        /** @type {Map.<string, object>} */
+        this.scripts = new Map();
+        /** @type {Map.<string, object>} */
+        this.customBlocks = new Map();
+
+        /**
+         * Chrome trace events recorded so far.
+         * @type {Array.<object>}
+         */
+        this.traceEvents = [];
+
+        /**
+         * True if trace events were dropped because maxTraceEvents was reached.
+         * @type {boolean}
+         */
+        this.traceTruncated = false;
+
+        /** @type {WeakMap.<Thread, ThreadProfile>} */
+        this._threads = new WeakMap();
+        this._nextThreadId = 1;
+    }
+
+    /**
+     * @param {Thread} thread The thread.
+     * @returns {ThreadProfile} Measurements in progress for the thread.
+     */
+    _getThreadProfile (thread) {
+        let profile = this._threads.get(thread);
+        if (!profile) {
+            profile = new ThreadProfile(this._nextThreadId++);
+            this._threads.set(thread, profile);
+            const target = thread.target;
+            this._trace({
+                name: 'thread_name',
+                ph: 'M',
+                pid: TRACE_PID,
+                tid: profile.id,
+                args: {name: `${target ? target.getName() : ''}: ${thread.topBlock}`}
+            });
+        }
+        return profile;
+    }
+
+    /**
+     * @param {object} event Trace event to record.
+     */
+    _trace (event) {
+        if (this.traceEvents.length >= this.maxTraceEvents) {
+            this.traceTruncated = true;
+            return;
+        }
+        this.traceEvents.push(event);
+    }
+
+    /**
+     * @param {number} time Time in milliseconds.
+     * @returns {number} Time relative to the start of profiling, in microseconds.
+     */
+    _traceTime (time) {
+        return (time - this.startTime) * 1000;
+    }
+
+    /**
+     * @param {Map.<string, object>} map Map of entries.
+     * @param {string} key Key of the entry.
+     * @param {function(): object} create Creates the entry if it doesn't exist.
+     * @returns {object} The entry.
+     */
+    _getEntry (map, key, create) {
+        let entry = map.get(key);
+        if (!entry) {
+            entry = Object.assign(create(), {
+                count: 0,
+                selfTime: 0,
+                totalTime: 0
+            });
+            map.set(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * @param {ThreadProfile} profile The thread's measurements.
+     * @param {string} category "block" or "procedure".
+     * @param {string} name Opcode or procedure code.
+     * @param {Target} target Target the thread is running on.
+     * @returns {OpenFrame} The new frame.
+     */
+    _enter (profile, category, name, target) {
+        const now = this._now();
+        let entry;
+        if (category === 'block') {
+            entry = this._getEntry(this.opcodes, name, () => ({name}));
+        } else {
+            const spriteName = target.getName();
+            entry = this._getEntry(this.customBlocks, `${spriteName}\n${name}`, () => ({name, target: spriteName}));
+        }
+        entry.count++;
+        const frame = new OpenFrame(category, name, entry, now);
+        profile.frames.push(frame);
+        this._trace({name, cat: category, ph: 'B', ts: this._traceTime(now), pid: TRACE_PID, tid: profile.id});
+        return frame;
+    }
+
+    /**
+     * Close the top frame of a thread.
+     * @param {ThreadProfile} profile The thread's measurements.
+     */
+    _exit (profile) {
+        const now = this._now();
+        const frame = profile.frames.pop();
+        const total = frame.elapsed(now);
+        frame.entry.selfTime += total - frame.childTime;
+
+        // Recursive calls are already included in the total time of the outer call.
+        let isRecursive = false;
+        let parentFound = false;
+        for (let i = profile.frames.length - 1; i >= 0; i--) {
+            const other = profile.frames[i];
+            if (other.category !== frame.category) continue;
+            if (!parentFound) {
+                other.childTime += total;
+                parentFound = true;
+            }
+            if (other.name === frame.name) {
+                isRecursive = true;
+                break;
+            }
+        }
+        if (!isRecursive) {
+            frame.entry.totalTime += total;
+        }
+
+        if (frame.resumedAt !== null) {
+            this._trace({
+                name: frame.name,
+                cat: frame.category,
+                ph: 'E',
+                ts: this._traceTime(now),
+                pid: TRACE_PID,
+                tid: profile.id
+            });
+        }
+    }
+
+    /**
+     * Called by the sequencer before it steps a thread.
+     * @param {Thread} thread The thread.
+     */
+    startStep (thread) {
+        const profile = this._getThreadProfile(thread);
+        const now = this._now();
+        profile.stepStart = now;
+        for (const frame of profile.frames) {
+            frame.resumedAt = now;
+            this._trace({
+                name: frame.name,
+                cat: frame.category,
+                ph: 'B',
+                ts: this._traceTime(now),
+                pid: TRACE_PID,
+                tid: profile.id
+            });
+        }
+    }
+
+    /**
+     * Called by the sequencer after it steps a thread.
+     * @param {Thread} thread The thread.
+     */
+    endStep (thread) {
+        const profile = this._getThreadProfile(thread);
+        const now = this._now();
+        for (let i = profile.frames.length - 1; i >= 0; i--) {
+            const frame = profile.frames[i];
+            frame.accumulated += now - frame.resumedAt;
+            frame.resumedAt = null;
+            this._trace({
+                name: frame.name,
+                cat: frame.category,
+                ph: 'E',
+                ts: this._traceTime(now),
+                pid: TRACE_PID,
+                tid: profile.id
+            });
+        }
+
+        const target = thread.target;
+        const spriteName = target ? target.getName() : '';
+        const script = this._getEntry(this.scripts, `${spriteName}\n${thread.topBlock}`, () => ({
+            name: thread.topBlock,
+            target: spriteName
+        }));
+        const time = now - profile.stepStart;
+        script.count++;
+        script.selfTime += time;
+        script.totalTime += time;
+        this._trace({
+            name: thread.topBlock,
+            cat: 'script',
+            ph: 'X',
+            ts: this._traceTime(profile.stepStart),
+            dur: time * 1000,
+            pid: TRACE_PID,
+            tid: profile.id,
+            args: {target: spriteName}
+        });
+
+        if (thread.stack.length === 0 || thread.isKilled || thread.status === Thread.STATUS_DONE) {
+            while (profile.frames.length > 0) {
+                this._exit(profile);
+            }
+        }
+    }
+
+    /**
+     * Called by the interpreter before it runs a stack block.
+     * @param {Thread} thread The thread.
+     * @param {string} blockId ID of the block.
+     */
+    enterInterpretedBlock (thread, blockId) {
+        const profile = this._getThreadProfile(thread);
+        const blocks = thread.blockContainer;
+
+        // Custom blocks run while their procedures_call block is on the thread's stack.
+        // Close the procedures that have returned and open the ones that have been called.
+        const calls = [];
+        for (let i = 0; i < thread.stack.length - 1; i++) {
+            const block = blocks.getBlock(thread.stack[i]);
+            if (block && block.opcode === 'procedures_call') {
+                calls.push(block);
+            }
+        }
+        let matching = 0;
+        while (matching < calls.length && matching < profile.frames.length &&
+            profile.frames[matching].callBlockId === calls[matching].id) {
+            matching++;
+        }
+        while (profile.frames.length > matching) {
+            this._exit(profile);
+        }
+        for (let i = matching; i < calls.length; i++) {
+            const frame = this._enter(profile, 'procedure', calls[i].mutation.proccode, thread.target);
+            frame.callBlockId = calls[i].id;
+        }
+
+        const block = blocks.getBlock(blockId);
+        this._enter(profile, 'block', block ? block.opcode : 'unknown', thread.target);
+    }
+
+    /**
+     * Called by compiled scripts before they run a stack block.
+     * @param {Thread} thread The thread.
+     * @param {string} opcode Opcode of the block.
+     * @param {?string} procedureCode For procedures_call, the procedure code of the custom block.
+     */
+    enterBlock (thread, opcode, procedureCode) {
+        const profile = this._getThreadProfile(thread);
+        this._enter(profile, 'block', opcode, thread.target);
+        if (procedureCode) {
+            this._enter(profile, 'procedure', procedureCode, thread.target);
+        }
+    }
+
+    /**
+     * Called by the interpreter and compiled scripts after they run a stack block, even if it returned early.
+     * @param {Thread} thread The thread.
+     */
+    exitBlock (thread) {
+        const profile = this._getThreadProfile(thread);
+        while (profile.frames.length > 0) {
+            const category = profile.frames[profile.frames.length - 1].category;
+            this._exit(profile);
+            if (category === 'block') {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Called when a thread is retired or replaced, which may be while it is yielded inside blocks that
+     * will never exit.
+     * @param {Thread} thread The thread.
+     */
+    retireThread (thread) {
+        const profile = this._threads.get(thread);
+        if (!profile) {
+            return;
+        }
+        while (profile.frames.length > 0) {
+            this._exit(profile);
+        }
+    }
+
+    /**
+     * @param {Map.<string, object>} map Map of entries.
+     * @returns {Array.<object>} Copies of the entries, slowest first.
+     */
+    _sortedEntries (map) {
+        return Array.from(map.values(), entry => Object.assign({}, entry))
+            .sort((a, b) => b.selfTime - a.selfTime);
+    }
+
+    /**
+     * @returns {object} The profile report: time per opcode, script, target and custom block.
+     * Scripts and targets are identified by sprite name, so clones are counted with their sprite.
+     * For scripts and targets, count is the number of times they were stepped.
+     * Times are in milliseconds.
+     */
+    getReport () {
+        const targets = new Map();
+        for (const script of this.scripts.values()) {
+            const target = this._getEntry(targets, script.target, () => ({name: script.target}));
+            target.count += script.count;
+            target.selfTime += script.selfTime;
+            target.totalTime += script.totalTime;
+        }
+        return {
+            duration: this._now() - this.startTime,
+            opcodes: this._sortedEntries(this.opcodes),
+            scripts: this._sortedEntries(this.scripts),
+            targets: this._sortedEntries(targets),
+            customBlocks: this._sortedEntries(this.customBlocks)
+        };
+    }
+
+    /**
+     * @returns {object} The profile report.
+     */
+    toJSON () {
+        return this.getReport();
+    }
+
+    /**
+     * @returns {object} The recorded events in the Chrome trace-event format, which can be
+     * saved as JSON and opened in a performance viewer.
+     */
+    toChromeTrace () {
+        return {
+            traceEvents: this.traceEvents.slice(),
+            displayTimeUnit: 'ms',
+            otherData: {
+                truncated: this.traceTruncated
+            }
+        };
+    }
+}
+
+module.exports = BlockProfiler;
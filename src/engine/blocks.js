@@ -16,6 +16,12 @@ const getMonitorIdForBlockWithArgs = require('../util/get-monitor-id');
  * and handle updates from Scratch Blocks events.
  */
 
+/**
+ * Opcodes of blocks whose VARIABLE field refers to a local variable instead of a scalar variable.
+ * @type {Array.<string>}
+ */
+const LOCAL_VARIABLE_OPCODES = ['data_localvariable', 'data_setlocalvariableto', 'data_changelocalvariableby'];
+
 /**
  * Create a block container.
  * @param {Runtime} runtime The runtime this block container operates within
@@ -95,6 +101,12 @@ class Blocks {
              */
             compiledProcedures: {},
 
+            /**
+             * Scripts that are being compiled in a worker, by top block ID.
+             * @type {object.<string, object>}
+             */
+            pendingCompiles: {},
+
             /**
              * tw: Whether populateProcedureCache has been run
              */
@@ -149,6 +161,32 @@ class Blocks {
         };
     }
 
+    /**
+     * Check whether a script is being compiled in a worker.
+     * @param {string} blockId ID of the top block.
+     * @returns {?object} The object given to setPendingCompile, or null if the script isn't being compiled.
+     */
+    getPendingCompile (blockId) {
+        if (this._cache.pendingCompiles.hasOwnProperty(blockId)) {
+            return this._cache.pendingCompiles[blockId];
+        }
+        return null;
+    }
+
+    /**
+     * Mark a script as being compiled in a worker. The mark is removed when the cache is reset, so a result
+     * for blocks that have since changed can be recognized.
+     * @param {string} blockId ID of the top block.
+     * @param {?object} pending Describes the compilation, or null once the script has been compiled.
+     */
+    setPendingCompile (blockId, pending) {
+        if (pending) {
+            this._cache.pendingCompiles[blockId] = pending;
+        } else {
+            delete this._cache.pendingCompiles[blockId];
+        }
+    }
+
     /**
      * Blockly inputs that represent statements/branch.
      * are prefixed with this string.
@@ -622,6 +660,7 @@ class Blocks {
         this._cache.scripts = {};
         this._cache.compiledScripts = {};
         this._cache.compiledProcedures = {};
+        this._cache.pendingCompiles = {};
         this._cache.proceduresPopulated = false;
     }
 
@@ -956,7 +995,8 @@ class Blocks {
             let varType = null;
             if (blocks[blockId].fields.VARIABLE) {
                 varOrListField = blocks[blockId].fields.VARIABLE;
-                varType = Variable.SCALAR_TYPE;
+                varType = LOCAL_VARIABLE_OPCODES.includes(blocks[blockId].opcode) ?
+                    Variable.LOCAL_TYPE : Variable.SCALAR_TYPE;
             } else if (blocks[blockId].fields.LIST) {
                 varOrListField = blocks[blockId].fields.LIST;
                 varType = Variable.LIST_TYPE;
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview
+ * Breakpoints and single-stepping for the interpreter and compiler.
+ *
+ * The debugger is only consulted while runtime.debug is enabled. The interpreter checks for a breakpoint
+ * in Sequencer.stepThread before running each stack block, and the compiler inserts a checkpoint before
+ * each stack block, so breakpoints can be changed without recompiling.
+ *
+ * While paused, no threads run at all. Execution can be resumed, or stepped to the next block.
+ *
+ * Limitations:
+ *  - Breakpoints can only be set on stack blocks, not on reporters.
+ *  - Compiled scripts skip their hat block, so breakpoints on hats only work in the interpreter.
+ *  - In compiled scripts, stepping over a custom block call steps into it, as the compiler does not
+ *    track how deeply custom blocks are nested.
+ */
+
+const Variable = require('./variable');
+
+/**
+ * @typedef {object} BreakpointHit
+ * @property {Thread} thread The thread that is paused.
+ * @property {Target} target The target the thread is running on.
+ * @property {string} blockId ID of the block that is about to run.
+ * @property {string} reason "breakpoint" if a breakpoint was hit, "step" if a step finished, or "pause"
+ * if pause() was called while the thread was running.
+ * @property {Array.<object>} variables Values of the variables the thread can see, with their id,
+ * name, type, value and whether they are local to the target.
+ */
+
+class Debugger {
+    /**
+     * @param {Runtime} runtime The runtime to debug.
+     */
+    constructor (runtime) {
+        this.runtime = runtime;
+
+        /**
+         * IDs of blocks with breakpoints.
+         * @type {Set.<string>}
+         */
+        this.breakpoints = new Set();
+
+        /**
+         * True while execution is paused.
+         * @type {boolean}
+         */
+        this.paused = false;
+
+        /**
+         * The thread that was paused by a breakpoint or step, if any.
+         * @type {?Thread}
+         */
+        this.pausedThread = null;
+
+        /**
+         * Depth of the block the paused thread stopped at.
+         * @type {number}
+         */
+        this.pausedDepth = 0;
+
+        /**
+         * A step that is in progress: execution pauses at the next block of the thread
+         * (or of any thread if null) at or above depth.
+         * @type {?{thread: ?Thread, depth: number}}
+         */
+        this.step = null;
+    }
+
+    /**
+     * Set a breakpoint.
+     * @param {string} blockId ID of the block to pause before.
+     */
+    setBreakpoint (blockId) {
+        this.breakpoints.add(blockId);
+    }
+
+    /**
+     * Remove a breakpoint.
+     * @param {string} blockId ID of the block.
+     */
+    removeBreakpoint (blockId) {
+        this.breakpoints.delete(blockId);
+    }
+
+    clearBreakpoints () {
+        this.breakpoints.clear();
+    }
+
+    /**
+     * @returns {Array.<string>} IDs of blocks with breakpoints.
+     */
+    getBreakpoints () {
+        return Array.from(this.breakpoints);
+    }
+
+    /**
+     * Pause execution before the next block runs.
+     */
+    pause () {
+        this.paused = true;
+        this.step = null;
+    }
+
+    /**
+     * Resume execution until the next breakpoint.
+     */
+    resume () {
+        this.paused = false;
+        this.pausedThread = null;
+        this.step = null;
+    }
+
+    /**
+     * Resume execution until the paused thread reaches the next block, including blocks inside
+     * branches and custom blocks. If no thread is paused, pauses before the next block of any thread.
+     */
+    stepInto () {
+        const thread = this.pausedThread;
+        this.resume();
+        this.step = {thread, depth: Infinity};
+    }
+
+    /**
+     * Resume execution until the paused thread reaches the next block that is not inside the
+     * block it is paused at. If no thread is paused, this is the same as stepInto.
+     */
+    stepOver () {
+        const thread = this.pausedThread;
+        const depth = thread ? this.pausedDepth : Infinity;
+        this.resume();
+        this.step = {thread, depth};
+    }
+
+    /**
+     * Called before a thread runs a stack block. Pauses execution if the block has a breakpoint
+     * or a step has finished.
+     * @param {Thread} thread The thread.
+     * @param {string} blockId ID of the block that is about to run.
+     * @param {number} depth How deeply the block is nested in branches and custom blocks.
+     * @returns {boolean} True if execution was paused, in which case the thread must yield before running the block.
+     */
+    checkpoint (thread, blockId, depth) {
+        if (this.paused) {
+            // pause() was called by a block while threads were running.
+            this._break(thread, blockId, depth, 'pause');
+            return true;
+        }
+        const step = this.step;
+        if (step && (step.thread === null || step.thread === thread) && depth <= step.depth) {
+            this._break(thread, blockId, depth, 'step');
+            return true;
+        }
+        if (this.breakpoints.has(blockId)) {
+            this._break(thread, blockId, depth, 'breakpoint');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {Thread} thread The thread.
+     * @param {string} blockId ID of the block that is about to run.
+     * @param {number} depth How deeply the block is nested.
+     * @param {string} reason Why execution paused.
+     */
+    _break (thread, blockId, depth, reason) {
+        this.paused = true;
+        this.pausedThread = thread;
+        this.pausedDepth = depth;
+        this.step = null;
+        /** @type {BreakpointHit} */
+        const hit = {
+            thread,
+            target: thread.target,
+            blockId,
+            reason,
+            variables: this._captureVariables(thread.target)
+        };
+        // Runtime.BREAKPOINT_HIT; the runtime can't be required here without a circular dependency.
+        this.runtime.emit('BREAKPOINT_HIT', hit);
+    }
+
+    /**
+     * @param {Target} target The target.
+     * @returns {Array.<object>} Copies of the variables the target can see.
+     */
+    _captureVariables (target) {
+        const result = [];
+        const addVariables = (variables, isLocal) => {
+            for (const id of Object.keys(variables)) {
+                const variable = variables[id];
+                if (variable.type === Variable.BROADCAST_MESSAGE_TYPE) continue;
+                result.push({
+                    id,
+                    name: variable.name,
+                    type: variable.type,
+                    value: Array.isArray(variable.value) ? variable.value.slice() : variable.value,
+                    isLocal
+                });
+            }
+        };
+        const stage = this.runtime.getTargetForStage();
+        if (target && !target.isStage) {
+            addVariables(target.variables, true);
+        }
+        if (stage) {
+            addVariables(stage.variables, false);
+        }
+        return result;
+    }
+}
+
+module.exports = Debugger;
@@ -1,6 +1,5 @@
 const BlockUtility = require('./block-utility');
 const BlocksExecuteCache = require('./blocks-execute-cache');
-const log = require('../util/log');
 const Thread = require('./thread');
 const {Map} = require('immutable');
 const cast = require('../util/cast');
@@ -142,8 +141,10 @@ const handlePromise = (primitiveReportedValue, sequencer, thread, blockCached, l
         }
     }, rejectionReason => {
         // Promise rejected: the primitive had some error.
-        // Log it and proceed.
-        log.warn('Primitive rejected promise: ', rejectionReason);
+        // Report it and proceed, unless the thread was stopped because of it.
+        if (!sequencer.runtime.handleRuntimeError(thread, rejectionReason, blockCached.id)) {
+            return;
+        }
         thread.status = Thread.STATUS_RUNNING;
         thread.popStack();
     });
@@ -515,7 +516,15 @@ const execute = function (sequencer, thread) {
 
         // Inputs are set during previous steps in the loop.
 
-        const primitiveReportedValue = blockFunction(argValues, blockUtility);
+        let primitiveReportedValue;
+        try {
+            primitiveReportedValue = blockFunction(argValues, blockUtility);
+        } catch (error) {
+            if (!runtime.handleRuntimeError(thread, error, opCached.id)) {
+                return;
+            }
+            primitiveReportedValue = '';
+        }
 
         // If it's a promise, wait until promise resolves.
         if (isPromise(primitiveReportedValue)) {
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview
+ * Finds likely mistakes in a project without running it, such as broadcasts that nothing receives
+ * or blocks that can never run.
+ *
+ * The checks are conservative: when a block's behavior depends on values only known while the project
+ * runs, such as a broadcast name computed by a reporter, the problem is not reported.
+ */
+
+const Variable = require('./variable');
+const {getExtensionIdForOpcode} = require('../serialization/sb3');
+
+/**
+ * @typedef {object} AnalysisIssue
+ * @property {string} type One of the AnalysisIssueType values.
+ * @property {string} targetId ID of the sprite or stage the issue is in.
+ * @property {?string} blockId ID of the block the issue is about, or null for variables and lists.
+ * @property {?string} variableId ID of the unused variable or list, for unusedVariable and unusedList.
+ * @property {string} name Name of the broadcast, variable, list, procedure, sprite, costume or
+ * extension involved. For unreachable blocks and empty scripts, the opcode of the block.
+ */
+
+/**
+ * Types of issues that analyzeProject can find.
+ * @enum {string}
+ */
+const AnalysisIssueType = {
+    /** A "when I receive" hat for a broadcast that no block sends. */
+    BROADCAST_NEVER_SENT: 'broadcastNeverSent',
+    /** A broadcast block for a broadcast that no script receives. */
+    BROADCAST_NEVER_RECEIVED: 'broadcastNeverReceived',
+    /** A variable that no block uses. */
+    UNUSED_VARIABLE: 'unusedVariable',
+    /** A list that no block uses. */
+    UNUSED_LIST: 'unusedList',
+    /** A custom block call without a matching definition in the same sprite. */
+    UNDEFINED_PROCEDURE: 'undefinedProcedure',
+    /** A block after a "stop all" or "stop this script" block. */
+    UNREACHABLE_BLOCK: 'unreachableBlock',
+    /** A hat block with nothing under it. */
+    EMPTY_HAT_SCRIPT: 'emptyHatScript',
+    /** A menu that refers to a sprite that doesn't exist. */
+    MISSING_SPRITE: 'missingSprite',
+    /** A menu that refers to a costume or backdrop that doesn't exist. */
+    MISSING_COSTUME: 'missingCostume',
+    /** A block from an extension that isn't loaded. */
+    MISSING_EXTENSION: 'missingExtension'
+};
+
+/**
+ * Menus that select a sprite by name, mapped to the name of their field.
+ * Values that start with an underscore, like _mouse_ and _stage_, are special and not sprite names.
+ */
+const SPRITE_MENUS = {
+    motion_goto_menu: 'TO',
+    motion_glideto_menu: 'TO',
+    motion_pointtowards_menu: 'TOWARDS',
+    sensing_touchingobjectmenu: 'TOUCHINGOBJECTMENU',
+    sensing_distancetomenu: 'DISTANCETOMENU',
+    sensing_of_object_menu: 'OBJECT',
+    control_create_clone_of_menu: 'CLONE_OPTION'
+};
+
+/**
+ * Values of the backdrop menu that are not backdrop names.
+ */
+const SPECIAL_BACKDROPS = ['next backdrop', 'previous backdrop', 'random backdrop'];
+
+/**
+ * Stop options that end the script, so nothing after them can run.
+ */
+const FINAL_STOP_OPTIONS = ['all', 'this script'];
+
+/**
+ * @param {object} block A block.
+ * @param {string} name The name of the field.
+ * @returns {?string} The value of the field, if it exists.
+ */
+const getFieldValue = (block, name) => {
+    const field = block.fields[name];
+    return field ? field.value : null;
+};
+
+/**
+ * @param {Blocks} blocks The blocks containing the menu.
+ * @param {object} menu A menu block.
+ * @returns {boolean} True if the menu is a shadow that is not covered by a reporter, so its value is used.
+ */
+const isMenuUsed = (blocks, menu) => {
+    const parent = menu.parent && blocks.getBlock(menu.parent);
+    if (!parent) {
+        return false;
+    }
+    return Object.keys(parent.inputs).some(inputName => parent.inputs[inputName].block === menu.id);
+};
+
+/**
+ * Analyze the scripts, variables and assets of every sprite in a project.
+ * @param {Runtime} runtime The runtime with the project loaded.
+ * @returns {Array.<AnalysisIssue>} The issues found.
+ */
+const analyzeProject = runtime => {
+    const issues = [];
+    const addIssue = (type, target, blockId, name, variableId = null) => {
+        issues.push({
+            type,
+            targetId: target.id,
+            blockId,
+            variableId,
+            name
+        });
+    };
+
+    const targets = runtime.targets.filter(target => target.isOriginal);
+    const stage = runtime.getTargetForStage();
+    const extensionManager = runtime.extensionManager;
+
+    // Broadcasts are matched by name, ignoring case, as in startHats.
+    const receivers = [];
+    const senders = [];
+    let hasDynamicBroadcast = false;
+    const referencedVariableIds = new Set();
+    // "of" blocks refer to variables by name.
+    const referencedVariableNames = new Set();
+
+    for (const target of targets) {
+        const blocks = target.blocks;
+        for (const id of Object.keys(blocks.getAllVariableAndListReferences())) {
+            referencedVariableIds.add(id);
+        }
+
+        for (const blockId of Object.keys(blocks._blocks)) {
+            const block = blocks.getBlock(blockId);
+            const opcode = block.opcode;
+
+            if (opcode === 'event_whenbroadcastreceived') {
+                receivers.push({target, block, name: getFieldValue(block, 'BROADCAST_OPTION')});
+            } else if (block.inputs.BROADCAST_INPUT) {
+                const input = block.inputs.BROADCAST_INPUT;
+                const menu = input.block === input.shadow && blocks.getBlock(input.block);
+                if (menu) {
+                    senders.push({target, block, name: getFieldValue(menu, 'BROADCAST_OPTION')});
+                } else {
+                    hasDynamicBroadcast = true;
+                }
+            } else if (opcode === 'sensing_of') {
+                referencedVariableNames.add(getFieldValue(block, 'PROPERTY'));
+            } else if (opcode === 'procedures_call') {
+                const proccode = block.mutation && block.mutation.proccode;
+                if (
+                    blocks.getProcedureDefinition(proccode) === null &&
+                    !runtime.getAddonBlock(proccode)
+                ) {
+                    addIssue(AnalysisIssueType.UNDEFINED_PROCEDURE, target, blockId, proccode);
+                }
+            } else if (opcode === 'control_stop') {
+                if (block.next && FINAL_STOP_OPTIONS.includes(getFieldValue(block, 'STOP_OPTION'))) {
+                    const next = blocks.getBlock(block.next);
+                    addIssue(AnalysisIssueType.UNREACHABLE_BLOCK, target, next.id, next.opcode);
+                }
+            } else if (SPRITE_MENUS.hasOwnProperty(opcode)) {
+                const spriteName = getFieldValue(block, SPRITE_MENUS[opcode]);
+                if (
+                    typeof spriteName === 'string' &&
+                    spriteName.charAt(0) !== '_' &&
+                    isMenuUsed(blocks, block) &&
+                    !runtime.getSpriteTargetByName(spriteName)
+                ) {
+                    addIssue(AnalysisIssueType.MISSING_SPRITE, target, blockId, spriteName);
+                }
+            } else if (opcode === 'looks_costume' || opcode === 'looks_backdrops') {
+                const isBackdrop = opcode === 'looks_backdrops';
+                const costumeName = getFieldValue(block, isBackdrop ? 'BACKDROP' : 'COSTUME');
+                const costumeTarget = isBackdrop ? stage : target;
+                if (
+                    typeof costumeName === 'string' &&
+                    !(isBackdrop && SPECIAL_BACKDROPS.includes(costumeName)) &&
+                    costumeTarget &&
+                    isMenuUsed(blocks, block) &&
+                    costumeTarget.getCostumeIndexByName(costumeName) === -1
+                ) {
+                    addIssue(AnalysisIssueType.MISSING_COSTUME, target, blockId, costumeName);
+                }
+            }
+
+            if (block.topLevel && !block.next && runtime.getIsHat(opcode)) {
+                addIssue(AnalysisIssueType.EMPTY_HAT_SCRIPT, target, blockId, opcode);
+            }
+
+            if (extensionManager) {
+                const extensionId = getExtensionIdForOpcode(opcode);
+                if (
+                    extensionId &&
+                    !extensionManager.isExtensionLoaded(extensionId) &&
+                    !runtime.getOpcodeFunction(opcode) &&
+                    !runtime.getIsHat(opcode)
+                ) {
+                    addIssue(AnalysisIssueType.MISSING_EXTENSION, target, blockId, extensionId);
+                }
+            }
+        }
+    }
+
+    const normalize = name => String(name).toUpperCase();
+    const sentNames = new Set(senders.map(sender => normalize(sender.name)));
+    const receivedNames = new Set(receivers.map(receiver => normalize(receiver.name)));
+    if (!hasDynamicBroadcast) {
+        for (const {target, block, name} of receivers) {
+            if (!sentNames.has(normalize(name))) {
+                addIssue(AnalysisIssueType.BROADCAST_NEVER_SENT, target, block.id, name);
+            }
+        }
+    }
+    for (const {target, block, name} of senders) {
+        if (!receivedNames.has(normalize(name))) {
+            addIssue(AnalysisIssueType.BROADCAST_NEVER_RECEIVED, target, block.id, name);
+        }
+    }
+
+    for (const target of targets) {
+        for (const id of Object.keys(target.variables)) {
+            const variable = target.variables[id];
+            if (referencedVariableIds.has(id) || referencedVariableNames.has(variable.name)) {
+                continue;
+            }
+            if (variable.type === Variable.SCALAR_TYPE) {
+                addIssue(AnalysisIssueType.UNUSED_VARIABLE, target, null, variable.name, id);
+            } else if (variable.type === Variable.LIST_TYPE) {
+                addIssue(AnalysisIssueType.UNUSED_LIST, target, null, variable.name, id);
+            }
+        }
+    }
+
+    return issues;
+};
+
+module.exports = {
+    analyzeProject,
+    AnalysisIssueType
+};
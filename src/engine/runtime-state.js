@@ -0,0 +1,409 @@
+/**
+ * @fileoverview
+ * Capture and restore the complete state of a running project, for time-travel debugging.
+ *
+ * A snapshot covers every target including clones, their variables and custom state, running
+ * threads, the IO devices, the project timer and the deterministic clock and random number generator.
+ * Snapshots are in-memory objects: custom state and executionContext values that are not plain
+ * objects, arrays, Maps, Sets or Timers are shared with the runtime rather than copied.
+ *
+ * Limitations:
+ *  - Interpreted threads resume exactly where they were. A thread that was waiting on a promise
+ *    runs the block it was waiting on again, as the promise can't be restored.
+ *  - Compiled threads are JavaScript generators whose position can't be captured, so they are
+ *    restarted from the top of their script, which is the only safe point available.
+ *  - Monitor threads are not captured; they are recreated on the next step.
+ *  - Sprites that were deleted after the snapshot was taken can't be brought back. Targets created
+ *    after it, other than clones, are left untouched.
+ */
+
+const Thread = require('./thread');
+const Timer = require('../util/timer');
+const Variable = require('./variable');
+const StageLayering = require('./stage-layering');
+const createSeededRandom = require('../util/seeded-random');
+
+/**
+ * Properties of a RenderedTarget that are copied into snapshots.
+ * @const {Array.<string>}
+ */
+const TARGET_PROPERTIES = [
+    'x',
+    'y',
+    'direction',
+    'draggable',
+    'visible',
+    'size',
+    'stretch',
+    'currentCostume',
+    'rotationStyle',
+    'effects',
+    'volume',
+    'tempo',
+    'videoTransparency',
+    'videoState',
+    'textToSpeechLanguage',
+    '_edgeActivatedHatValues'
+];
+
+/**
+ * Names of the IO devices that are copied into snapshots. Devices that talk to external
+ * providers, such as the cloud and video, are not included.
+ * @const {Array.<string>}
+ */
+const IO_DEVICES = ['clock', 'keyboard', 'mouse', 'mouseWheel', 'touch', 'userData'];
+
+/**
+ * Properties of a stack frame that are copied into snapshots.
+ * @const {Array.<string>}
+ */
+const STACK_FRAME_PROPERTIES = [
+    'isLoop',
+    'warpMode',
+    'justReported',
+    'reporting',
+    'reported',
+    'waitingReporter',
+    'procedureDepth',
+    'params',
+    'localVariables',
+    'executionContext'
+];
+
+/**
+ * Deep copy a value. Plain objects, arrays, Maps, Sets and Timers are copied, anything else
+ * is returned as-is.
+ * @param {*} value Value to copy.
+ * @returns {*} The copy.
+ */
+const copyValue = value => {
+    if (typeof value !== 'object' || value === null) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(copyValue);
+    }
+    if (value instanceof Map) {
+        return new Map(Array.from(value, ([k, v]) => [k, copyValue(v)]));
+    }
+    if (value instanceof Set) {
+        return new Set(Array.from(value, copyValue));
+    }
+    if (value instanceof Timer) {
+        const timer = new Timer(value.nowObj);
+        timer.startTime = value.startTime;
+        return timer;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype === Object.prototype || prototype === null) {
+        const copy = {};
+        for (const key of Object.keys(value)) {
+            copy[key] = copyValue(value[key]);
+        }
+        return copy;
+    }
+    return value;
+};
+
+/**
+ * @param {Target} target Target to capture.
+ * @returns {object} Snapshot of the target.
+ */
+const captureTarget = target => {
+    const properties = {};
+    for (const property of TARGET_PROPERTIES) {
+        if (Object.prototype.hasOwnProperty.call(target, property)) {
+            properties[property] = copyValue(target[property]);
+        }
+    }
+    const variables = {};
+    for (const id of Object.keys(target.variables)) {
+        const variable = target.variables[id];
+        variables[id] = {
+            name: variable.name,
+            type: variable.type,
+            isCloud: variable.isCloud,
+            valueType: variable.valueType,
+            value: copyValue(variable.value)
+        };
+    }
+    return {
+        id: target.id,
+        isOriginal: target.isOriginal,
+        // Clones are recreated from the original target of their sprite
+        originalId: target.isOriginal ? target.id : target.sprite.clones[0].id,
+        properties,
+        variables,
+        customState: copyValue(target._customState)
+    };
+};
+
+/**
+ * @param {Target} target Target to restore.
+ * @param {object} state Snapshot from captureTarget.
+ */
+const restoreTarget = (target, state) => {
+    for (const property of Object.keys(state.properties)) {
+        target[property] = copyValue(state.properties[property]);
+    }
+    for (const id of Object.keys(state.variables)) {
+        const variableState = state.variables[id];
+        let variable = target.variables[id];
+        if (!variable) {
+            variable = new Variable(
+                id, variableState.name, variableState.type, variableState.isCloud, variableState.valueType
+            );
+            target.variables[id] = variable;
+        }
+        variable.value = copyValue(variableState.value);
+        if (variable.type === Variable.LIST_TYPE) {
+            variable._monitorUpToDate = false;
+        }
+    }
+    target._customState = copyValue(state.customState);
+    target.interpolationData = null;
+    target.updateAllDrawableProperties();
+};
+
+/**
+ * @param {Thread} thread Thread to capture.
+ * @returns {object} Snapshot of the thread.
+ */
+const captureThread = thread => ({
+    topBlock: thread.topBlock,
+    targetId: thread.target.id,
+    stackClick: thread.stackClick,
+    isCompiled: thread.isCompiled,
+    status: thread.status,
+    stack: thread.stack.slice(),
+    stackFrames: thread.stackFrames.map(frame => {
+        const frameState = {};
+        for (const property of STACK_FRAME_PROPERTIES) {
+            frameState[property] = copyValue(frame[property]);
+        }
+        return frameState;
+    }),
+    justReported: copyValue(thread.justReported),
+    localVariables: copyValue(thread.localVariables),
+    priority: thread.priority,
+    cpuTime: thread.cpuTime,
+    warpTimer: copyValue(thread.warpTimer)
+});
+
+/**
+ * @param {Runtime} runtime Runtime to create the thread in.
+ * @param {Target} target Target the thread runs on.
+ * @param {object} state Snapshot from captureThread.
+ * @returns {Thread} The restored thread.
+ */
+const restoreThread = (runtime, target, state) => {
+    const thread = new Thread(state.topBlock);
+    thread.target = target;
+    thread.stackClick = state.stackClick;
+    thread.updateMonitor = false;
+    thread.blockContainer = target.blocks;
+
+    if (state.isCompiled && runtime.compilerOptions.enabled) {
+        // The position of a generator can't be restored, so start the script again.
+        thread.pushStack(state.topBlock);
+        thread.tryCompile();
+        return thread;
+    }
+
+    for (let i = 0; i < state.stack.length; i++) {
+        thread.pushStack(state.stack[i]);
+        const frame = thread.peekStackFrame();
+        const frameState = state.stackFrames[i];
+        for (const property of STACK_FRAME_PROPERTIES) {
+            frame[property] = copyValue(frameState[property]);
+        }
+    }
+    thread.justReported = copyValue(state.justReported);
+    thread.localVariables = copyValue(state.localVariables);
+    thread.priority = state.priority || 0;
+    thread.cpuTime = state.cpuTime || 0;
+    thread.warpTimer = copyValue(state.warpTimer);
+    thread.status = state.status;
+    if (state.status === Thread.STATUS_PROMISE_WAIT) {
+        // The promise belongs to the old thread, so run the block again instead.
+        thread.status = Thread.STATUS_RUNNING;
+        const frame = thread.peekStackFrame();
+        if (frame) {
+            frame.reporting = '';
+            frame.reported = null;
+            frame.waitingReporter = null;
+        }
+    }
+    // Don't try to compile a thread that was interrupted part way through.
+    thread.triedToCompile = true;
+    return thread;
+};
+
+/**
+ * @param {object} device IO device to capture.
+ * @returns {object} Snapshot of the device.
+ */
+const captureDevice = device => {
+    const state = {};
+    for (const key of Object.keys(device)) {
+        if (key === 'runtime' || typeof device[key] === 'function') continue;
+        state[key] = copyValue(device[key]);
+    }
+    return state;
+};
+
+/**
+ * Capture the state of a runtime.
+ * @param {Runtime} runtime Runtime to capture.
+ * @returns {object} Snapshot that can be passed to restoreState.
+ */
+const captureState = runtime => {
+    const devices = {};
+    for (const name of IO_DEVICES) {
+        if (runtime.ioDevices[name]) {
+            devices[name] = captureDevice(runtime.ioDevices[name]);
+        }
+    }
+    return {
+        frame: runtime.frameCount,
+        currentMSecs: runtime.currentMSecs,
+        virtualTime: runtime.virtualTime,
+        virtualClock: Object.assign({}, runtime._virtualClock),
+        random: typeof runtime._random.getState === 'function' ? runtime._random.getState() : null,
+        // executableTargets is in layer order, from back to front
+        targets: runtime.executableTargets.map(captureTarget),
+        threads: runtime.threads
+            .filter(thread => !thread.isKilled && !thread.updateMonitor && thread.status !== Thread.STATUS_DONE)
+            .map(captureThread),
+        devices
+    };
+};
+
+/**
+ * Restore the state of a runtime from a snapshot. Must not be called while threads are being stepped.
+ * @param {Runtime} runtime Runtime to restore.
+ * @param {object} state Snapshot from captureState.
+ */
+const restoreState = (runtime, state) => {
+    // Stop everything that is running now
+    for (const thread of runtime.threads) {
+        thread.isKilled = true;
+    }
+    runtime.threads = [];
+
+    // Delete clones that did not exist when the snapshot was taken
+    const targetStates = new Map(state.targets.map(targetState => [targetState.id, targetState]));
+    for (const target of runtime.targets.slice()) {
+        if (!target.isOriginal && !targetStates.has(target.id)) {
+            runtime.disposeTarget(target);
+        }
+    }
+
+    // Restore targets, recreating clones that were deleted since
+    const restoredTargets = [];
+    for (const targetState of state.targets) {
+        let target = runtime.getTargetById(targetState.id);
+        if (!target) {
+            if (targetState.isOriginal) continue;
+            const original = runtime.getTargetById(targetState.originalId);
+            if (!original) continue;
+            runtime.changeCloneCounter(1);
+            target = original.sprite.createClone();
+            target.id = targetState.id;
+            target.initDrawable(StageLayering.SPRITE_LAYER);
+            runtime.addTarget(target);
+        }
+        restoreTarget(target, targetState);
+        restoredTargets.push(target);
+    }
+    for (const target of restoredTargets) {
+        if (!target.isStage) {
+            target.goToFront();
+        }
+    }
+
+    for (const threadState of state.threads) {
+        const target = runtime.getTargetById(threadState.targetId);
+        if (target) {
+            runtime.threads.push(restoreThread(runtime, target, threadState));
+        }
+    }
+    runtime.updateThreadMap();
+
+    for (const name of Object.keys(state.devices)) {
+        const device = runtime.ioDevices[name];
+        const deviceState = state.devices[name];
+        for (const key of Object.keys(deviceState)) {
+            device[key] = copyValue(deviceState[key]);
+        }
+    }
+
+    runtime.frameCount = state.frame;
+    runtime.currentMSecs = state.currentMSecs;
+    runtime.virtualTime = state.virtualTime;
+    runtime._virtualClock = Object.assign({}, state.virtualClock);
+    if (state.random === null) {
+        runtime._random = Math.random;
+    } else {
+        runtime._random = createSeededRandom(0);
+        runtime._random.setState(state.random);
+    }
+};
+
+/**
+ * Fixed size buffer of the snapshots of the most recent frames.
+ */
+class StateHistory {
+    /**
+     * @param {number} size Maximum number of frames to keep.
+     */
+    constructor (size) {
+        this.size = Math.max(1, Math.floor(size));
+
+        /**
+         * Snapshots, from oldest to newest.
+         * @type {Array.<object>}
+         */
+        this.states = [];
+    }
+
+    /**
+     * Add the snapshot of a frame, dropping the oldest one if the buffer is full.
+     * If the runtime was rewound, snapshots from frames at or after the new one are discarded first.
+     * @param {object} state Snapshot from captureState.
+     */
+    push (state) {
+        while (this.states.length > 0 && this.states[this.states.length - 1].frame >= state.frame) {
+            this.states.pop();
+        }
+        this.states.push(state);
+        if (this.states.length > this.size) {
+            this.states.shift();
+        }
+    }
+
+    /**
+     * @param {number} frame Value of runtime.frameCount when the snapshot was taken.
+     * @returns {?object} Snapshot of the frame, or null if it is not in the buffer.
+     */
+    get (frame) {
+        return this.states.find(state => state.frame === frame) || null;
+    }
+
+    /**
+     * @returns {Array.<number>} Frames in the buffer, from oldest to newest.
+     */
+    getFrames () {
+        return this.states.map(state => state.frame);
+    }
+
+    clear () {
+        this.states = [];
+    }
+}
+
+module.exports = {
+    captureState,
+    restoreState,
+    StateHistory
+};
@@ -32,6 +32,13 @@ const Touch = require('../io/touch');
 
 const StringUtil = require('../util/string-util');
 const uid = require('../util/uid');
+const createSeededRandom = require('../util/seeded-random');
+const runtimeState = require('./runtime-state');
+const Debugger = require('./debugger');
+const BlockProfiler = require('./block-profiler');
+const {getBlockIdForError} = require('../compiler/source-map');
+const ExtensionMigrations = require('../serialization/extension-migrations');
+const AssetLoadTracker = require('./asset-load-tracker');
 
 const defaultBlockPackages = {
     scratch3_control: require('../blocks/scratch3_control'),
@@ -203,6 +210,11 @@ let stepThreadsProfilerId = -1;
  */
 let rendererDrawProfilerId = -1;
 
+/**
+ * @returns {boolean} Whether the page is in a background tab. Always false in a worker, which has no document.
+ */
+const isDocumentHidden = () => typeof document !== 'undefined' && document.hidden;
+
 /**
  * Manages targets, scripts, and the sequencer.
  * @constructor
@@ -276,6 +288,24 @@ class Runtime extends EventEmitter {
          */
         this._hats = {};
 
+        /**
+         * Compile hooks registered by extensions, keyed by opcode including the extension ID.
+         * @type {Object.<string, CompileHook>}
+         */
+        this._compileHooks = {};
+
+        /**
+         * Versions and migrations of extensions, used to update their blocks in older projects.
+         * @type {ExtensionMigrations}
+         */
+        this.extensionMigrations = new ExtensionMigrations(this);
+
+        /**
+         * Costumes and sounds that are still loading, and how much has loaded.
+         * @type {AssetLoadTracker}
+         */
+        this.assetLoadTracker = new AssetLoadTracker(this);
+
         /**
          * A list of script block IDs that were glowing during the previous frame.
          * @type {!Array.<!string>}
@@ -347,6 +377,18 @@ class Runtime extends EventEmitter {
         // Set an intial value for this.currentMSecs
         this.updateCurrentMSecs();
 
+        /**
+         * Number of times the runtime has stepped. Used to timestamp recorded input.
+         * @type {number}
+         */
+        this.frameCount = 0;
+
+        /**
+         * Snapshots of the most recent frames, if enabled with enableStateHistory.
+         * @type {?StateHistory}
+         */
+        this.stateHistory = null;
+
         /**
          * Whether any primitive has requested a redraw.
          * Affects whether `Sequencer.stepThreads` will yield
@@ -385,6 +427,12 @@ class Runtime extends EventEmitter {
          */
         this.profiler = null;
 
+        /**
+         * Measures time spent in each opcode, script, target and custom block, if enabled.
+         * @type {?BlockProfiler}
+         */
+        this.blockProfiler = null;
+
         this.cloudOptions = {
             limit: 10
         };
@@ -448,7 +496,38 @@ class Runtime extends EventEmitter {
         this.runtimeOptions = {
             maxClones: Runtime.MAX_CLONES,
             miscLimits: true,
-            fencing: true
+            fencing: true,
+            seed: null,
+            errorBehavior: Runtime.ERROR_HALT_THREAD,
+            maxRecursionDepth: Runtime.MAX_RECURSION_DEPTH,
+            maxStepsPerFrame: Runtime.MAX_STEPS_PER_FRAME,
+            scheduling: Runtime.SCHEDULE_ROUND_ROBIN
+        };
+
+        /**
+         * Source of random numbers for core blocks. Replaced with a seeded generator
+         * when runtimeOptions.seed is set.
+         * @type {function(): number}
+         */
+        this._random = Math.random;
+
+        /**
+         * When runtimeOptions.seed is set, the time in milliseconds reported by the virtual clock.
+         * It advances by exactly one frame per step instead of following the real time.
+         * Null when the real time is used.
+         * @type {?number}
+         */
+        this.virtualTime = null;
+
+        /**
+         * The virtual time is computed as a multiple of the step time since the step time last
+         * changed, so that floating point error doesn't accumulate over many steps.
+         * @type {{base: number, stepTime: number, steps: number}}
+         */
+        this._virtualClock = {
+            base: 0,
+            stepTime: 0,
+            steps: 0
         };
 
         this.compilerOptions = {
@@ -456,11 +535,36 @@ class Runtime extends EventEmitter {
             warpTimer: false
         };
 
+        /**
+         * Cache of compiled scripts that is kept when the project is reloaded, or null to always compile scripts.
+         * @type {?CompileCache}
+         */
+        this.compileCache = null;
+
+        /**
+         * Compiles scripts in a worker, or null to compile them on the main thread.
+         * @type {?WorkerCompiler}
+         */
+        this.workerCompiler = null;
+
         this.debug = false;
 
+        /**
+         * Breakpoints and stepping. Only used while debug is enabled.
+         * @type {Debugger}
+         */
+        this.debugger = new Debugger(this);
+
         this._lastStepTime = Date.now();
         this.interpolationEnabled = false;
 
+        /**
+         * Real time in seconds between the start of the last frame and the one before it.
+         * In fixed timestep mode, a frame is a display frame that may run any number of steps.
+         * @type {number}
+         */
+        this.deltaTime = 0;
+
         this._defaultStoredSettings = this._generateAllProjectOptions();
 
         /**
@@ -598,6 +702,15 @@ class Runtime extends EventEmitter {
         return 'COMPILER_OPTIONS_CHANGED';
     }
 
+    /**
+     * Event name for progress compiling the project with precompile().
+     * Called with an object with the number of scripts that have been compiled and the total number of scripts.
+     * @const {string}
+     */
+    static get COMPILATION_PROGRESS () {
+        return 'COMPILATION_PROGRESS';
+    }
+
     /**
      * Event name for framerate changing.
      * @const {string}
@@ -614,6 +727,14 @@ class Runtime extends EventEmitter {
         return 'INTERPOLATION_CHANGED';
     }
 
+    /**
+     * Event name for fixed timestep mode changing.
+     * @const {string}
+     */
+    static get FIXED_TIMESTEP_CHANGED () {
+        return 'FIXED_TIMESTEP_CHANGED';
+    }
+
     /**
      * Event name for stage size changing.
      * @const {string}
@@ -715,6 +836,32 @@ class Runtime extends EventEmitter {
         return 'PROJECT_CHANGED';
     }
 
+    /**
+     * Event name for report that blocks from older versions of extensions were updated when loading
+     * a project or sprite. Emitted with the list of changes.
+     * @const {string}
+     */
+    static get EXTENSIONS_MIGRATED () {
+        return 'EXTENSIONS_MIGRATED';
+    }
+
+    /**
+     * Event name for report that more of the project's costumes and sounds have loaded.
+     * Emitted with an AssetLoadProgress.
+     * @const {string}
+     */
+    static get ASSET_LOAD_PROGRESS () {
+        return 'ASSET_LOAD_PROGRESS';
+    }
+
+    /**
+     * Event name for report that all of the costumes and sounds being loaded have loaded.
+     * @const {string}
+     */
+    static get ASSETS_LOADED () {
+        return 'ASSETS_LOADED';
+    }
+
     /**
      * Event name for report that a change was made to an extension in the toolbox.
      * @const {string}
@@ -883,6 +1030,49 @@ class Runtime extends EventEmitter {
         return 'RUNTIME_STEP_START';
     }
 
+    /**
+     * The time the virtual clock starts at in deterministic mode, in milliseconds since the Unix epoch.
+     * @const {number}
+     */
+    static get DETERMINISTIC_EPOCH () {
+        // Date.UTC(2020, 0, 1)
+        return 1577836800000;
+    }
+
+    /**
+     * Event name for data being posted to an IO device.
+     * @const {string}
+     */
+    static get IO_DATA_POSTED () {
+        return 'IO_DATA_POSTED';
+    }
+
+    /**
+     * Event name for the runtime being restored from a snapshot.
+     * @const {string}
+     */
+    static get STATE_RESTORED () {
+        return 'STATE_RESTORED';
+    }
+
+    /**
+     * Event name for execution pausing at a breakpoint or after a step.
+     * Emitted with a BreakpointHit object. See debugger.js.
+     * @const {string}
+     */
+    static get BREAKPOINT_HIT () {
+        return 'BREAKPOINT_HIT';
+    }
+
+    /**
+     * Event name for an error thrown while a script was running.
+     * Emitted with a RuntimeError object. See handleRuntimeError.
+     * @const {string}
+     */
+    static get RUNTIME_ERROR () {
+        return 'RUNTIME_ERROR';
+    }
+
     /**
      * Event name for reporting that a block was updated and needs to be rerendered.
      * @const {string}
@@ -916,6 +1106,76 @@ class Runtime extends EventEmitter {
         return 300;
     }
 
+    /**
+     * How deeply custom block calls can be nested in a thread before it stops with an error.
+     * Compiled scripts only count the calls that custom blocks make to themselves.
+     * @const {number}
+     */
+    static get MAX_RECURSION_DEPTH () {
+        // Like maxClones, this is only the initial value of runtimeOptions.maxRecursionDepth
+        return 100000;
+    }
+
+    /**
+     * In fixed timestep mode, the most steps that run in one display frame to catch up after the page stutters.
+     * @const {number}
+     */
+    static get MAX_STEPS_PER_FRAME () {
+        return 5;
+    }
+
+    /**
+     * runtimeOptions.errorBehavior: when a block throws an error, stop the script that was running it.
+     * @const {string}
+     */
+    static get ERROR_HALT_THREAD () {
+        return 'haltThread';
+    }
+
+    /**
+     * runtimeOptions.errorBehavior: when a block throws an error, stop the whole project.
+     * @const {string}
+     */
+    static get ERROR_HALT_PROJECT () {
+        return 'haltProject';
+    }
+
+    /**
+     * runtimeOptions.errorBehavior: when a block throws an error, continue as if the block had
+     * finished and reported an empty string.
+     * @const {string}
+     */
+    static get ERROR_CONTINUE () {
+        return 'continue';
+    }
+
+    /**
+     * runtimeOptions.scheduling: every tick runs each thread once, in target execution order,
+     * until the frame's work time runs out.
+     * @const {string}
+     */
+    static get SCHEDULE_ROUND_ROBIN () {
+        return 'roundRobin';
+    }
+
+    /**
+     * runtimeOptions.scheduling: like SCHEDULE_ROUND_ROBIN, but every tick runs threads with a higher
+     * priority first. Threads with the same priority run in target execution order.
+     * @const {string}
+     */
+    static get SCHEDULE_PRIORITY () {
+        return 'priority';
+    }
+
+    /**
+     * runtimeOptions.scheduling: the frame's work time is shared equally between the threads that
+     * are running at the start of it. Threads that used up their share wait for the next frame.
+     * @const {string}
+     */
+    static get SCHEDULE_TIME_SLICED () {
+        return 'timeSliced';
+    }
+
     // -----------------------------------------------------------------------------
     // -----------------------------------------------------------------------------
 
@@ -981,8 +1241,65 @@ class Runtime extends EventEmitter {
         }
     }
 
+    /**
+     * Make an extension available to compiled scripts as runtime.ext_<name>, and register the
+     * compile hooks returned by its optional getCompileInfo method and the migrations returned by its
+     * optional getMigrationInfo method.
+     * @param {string} name ID of the extension.
+     * @param {object} extensionObject The extension.
+     */
     compilerRegisterExtension (name, extensionObject) {
         this[`ext_${name}`] = extensionObject;
+        if (typeof extensionObject.getCompileInfo === 'function') {
+            const hooks = extensionObject.getCompileInfo();
+            for (const opcode of Object.keys(hooks)) {
+                this.registerCompileHook(`${name}_${opcode}`, hooks[opcode]);
+            }
+        }
+        if (typeof extensionObject.getMigrationInfo === 'function') {
+            this.extensionMigrations.register(name, extensionObject.getMigrationInfo());
+        }
+    }
+
+    /**
+     * @typedef {object} CompileHook
+     * @property {function(object, JSGenerator, *): string} js Generates the JavaScript for the block.
+     * Called with the block's inputs and fields as JavaScript expressions, the code generator and the value
+     * returned by ir. Stack blocks return statements and reporters return an expression.
+     * The generated code can use runtime, target and thread, and extensions as runtime.ext_<id>.
+     * @property {Object.<string, string>} [inputs] Type each input is converted to before it is passed to js:
+     * 'number', 'string', 'boolean' or 'unknown'. Inputs that are not listed are 'unknown'.
+     * @property {string} [output] Type of the value a reporter returns, as for inputs.
+     * Hooks without an output are for stack blocks.
+     * @property {boolean} [yields] True if the generated code can yield, such as with yield* waitPromise().
+     * @property {function(object, ScriptTreeGenerator): *} [ir] Called with the block when the script is
+     * analyzed. Its return value is stored in the intermediate representation, so it must be plain data.
+     */
+
+    /**
+     * Let the compiler generate JavaScript for a block directly instead of calling its function through
+     * the compatibility layer. Scripts that were already compiled are compiled again.
+     * Blocks with branches are not supported.
+     * @param {string} opcode Opcode of the block, including the extension ID.
+     * @param {CompileHook} hook How to compile the block.
+     */
+    registerCompileHook (opcode, hook) {
+        if (typeof hook.js !== 'function') {
+            throw new Error(`Compile hook for ${opcode} has no js function`);
+        }
+        this._compileHooks[opcode] = hook;
+        this.resetAllCaches();
+    }
+
+    /**
+     * @param {string} opcode Opcode of a block, including the extension ID.
+     * @returns {?CompileHook} The compile hook for the block, if one was registered.
+     */
+    getCompileHook (opcode) {
+        if (Object.prototype.hasOwnProperty.call(this._compileHooks, opcode)) {
+            return this._compileHooks[opcode];
+        }
+        return null;
     }
 
     getMonitorState () {
@@ -1923,6 +2240,9 @@ class Runtime extends EventEmitter {
      * @return {Thread} The restarted thread.
      */
     _restartThread (thread) {
+        if (this.blockProfiler !== null) {
+            this.blockProfiler.retireThread(thread);
+        }
         const newThread = new Thread(thread.topBlock);
         newThread.target = thread.target;
         newThread.stackClick = thread.stackClick;
@@ -1945,8 +2265,130 @@ class Runtime extends EventEmitter {
         return thread;
     }
 
-    emitCompileError (target, error) {
-        this.emit(Runtime.COMPILE_ERROR, target, error);
+    /**
+     * @param {Target} target The target whose script failed.
+     * @param {*} error The error.
+     * @param {string|null} [blockId] The ID of the block that caused the error, if known.
+     */
+    emitCompileError (target, error, blockId = null) {
+        this.emit(Runtime.COMPILE_ERROR, target, error, blockId);
+    }
+
+    /**
+     * @typedef {object} RuntimeError
+     * @property {*} error The error that was thrown, or the reason a promise was rejected.
+     * @property {string} targetId ID of the target running the script.
+     * @property {string} topBlockId ID of the top block of the script.
+     * @property {?string} blockId ID of the block that failed, if known. In compiled scripts, this is the
+     * stack block that was running, not the reporter inside it.
+     * @property {?string} opcode Opcode of the block that failed, if known.
+     * @property {boolean} isCompiled Whether the script was compiled.
+     */
+
+    /**
+     * Report an error thrown by a block, then stop the thread or the project depending on
+     * runtimeOptions.errorBehavior.
+     * @param {Thread} thread The thread that was running the block.
+     * @param {*} error The error.
+     * @param {?string} [blockId] ID of the block that failed. For compiled scripts, found from the
+     * error's stack trace if not given.
+     * @returns {boolean} True if the thread should continue as if the block reported an empty string.
+     * Otherwise the thread has been stopped.
+     */
+    handleRuntimeError (thread, error, blockId = null) {
+        if (blockId === null && thread.isCompiled && thread.sourceMaps) {
+            blockId = getBlockIdForError(error, thread.sourceMaps);
+        }
+        let opcode = null;
+        if (blockId !== null) {
+            const block = (thread.blockContainer && thread.blockContainer.getBlock(blockId)) ||
+                this.flyoutBlocks.getBlock(blockId);
+            if (block) {
+                opcode = block.opcode;
+            }
+        }
+
+        log.error('error in script', thread.target.getName(), opcode, error);
+        if (thread.isCompiled) {
+            this.emitCompileError(thread.target, error, blockId);
+        }
+        /** @type {RuntimeError} */
+        const runtimeError = {
+            error,
+            targetId: thread.target.id,
+            topBlockId: thread.topBlock,
+            blockId,
+            opcode,
+            isCompiled: thread.isCompiled
+        };
+        this.emit(Runtime.RUNTIME_ERROR, runtimeError);
+
+        const behavior = this.runtimeOptions.errorBehavior;
+        if (behavior === Runtime.ERROR_CONTINUE) {
+            return true;
+        }
+        if (thread.isKilled) {
+            // The thread was already stopped, eg. a promise was rejected after the project was stopped.
+            return false;
+        }
+        if (behavior === Runtime.ERROR_HALT_PROJECT) {
+            this.stopAll();
+        } else {
+            this.sequencer.retireThread(thread);
+        }
+        return false;
+    }
+
+    /**
+     * Compile a script, or get it from the cache, to see what the compiler generates for it.
+     * @param {Target} target The target that owns the script.
+     * @param {string} topBlockId The ID of the top block of the script.
+     * @returns {{ir: ?IntermediateRepresentation, entry: object, procedures: Object.<string, object>}}
+     * The intermediate representation of the script and the procedures it calls, and the JS generated for each
+     * of them, keyed by procedure variant. ir is null if the script was loaded from the compile cache. The JS is
+     * described by an object with the source of the script factory, the sourceURL it was evaluated with and a
+     * sourceMap listing the lines where each block's code starts.
+     * @throws {*} If the script could not be compiled.
+     */
+    getCompiledScript (target, topBlockId) {
+        // Same as thread.tryCompile(), without starting the script.
+        const compile = require('../compiler/compile');
+        const blocks = target.blocks.getBlock(topBlockId) ? target.blocks : this.flyoutBlocks;
+        const cachedResult = blocks.getCachedCompileResult(topBlockId);
+        if (cachedResult && !cachedResult.success) {
+            throw cachedResult.value;
+        }
+
+        let result;
+        if (cachedResult) {
+            result = cachedResult.value;
+        } else {
+            const thread = new Thread(topBlockId);
+            thread.target = target;
+            thread.blockContainer = target.blocks;
+            try {
+                result = compile(thread);
+            } catch (error) {
+                blocks.cacheCompileError(topBlockId, error);
+                throw error;
+            }
+            blocks.cacheCompileResult(topBlockId, result);
+        }
+
+        const describe = script => ({
+            source: script.cachedSource,
+            sourceURL: script.cachedSourceMap.sourceURL,
+            sourceMap: script.cachedSourceMap.mappings.map(mapping => Object.assign({}, mapping))
+        });
+        const procedures = {};
+        for (const procedureVariant of Object.keys(result.ir.procedures)) {
+            procedures[procedureVariant] = describe(result.ir.procedures[procedureVariant]);
+        }
+        return {
+            ir: result.fromCache ? null : result.ir,
+            entry: describe(result.ir.entry),
+            procedures
+        };
     }
 
     /**
@@ -2165,6 +2607,7 @@ class Runtime extends EventEmitter {
         }
         this.emit(Runtime.RUNTIME_DISPOSED);
         this.ioDevices.clock.resetProjectTimer();
+        this.assetLoadTracker.reset();
         // @todo clear out extensions? turboMode? etc.
 
         // *********** Cloud *******************
@@ -2299,6 +2742,9 @@ class Runtime extends EventEmitter {
         this.emit(Runtime.PROJECT_START_BEFORE_RESET);
         this.stopAll();
         this.emit(Runtime.PROJECT_START);
+        if (this.isDeterministic()) {
+            this.resetDeterministicState();
+        }
         this.updateCurrentMSecs();
         this.ioDevices.clock.resetProjectTimer();
         this.targets.forEach(target => target.clearEdgeActivatedValues());
@@ -2333,8 +2779,17 @@ class Runtime extends EventEmitter {
             this._stopThread(this.sequencer.activeThread);
         }
         // Remove all remaining threads from executing in the next tick.
+        if (this.blockProfiler !== null) {
+            for (const thread of this.threads) {
+                this.blockProfiler.retireThread(thread);
+            }
+        }
         this.threads = [];
         this.threadMap.clear();
+        // Nothing is left to debug, so let new scripts run.
+        this.debugger.resume();
+        // Don't start the green flag scripts once the project's assets have loaded.
+        this.assetLoadTracker.cancelWaitingCall();
     }
 
     _renderInterpolatedPositions () {
@@ -2350,6 +2805,20 @@ class Runtime extends EventEmitter {
         }
     }
 
+    /**
+     * Draw the stage at the end of a display frame in fixed timestep mode.
+     * @param {number} progressInStep How far the frame is into the next step, in [0-1). Used for interpolation.
+     */
+    _renderFixedTimestepFrame (progressInStep) {
+        if (this.interpolationEnabled) {
+            interpolate.interpolate(this, progressInStep);
+        }
+
+        if (this.renderer && !isDocumentHidden()) {
+            this.renderer.draw();
+        }
+    }
+
     updateThreadMap () {
         this.threadMap.clear();
         for (const thread of this.threads) {
@@ -2364,9 +2833,15 @@ class Runtime extends EventEmitter {
      * inactive threads after each iteration.
      */
     _step () {
+        this.frameCount++;
+
         // pm: emit this event because i want it
         this.emit(Runtime.RUNTIME_STEP_START);
 
+        if (this.virtualTime !== null) {
+            this._advanceVirtualClock();
+        }
+
         if (this.interpolationEnabled) {
             interpolate.setupInitialState(this);
         }
@@ -2383,7 +2858,9 @@ class Runtime extends EventEmitter {
         this.updateThreadMap();
 
         // Find all edge-activated hats, and add them to threads to be evaluated.
+        // While the debugger is paused they could restart the paused thread, so they are not checked.
         for (const hatType in this._hats) {
+            if (this.debugger.paused) break;
             if (!this._hats.hasOwnProperty(hatType)) continue;
             const hat = this._hats[hatType];
             if (hat.edgeActivated) {
@@ -2422,7 +2899,11 @@ class Runtime extends EventEmitter {
             // tw: do not draw if document is hidden or a rAF loop is running
             // Checking for the animation frame loop is more reliable than using
             // interpolationEnabled in some edge cases
-            if (!document.hidden && !this.frameLoop._interpolationAnimation) {
+            if (
+                !isDocumentHidden() &&
+                !this.frameLoop._interpolationAnimation &&
+                !this.frameLoop._fixedTimestepAnimation
+            ) {
                 this.renderer.draw();
             }
             if (this.profiler !== null) {
@@ -2448,6 +2929,10 @@ class Runtime extends EventEmitter {
         if (this.interpolationEnabled) {
             this._lastStepTime = Date.now();
         }
+
+        if (this.stateHistory !== null) {
+            this.stateHistory.push(this.captureState());
+        }
     }
 
     /**
@@ -2526,12 +3011,26 @@ class Runtime extends EventEmitter {
         this.emit(Runtime.INTERPOLATION_CHANGED, interpolationEnabled);
     }
 
+    /**
+     * Enable or disable fixed timestep mode, where steps run at the framerate independently of
+     * the display's refresh rate. See FrameLoop.setFixedTimestep.
+     * @param {boolean} fixedTimestep True if fixed timestep mode should be enabled.
+     */
+    setFixedTimestep (fixedTimestep) {
+        this.frameLoop.setFixedTimestep(fixedTimestep);
+        this.emit(Runtime.FIXED_TIMESTEP_CHANGED, fixedTimestep);
+    }
+
     /**
      * tw: Update runtime options
      * @param {*} runtimeOptions New options
      */
     setRuntimeOptions (runtimeOptions) {
+        const oldSeed = this.runtimeOptions.seed;
         this.runtimeOptions = Object.assign({}, this.runtimeOptions, runtimeOptions);
+        if (this.runtimeOptions.seed !== oldSeed) {
+            this.resetDeterministicState();
+        }
         this.emit(Runtime.RUNTIME_OPTIONS_CHANGED, this.runtimeOptions);
         if (this.renderer) {
             this.renderer.offscreenTouching = !this.runtimeOptions.fencing;
@@ -2548,6 +3047,20 @@ class Runtime extends EventEmitter {
         this.emit(Runtime.COMPILER_OPTIONS_CHANGED, this.compilerOptions);
     }
 
+    /**
+     * Keep compiled scripts in a cache that outlives block containers, so scripts that haven't changed are not
+     * compiled again when the project is reloaded.
+     * @param {?('memory'|CompileCacheStorage)} storage 'memory' to keep compiled scripts in memory, an object
+     * with get(key) and set(key, entry) methods to store them somewhere else, or null to disable the cache.
+     * Compiled scripts are never saved in or loaded from projects, as running code from a project file would
+     * get around the extension security manager.
+     */
+    setCompileCache (storage) {
+        const {CompileCache} = require('../compiler/compile-cache');
+        this.compileCache = storage ? CompileCache.create(this, storage) : null;
+        this.resetAllCaches();
+    }
+
     /**
      * Change width and height of stage. This will also inform the renderer of the new stage size.
      * @param {number} width New stage width
@@ -2716,6 +3229,9 @@ class Runtime extends EventEmitter {
         if (parsed.interpolation) {
             this.setInterpolation(true);
         }
+        if (parsed.fixedTimestep) {
+            this.setFixedTimestep(true);
+        }
         if (parsed.runtimeOptions) {
             this.setRuntimeOptions(parsed.runtimeOptions);
         }
@@ -2734,6 +3250,7 @@ class Runtime extends EventEmitter {
             framerate: this.frameLoop.framerate,
             runtimeOptions: this.runtimeOptions,
             interpolation: this.interpolationEnabled,
+            fixedTimestep: this.frameLoop.fixedTimestep,
             turbo: this.turboMode,
             hq: this.renderer ? this.renderer.useHighQualityRender : false,
             width: this.stageWidth,
@@ -2778,17 +3295,50 @@ class Runtime extends EventEmitter {
 
     /**
      * Eagerly (re)compile all scripts within this project.
+     * Emits COMPILATION_PROGRESS after each script.
+     * @returns {Promise} Resolves when every script has been compiled. Only takes time when scripts are
+     * compiled in a worker.
      */
     precompile () {
+        const threads = [];
         this.allScriptsDo((topBlockId, target) => {
             const topBlock = target.blocks.getBlock(topBlockId);
             if (this.getIsHat(topBlock.opcode)) {
                 const thread = new Thread(topBlockId);
                 thread.target = target;
                 thread.blockContainer = target.blocks;
-                thread.tryCompile();
+                threads.push(thread);
             }
         });
+
+        const total = threads.length;
+        let compiled = 0;
+        const onCompiled = () => {
+            compiled++;
+            this.emit(Runtime.COMPILATION_PROGRESS, {compiled, total});
+        };
+
+        return Promise.all(threads.map(thread => {
+            thread.tryCompile();
+            const pendingCompile = thread.blockContainer.getPendingCompile(thread.topBlock);
+            if (pendingCompile) {
+                return pendingCompile.promise.then(onCompiled);
+            }
+            onCompiled();
+            return null;
+        }));
+    }
+
+    /**
+     * Compile scripts in a worker from now on. Until a script has been compiled, threads running it use
+     * the interpreter. Use precompile() to start compiling every script in the project.
+     * @param {CompilerService} [service] Compiles jobs instead of a new worker.
+     */
+    enableCompilerWorker (service) {
+        if (!this.workerCompiler) {
+            const WorkerCompiler = require('../compiler/worker-compiler');
+            this.workerCompiler = new WorkerCompiler(this, service);
+        }
     }
 
     enableDebug () {
@@ -2796,6 +3346,77 @@ class Runtime extends EventEmitter {
         this.debug = true;
     }
 
+    /**
+     * Turn off debug mode. Scripts are recompiled without debugger checkpoints and any pause is resumed.
+     */
+    disableDebug () {
+        this.resetAllCaches();
+        this.debug = false;
+        this.debugger.resume();
+    }
+
+    /**
+     * Pause execution before the next block runs. Requires debug mode.
+     */
+    pauseExecution () {
+        this.debugger.pause();
+    }
+
+    /**
+     * Resume execution until the next breakpoint.
+     */
+    resumeExecution () {
+        this.debugger.resume();
+    }
+
+    /**
+     * @returns {boolean} True if execution is paused by the debugger.
+     */
+    isExecutionPaused () {
+        return this.debugger.paused;
+    }
+
+    /**
+     * Run the paused thread until it reaches the next block, going into branches and custom blocks.
+     */
+    stepInto () {
+        this.debugger.stepInto();
+    }
+
+    /**
+     * Run the paused thread until it reaches the next block after the one it is paused at,
+     * without stopping inside its branches or custom block definition.
+     */
+    stepOver () {
+        this.debugger.stepOver();
+    }
+
+    /**
+     * Pause execution before a block runs. Requires debug mode.
+     * @param {string} blockId ID of a stack block.
+     */
+    setBreakpoint (blockId) {
+        this.debugger.setBreakpoint(blockId);
+    }
+
+    /**
+     * @param {string} blockId ID of a block with a breakpoint.
+     */
+    removeBreakpoint (blockId) {
+        this.debugger.removeBreakpoint(blockId);
+    }
+
+    clearBreakpoints () {
+        this.debugger.clearBreakpoints();
+    }
+
+    /**
+     * @returns {Array.<string>} IDs of blocks with breakpoints.
+     */
+    getBreakpoints () {
+        return this.debugger.getBreakpoints();
+    }
+
     /**
      * Emit glows/glow clears for scripts after a single tick.
      * Looks at `this.threads` and notices which have turned on/off new glows.
@@ -3088,6 +3709,21 @@ class Runtime extends EventEmitter {
         this.emit(Runtime.PROJECT_CHANGED);
     }
 
+    /**
+     * Report how much of the project's costumes and sounds have loaded.
+     * @param {AssetLoadProgress} progress How much has loaded.
+     */
+    emitAssetLoadProgress (progress) {
+        this.emit(Runtime.ASSET_LOAD_PROGRESS, progress);
+    }
+
+    /**
+     * Report that all of the costumes and sounds being loaded have loaded.
+     */
+    emitAssetsLoaded () {
+        this.emit(Runtime.ASSETS_LOADED);
+    }
+
     /**
      * Report that a new target has been created, possibly by cloning an existing target.
      * @param {Target} newTarget - the newly created target.
@@ -3239,6 +3875,70 @@ class Runtime extends EventEmitter {
         this.emit(Runtime.RUNTIME_STOPPED);
     }
 
+    /**
+     * Post I/O data to the virtual devices.
+     * @param {string} device Name of virtual I/O device.
+     * @param {object} data Any data object to post to the I/O device.
+     */
+    postIOData (device, data) {
+        if (this.ioDevices[device]) {
+            this.ioDevices[device].postData(data);
+            this.emit(Runtime.IO_DATA_POSTED, device, data);
+        }
+    }
+
+    /**
+     * Capture the state of the running project: targets including clones, variables, custom state,
+     * threads, IO devices and timers. See runtime-state.js for what can and can't be restored.
+     * @returns {object} Snapshot that can be passed to restoreState.
+     */
+    captureState () {
+        return runtimeState.captureState(this);
+    }
+
+    /**
+     * Restore the state of the running project from a snapshot. Compiled threads are restarted
+     * from the top of their script because their position can't be captured.
+     * Must not be called while threads are being stepped.
+     * @param {object} state Snapshot from captureState.
+     */
+    restoreState (state) {
+        runtimeState.restoreState(this, state);
+        this._refreshTargets = true;
+        this.requestRedraw();
+        this.emit(Runtime.STATE_RESTORED, state.frame);
+    }
+
+    /**
+     * Start capturing a snapshot after every step so that the project can be rewound.
+     * @param {number} frames Number of frames to keep.
+     */
+    enableStateHistory (frames) {
+        this.stateHistory = new runtimeState.StateHistory(frames);
+    }
+
+    /**
+     * Stop capturing snapshots and discard the history.
+     */
+    disableStateHistory () {
+        this.stateHistory = null;
+    }
+
+    /**
+     * Rewind the project to the end of a frame in the state history.
+     * Frames after it stay in the history until the runtime steps again.
+     * @param {number} frame Value of frameCount to rewind to.
+     * @returns {boolean} True if the frame was in the history.
+     */
+    rewindToFrame (frame) {
+        const state = this.stateHistory && this.stateHistory.get(frame);
+        if (!state) {
+            return false;
+        }
+        this.restoreState(state);
+        return true;
+    }
+
     /**
      * Turn on profiling.
      * @param {Profiler/FrameCallback} onFrame A callback handle passed a
@@ -3257,13 +3957,104 @@ class Runtime extends EventEmitter {
         this.profiler = null;
     }
 
+    /**
+     * Start measuring how much time the project spends in each opcode, script, target and custom block.
+     * Scripts are recompiled so that compiled scripts are measured too.
+     * @param {object} [options] Options passed to BlockProfiler.
+     * @returns {BlockProfiler} The new profiler.
+     */
+    enableBlockProfiling (options) {
+        this.blockProfiler = new BlockProfiler(options);
+        this.resetAllCaches();
+        return this.blockProfiler;
+    }
+
+    /**
+     * Stop block profiling. Scripts are recompiled without measurements.
+     * @returns {?object} The final profile report, or null if block profiling was not enabled.
+     */
+    disableBlockProfiling () {
+        if (this.blockProfiler === null) {
+            return null;
+        }
+        const report = this.blockProfiler.getReport();
+        this.blockProfiler = null;
+        this.resetAllCaches();
+        return report;
+    }
+
     /**
      * Update a millisecond timestamp value that is saved on the Runtime.
      * This value is helpful in certain instances for compatibility with Scratch 2,
      * which sometimes uses a `currentMSecs` timestamp value in Interpreter.as
      */
     updateCurrentMSecs () {
-        this.currentMSecs = Date.now();
+        this.currentMSecs = this.now();
+    }
+
+    /**
+     * Deterministic mode makes the same project replay identically in both the interpreter and the compiler.
+     * Warp mode timers still use the real time, so a custom block that runs without screen refresh for
+     * longer than Sequencer.WARP_TIME may still yield at a different point between runs.
+     * @returns {boolean} True if a seed is set, so random numbers and time are deterministic.
+     */
+    isDeterministic () {
+        return this.runtimeOptions.seed !== null && typeof this.runtimeOptions.seed !== 'undefined';
+    }
+
+    /**
+     * Reseed the random number generator and rewind the virtual clock to its epoch, so that
+     * running the project again replays identically. Called when the seed changes and when
+     * the green flag is clicked. Switches back to Math.random() and the real time if there is no seed.
+     */
+    resetDeterministicState () {
+        if (this.isDeterministic()) {
+            this._random = createSeededRandom(this.runtimeOptions.seed);
+            this.virtualTime = Runtime.DETERMINISTIC_EPOCH;
+            this._virtualClock.base = this.virtualTime;
+            this._virtualClock.stepTime = this.currentStepTime;
+            this._virtualClock.steps = 0;
+        } else {
+            this._random = Math.random;
+            this.virtualTime = null;
+        }
+        this.updateCurrentMSecs();
+    }
+
+    /**
+     * Advance the virtual clock by one step.
+     */
+    _advanceVirtualClock () {
+        const clock = this._virtualClock;
+        if (clock.stepTime !== this.currentStepTime) {
+            clock.base = this.virtualTime;
+            clock.stepTime = this.currentStepTime;
+            clock.steps = 0;
+        }
+        clock.steps++;
+        this.virtualTime = clock.base + (clock.steps * clock.stepTime);
+    }
+
+    /**
+     * Get a random number for use by blocks. Blocks should use this instead of Math.random()
+     * so that they respect runtimeOptions.seed.
+     * @returns {number} A number in the range [0, 1)
+     */
+    random () {
+        return this._random();
+    }
+
+    /**
+     * Get the current time for use by blocks. Blocks should use this instead of Date.now()
+     * so that they respect the virtual clock used when runtimeOptions.seed is set.
+     * @returns {number} Milliseconds since the Unix epoch.
+     */
+    now () {
+        // This can be called before the constructor has set virtualTime
+        if (typeof this.virtualTime === 'number') {
+            return this.virtualTime;
+        }
+        return Date.now();
     }
 
     updatePrivacy () {
@@ -65,7 +65,17 @@ class Sequencer {
     }
 
     /**
-     * Step through all threads in `this.runtime.threads`, running them in order.
+     * Number of ticks to run per step in deterministic mode, which replaces WORK_TIME.
+     * How much real time a tick takes varies between runs, so it can't decide how many ticks run.
+     * @type {number}
+     */
+    static get DETERMINISTIC_TICKS () {
+        return 100;
+    }
+
+    /**
+     * Step through all threads in `this.runtime.threads`, running them in the order
+     * runtimeOptions.scheduling calls for.
      * @return {Array.<!Thread>} List of inactive threads after stepping.
      */
     stepThreads () {
@@ -81,15 +91,36 @@ class Sequencer {
         let numActiveThreads = Infinity;
         // Whether `stepThreads` has run through a full single tick.
         let ranFirstTick = false;
+        // Number of ticks run so far, used instead of the timer in deterministic mode.
+        let ticks = 0;
+        const deterministic = this.runtime.isDeterministic();
+        const scheduling = this.runtime.runtimeOptions.scheduling;
+        const prioritized = scheduling === 'priority'; // Runtime.SCHEDULE_PRIORITY
+        // How long each thread can run in this frame. Time can't be measured in deterministic mode,
+        // where every thread already runs for the same number of ticks.
+        let timeSlice = Infinity;
+        if (scheduling === 'timeSliced' && !deterministic) { // Runtime.SCHEDULE_TIME_SLICED
+            let runnableThreads = 0;
+            for (const thread of this.runtime.threads) {
+                thread.frameCpuTime = 0;
+                if (thread.status !== Thread.STATUS_PROMISE_WAIT) {
+                    runnableThreads++;
+                }
+            }
+            timeSlice = WORK_TIME / Math.max(1, runnableThreads);
+        }
         const doneThreads = [];
         // Conditions for continuing to stepping threads:
         // 1. We must have threads in the list, and some must be active.
-        // 2. Time elapsed must be less than WORK_TIME.
+        // 2. Time elapsed must be less than WORK_TIME, or in deterministic mode,
+        //    fewer than DETERMINISTIC_TICKS ticks must have run.
         // 3. Either turbo mode, or no redraw has been requested by a primitive.
+        // 4. The debugger is not paused.
         while (this.runtime.threads.length > 0 &&
                numActiveThreads > 0 &&
-               this.timer.timeElapsed() < WORK_TIME &&
-               (this.runtime.turboMode || !this.runtime.redrawRequested)) {
+               (deterministic ? ticks < Sequencer.DETERMINISTIC_TICKS : this.timer.timeElapsed() < WORK_TIME) &&
+               (this.runtime.turboMode || !this.runtime.redrawRequested) &&
+               !this.runtime.debugger.paused) {
             if (this.runtime.profiler !== null) {
                 if (stepThreadsInnerProfilerId === -1) {
                     stepThreadsInnerProfilerId = this.runtime.profiler.idByName(stepThreadsInnerProfilerFrame);
@@ -100,9 +131,18 @@ class Sequencer {
             numActiveThreads = 0;
             let stoppedThread = false;
             // Attempt to run each thread one time.
-            const threads = this.runtime.threads;
+            let threads = this.runtime.threads;
+            if (prioritized) {
+                // Priorities can change at any time. Sort a copy so that the thread list stays in execution order,
+                // which breaks ties as sort() is stable. Threads started during the tick run from the next one.
+                threads = threads.slice().sort((a, b) => b.priority - a.priority);
+            }
             for (let i = 0; i < threads.length; i++) {
                 const activeThread = this.activeThread = threads[i];
+                if (prioritized && this.runtime.threads.indexOf(activeThread) === -1) {
+                    // Restarted in place by another thread during this tick.
+                    continue;
+                }
                 // Check if the thread is done so it is not executed.
                 if (activeThread.stack.length === 0 ||
                     activeThread.status === Thread.STATUS_DONE) {
@@ -119,9 +159,15 @@ class Sequencer {
                     // Clear single-tick yield from the last call of `stepThreads`.
                     activeThread.status = Thread.STATUS_RUNNING;
                 }
+                if (activeThread.frameCpuTime >= timeSlice) {
+                    // Used up its share of this frame.
+                    continue;
+                }
                 if (activeThread.status === Thread.STATUS_RUNNING ||
                     activeThread.status === Thread.STATUS_YIELD) {
                     // Normal-mode thread: step.
+                    // Time isn't measured in deterministic mode, where it would differ between runs.
+                    const startTime = deterministic ? 0 : this.timer.timeElapsed();
                     if (this.runtime.profiler !== null) {
                         if (stepThreadProfilerId === -1) {
                             stepThreadProfilerId = this.runtime.profiler.idByName(stepThreadProfilerFrame);
@@ -130,11 +176,26 @@ class Sequencer {
                         // Increment the number of times stepThread is called.
                         this.runtime.profiler.increment(stepThreadProfilerId);
                     }
-                    this.stepThread(activeThread);
+                    if (this.runtime.blockProfiler !== null) {
+                        this.runtime.blockProfiler.startStep(activeThread);
+                        this.stepThread(activeThread);
+                        this.runtime.blockProfiler.endStep(activeThread);
+                    } else {
+                        this.stepThread(activeThread);
+                    }
+                    if (!deterministic) {
+                        const cpuTime = this.timer.timeElapsed() - startTime;
+                        activeThread.cpuTime += cpuTime;
+                        activeThread.frameCpuTime += cpuTime;
+                    }
                     activeThread.warpTimer = null;
                     if (activeThread.isKilled) {
                         i--; // if the thread is removed from the list (killed), do not increase index
                     }
+                    if (this.runtime.debugger.paused) {
+                        // Hit a breakpoint. Don't run any other threads until execution is resumed.
+                        break;
+                    }
                 }
                 if (activeThread.status === Thread.STATUS_RUNNING) {
                     numActiveThreads++;
@@ -150,6 +211,7 @@ class Sequencer {
             // We successfully ticked once. Prevents running STATUS_YIELD_TICK
             // threads on the next tick.
             ranFirstTick = true;
+            ticks++;
 
             if (this.runtime.profiler !== null) {
                 this.runtime.profiler.stop();
@@ -208,6 +270,10 @@ class Sequencer {
                 thread.warpTimer = new Timer();
                 thread.warpTimer.start();
             }
+            if (this.runtime.debug && this.debugCheckpoint(thread, currentBlockId)) {
+                // Paused before running this block. It runs when execution is resumed.
+                return;
+            }
             // Execute the current block.
             if (this.runtime.profiler !== null) {
                 if (executeProfilerId === -1) {
@@ -219,6 +285,10 @@ class Sequencer {
             }
             if (thread.target === null) {
                 this.retireThread(thread);
+            } else if (this.runtime.blockProfiler !== null) {
+                this.runtime.blockProfiler.enterInterpretedBlock(thread, currentBlockId);
+                execute(this, thread);
+                this.runtime.blockProfiler.exitBlock(thread);
             } else {
                 execute(this, thread);
             }
@@ -286,6 +356,24 @@ class Sequencer {
         }
     }
 
+    /**
+     * Let the debugger pause an interpreted thread before it runs a block.
+     * @param {!Thread} thread The thread.
+     * @param {!string} blockId ID of the block the thread is about to run.
+     * @returns {boolean} True if execution was paused.
+     */
+    debugCheckpoint (thread, blockId) {
+        // Blocks that yield run again on later ticks, and loops run again for every iteration, in
+        // the same stack frame. Blocks get a new frame each time they are reached, such as the blocks
+        // in every iteration of a loop, so only pause then, like compiled scripts.
+        const stackFrame = thread.peekStackFrame();
+        if (stackFrame.debugChecked) {
+            return false;
+        }
+        stackFrame.debugChecked = true;
+        return this.runtime.debugger.checkpoint(thread, blockId, thread.stack.length);
+    }
+
     /**
      * Step a thread into a block's branch.
      * @param {!Thread} thread Thread object to step to branch.
@@ -320,6 +408,10 @@ class Sequencer {
         if (!definition) {
             return;
         }
+        const procedureDepth = thread.peekStackFrame().procedureDepth + 1;
+        if (procedureDepth > thread.target.runtime.runtimeOptions.maxRecursionDepth) {
+            throw new Error('Maximum recursion depth exceeded');
+        }
         // Check if the call is recursive.
         // If so, set the thread to yield after pushing.
         const isRecursive = thread.isRecursiveCall(procedureCode);
@@ -329,6 +421,7 @@ class Sequencer {
         // When that set of blocks finishes executing, it will be popped
         // from the stack by the sequencer, returning control to the caller.
         thread.pushStack(definition);
+        thread.peekStackFrame().procedureDepth = procedureDepth;
         // In known warp-mode threads, only yield when time is up.
         if (thread.peekStackFrame().warpMode &&
             thread.warpTimer.timeElapsed() > Sequencer.WARP_TIME) {
@@ -362,6 +455,9 @@ class Sequencer {
      * @param {!Thread} thread Thread object to retire.
      */
     retireThread (thread) {
+        if (this.runtime.blockProfiler !== null) {
+            this.runtime.blockProfiler.retireThread(thread);
+        }
         thread.stack = [];
         thread.stackFrame = [];
         thread.requestScriptGlowInFrame = false;
@@ -234,6 +234,26 @@ class Target extends EventEmitter {
         return null;
     }
 
+    /**
+     * Look up the declaration of a local variable, and create it if one doesn't exist.
+     * Search begins for the target's declarations; then look for the stage's.
+     * @param {!string} id Id of the local variable.
+     * @param {!string} name Name of the local variable.
+     * @return {!Variable} Variable object declaring the local variable.
+     */
+    lookupOrCreateLocalVariable (id, name) {
+        let variable = this.lookupVariableById(id);
+        if (variable) return variable;
+
+        variable = this.lookupVariableByNameAndType(name, Variable.LOCAL_TYPE);
+        if (variable) return variable;
+
+        // No local variable with this name exists - declare it on this target.
+        const newVariable = new Variable(id, name, Variable.LOCAL_TYPE, false);
+        this.variables[id] = newVariable;
+        return newVariable;
+    }
+
     /**
     * Look up a list object for this target, and create it if one doesn't exist.
     * Search begins for local lists; then look for globals.
@@ -259,13 +279,14 @@ class Target extends EventEmitter {
      * dictionary of variables.
      * @param {string} id Id of variable
      * @param {string} name Name of variable.
-     * @param {string} type Type of variable, '', 'broadcast_msg', or 'list'
+     * @param {string} type Type of variable, '', 'broadcast_msg', 'list' or 'local'
      * @param {boolean} isCloud Whether the variable to create has the isCloud flag set.
      * Additional checks are made that the variable can be created as a cloud variable.
+     * @param {string} [valueType] Type of value held by a local variable. See Variable.LOCAL_VALUE_TYPES.
      */
-    createVariable (id, name, type, isCloud) {
+    createVariable (id, name, type, isCloud, valueType) {
         if (!this.variables.hasOwnProperty(id)) {
-            const newVariable = new Variable(id, name, type, false);
+            const newVariable = new Variable(id, name, type, false, valueType);
             if (isCloud && this.isStage && this.runtime.canAddCloudVariable()) {
                 newVariable.isCloud = true;
                 this.runtime.addCloudVariable();
@@ -414,7 +435,8 @@ class Target extends EventEmitter {
                 optKeepOriginalId ? id : null, // conditionally keep original id or generate a new one
                 originalVariable.name,
                 originalVariable.type,
-                originalVariable.isCloud
+                originalVariable.isCloud,
+                originalVariable.valueType
             );
             if (newVariable.type === Variable.LIST_TYPE) {
                 newVariable.value = originalVariable.value.slice(0);
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview
+ * Runs the "when test starts" scripts of a project as unit tests.
+ *
+ * Every test starts from the state the project was in when runTests was called, so tests can't
+ * affect each other. The runtime is stepped manually at a fixed framerate instead of by the frame
+ * loop, and any error thrown by a script during a test, including a failed assertion, fails it.
+ */
+
+const Runtime = require('./runtime');
+const Thread = require('./thread');
+
+/**
+ * Opcode of the hat block that starts a test.
+ * @const {string}
+ */
+const TEST_HAT_OPCODE = 'testing_whenTestStarts';
+
+/**
+ * Possible results of a test.
+ * @enum {string}
+ */
+const TestStatus = {
+    /** The script finished without any errors. */
+    PASS: 'pass',
+    /** An assertion failed. */
+    FAIL: 'fail',
+    /** A block threw an error that wasn't an assertion. */
+    ERROR: 'error',
+    /** The script was still running after the timeout. */
+    TIMEOUT: 'timeout'
+};
+
+/**
+ * Error thrown by assertion blocks when their condition is not met.
+ */
+class AssertionError extends Error {
+    constructor (message) {
+        super(message);
+        this.name = 'AssertionError';
+    }
+}
+
+/**
+ * @typedef {object} TestResult
+ * @property {string} name Name of the test.
+ * @property {string} targetId ID of the sprite or stage the test is in.
+ * @property {string} targetName Name of the sprite or stage the test is in.
+ * @property {string} topBlockId ID of the "when test starts" block.
+ * @property {TestStatus} status Whether the test passed.
+ * @property {?string} message Message of the failed assertion or error, or null if the test passed.
+ * @property {number} frames Number of frames the test ran for.
+ * @property {number} time Milliseconds of project time the test ran for.
+ */
+
+/**
+ * @typedef {object} TestReport
+ * @property {Array.<TestResult>} tests Results of every test, in the order they ran.
+ * @property {number} passed Number of tests that passed.
+ * @property {number} failed Number of tests that did not pass.
+ */
+
+/**
+ * @typedef {object} TestOptions
+ * @property {number} [framerate] Frames per second the tests are stepped at. Defaults to 30.
+ * @property {number} [timeout] Milliseconds of project time after which a test fails. Defaults to 10 seconds.
+ */
+
+/**
+ * @param {Blocks} blocks Blocks containing the hat.
+ * @param {object} hat A "when test starts" block.
+ * @returns {string} The name given to the test.
+ */
+const getTestName = (blocks, hat) => {
+    const input = hat.inputs.NAME;
+    const shadow = input && blocks.getBlock(input.shadow);
+    if (shadow && shadow.fields.TEXT) {
+        return String(shadow.fields.TEXT.value);
+    }
+    return '';
+};
+
+/**
+ * Find every test in a project.
+ * @param {Runtime} runtime The runtime with the project loaded.
+ * @returns {Array.<{name: string, target: Target, topBlockId: string}>} Tests, in sprite layer order.
+ */
+const findTests = runtime => {
+    const tests = [];
+    for (const target of runtime.targets) {
+        if (!target.isOriginal) continue;
+        const blocks = target.blocks;
+        for (const topBlockId of blocks.getScripts()) {
+            const hat = blocks.getBlock(topBlockId);
+            if (hat.opcode === TEST_HAT_OPCODE) {
+                tests.push({
+                    name: getTestName(blocks, hat),
+                    target,
+                    topBlockId
+                });
+            }
+        }
+    }
+    return tests;
+};
+
+/**
+ * Let promises that blocks are waiting on settle before the next frame.
+ * @returns {Promise} Resolves after the current macrotask.
+ */
+const waitForPromises = () => new Promise(resolve => setTimeout(resolve));
+
+/**
+ * Run one test from the initial state.
+ * @param {Runtime} runtime The runtime.
+ * @param {object} test Test from findTests.
+ * @param {object} initialState Snapshot to start the test from.
+ * @param {number} maxFrames Frames after which the test times out.
+ * @param {number} framerate Frames per second.
+ * @returns {Promise.<TestResult>} Result of the test.
+ */
+const runTest = async (runtime, test, initialState, maxFrames, framerate) => {
+    runtime.restoreState(initialState);
+
+    let error = null;
+    const onError = runtimeError => {
+        if (error === null) {
+            error = runtimeError.error;
+        }
+    };
+    runtime.on(Runtime.RUNTIME_ERROR, onError);
+
+    const thread = runtime._pushThread(test.topBlockId, test.target);
+    let frames = 0;
+    let timedOut = false;
+    try {
+        // Errors are reported by events while stepping, so they end the test on the next check.
+        while (runtime.isActiveThread(thread)) {
+            if (error !== null) {
+                break;
+            }
+            if (frames >= maxFrames) {
+                timedOut = true;
+                break;
+            }
+            runtime._step();
+            frames++;
+            if (runtime.threads.some(t => t.status === Thread.STATUS_PROMISE_WAIT)) {
+                await waitForPromises();
+            }
+        }
+    } finally {
+        runtime.removeListener(Runtime.RUNTIME_ERROR, onError);
+        runtime.stopAll();
+    }
+
+    let status = TestStatus.PASS;
+    let message = null;
+    if (error !== null) {
+        status = error instanceof AssertionError ? TestStatus.FAIL : TestStatus.ERROR;
+        message = error instanceof Error ? error.message : String(error);
+    } else if (timedOut) {
+        status = TestStatus.TIMEOUT;
+        message = `Test did not finish within ${frames} frames`;
+    }
+    return {
+        name: test.name,
+        targetId: test.target.id,
+        targetName: test.target.getName(),
+        topBlockId: test.topBlockId,
+        status,
+        message,
+        frames,
+        time: frames * 1000 / framerate
+    };
+};
+
+/**
+ * Run every test in a project. The project is stopped first and put back in its original state
+ * afterwards. If the frame loop was running, it is paused while the tests run.
+ * @param {Runtime} runtime The runtime with the project loaded.
+ * @param {TestOptions} [options] Options.
+ * @returns {Promise.<TestReport>} Results of the tests.
+ */
+const runTests = async (runtime, options = {}) => {
+    const framerate = options.framerate || 30;
+    const timeout = typeof options.timeout === 'number' ? options.timeout : 10000;
+    const maxFrames = Math.max(1, Math.ceil(timeout / 1000 * framerate));
+
+    const wasRunning = runtime.frameLoop.running;
+    runtime.stop();
+    runtime.stopAll();
+
+    const initialState = runtime.captureState();
+    const stepTime = runtime.currentStepTime;
+    const runtimeOptions = runtime.runtimeOptions;
+    runtime.currentStepTime = 1000 / framerate;
+    // A failed assertion must stop its test, even if the project normally ignores errors.
+    runtime.runtimeOptions = Object.assign({}, runtimeOptions, {
+        errorBehavior: Runtime.ERROR_HALT_THREAD
+    });
+
+    const tests = [];
+    try {
+        for (const test of findTests(runtime)) {
+            tests.push(await runTest(runtime, test, initialState, maxFrames, framerate));
+        }
+    } finally {
+        runtime.restoreState(initialState);
+        runtime.currentStepTime = stepTime;
+        runtime.runtimeOptions = runtimeOptions;
+        if (wasRunning) {
+            runtime.start();
+        }
+    }
+
+    const passed = tests.filter(test => test.status === TestStatus.PASS).length;
+    return {
+        tests,
+        passed,
+        failed: tests.length - passed
+    };
+};
+
+module.exports = {
+    AssertionError,
+    TEST_HAT_OPCODE,
+    TestStatus,
+    findTests,
+    runTests
+};
@@ -14,7 +14,7 @@ const _stackFrameFreeList = [];
  * @private
  */
 class _StackFrame {
-    constructor (warpMode) {
+    constructor (warpMode, procedureDepth = 0) {
         /**
          * Whether this level of the stack is a loop.
          * @type {boolean}
@@ -28,6 +28,12 @@ class _StackFrame {
          */
         this.warpMode = warpMode;
 
+        /**
+         * Number of procedure calls this level of the stack is inside of.
+         * @type {number}
+         */
+        this.procedureDepth = procedureDepth;
+
         /**
          * Reported value from just executed block.
          * @type {Any}
@@ -58,11 +64,23 @@ class _StackFrame {
          */
         this.params = null;
 
+        /**
+         * Values of local variables in the procedure call started at this level, by variable ID.
+         * Created when a local variable is first set.
+         * @type {Object}
+         */
+        this.localVariables = null;
+
         /**
          * A context passed to block implementations.
          * @type {Object}
          */
         this.executionContext = null;
+        /**
+         * Whether the debugger has checked the block at this level for a breakpoint.
+         * @type {boolean}
+         */
+        this.debugChecked = false;
     }
 
     /**
@@ -74,11 +92,14 @@ class _StackFrame {
 
         this.isLoop = false;
         this.warpMode = false;
+        this.procedureDepth = 0;
         this.justReported = null;
         this.reported = null;
         this.waitingReporter = null;
         this.params = null;
+        this.localVariables = null;
         this.executionContext = null;
+        this.debugChecked = false;
 
         return this;
     }
@@ -89,23 +110,27 @@ class _StackFrame {
      * @returns {_StackFrame} this
      */
     reuse (warpMode = this.warpMode) {
+        const procedureDepth = this.procedureDepth;
         this.reset();
         this.warpMode = Boolean(warpMode);
+        this.procedureDepth = procedureDepth;
         return this;
     }
 
     /**
      * Create or recycle a stack frame object.
      * @param {boolean} warpMode Enable warpMode on this frame.
+     * @param {number} [procedureDepth] Number of procedure calls the frame is inside of.
      * @returns {_StackFrame} The clean stack frame with correct warpMode setting.
      */
-    static create (warpMode) {
+    static create (warpMode, procedureDepth = 0) {
         const stackFrame = _stackFrameFreeList.pop();
         if (typeof stackFrame !== 'undefined') {
             stackFrame.warpMode = Boolean(warpMode);
+            stackFrame.procedureDepth = procedureDepth;
             return stackFrame;
         }
-        return new _StackFrame(warpMode);
+        return new _StackFrame(warpMode, procedureDepth);
     }
 
     /**
@@ -188,6 +213,32 @@ class Thread {
          */
         this.warpTimer = null;
 
+        /**
+         * Values of local variables used outside of procedures, by variable ID.
+         * @type {Object}
+         */
+        this.localVariables = {};
+
+        /**
+         * Threads with a higher priority run first in each tick when runtimeOptions.scheduling is
+         * Runtime.SCHEDULE_PRIORITY.
+         * @type {number}
+         */
+        this.priority = 0;
+
+        /**
+         * Milliseconds the thread has spent running since it started. Always 0 in deterministic mode.
+         * @type {number}
+         */
+        this.cpuTime = 0;
+
+        /**
+         * Milliseconds the thread has spent running in the current frame. Only reset at the start of
+         * frames when runtimeOptions.scheduling is Runtime.SCHEDULE_TIME_SLICED.
+         * @type {number}
+         */
+        this.frameCpuTime = 0;
+
         this.justReported = null;
 
         this.triedToCompile = false;
@@ -206,6 +257,11 @@ class Thread {
          * @type {Object.<string, import('../compiler/compile').CompiledScript>}
          */
         this.procedures = null;
+        /**
+         * Source maps of the compiled scripts the thread can run, used to find which block threw an error.
+         * @type {Array.<import('../compiler/source-map').SourceMap>}
+         */
+        this.sourceMaps = null;
     }
 
     /**
@@ -277,7 +333,9 @@ class Thread {
         // Might not, if we just popped the stack.
         if (this.stack.length > this.stackFrames.length) {
             const parent = this.stackFrames[this.stackFrames.length - 1];
-            this.stackFrames.push(_StackFrame.create(typeof parent !== 'undefined' && parent.warpMode));
+            this.stackFrames.push(typeof parent === 'undefined' ?
+                _StackFrame.create(false) :
+                _StackFrame.create(parent.warpMode, parent.procedureDepth));
         }
     }
 
@@ -399,6 +457,25 @@ class Thread {
         return stackFrame.params;
     }
 
+    /**
+     * Get the values of local variables in the procedure call that is running, or in the script
+     * if no procedure is running. Every call has its own values.
+     * @return {Object.<string, *>} Values by variable ID. Variables that were never set are missing.
+     */
+    getLocalVariables () {
+        for (let i = this.stackFrames.length - 1; i >= 0; i--) {
+            const frame = this.stackFrames[i];
+            // Procedure calls always initialize params.
+            if (frame.params !== null) {
+                if (frame.localVariables === null) {
+                    frame.localVariables = {};
+                }
+                return frame.localVariables;
+            }
+        }
+        return this.localVariables;
+    }
+
     /**
      * Whether the current execution of a thread is at the top of the stack.
      * @return {boolean} True if execution is at top of the stack.
@@ -459,6 +536,13 @@ class Thread {
         if (cachedResult && !cachedResult.success) {
             return;
         }
+        // Scripts that are being compiled in a worker run in the interpreter until they are ready.
+        if (!cachedResult && blocks === this.blockContainer) {
+            const workerCompiler = this.target.runtime.workerCompiler;
+            if (blocks.getPendingCompile(topBlock) || (workerCompiler && workerCompiler.compileInWorker(this))) {
+                return;
+            }
+        }
 
         let result;
         if (cachedResult) {
@@ -481,6 +565,7 @@ class Thread {
         }
 
         this.generator = result.startingFunction(this)();
+        this.sourceMaps = result.sourceMaps;
 
         if (!this.blockContainer.forceNoGlow) {
             this.blockGlowInFrame = this.topBlock;
@@ -9,6 +9,10 @@ const _cancelAnimationFrame = typeof requestAnimationFrame === 'function' ?
     cancelAnimationFrame :
     clearTimeout;
 
+const _now = typeof performance === 'object' && typeof performance.now === 'function' ?
+    () => performance.now() :
+    () => Date.now();
+
 const animationFrameWrapper = callback => {
     let id;
     const handle = () => {
@@ -28,13 +32,27 @@ class FrameLoop {
         this.running = false;
         this.setFramerate(30);
         this.setInterpolation(false);
+        this.setFixedTimestep(false);
 
         this.stepCallback = this.stepCallback.bind(this);
         this.interpolationCallback = this.interpolationCallback.bind(this);
+        this.fixedTimestepCallback = this.fixedTimestepCallback.bind(this);
 
         this._stepInterval = null;
         this._interpolationAnimation = null;
         this._stepAnimation = null;
+        this._fixedTimestepAnimation = null;
+
+        // Time of the last frame, and time that passed since then that steps haven't been run for yet
+        this._lastFrameTime = 0;
+        this._accumulatedTime = 0;
+    }
+
+    /**
+     * @returns {number} Current time in milliseconds. Only differences between times are used.
+     */
+    now () {
+        return _now();
     }
 
     setFramerate (fps) {
@@ -47,10 +65,51 @@ class FrameLoop {
         this._restart();
     }
 
+    /**
+     * In fixed timestep mode, steps run at the framerate regardless of how often the screen refreshes.
+     * Every display frame runs as many steps as the time since the last one calls for, and draws the stage once.
+     * @param {boolean} fixedTimestep Whether to use fixed timestep mode.
+     */
+    setFixedTimestep (fixedTimestep) {
+        this.fixedTimestep = fixedTimestep;
+        this._restart();
+    }
+
+    /**
+     * Update the runtime's delta time at the start of a frame.
+     * @returns {number} Milliseconds since the last frame.
+     */
+    _startFrame () {
+        const time = this.now();
+        const elapsed = Math.max(0, time - this._lastFrameTime);
+        this._lastFrameTime = time;
+        this.runtime.deltaTime = elapsed / 1000;
+        return elapsed;
+    }
+
     stepCallback () {
+        this._startFrame();
         this.runtime._step();
     }
 
+    fixedTimestepCallback () {
+        this._accumulatedTime += this._startFrame();
+        const stepTime = this.runtime.currentStepTime;
+        let steps = 0;
+        while (this._accumulatedTime >= stepTime) {
+            if (steps >= this.runtime.runtimeOptions.maxStepsPerFrame) {
+                // Catching up would take longer than the time it is catching up on, so the project
+                // slows down instead of freezing the page.
+                this._accumulatedTime = 0;
+                break;
+            }
+            this.runtime._step();
+            this._accumulatedTime -= stepTime;
+            steps++;
+        }
+        this.runtime._renderFixedTimestepFrame(this._accumulatedTime / stepTime);
+    }
+
     interpolationCallback () {
         this.runtime._renderInterpolatedPositions();
     }
@@ -64,7 +123,13 @@ class FrameLoop {
 
     start () {
         this.running = true;
-        if (this.framerate === 0) {
+        this._lastFrameTime = this.now();
+        if (this.fixedTimestep) {
+            // 0 is "screen refresh rate", which isn't a fixed rate, so steps run at 60 per second
+            this.runtime.currentStepTime = 1000 / (this.framerate || 60);
+            this._accumulatedTime = 0;
+            this._fixedTimestepAnimation = animationFrameWrapper(this.fixedTimestepCallback);
+        } else if (this.framerate === 0) {
             this._stepAnimation = animationFrameWrapper(this.stepCallback);
             this.runtime.currentStepTime = 1000 / 60;
         } else {
@@ -86,8 +151,12 @@ class FrameLoop {
         if (this._stepAnimation) {
             this._stepAnimation.cancel();
         }
+        if (this._fixedTimestepAnimation) {
+            this._fixedTimestepAnimation.cancel();
+        }
         this._interpolationAnimation = null;
         this._stepAnimation = null;
+        this._fixedTimestepAnimation = null;
     }
 }
 
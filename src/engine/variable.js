@@ -3,6 +3,7 @@
  * Object representing a Scratch variable.
  */
 
+const Cast = require('../util/cast');
 const uid = require('../util/uid');
 const xmlEscape = require('../util/xml-escape');
 
@@ -12,9 +13,11 @@ class Variable {
      * @param {string} name Name of the variable.
      * @param {string} type Type of the variable, one of '' or 'list'
      * @param {boolean} isCloud Whether the variable is stored in the cloud.
+     * @param {string} [valueType] For local variables, the type of value they hold: 'number', 'string',
+     * 'boolean' or 'any'.
      * @constructor
      */
-    constructor (id, name, type, isCloud) {
+    constructor (id, name, type, isCloud, valueType) {
         this.id = id || uid();
         this.name = name;
         this.type = type;
@@ -29,6 +32,11 @@ class Variable {
         case Variable.BROADCAST_MESSAGE_TYPE:
             this.value = this.name;
             break;
+        case Variable.LOCAL_TYPE:
+            this.valueType = Variable.LOCAL_VALUE_TYPES.includes(valueType) ? valueType : 'any';
+            // The value each script or custom block call starts with.
+            this.value = {number: 0, string: '', boolean: false, any: 0}[this.valueType];
+            break;
         default:
             throw new Error(`Invalid variable type: ${this.type}`);
         }
@@ -65,6 +73,42 @@ class Variable {
     static get BROADCAST_MESSAGE_TYPE () {
         return 'broadcast_msg';
     }
+
+    /**
+     * Type representation for local variables. The variable only declares a name and the type of
+     * value it holds; every script and custom block call that uses it has its own value.
+     * @const {string}
+     */
+    static get LOCAL_TYPE () {
+        return 'local'; // used by compiler
+    }
+
+    /**
+     * Types of value a local variable can hold.
+     * @const {Array.<string>}
+     */
+    static get LOCAL_VALUE_TYPES () {
+        return ['number', 'string', 'boolean', 'any'];
+    }
+
+    /**
+     * Convert a value before storing it in a local variable.
+     * @param {string} valueType The type of value the variable holds.
+     * @param {*} value The value.
+     * @returns {*} The value as the variable's type.
+     */
+    static castLocalValue (valueType, value) {
+        switch (valueType) {
+        case 'number':
+            return Cast.toNumber(value);
+        case 'string':
+            return Cast.toString(value);
+        case 'boolean':
+            return Cast.toBoolean(value);
+        default:
+            return value;
+        }
+    }
 }
 
 module.exports = Variable;
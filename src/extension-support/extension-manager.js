@@ -7,7 +7,8 @@ const SecurityManager = require('./tw-security-manager');
 
 const AddonSwitches = require('./extension-addon-switchers');
 
-const IsLocal = String(window.location.href).startsWith(`http://localhost:`);
+// location also exists in workers, which have no window.
+const IsLocal = typeof location !== 'undefined' && String(location.href).startsWith(`http://localhost:`);
 
 // These extensions are currently built into the VM repository but should not be loaded at startup.
 // TODO: move these out into a separate repository?
@@ -119,6 +120,9 @@ const builtinExtensions = {
     // DTcameracontrols: ...
     DTcameracontrols: () => require('../extensions/dt_cameracontrols'),
 
+    // testing: assertion blocks run by vm.runTests
+    testing: () => require('../extensions/pm_testing'),
+
     // griffpatch: ...
     // griffpatch: () => require('../extensions/griffpatch_box2d')
 };
@@ -268,6 +272,20 @@ class ExtensionManager {
         return Object.prototype.hasOwnProperty.call(builtinExtensions, extensionId);
     }
 
+    /**
+     * Get the versions and migrations of a built-in extension from its static getMigrationInfo method.
+     * This requires the extension's module, but does not create an instance of the extension or register
+     * its blocks.
+     * @param {string} extensionId ID of a built-in extension.
+     * @returns {?ExtensionMigrationInfo} The extension's migrations, or null if it has none.
+     */
+    getBuiltinMigrationInfo(extensionId) {
+        if (!this.isBuiltinExtension(extensionId)) return null;
+        const extension = builtinExtensions[extensionId]();
+        if (typeof extension.getMigrationInfo !== 'function') return null;
+        return extension.getMigrationInfo();
+    }
+
     /**
      * Synchronously load an internal extension (core or non-core) by ID. This call will
      * fail if the provided id is not does not match an internal extension.
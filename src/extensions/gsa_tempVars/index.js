@@ -77,6 +77,28 @@ class tempVars {
         };
     }
 
+    /**
+     * The blocks are called directly from compiled scripts, skipping the compatibility layer.
+     * @returns {object} compile hooks for this extension's blocks.
+     */
+    getCompileInfo () {
+        const call = opcode => args => (
+            `runtime.ext_tempVars.${opcode}({name: ${args.name}, value: ${args.value}}, {thread})`
+        );
+        return {
+            setVariable: {
+                js: call('setVariable')
+            },
+            changeVariable: {
+                js: call('changeVariable')
+            },
+            getVariable: {
+                output: 'unknown',
+                js: args => `runtime.ext_tempVars.getVariable({name: ${args.name}}, {thread})`
+            }
+        };
+    }
+
     setVariable (args, util) {
         const tempVars = this.getThreadVars(util.thread);
         const name = `threadVar_${args.name}`;
@@ -13,6 +13,17 @@ const {
 
 // const Cast = require('../../util/cast');
 
+/**
+ * @param {string} opcode The block's function.
+ * @returns {function(object): string} Generates a call to the function from a compiled script.
+ */
+const compileCall = opcode => args => {
+    const argsSource = Object.keys(args)
+        .map(name => `${JSON.stringify(name)}: ${args[name]}`)
+        .join(', ');
+    return `runtime.ext_jgJSON.${opcode}({${argsSource}}, {target, thread})`;
+};
+
 /**
  * Class for JSON blocks
  * @constructor
@@ -505,6 +516,27 @@ class JgJSONBlocks {
         };
     }
 
+    /**
+     * Every block calls its function directly from compiled scripts, as none of them yield.
+     * String arguments are passed as strings, like the interpreter does with text that looks like a number.
+     * @returns {object} compile hooks for the blocks.
+     */
+    getCompileInfo () {
+        const hooks = {};
+        for (const block of this.getInfo().blocks) {
+            if (!block.opcode) continue;
+            const inputs = {};
+            for (const [name, argument] of Object.entries(block.arguments || {})) {
+                if (argument.type === ArgumentType.STRING) inputs[name] = 'string';
+            }
+            hooks[block.opcode] = {inputs, js: compileCall(block.opcode)};
+            if (block.blockType !== BlockType.COMMAND) {
+                hooks[block.opcode].output = 'unknown';
+            }
+        }
+        return hooks;
+    }
+
     getAllLists () {
         const variables = [].concat(
             Object.values(vm.runtime.getTargetForStage().variables),
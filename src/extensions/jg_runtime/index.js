@@ -1,6 +1,7 @@
 const formatMessage = require('format-message');
 const BlockType = require('../../extension-support/block-type');
 const ArgumentType = require('../../extension-support/argument-type');
+const Cast = require('../../util/cast');
 const BufferUtil = new (require('../../util/array buffer'));
 
 // ShovelUtils
@@ -213,6 +214,51 @@ class JgRuntimeBlocks {
                     disableMonitor: false,
                     blockType: BlockType.REPORTER
                 },
+                {
+                    opcode: 'getDeltaTime',
+                    text: formatMessage({
+                        id: 'jgRuntime.blocks.getDeltaTime',
+                        default: 'delta time',
+                        description: 'Block that returns the seconds since the last frame.'
+                    }),
+                    disableMonitor: false,
+                    blockType: BlockType.REPORTER
+                },
+                {
+                    opcode: 'setThreadPriority',
+                    text: formatMessage({
+                        id: 'jgRuntime.blocks.setThreadPriority',
+                        default: 'set this script\'s priority to [PRIORITY]',
+                        description: 'Block that sets which scripts run first with priority scheduling.'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    arguments: {
+                        PRIORITY: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'getThreadPriority',
+                    text: formatMessage({
+                        id: 'jgRuntime.blocks.getThreadPriority',
+                        default: 'this script\'s priority',
+                        description: 'Block that returns the priority of the script running it.'
+                    }),
+                    disableMonitor: true,
+                    blockType: BlockType.REPORTER
+                },
+                {
+                    opcode: 'getThreadCpuTime',
+                    text: formatMessage({
+                        id: 'jgRuntime.blocks.getThreadCpuTime',
+                        default: 'CPU time of this script',
+                        description: 'Block that returns the milliseconds the script running it has spent running.'
+                    }),
+                    disableMonitor: true,
+                    blockType: BlockType.REPORTER
+                },
                 "---",
                 {
                     opcode: 'variables_createVariable',
@@ -766,6 +812,19 @@ class JgRuntimeBlocks {
     getFrameRate() {
         return fps;
     }
+    getDeltaTime() {
+        return this.runtime.deltaTime;
+    }
+    setThreadPriority(args, util) {
+        util.thread.priority = Cast.toNumber(args.PRIORITY);
+    }
+    getThreadPriority(_, util) {
+        return util.thread.priority;
+    }
+    getThreadCpuTime(_, util) {
+        // Doesn't include the step that is running
+        return util.thread.cpuTime;
+    }
     addSoundUrl(args, util) {
         const targetId = util.target.id;
         return new Promise((resolve) => {
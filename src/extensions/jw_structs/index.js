@@ -223,6 +223,33 @@ class jwStructs {
         };
     }
 
+    /**
+     * Methods and the hat that defines them need the interpreter, so they have no compile hooks.
+     * @returns {object} compile hooks for the other blocks.
+     */
+    getCompileInfo() {
+        const call = opcode => args => {
+            const argsSource = Object.keys(args)
+                .map(name => `${name}: ${args[name]}`)
+                .join(', ');
+            return `runtime.ext_jwStructs.${opcode}({${argsSource}}, {thread})`;
+        };
+        return {
+            createClass: {js: call('createClass')},
+            createClassProperty: {js: call('createClassProperty')},
+            newObject: {js: call('newObject')},
+            setObjectProperty: {js: call('setObjectProperty')},
+            returnObjectProperty: {
+                output: 'unknown',
+                js: call('returnObjectProperty')
+            },
+            deleteClasses: {js: call('deleteClasses')},
+            deleteObjects: {js: call('deleteObjects')},
+            deleteClass: {js: call('deleteClass')},
+            deleteObject: {js: call('deleteObject')}
+        };
+    }
+
     createClass(args,util) {
         var name = args.NAME;
         if (name in this.classes) {
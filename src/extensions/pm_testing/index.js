@@ -0,0 +1,145 @@
+const formatMessage = require('format-message');
+const BlockType = require('../../extension-support/block-type');
+const ArgumentType = require('../../extension-support/argument-type');
+const Cast = require('../../util/cast');
+const {AssertionError} = require('../../engine/test-runner');
+
+/**
+ * Class for the testing blocks, which are run by vm.runTests.
+ * @constructor
+ */
+class TestingBlocks {
+    constructor (runtime) {
+        /**
+         * The runtime instantiating this block package.
+         * @type {Runtime}
+         */
+        this.runtime = runtime;
+    }
+
+    /**
+     * @returns {object} metadata for this extension and its blocks.
+     */
+    getInfo () {
+        return {
+            id: 'testing',
+            name: formatMessage({
+                id: 'testing.categoryName',
+                default: 'Testing',
+                description: 'Name of the testing extension'
+            }),
+            color1: '#4caf50',
+            color2: '#43a047',
+            color3: '#388e3c',
+            blocks: [
+                {
+                    opcode: 'whenTestStarts',
+                    text: formatMessage({
+                        id: 'testing.whenTestStarts',
+                        default: 'when test [NAME] starts',
+                        description: 'Hat block that starts a test when the tests are run'
+                    }),
+                    // Only started by the test runner
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'test'
+                        }
+                    }
+                },
+                {
+                    opcode: 'assert',
+                    text: formatMessage({
+                        id: 'testing.assert',
+                        default: 'assert [CONDITION] with message [MESSAGE]',
+                        description: 'Block that fails the test if the condition is false'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    arguments: {
+                        CONDITION: {
+                            type: ArgumentType.BOOLEAN
+                        },
+                        MESSAGE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'assertion failed'
+                        }
+                    }
+                },
+                {
+                    opcode: 'expectVariableToEqual',
+                    text: formatMessage({
+                        id: 'testing.expectVariableToEqual',
+                        default: 'expect variable [VARIABLE_NAME] to equal [VALUE]',
+                        description: 'Block that fails the test if a variable does not have a value'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    arguments: {
+                        // Fields called VARIABLE are passed to blocks as a variable reference instead of a name.
+                        VARIABLE_NAME: {
+                            type: ArgumentType.STRING,
+                            menu: 'variables'
+                        },
+                        VALUE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'fail',
+                    text: formatMessage({
+                        id: 'testing.fail',
+                        default: 'fail test with message [MESSAGE]',
+                        description: 'Block that always fails the test'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    isTerminal: true,
+                    arguments: {
+                        MESSAGE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'test failed'
+                        }
+                    }
+                }
+            ],
+            menus: {
+                variables: {
+                    acceptReporters: false,
+                    items: 'getVariableMenu'
+                }
+            }
+        };
+    }
+
+    getVariableMenu () {
+        const target = this.runtime.getEditingTarget();
+        const names = target ? target.getAllVariableNamesInScopeByType('') : [];
+        return names.length === 0 ? [''] : names;
+    }
+
+    assert (args) {
+        if (!Cast.toBoolean(args.CONDITION)) {
+            throw new AssertionError(Cast.toString(args.MESSAGE));
+        }
+    }
+
+    expectVariableToEqual (args, util) {
+        const name = Cast.toString(args.VARIABLE_NAME);
+        const variable = util.target.lookupVariableByNameAndType(name, '');
+        if (!variable) {
+            throw new AssertionError(`Variable ${name} does not exist`);
+        }
+        // Compared the same way as the = block
+        if (Cast.compare(variable.value, args.VALUE) !== 0) {
+            throw new AssertionError(`Expected variable ${name} to equal ${args.VALUE} but it was ${variable.value}`);
+        }
+    }
+
+    fail (args) {
+        throw new AssertionError(Cast.toString(args.MESSAGE));
+    }
+}
+
+module.exports = TestingBlocks;
@@ -180,13 +180,16 @@ class Scratch3PenBlocks {
             this._penDrawableId = this.runtime.renderer.createDrawable(StageLayering.PEN_LAYER);
             this.runtime.renderer.updateDrawableSkinId(this._penDrawableId, this._penSkinId);
 
-            this.bitmapCanvas = document.createElement('canvas');
-            this.bitmapCanvas.width = this.runtime.stageWidth;
-            this.bitmapCanvas.height = this.runtime.stageHeight;
-            this.bitmapSkinID = this.runtime.renderer.createBitmapSkin(this.bitmapCanvas, 1);
-            this.bitmapDrawableID = this.runtime.renderer.createDrawable(StageLayering.PEN_LAYER);
-            this.runtime.renderer.updateDrawableSkinId(this.bitmapDrawableID, this.bitmapSkinID);
-            this.runtime.renderer.updateDrawableVisible(this.bitmapDrawableID, false);
+            // The canvas for printing text and shapes needs a document, which a VM in a worker doesn't have.
+            if (typeof document !== 'undefined') {
+                this.bitmapCanvas = document.createElement('canvas');
+                this.bitmapCanvas.width = this.runtime.stageWidth;
+                this.bitmapCanvas.height = this.runtime.stageHeight;
+                this.bitmapSkinID = this.runtime.renderer.createBitmapSkin(this.bitmapCanvas, 1);
+                this.bitmapDrawableID = this.runtime.renderer.createDrawable(StageLayering.PEN_LAYER);
+                this.runtime.renderer.updateDrawableSkinId(this.bitmapDrawableID, this.bitmapSkinID);
+                this.runtime.renderer.updateDrawableVisible(this.bitmapDrawableID, false);
+            }
         }
         this._penRes = this.runtime.renderer._allSkins[this._penSkinId].renderQuality;
         return this._penSkinId;
@@ -857,6 +860,7 @@ class Scratch3PenBlocks {
 
     printText (args) {
         const ctx = this._getBitmapCanvas();
+        if (!ctx) return;
 
         let resultFont = '';
         resultFont += `${this.printTextAttribute.size * this._penRes}px `;
@@ -888,6 +892,10 @@ class Scratch3PenBlocks {
             }
 
             const ctx = thiss._getBitmapCanvas();
+            if (!ctx) {
+                if (resolve) resolve();
+                return;
+            }
 
             // convert NaN to 0
             const requestedSizing = [
@@ -970,6 +978,8 @@ class Scratch3PenBlocks {
     }
 
     preloadUriImage ({ URI, NAME }) {
+        // Images can't be loaded or drawn without a document.
+        if (typeof Image === 'undefined') return;
         return new Promise(resolve => {
             const image = new Image();
             image.onload = () => {
@@ -990,6 +1000,7 @@ class Scratch3PenBlocks {
 
     drawRect (args) {
         const ctx = this._getBitmapCanvas();
+        if (!ctx) return;
 
         const hex = Color.decimalToHex(args.COLOR);
         ctx.fillStyle = hex;
@@ -1018,8 +1029,14 @@ class Scratch3PenBlocks {
         this.runtime.requestRedraw();
     }
 
+    /**
+     * Clear the canvas for printing text and shapes, and size it like the pen layer.
+     * @returns {?CanvasRenderingContext2D} The canvas's context, centered on the stage, or null if there is no
+     * canvas because the VM is in a worker.
+     */
     _getBitmapCanvas () {
         const penSkinId = this._getPenLayerID();
+        if (!this.bitmapCanvas) return null;
         const penSkin = this.runtime.renderer._allSkins[penSkinId];
         const width = penSkin._size[0];
         const height = penSkin._size[1];
@@ -1357,6 +1374,7 @@ class Scratch3PenBlocks {
         const firstPos = points.at(-1);
 
         const ctx = this._getBitmapCanvas();
+        if (!ctx) return;
 
         const hex = Color.decimalToHex(args.COLOR);
         ctx.fillStyle = hex;
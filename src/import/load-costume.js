@@ -420,6 +420,29 @@ const loadCostumeFromAsset = function (costume, runtime, optVersion) {
 };
 
 
+/**
+ * An empty SVG, shown in place of costumes that are still loading.
+ * @const {string}
+ */
+const PLACEHOLDER_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"></svg>';
+
+/**
+ * Give a costume that is still loading an empty skin, so that targets can wear it until it has loaded.
+ * Loading the costume replaces its skin, but the placeholder skin has to be destroyed by the caller.
+ * @param {!object} costume - the Scratch costume object.
+ * @param {!Runtime} runtime - Scratch runtime, used to access the renderer.
+ * @returns {?int} - the ID of the placeholder skin, or null if there is no renderer.
+ */
+const loadPlaceholderCostume = function (costume, runtime) {
+    const renderer = runtime.renderer;
+    if (!renderer) {
+        return null;
+    }
+    costume.skinId = renderer.createSVGSkin(PLACEHOLDER_SVG, [0, 0]);
+    costume.size = renderer.getSkinSize(costume.skinId);
+    return costume.skinId;
+};
+
 /**
  * Load a costume's asset into memory asynchronously.
  * Do not call this unless there is a renderer attached.
@@ -491,5 +514,6 @@ const loadCostume = function (md5ext, costume, runtime, optVersion) {
 
 module.exports = {
     loadCostume,
-    loadCostumeFromAsset
+    loadCostumeFromAsset,
+    loadPlaceholderCostume
 };
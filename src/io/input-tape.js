@@ -0,0 +1,264 @@
+/**
+ * @fileoverview
+ * Records everything a user does to a running project into a JSON "input tape" that can
+ * later be replayed into a fresh VM. Each event is stamped with the frame it happened in,
+ * so a replay running at the same fixed framerate, ideally with runtimeOptions.seed set,
+ * reproduces the original session frame by frame.
+ */
+
+const Runtime = require('../engine/runtime');
+
+/**
+ * Version of the tape format. Bumped if the format changes incompatibly.
+ * @const {number}
+ */
+const TAPE_VERSION = 1;
+
+/**
+ * @typedef {object} InputTapeEvent
+ * @property {number} frame Frame the event happened in, relative to the start of the recording.
+ * @property {string} type "io" for data posted to an IO device, "answer" for an answer to "ask and wait".
+ * @property {string} [device] For "io" events, the name of the IO device.
+ * @property {object} [data] For "io" events, the data posted to the IO device.
+ * @property {string} [answer] For "answer" events, the answer.
+ */
+
+/**
+ * @typedef {object} InputTape
+ * @property {number} version Version of the tape format.
+ * @property {number} framerate Framerate the project was running at while recording.
+ * @property {boolean} turbo Whether turbo mode was enabled while recording.
+ * @property {*} seed runtimeOptions.seed while recording, or null.
+ * @property {number} frames Number of frames the recording lasted.
+ * @property {Array.<InputTapeEvent>} events Recorded events, in order.
+ */
+
+/**
+ * Deep copy data so that later changes to the original object can't change the tape.
+ * @param {*} data Data to copy.
+ * @returns {*} JSON-safe copy.
+ */
+const copyData = data => {
+    if (typeof data === 'undefined') return null;
+    return JSON.parse(JSON.stringify(data));
+};
+
+/**
+ * Turn turbo mode on or off, and emit the same events as VirtualMachine#setTurboMode.
+ * @param {Runtime} runtime The runtime.
+ * @param {boolean} turboMode Whether turbo mode should be on.
+ */
+const setTurboMode = (runtime, turboMode) => {
+    if (runtime.turboMode === turboMode) return;
+    runtime.turboMode = turboMode;
+    runtime.emit(turboMode ? Runtime.TURBO_MODE_ON : Runtime.TURBO_MODE_OFF);
+};
+
+class InputRecorder {
+    /**
+     * @param {Runtime} runtime The runtime to record input to.
+     */
+    constructor (runtime) {
+        this.runtime = runtime;
+
+        /**
+         * Value of runtime.frameCount when the recording started.
+         * @type {number}
+         */
+        this.startFrame = 0;
+
+        /**
+         * @type {Array.<InputTapeEvent>}
+         */
+        this.events = [];
+
+        this.recording = false;
+
+        this._onIOData = this._onIOData.bind(this);
+        this._onAnswer = this._onAnswer.bind(this);
+    }
+
+    /**
+     * @returns {number} Current frame relative to the start of the recording.
+     */
+    _currentFrame () {
+        return this.runtime.frameCount - this.startFrame;
+    }
+
+    _onIOData (device, data) {
+        this.events.push({
+            frame: this._currentFrame(),
+            type: 'io',
+            device,
+            data: copyData(data)
+        });
+    }
+
+    _onAnswer (answer) {
+        this.events.push({
+            frame: this._currentFrame(),
+            type: 'answer',
+            answer: String(answer)
+        });
+    }
+
+    /**
+     * Start recording. Any previously recorded events are discarded.
+     */
+    start () {
+        if (this.recording) return;
+        this.recording = true;
+        this.startFrame = this.runtime.frameCount;
+        this.events = [];
+        this.runtime.on(Runtime.IO_DATA_POSTED, this._onIOData);
+        this.runtime.on('ANSWER', this._onAnswer);
+    }
+
+    /**
+     * Stop recording.
+     * @returns {InputTape} The recorded tape.
+     */
+    stop () {
+        if (this.recording) {
+            this.recording = false;
+            this.runtime.removeListener(Runtime.IO_DATA_POSTED, this._onIOData);
+            this.runtime.removeListener('ANSWER', this._onAnswer);
+        }
+        return this.toJSON();
+    }
+
+    /**
+     * @returns {InputTape} The events recorded so far.
+     */
+    toJSON () {
+        return {
+            version: TAPE_VERSION,
+            framerate: this.runtime.frameLoop.framerate,
+            turbo: this.runtime.turboMode,
+            seed: this.runtime.isDeterministic() ? this.runtime.runtimeOptions.seed : null,
+            frames: this._currentFrame(),
+            events: this.events.slice()
+        };
+    }
+}
+
+class InputPlayer {
+    /**
+     * @param {Runtime} runtime The runtime to replay input into.
+     * @param {InputTape|string} tape The tape, or its JSON.
+     */
+    constructor (runtime, tape) {
+        if (typeof tape === 'string') {
+            tape = JSON.parse(tape);
+        }
+        if (!tape || !Array.isArray(tape.events)) {
+            throw new Error('Invalid input tape');
+        }
+        if (tape.version !== TAPE_VERSION) {
+            throw new Error(`Unsupported input tape version: ${tape.version}`);
+        }
+
+        this.runtime = runtime;
+        this.tape = tape;
+
+        /**
+         * Index of the next event to replay.
+         * @type {number}
+         */
+        this.position = 0;
+
+        /**
+         * Value of runtime.frameCount when playback started.
+         * @type {number}
+         */
+        this.startFrame = 0;
+
+        this.playing = false;
+
+        /**
+         * Whether turbo mode was on before playback started, to restore it when playback stops.
+         * @type {?boolean}
+         */
+        this.previousTurboMode = null;
+
+        this._onStep = this._onStep.bind(this);
+    }
+
+    /**
+     * Start replaying. To replay frame-accurately, call this at the same point the recording was started,
+     * for example immediately before the green flag is clicked.
+     * The tape's framerate, turbo mode and seed are applied to the runtime. Turbo mode is restored when
+     * playback stops.
+     */
+    start () {
+        if (this.playing) return;
+        this.playing = true;
+        this.position = 0;
+        this.startFrame = this.runtime.frameCount;
+
+        if (typeof this.tape.framerate === 'number') {
+            this.runtime.setFramerate(this.tape.framerate);
+        }
+        if (typeof this.tape.turbo === 'boolean') {
+            this.previousTurboMode = this.runtime.turboMode;
+            setTurboMode(this.runtime, this.tape.turbo);
+        }
+        if (typeof this.tape.seed !== 'undefined') {
+            this.runtime.setRuntimeOptions({seed: this.tape.seed});
+        }
+
+        this.runtime.on(Runtime.RUNTIME_STEP_START, this._onStep);
+    }
+
+    /**
+     * Stop replaying. Remaining events are not replayed.
+     */
+    stop () {
+        if (!this.playing) return;
+        this.playing = false;
+        this.runtime.removeListener(Runtime.RUNTIME_STEP_START, this._onStep);
+        if (this.previousTurboMode !== null) {
+            setTurboMode(this.runtime, this.previousTurboMode);
+            this.previousTurboMode = null;
+        }
+    }
+
+    /**
+     * @returns {boolean} True if every event on the tape has been replayed.
+     */
+    isFinished () {
+        return this.position >= this.tape.events.length;
+    }
+
+    _onStep () {
+        // This runs at the start of a step, so every event that happened between the start of
+        // the previous step and the start of this one needs to be replayed now.
+        this._replayUntil(this.runtime.frameCount - this.startFrame - 1);
+        if (this.isFinished()) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Replay all events up to and including the given frame.
+     * @param {number} frame Frame relative to the start of playback.
+     */
+    _replayUntil (frame) {
+        const events = this.tape.events;
+        while (this.position < events.length && events[this.position].frame <= frame) {
+            const event = events[this.position];
+            this.position++;
+            if (event.type === 'io') {
+                this.runtime.postIOData(event.device, copyData(event.data));
+            } else if (event.type === 'answer') {
+                this.runtime.emit('ANSWER', event.answer);
+            }
+        }
+    }
+}
+
+module.exports = {
+    TAPE_VERSION,
+    InputRecorder,
+    InputPlayer
+};
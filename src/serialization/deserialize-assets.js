@@ -1,6 +1,35 @@
 const JSZip = require('jszip');
 const log = require('../util/log');
 
+/**
+ * Find an asset's file in a zipped project.
+ * @param {JSZip} zip The zip containing the asset.
+ * @param {string} fileName Name of the asset's file.
+ * @return {?JSZipObject} The file, or null if it isn't in the zip.
+ */
+const findAssetFile = function (zip, fileName) {
+    const file = zip.file(fileName);
+    if (file) return file;
+    // look for assetfile in a flat list of files, or in a folder
+    const fileMatch = new RegExp(`^([^/]*/)?${fileName}$`);
+    return zip.file(fileMatch)[0] || null; // use first matching file
+};
+
+/**
+ * Get the size of an asset's file in a zipped project without reading it.
+ * @param {?JSZip} zip The zip containing the asset, if any.
+ * @param {string} fileName Name of the asset's file.
+ * @return {?number} Its size in bytes, or null if it isn't known.
+ */
+const getAssetFileSize = function (zip, fileName) {
+    const file = zip && findAssetFile(zip, fileName);
+    // JSZip doesn't have an API for this, but files read from a zip keep their sizes from its directory.
+    // The size of files added with zip.file isn't known until they are read.
+    const data = file && file._data;
+    if (data && typeof data.uncompressedSize === 'number') return data.uncompressedSize;
+    return null;
+};
+
 /**
  * Deserializes sound from file into storage cache so that it can
  * be loaded into the runtime.
@@ -26,12 +55,7 @@ const deserializeSound = function (sound, runtime, zip, assetFileName) {
         return Promise.resolve(null);
     }
 
-    let soundFile = zip.file(fileName);
-    if (!soundFile) {
-        // look for assetfile in a flat list of files, or in a folder
-        const fileMatch = new RegExp(`^([^/]*/)?${fileName}$`);
-        soundFile = zip.file(fileMatch)[0]; // use first matching file
-    }
+    const soundFile = findAssetFile(zip, fileName);
 
     if (!soundFile) {
         log.error(`Could not find sound file associated with the ${sound.name} sound.`);
@@ -106,12 +130,7 @@ const deserializeCostume = function (costume, runtime, zip, assetFileName, textL
         return Promise.resolve(null);
     }
 
-    let costumeFile = zip.file(fileName);
-    if (!costumeFile) {
-        // look for assetfile in a flat list of files, or in a folder
-        const fileMatch = new RegExp(`^([^/]*/)?${fileName}$`);
-        costumeFile = zip.file(fileMatch)[0]; // use the first matched file
-    }
+    const costumeFile = findAssetFile(zip, fileName);
 
     if (!costumeFile) {
         log.error(`Could not find costume file associated with the ${costume.name} costume.`);
@@ -174,5 +193,6 @@ const deserializeCostume = function (costume, runtime, zip, assetFileName, textL
 
 module.exports = {
     deserializeSound,
-    deserializeCostume
+    deserializeCostume,
+    getAssetFileSize
 };
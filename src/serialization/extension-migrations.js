@@ -0,0 +1,318 @@
+/**
+ * @fileoverview
+ * Updates the blocks of extensions in projects that were saved with an older version of the extension.
+ *
+ * Extensions declare their current version and a migration for each version that changed their blocks,
+ * with a getMigrationInfo method, or are registered with runtime.extensionMigrations.register. Built-in
+ * extensions declare it as a static method so that it can be read before they are loaded. Projects save
+ * the version of each extension they use in extensionVersions, and when they are loaded the migrations
+ * for every later version run in order. Projects saved before there were versions are at version 0.
+ *
+ * Migrations run on the sb3 JSON, before it is deserialized, so they can rename blocks to blocks from
+ * another extension or from the core blocks.
+ */
+
+const log = require('../util/log');
+const legacyExtensionMigrations = require('./legacy-extension-migrations');
+
+/**
+ * @typedef {object} BlockMigration
+ * @property {string} [opcode] The block's new opcode, with its extension ID. It can be from another extension.
+ * @property {Object.<string, ?string>} [inputs] Inputs that were renamed, mapped to their new name, or to
+ * null if they were removed.
+ * @property {Object.<string, ?string>} [fields] Fields that were renamed or removed, in the same way.
+ * @property {Object.<string, Array>} [addInputs] Inputs that were added, mapped to their value in sb3, such
+ * as [1, [10, 'text']]. Blocks that already have the input keep it.
+ */
+
+/**
+ * @typedef {object} ExtensionMigration
+ * @property {number} version The version of the extension that the migration updates projects to.
+ * @property {string} [description] What changed in this version.
+ * @property {Object.<string, BlockMigration>} [blocks] How blocks changed, by their opcode in the
+ * previous version.
+ * @property {function(object, MigrationContext)} [migrateBlock] Called with each of the extension's
+ * blocks, as in sb3, after the changes in blocks. Changes to the block are reported with context.report.
+ * @property {function(MigrationContext)} [migrateProject] Called once, before the blocks are migrated.
+ */
+
+/**
+ * @typedef {object} ExtensionMigrationInfo
+ * @property {number} version The current version of the extension.
+ * @property {Array.<ExtensionMigration>} [migrations] Migrations to each version after 0 that changed
+ * something. They don't have to be in order.
+ */
+
+/**
+ * @typedef {object} MigrationContext
+ * @property {Runtime} runtime The runtime the project is loaded into.
+ * @property {string} extensionId ID of the extension being migrated.
+ * @property {number} version The version being migrated to.
+ * @property {Array.<object>} targets Every target being loaded, as in sb3.
+ * @property {?object} target The target of the block being migrated, for migrateBlock.
+ * @property {?string} blockId ID of the block being migrated, for migrateBlock.
+ * @property {function(string, string)} setExtensionURL Set the URL to load an extension from.
+ * @property {function(string, ?string)} report Add a message about what was changed to the report.
+ * It is about the block being migrated, unless another block ID or null is passed.
+ */
+
+/**
+ * @typedef {object} MigrationChange
+ * @property {string} extensionId ID of the extension that was migrated.
+ * @property {number} version The version the change migrated to.
+ * @property {?string} target Name of the sprite or stage that was changed, or null for the project.
+ * @property {Array.<string>} blockIds IDs of the blocks that were changed.
+ * @property {string} message What was changed.
+ */
+
+/**
+ * @param {object} value Some value.
+ * @returns {boolean} Whether it is a block, and not a compressed primitive.
+ */
+const isBlock = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.opcode === 'string';
+
+/**
+ * @param {object} object A block's inputs or fields.
+ * @param {Object.<string, ?string>} names New names, or null to remove.
+ * @returns {Array.<string>} What was renamed or removed, as text.
+ */
+const renameKeys = (object, names) => {
+    const changes = [];
+    for (const name of Object.keys(names)) {
+        if (!Object.prototype.hasOwnProperty.call(object, name)) continue;
+        const newName = names[name];
+        if (newName === null) {
+            changes.push(`removed ${name}`);
+        } else {
+            object[newName] = object[name];
+            changes.push(`renamed ${name} to ${newName}`);
+        }
+        delete object[name];
+    }
+    return changes;
+};
+
+/**
+ * Change a block as described.
+ * @param {object} block A block, as in sb3.
+ * @param {BlockMigration} migration How the block changed.
+ * @returns {Array.<string>} What was changed, as text.
+ */
+const migrateBlock = (block, migration) => {
+    const changes = [];
+    const opcode = block.opcode;
+    if (migration.inputs && block.inputs) {
+        changes.push(...renameKeys(block.inputs, migration.inputs).map(change => `${change} input`));
+    }
+    if (migration.fields && block.fields) {
+        changes.push(...renameKeys(block.fields, migration.fields).map(change => `${change} field`));
+    }
+    if (migration.addInputs) {
+        if (!block.inputs) block.inputs = {};
+        for (const name of Object.keys(migration.addInputs)) {
+            if (Object.prototype.hasOwnProperty.call(block.inputs, name)) continue;
+            block.inputs[name] = JSON.parse(JSON.stringify(migration.addInputs[name]));
+            changes.push(`added ${name} input`);
+        }
+    }
+    if (migration.opcode && migration.opcode !== opcode) {
+        block.opcode = migration.opcode;
+        changes.push(`changed to ${migration.opcode}`);
+    }
+    return changes.map(change => `${opcode}: ${change}`);
+};
+
+/**
+ * Migrations for the extensions a runtime can load, and the versions of the extensions in the project.
+ */
+class ExtensionMigrations {
+    /**
+     * @param {Runtime} runtime The runtime that projects are loaded into.
+     */
+    constructor (runtime) {
+        this.runtime = runtime;
+
+        /**
+         * Migrations registered for each extension, by extension ID.
+         * @type {Object.<string, ExtensionMigrationInfo>}
+         */
+        this._extensions = {};
+
+        /**
+         * Versions of the extensions that the project's blocks are at, for extensions that had no
+         * migrations when the project was loaded. They are saved again as they were, so that the
+         * migrations run when the project is next loaded with the extension.
+         * @type {Object.<string, number>}
+         */
+        this._projectVersions = {};
+
+        for (const extensionId of Object.keys(legacyExtensionMigrations)) {
+            this.register(extensionId, legacyExtensionMigrations[extensionId]);
+        }
+    }
+
+    /**
+     * Register the migrations of an extension, replacing any it had.
+     * @param {string} extensionId ID of the extension.
+     * @param {ExtensionMigrationInfo} info Its version and migrations.
+     */
+    register (extensionId, info) {
+        if (typeof info.version !== 'number') {
+            throw new Error(`Migrations for ${extensionId} have no version`);
+        }
+        for (const migration of info.migrations || []) {
+            if (!(migration.version > 0 && migration.version <= info.version)) {
+                throw new Error(`Migration for ${extensionId} to version ${migration.version} is not between ` +
+                    `1 and ${info.version}`);
+            }
+        }
+        this._extensions[extensionId] = info;
+    }
+
+    /**
+     * @param {string} extensionId ID of an extension.
+     * @returns {?ExtensionMigrationInfo} The extension's version and migrations, if it has any. Built-in
+     * extensions are found from their modules, without registering their blocks.
+     */
+    getMigrationInfo (extensionId) {
+        if (Object.prototype.hasOwnProperty.call(this._extensions, extensionId)) {
+            return this._extensions[extensionId];
+        }
+        const extensionManager = this.runtime.extensionManager;
+        if (extensionManager && extensionManager.isBuiltinExtension(extensionId)) {
+            const info = extensionManager.getBuiltinMigrationInfo(extensionId);
+            if (info) {
+                this.register(extensionId, info);
+                return info;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {Iterable.<string>} extensionIds IDs of the extensions used by the project being saved.
+     * @returns {Object.<string, number>} The version to save for each extension that has one.
+     */
+    getVersions (extensionIds) {
+        const versions = {};
+        for (const extensionId of extensionIds) {
+            if (Object.prototype.hasOwnProperty.call(this._projectVersions, extensionId)) {
+                versions[extensionId] = this._projectVersions[extensionId];
+                continue;
+            }
+            const info = this.getMigrationInfo(extensionId);
+            if (info) versions[extensionId] = info.version;
+        }
+        return versions;
+    }
+
+    /**
+     * Update the blocks of every extension in the targets to the current version of the extension.
+     * @param {Array.<object>} targets The targets being loaded, as in sb3. They are changed.
+     * @param {object} options Options.
+     * @param {Object.<string, number>} [options.versions] The version of each extension that the project
+     * was saved with, from extensionVersions.
+     * @param {Array.<string>} [options.extensionIds] IDs of extensions the project lists as used, even
+     * if no blocks use them.
+     * @param {ImportedExtensionsInfo} [options.extensions] Information about the extensions to load, for
+     * migrations that change where an extension is loaded from.
+     * @param {boolean} [options.wholeProject] True when loading a project, false when adding a sprite.
+     * @returns {Array.<MigrationChange>} What was changed.
+     */
+    migrate (targets, {versions = {}, extensionIds = [], extensions = null, wholeProject = true} = {}) {
+        if (wholeProject) this._projectVersions = {};
+
+        const used = new Set(extensionIds);
+        for (const target of targets) {
+            for (const block of Object.values(target.blocks || {})) {
+                if (!isBlock(block)) continue;
+                const index = block.opcode.indexOf('_');
+                if (index > 0) used.add(block.opcode.slice(0, index));
+            }
+        }
+
+        const changes = [];
+        for (const extensionId of used) {
+            const savedVersion = typeof versions[extensionId] === 'number' ? versions[extensionId] : 0;
+            const info = this.getMigrationInfo(extensionId);
+            if (!info) {
+                if (Object.prototype.hasOwnProperty.call(versions, extensionId) &&
+                    !Object.prototype.hasOwnProperty.call(this._projectVersions, extensionId)) {
+                    this._projectVersions[extensionId] = savedVersion;
+                }
+                continue;
+            }
+            if (savedVersion > info.version) {
+                log.warn(`Project was saved with version ${savedVersion} of ${extensionId}, ` +
+                    `but version ${info.version} is loaded`);
+            }
+            const migrations = (info.migrations || [])
+                .filter(migration => migration.version > savedVersion)
+                .sort((a, b) => a.version - b.version);
+            for (const migration of migrations) {
+                changes.push(...this._runMigration(extensionId, migration, targets, extensions));
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * @param {string} extensionId ID of the extension.
+     * @param {ExtensionMigration} migration The migration to run.
+     * @param {Array.<object>} targets The targets being loaded, as in sb3.
+     * @param {?ImportedExtensionsInfo} extensions Information about the extensions to load.
+     * @returns {Array.<MigrationChange>} What was changed.
+     */
+    _runMigration (extensionId, migration, targets, extensions) {
+        // Changes with the same message in the same target are reported together
+        const changes = new Map();
+        const context = {
+            runtime: this.runtime,
+            extensionId,
+            version: migration.version,
+            targets,
+            target: null,
+            blockId: null,
+            setExtensionURL: (id, url) => {
+                if (extensions) extensions.extensionURLs.set(id, url);
+            },
+            report: (message, blockId = context.blockId) => {
+                const targetName = context.target ? context.target.name : null;
+                const key = JSON.stringify([targetName, message]);
+                if (!changes.has(key)) {
+                    changes.set(key, {
+                        extensionId,
+                        version: migration.version,
+                        target: targetName,
+                        blockIds: [],
+                        message
+                    });
+                }
+                if (blockId !== null) changes.get(key).blockIds.push(blockId);
+            }
+        };
+
+        if (migration.migrateProject) migration.migrateProject(context);
+        const prefix = `${extensionId}_`;
+        for (const target of targets) {
+            context.target = target;
+            const blocks = target.blocks || {};
+            for (const blockId of Object.keys(blocks)) {
+                const block = blocks[blockId];
+                if (!isBlock(block) || !block.opcode.startsWith(prefix)) continue;
+                context.blockId = blockId;
+                const blockMigration = migration.blocks && migration.blocks[block.opcode];
+                if (blockMigration) {
+                    for (const change of migrateBlock(block, blockMigration)) context.report(change, blockId);
+                }
+                if (migration.migrateBlock) migration.migrateBlock(block, context);
+            }
+        }
+        context.target = null;
+        context.blockId = null;
+        return Array.from(changes.values());
+    }
+}
+
+module.exports = ExtensionMigrations;
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview
+ * Migrations for extensions that used to be built in, and are now loaded from elsewhere or replaced by
+ * other blocks. See extension-migrations.js.
+ */
+
+const Clone = require('../util/clone');
+const replacersPatch = require('./replacers patch.json');
+
+/**
+ * @param {string} url Where the extension is loaded from now.
+ * @returns {ExtensionMigrationInfo} Migrations for an extension that is now loaded from a URL.
+ */
+const movedToURL = url => ({
+    version: 1,
+    migrations: [{
+        version: 1,
+        description: 'Loaded from a URL instead of being built in',
+        migrateProject: context => {
+            context.setExtensionURL(context.extensionId, url);
+            context.report(`Loading ${context.extensionId} from ${url}`);
+        }
+    }]
+});
+
+// Blocks from jwUnite that are now core blocks
+const jwUniteBlocks = {
+    jwUnite_always: {opcode: 'event_always'},
+    jwUnite_whenanything: {opcode: 'event_whenanything'},
+    jwUnite_getspritewithattrib: {opcode: 'sensing_getspritewithattrib'},
+    jwUnite_backToGreenFlag: {opcode: 'control_backToGreenFlag'},
+    jwUnite_trueBoolean: {opcode: 'operator_trueBoolean'},
+    jwUnite_falseBoolean: {opcode: 'operator_falseBoolean'},
+    jwUnite_randomBoolean: {opcode: 'operator_randomBoolean'},
+    jwUnite_mobile: {opcode: 'sensing_mobile'},
+    jwUnite_thing_is_text: {opcode: 'sensing_thing_is_text'},
+    jwUnite_thing_is_number: {opcode: 'sensing_thing_is_number'},
+    jwUnite_if_return_else_return: {opcode: 'control_if_return_else_return'},
+    jwUnite_indexOfTextInText: {opcode: 'operator_indexOfTextInText'},
+    jwUnite_regextest: {opcode: 'sensing_regextest', addInputs: {regrule: [1, [10, 'g']]}},
+    jwUnite_regexmatch: {opcode: 'operator_regexmatch', addInputs: {regrule: [1, [10, 'g']]}},
+    jwUnite_replaceAll: {opcode: 'operator_replaceAll'},
+    jwUnite_getLettersFromIndexToIndexInText: {opcode: 'operator_getLettersFromIndexToIndexInText'},
+    jwUnite_readLineInMultilineText: {opcode: 'operator_readLineInMultilineText'},
+    jwUnite_newLine: {opcode: 'operator_newLine'},
+    jwUnite_stringify: {opcode: 'operator_stringify'},
+    jwUnite_lerpFunc: {opcode: 'operator_lerpFunc'},
+    jwUnite_advMath: {opcode: 'operator_advMath'},
+    jwUnite_constrainnumber: {opcode: 'operator_constrainnumber'}
+};
+
+// The replacer blocks became custom blocks that use the JSON extension
+const jwUniteReplacers = {
+    jwUnite_setReplacer: 'setReplacerToDisplay',
+    jwUnite_replaceWithReplacers: 'replaceWithReplacersDisplay'
+};
+
+/**
+ * @param {object} block A block from jwUnite, as in sb3.
+ * @param {MigrationContext} context The migration.
+ */
+const migrateJwUniteReplacer = (block, context) => {
+    const prototypeId = jwUniteReplacers[block.opcode];
+    if (!prototypeId) return;
+    const target = context.target;
+    if (!Object.prototype.hasOwnProperty.call(target.blocks, prototypeId)) {
+        Object.assign(target.blocks, Clone.simple(replacersPatch.blocks));
+        target.variables = Object.assign(target.variables || {}, Clone.simple(replacersPatch.variables));
+        context.report('Added the replacer custom blocks', null);
+    }
+    context.report(`${block.opcode}: changed to a custom block`);
+    block.opcode = 'procedures_call';
+    block.mutation = Clone.simple(replacersPatch.blocks[prototypeId].mutation);
+};
+
+/**
+ * Migrations for each extension, by extension ID.
+ * @type {Object.<string, ExtensionMigrationInfo>}
+ */
+module.exports = {
+    griffpatch: movedToURL('https://extensions.turbowarp.org/box2d.js'),
+    cloudlink: movedToURL('https://extensions.turbowarp.org/cloudlink.js'),
+    jwUnite: {
+        version: 1,
+        migrations: [{
+            version: 1,
+            description: 'Blocks moved to the core blocks',
+            blocks: jwUniteBlocks,
+            migrateBlock: migrateJwUniteReplacer
+        }]
+    }
+};
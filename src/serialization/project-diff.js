@@ -0,0 +1,1112 @@
+/**
+ * @fileoverview
+ * Compares and merges sb3 projects by what they contain instead of by their JSON text, so that projects
+ * can be worked on by several people at once.
+ *
+ * Block and comment IDs are random, and change whenever a project is compressed, so they are never used
+ * to tell whether two things are the same. Scripts are matched by their blocks and then by their top
+ * block, variables, lists and broadcasts by ID and then by name, costumes and sounds by asset and then
+ * by name, comments by their text, and sprites by name.
+ *
+ * Merging never produces a broken project. When both sides change the same thing in different ways,
+ * the merged project keeps our version of it and the conflict is reported.
+ */
+
+const uid = require('../util/uid');
+
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+/**
+ * @typedef {object} ProjectChange
+ * @property {string} type One of the ChangeType values.
+ * @property {string} kind One of the ItemKind values.
+ * @property {?string} target Name of the sprite or stage the change is in, or null for the project.
+ * @property {string} key Name of the item that changed. For scripts, a description of their top block.
+ * @property {*} before The item before the change, or undefined if it was added.
+ * @property {*} after The item after the change, or undefined if it was removed.
+ */
+
+/**
+ * @typedef {object} MergeConflict
+ * @property {string} type One of the ConflictType values.
+ * @property {string} kind One of the ItemKind values.
+ * @property {?string} target Name of the sprite or stage the conflict is in, or null for the project.
+ * @property {string} key Name of the item in conflict, like in ProjectChange.
+ * @property {*} base The item in the common ancestor, or undefined if it didn't exist.
+ * @property {*} ours Our version of the item, which the merged project uses, or undefined if we removed it.
+ * @property {*} theirs Their version of the item, or undefined if they removed it.
+ */
+
+/**
+ * Types of changes that diffProjects reports.
+ * @enum {string}
+ */
+const ChangeType = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    CHANGED: 'changed'
+};
+
+/**
+ * Types of conflicts that mergeProjects reports.
+ * @enum {string}
+ */
+const ConflictType = {
+    /** Both sides changed the item differently. */
+    CHANGED_ON_BOTH_SIDES: 'changedOnBothSides',
+    /** Both sides added an item with the same name but different content. */
+    ADDED_ON_BOTH_SIDES: 'addedOnBothSides',
+    /** We changed the item and they removed it. */
+    CHANGED_AND_REMOVED: 'changedAndRemoved',
+    /** We removed the item and they changed it. */
+    REMOVED_AND_CHANGED: 'removedAndChanged'
+};
+
+/**
+ * Kinds of things in a project that changes and conflicts can be about.
+ * @enum {string}
+ */
+const ItemKind = {
+    TARGET: 'target',
+    PROPERTY: 'property',
+    SCRIPT: 'script',
+    VARIABLE: 'variable',
+    LIST: 'list',
+    BROADCAST: 'broadcast',
+    LOCAL_VARIABLE: 'localVariable',
+    COSTUME: 'costume',
+    SOUND: 'sound',
+    COMMENT: 'comment',
+    MONITOR: 'monitor',
+    EXTENSION: 'extension'
+};
+
+/**
+ * Properties of a target that are compared item by item rather than as a whole.
+ * @const {Array.<string>}
+ */
+const TARGET_COLLECTIONS = [
+    'isStage',
+    'name',
+    'variables',
+    'lists',
+    'broadcasts',
+    'localVariables',
+    'blocks',
+    'comments',
+    'currentCostume',
+    'costumes',
+    'sounds'
+];
+
+/**
+ * Properties of a project that are compared item by item rather than as a whole.
+ * @const {Array.<string>}
+ */
+const PROJECT_COLLECTIONS = ['targets', 'monitors', 'extensions'];
+
+/**
+ * Opcodes of the blocks that sb3 stores as bare arrays at the top level of a script.
+ * @const {Object.<number, string>}
+ */
+const TOP_LEVEL_PRIMITIVES = {
+    12: 'data_variable',
+    13: 'data_listcontents'
+};
+
+/**
+ * Fields that refer to a variable, list or broadcast by ID and name, with the type of what they refer to.
+ * @const {Object.<string, string>}
+ */
+const VARIABLE_FIELDS = {
+    VARIABLE: 'variables',
+    LIST: 'lists',
+    BROADCAST_OPTION: 'broadcasts'
+};
+
+/**
+ * Primitives that refer to a variable, list or broadcast by name and ID, with the type of what they refer to.
+ * @const {Object.<number, string>}
+ */
+const VARIABLE_PRIMITIVES = {
+    11: 'broadcasts',
+    12: 'variables',
+    13: 'lists'
+};
+
+/**
+ * @param {*} value A value that can be converted to JSON.
+ * @returns {string|undefined} The value as JSON, with the properties of objects sorted so that equal values
+ * always give the same string.
+ */
+const stringify = value => JSON.stringify(value, (key, item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+    const sorted = {};
+    for (const name of Object.keys(item).sort()) sorted[name] = item[name];
+    return sorted;
+});
+
+/**
+ * @param {Array.<string>} lists Lists of keys.
+ * @returns {Array.<string>} Each key once, in the order they first appear.
+ */
+const union = (...lists) => Array.from(new Set([].concat(...lists)));
+
+/**
+ * @param {string} key A key that might be taken.
+ * @param {Set.<string>} taken Keys that are taken. The returned key is added to it.
+ * @returns {string} The key, with a number after it if it was taken.
+ */
+const uniqueKey = (key, taken) => {
+    let result = key;
+    for (let i = 2; taken.has(result); i++) {
+        result = `${key} (${i})`;
+    }
+    taken.add(result);
+    return result;
+};
+
+/**
+ * @param {Set.<string>} used IDs that are taken. The returned ID is added to it.
+ * @returns {string} A new block or comment ID.
+ */
+const newId = used => {
+    let id = uid();
+    while (used.has(id)) id = uid();
+    used.add(id);
+    return id;
+};
+
+// Scripts
+
+const readPrimitive = primitive => primitive.slice(0, 2);
+
+/**
+ * Read a stack of blocks into a form that doesn't depend on block IDs or positions.
+ * @param {object} blocks The serialized blocks of a target.
+ * @param {?string} id ID of the first block of the stack.
+ * @param {Array.<string>} blockIds The IDs of the blocks that are read are added to this.
+ * @param {Set.<string>} visited The same IDs, to protect against broken projects where blocks refer to each
+ * other in a loop.
+ * @returns {Array} The blocks of the stack.
+ */
+const readStack = (blocks, id, blockIds, visited) => {
+    const readInput = value => {
+        if (Array.isArray(value)) return readPrimitive(value);
+        if (typeof value === 'string') return readStack(blocks, value, blockIds, visited);
+        return null;
+    };
+    const stack = [];
+    while (typeof id === 'string' && hasOwnProperty.call(blocks, id) && !visited.has(id)) {
+        const block = blocks[id];
+        blockIds.push(id);
+        visited.add(id);
+        if (Array.isArray(block)) {
+            stack.push(readPrimitive(block));
+            break;
+        }
+        const fields = Object.keys(block.fields || {}).sort()
+            .map(name => [name, block.fields[name][0]]);
+        const inputs = Object.keys(block.inputs || {}).sort()
+            .map(name => {
+                const input = block.inputs[name];
+                return [name, input[0], readInput(input[1]), readInput(input[2])];
+            });
+        stack.push([block.opcode, fields, inputs, block.mutation || null, !!block.shadow]);
+        id = block.next;
+    }
+    return stack;
+};
+
+/**
+ * Describe the top block of a script, including its fields and menus but not the blocks in it, so
+ * that a script can be recognized after the blocks under its hat have changed.
+ * @param {object} blocks The serialized blocks of a target.
+ * @param {string} id ID of the top block.
+ * @returns {string} For example "event_whenkeypressed KEY_OPTION=space".
+ */
+const describeTopBlock = (blocks, id) => {
+    const block = blocks[id];
+    if (Array.isArray(block)) {
+        return `${TOP_LEVEL_PRIMITIVES[block[0]] || block[0]} ${block[1]}`;
+    }
+    const details = Object.keys(block.fields || {}).sort()
+        .map(name => `${name}=${block.fields[name][0]}`);
+    if (block.mutation && typeof block.mutation.proccode === 'string') {
+        details.push(`proccode=${block.mutation.proccode}`);
+    }
+    for (const name of Object.keys(block.inputs || {}).sort()) {
+        const inputId = block.inputs[name][1];
+        const inputBlock = typeof inputId === 'string' && blocks[inputId];
+        if (inputBlock && !Array.isArray(inputBlock) && inputBlock.shadow) {
+            details.push(`${name}=(${describeTopBlock(blocks, inputId)})`);
+        }
+    }
+    return [block.opcode].concat(details).join(' ');
+};
+
+/**
+ * @typedef {object} ScriptItem
+ * @property {string} topId ID of the top block.
+ * @property {Array.<string>} blockIds IDs of all of the script's blocks, in the order they were read.
+ * @property {object} blocks The serialized blocks of the target the script is in.
+ * @property {string} topKey Description of the top block.
+ * @property {string} content The script without block IDs or position.
+ * @property {number} x Position of the script in the code area.
+ * @property {number} y Position of the script in the code area.
+ */
+
+/**
+ * @param {object} blocks The serialized blocks of a target.
+ * @returns {Array.<ScriptItem>} The scripts. Blocks that aren't in a script are ignored.
+ */
+const parseScripts = blocks => {
+    const scripts = [];
+    for (const topId of Object.keys(blocks)) {
+        const block = blocks[topId];
+        const isArray = Array.isArray(block);
+        if (!isArray && !block.topLevel) continue;
+        const blockIds = [];
+        const content = stringify(readStack(blocks, topId, blockIds, new Set()));
+        scripts.push({
+            topId,
+            blockIds,
+            blocks,
+            topKey: describeTopBlock(blocks, topId),
+            content,
+            x: isArray ? block[3] : block.x,
+            y: isArray ? block[4] : block.y
+        });
+    }
+    return scripts;
+};
+
+/**
+ * @param {ScriptItem} script A script.
+ * @returns {object} The script's position and serialized blocks.
+ */
+const describeScript = script => {
+    const blocks = {};
+    for (const id of script.blockIds) {
+        blocks[id] = script.blocks[id];
+    }
+    return {topId: script.topId, x: script.x, y: script.y, blocks};
+};
+
+/**
+ * Copy a script's blocks into the blocks of a new target, giving blocks new IDs if theirs are taken.
+ * @param {ScriptItem} script The script to copy.
+ * @param {object} blocks Serialized blocks of the new target.
+ * @param {Set.<string>} used Block and comment IDs that are taken in the new project.
+ * @returns {Array.<string>} The new IDs of the script's blocks, in the same order as script.blockIds.
+ */
+const copyScript = (script, blocks, used) => {
+    const renamed = new Map();
+    for (const id of script.blockIds) {
+        if (used.has(id)) {
+            renamed.set(id, newId(used));
+        } else {
+            used.add(id);
+        }
+    }
+    const rename = id => renamed.get(id) || id;
+    for (const id of script.blockIds) {
+        const block = JSON.parse(JSON.stringify(script.blocks[id]));
+        if (Array.isArray(block)) {
+            if (id === script.topId) {
+                block[3] = script.x;
+                block[4] = script.y;
+            }
+        } else {
+            block.parent = block.parent && rename(block.parent);
+            block.next = block.next && rename(block.next);
+            for (const input of Object.values(block.inputs || {})) {
+                for (let i = 1; i < input.length; i++) {
+                    if (typeof input[i] === 'string') input[i] = rename(input[i]);
+                }
+            }
+            // Comments are attached again after they have been merged
+            delete block.comment;
+            if (id === script.topId) {
+                block.x = script.x;
+                block.y = script.y;
+            }
+        }
+        blocks[rename(id)] = block;
+    }
+    return script.blockIds.map(rename);
+};
+
+// Other parts of targets
+
+/**
+ * @param {object} object Variables, lists, broadcasts or local variables, by ID, as in sb3.
+ * @param {function(*): string} getName Gets the name of one of them from its serialized form.
+ * @param {function(string, *): object} describe Describes one of them in changes and conflicts.
+ * @returns {Array.<object>} The items.
+ */
+const parseVariables = (object, getName, describe) => Object.keys(object || {}).map(id => ({
+    id,
+    name: getName(object[id]),
+    raw: object[id],
+    content: stringify(object[id]),
+    data: describe(id, object[id])
+}));
+
+const parseComments = (comments, scripts) => Object.keys(comments || {}).map(id => {
+    const raw = comments[id];
+    let script = null;
+    let index = -1;
+    if (raw.blockId) {
+        script = scripts.find(item => item.blockIds.includes(raw.blockId)) || null;
+        index = script ? script.blockIds.indexOf(raw.blockId) : -1;
+    }
+    const block = script && script.blocks[raw.blockId];
+    const opcode = block && !Array.isArray(block) ? block.opcode : null;
+    return {
+        id,
+        raw,
+        script,
+        index,
+        opcode,
+        text: String(raw.text),
+        x: raw.x,
+        y: raw.y,
+        // Comments move with the blocks they are attached to, so their position is merged separately
+        content: stringify({
+            text: raw.text,
+            width: raw.width,
+            height: raw.height,
+            minimized: raw.minimized,
+            attachedTo: script ? [script.topKey, opcode] : null
+        }),
+        data: Object.assign({id}, raw)
+    };
+});
+
+const parseAssets = assets => (assets || []).map(raw => ({
+    name: raw.name,
+    assetId: raw.assetId,
+    raw,
+    content: stringify(raw),
+    data: raw
+}));
+
+const pickProperties = (object, collections) => {
+    const properties = {};
+    for (const key of Object.keys(object)) {
+        if (!collections.includes(key)) properties[key] = object[key];
+    }
+    return properties;
+};
+
+/**
+ * @typedef {object} TargetItem
+ * A sprite or the stage, split into the parts that are compared separately.
+ * @property {string} name Name of the target.
+ * @property {boolean} isStage Whether the target is the stage.
+ * @property {object} properties Properties that are compared as a whole, such as x and volume.
+ * @property {Array.<object>} variables The variables.
+ * @property {Array.<object>} lists The lists.
+ * @property {Array.<object>} broadcasts The broadcasts.
+ * @property {Array.<object>} localVariables Declarations of local variables.
+ * @property {Array.<ScriptItem>} scripts The scripts.
+ * @property {Array.<object>} comments The comments.
+ * @property {Array.<object>} costumes The costumes.
+ * @property {Array.<object>} sounds The sounds.
+ * @property {?object} currentCostume The current costume, from costumes.
+ * @property {string} content The target without block IDs and script positions.
+ * @property {object} data The serialized target.
+ */
+
+/**
+ * @param {TargetItem} target A target.
+ * @returns {string} The parts of the target that matter, as a string that can be compared.
+ */
+const getTargetContent = target => stringify({
+    properties: target.properties,
+    variables: target.variables.map(item => [item.id, item.content]),
+    lists: target.lists.map(item => [item.id, item.content]),
+    broadcasts: target.broadcasts.map(item => [item.id, item.content]),
+    localVariables: target.localVariables.map(item => [item.id, item.content]),
+    scripts: target.scripts.map(item => item.content).sort(),
+    comments: target.comments.map(item => item.content).sort(),
+    costumes: target.costumes.map(item => item.content),
+    sounds: target.sounds.map(item => item.content),
+    currentCostume: target.currentCostume && target.currentCostume.name
+});
+
+/**
+ * @param {object} raw A serialized target.
+ * @returns {TargetItem} The target.
+ */
+const parseTarget = raw => {
+    const scripts = parseScripts(raw.blocks || {});
+    const costumes = parseAssets(raw.costumes);
+    const target = {
+        name: raw.name,
+        isStage: !!raw.isStage,
+        properties: pickProperties(raw, TARGET_COLLECTIONS),
+        variables: parseVariables(raw.variables, value => value[0], (id, value) => ({
+            id,
+            name: value[0],
+            value: value[1],
+            isCloud: !!value[2]
+        })),
+        lists: parseVariables(raw.lists, value => value[0], (id, value) => ({id, name: value[0], value: value[1]})),
+        broadcasts: parseVariables(raw.broadcasts, value => value, (id, value) => ({id, name: value})),
+        localVariables: parseVariables(raw.localVariables, value => value[0], (id, value) => ({
+            id,
+            name: value[0],
+            valueType: value[1]
+        })),
+        scripts,
+        comments: parseComments(raw.comments, scripts),
+        costumes,
+        sounds: parseAssets(raw.sounds),
+        currentCostume: costumes[raw.currentCostume] || costumes[0] || null,
+        data: raw
+    };
+    target.content = getTargetContent(target);
+    return target;
+};
+
+// Comparing and merging collections of items
+
+/**
+ * @typedef {object} ItemType
+ * How to compare one kind of item. Every item has a content string; two versions of an item are the same
+ * if their content is the same.
+ * @property {string} kind One of the ItemKind values.
+ * @property {function(object): string} key Gets the name of an item in changes and conflicts.
+ * @property {Array.<function(object): ?string>} matchers Ways to recognize an item in another version of
+ * the project, from the most to the least specific.
+ * @property {function(object): *} [value] Gets what changes and conflicts say about an item.
+ * Defaults to item.data.
+ * @property {function(object, object, object, MergeContext): object} [merge] Merges two versions of an
+ * item that were both changed. Without it, that is a conflict.
+ * @property {function(object, object, object, object): object} [finish] Adjusts a merged item, given the
+ * three versions it was merged from.
+ * @property {function(object, object, string, Array.<ProjectChange>)} [diff] Reports the differences
+ * between two versions of an item. Without it, the item is reported as changed.
+ */
+
+/**
+ * @typedef {object} MergeContext
+ * @property {?string} target Name of the target that is being merged, or null for the project.
+ * @property {Array.<MergeConflict>} conflicts Conflicts are added to this.
+ */
+
+/**
+ * @param {ItemType} type The type of the item.
+ * @param {object} [item] The item, if it is in that version of the project.
+ * @returns {*} The value of the item that is reported in changes and conflicts, or undefined without an item.
+ */
+const getValue = (type, item) => {
+    if (!item) return;
+    return type.value ? type.value(item) : item.data;
+};
+
+/**
+ * Give each item a unique key.
+ * @param {Array.<object>} items The items.
+ * @param {ItemType} type The type of the items.
+ * @returns {Map.<string, object>} The items by key, in the same order.
+ */
+const keyItems = (items, type) => {
+    const taken = new Set();
+    return new Map(items.map(item => [uniqueKey(type.key(item), taken), item]));
+};
+
+/**
+ * Give the items of another version of a collection the same keys as the items they match in some
+ * reference versions. Items that match nothing get new keys.
+ * @param {Array.<Map.<string, object>>} references Keyed items to match, in order of preference.
+ * @param {Array.<object>} items The other version's items.
+ * @param {ItemType} type The type of the items.
+ * @returns {Map.<string, object>} The other version's items by key, in the same order as items.
+ */
+const alignItems = (references, items, type) => {
+    const keys = new Map();
+    const claimed = new Set();
+    for (const reference of references) {
+        for (const matcher of type.matchers) {
+            const available = new Map();
+            for (const [key, item] of reference) {
+                if (claimed.has(key)) continue;
+                const match = matcher(item);
+                if (!available.has(match)) available.set(match, []);
+                available.get(match).push(key);
+            }
+            for (const item of items) {
+                if (keys.has(item)) continue;
+                const candidates = available.get(matcher(item));
+                if (candidates && candidates.length > 0) {
+                    const key = candidates.shift();
+                    claimed.add(key);
+                    keys.set(item, key);
+                }
+            }
+        }
+    }
+    const taken = new Set(claimed);
+    for (const reference of references) {
+        for (const key of reference.keys()) taken.add(key);
+    }
+    for (const item of items) {
+        if (!keys.has(item)) keys.set(item, uniqueKey(type.key(item), taken));
+    }
+    return new Map(items.map(item => [keys.get(item), item]));
+};
+
+/**
+ * Report the differences between two versions of a collection.
+ * @param {ItemType} type The type of the items.
+ * @param {Array.<object>} before The items in the old version.
+ * @param {Array.<object>} after The items in the new version.
+ * @param {?string} target Name of the target the items are in, or null for the project.
+ * @param {Array.<ProjectChange>} changes Changes are added to this.
+ */
+const diffCollection = (type, before, after, target, changes) => {
+    const beforeItems = keyItems(before, type);
+    const afterItems = alignItems([beforeItems], after, type);
+    const change = (changeType, key, oldItem, newItem) => changes.push({
+        type: changeType,
+        kind: type.kind,
+        target,
+        key,
+        before: getValue(type, oldItem),
+        after: getValue(type, newItem)
+    });
+    for (const [key, oldItem] of beforeItems) {
+        const newItem = afterItems.get(key);
+        if (!newItem) {
+            change(ChangeType.REMOVED, key, oldItem, null);
+        } else if (oldItem.content !== newItem.content) {
+            if (type.diff) {
+                type.diff(oldItem, newItem, key, changes);
+            } else {
+                change(ChangeType.CHANGED, key, oldItem, newItem);
+            }
+        }
+    }
+    for (const [key, newItem] of afterItems) {
+        if (!beforeItems.has(key)) change(ChangeType.ADDED, key, null, newItem);
+    }
+};
+
+/**
+ * Merge one item.
+ * @param {ItemType} type The type of the item.
+ * @param {string} key The item's key.
+ * @param {?object} base The item in the common ancestor.
+ * @param {?object} ours Our version of the item.
+ * @param {?object} theirs Their version of the item.
+ * @param {MergeContext} context The merge.
+ * @returns {?object} The merged item, or null if it was removed.
+ */
+const mergeItem = (type, key, base, ours, theirs, context) => {
+    const conflict = conflictType => {
+        context.conflicts.push({
+            type: conflictType,
+            kind: type.kind,
+            target: context.target,
+            key,
+            base: getValue(type, base),
+            ours: getValue(type, ours),
+            theirs: getValue(type, theirs)
+        });
+    };
+    if (!base) {
+        if (!theirs) return ours;
+        if (!ours) return theirs;
+        if (ours.content !== theirs.content) conflict(ConflictType.ADDED_ON_BOTH_SIDES);
+        return ours;
+    }
+    if (!ours) {
+        if (theirs && theirs.content !== base.content) conflict(ConflictType.REMOVED_AND_CHANGED);
+        return null;
+    }
+    if (!theirs) {
+        if (ours.content === base.content) return null;
+        conflict(ConflictType.CHANGED_AND_REMOVED);
+        return ours;
+    }
+    let merged;
+    if (theirs.content === base.content || theirs.content === ours.content) {
+        merged = ours;
+    } else if (ours.content === base.content) {
+        merged = theirs;
+    } else if (type.merge) {
+        return type.merge(base, ours, theirs, context);
+    } else {
+        conflict(ConflictType.CHANGED_ON_BOTH_SIDES);
+        merged = ours;
+    }
+    return type.finish ? type.finish(merged, base, ours, theirs) : merged;
+};
+
+/**
+ * @typedef {object} MergedCollection
+ * @property {Array.<object>} items The merged items, in our order with their new items added.
+ * @property {Map.<string, object>} merged The merged items by key.
+ * @property {Map.<object, string>} keys The keys of the items of all three versions.
+ */
+
+/**
+ * Merge three versions of a collection.
+ * @param {ItemType} type The type of the items.
+ * @param {Array.<object>} base The items in the common ancestor.
+ * @param {Array.<object>} ours Our items.
+ * @param {Array.<object>} theirs Their items.
+ * @param {MergeContext} context The merge.
+ * @returns {MergedCollection} The merged collection.
+ */
+const mergeCollection = (type, base, ours, theirs, context) => {
+    const baseItems = keyItems(base, type);
+    const ourItems = alignItems([baseItems], ours, type);
+    const ourNewItems = new Map(Array.from(ourItems).filter(([key]) => !baseItems.has(key)));
+    // Items that both sides added should get the same key
+    const theirItems = alignItems([baseItems, ourNewItems], theirs, type);
+
+    const merged = new Map();
+    for (const key of union(Array.from(baseItems.keys()), Array.from(ourItems.keys()),
+        Array.from(theirItems.keys()))) {
+        const item = mergeItem(type, key, baseItems.get(key), ourItems.get(key), theirItems.get(key), context);
+        if (item) merged.set(key, item);
+    }
+
+    // Keep our order, and put their new items after the item they follow in their version.
+    const order = Array.from(ourItems.keys()).filter(key => merged.has(key));
+    let insertAt = 0;
+    for (const key of theirItems.keys()) {
+        if (!merged.has(key)) continue;
+        const index = order.indexOf(key);
+        if (index === -1) {
+            order.splice(insertAt, 0, key);
+            insertAt++;
+        } else {
+            insertAt = index + 1;
+        }
+    }
+
+    const keys = new Map();
+    for (const items of [baseItems, ourItems, theirItems]) {
+        for (const [key, item] of items) keys.set(item, key);
+    }
+    return {items: order.map(key => merged.get(key)), merged, keys};
+};
+
+/**
+ * Report the differences between two versions of an object that is compared property by property.
+ * @param {object} before The old version.
+ * @param {object} after The new version.
+ * @param {?string} target Name of the target the object is part of, or null for the project.
+ * @param {Array.<ProjectChange>} changes Changes are added to this.
+ */
+const diffProperties = (before, after, target, changes) => {
+    for (const key of union(Object.keys(before), Object.keys(after))) {
+        const inBefore = hasOwnProperty.call(before, key);
+        const inAfter = hasOwnProperty.call(after, key);
+        if (inBefore && inAfter && stringify(before[key]) === stringify(after[key])) continue;
+        changes.push({
+            type: inBefore ? (inAfter ? ChangeType.CHANGED : ChangeType.REMOVED) : ChangeType.ADDED,
+            kind: ItemKind.PROPERTY,
+            target,
+            key,
+            before: before[key],
+            after: after[key]
+        });
+    }
+};
+
+/**
+ * @param {string} key Name of the property.
+ * @param {*} base The value in the common ancestor, or undefined if it didn't exist.
+ * @param {*} ours Our value, or undefined if we removed it.
+ * @param {*} theirs Their value, or undefined if they removed it.
+ * @param {MergeContext} context The merge.
+ * @returns {*} The merged value, or undefined if it was removed.
+ */
+const mergeValue = (key, base, ours, theirs, context) => {
+    const baseContent = stringify(base);
+    const ourContent = stringify(ours);
+    const theirContent = stringify(theirs);
+    if (ourContent === theirContent || theirContent === baseContent) return ours;
+    if (ourContent === baseContent) return theirs;
+    let type = ConflictType.CHANGED_ON_BOTH_SIDES;
+    if (typeof base === 'undefined') {
+        type = ConflictType.ADDED_ON_BOTH_SIDES;
+    } else if (typeof ours === 'undefined') {
+        type = ConflictType.REMOVED_AND_CHANGED;
+    } else if (typeof theirs === 'undefined') {
+        type = ConflictType.CHANGED_AND_REMOVED;
+    }
+    context.conflicts.push({type, kind: ItemKind.PROPERTY, target: context.target, key, base, ours, theirs});
+    return ours;
+};
+
+/**
+ * Merge three versions of an object property by property.
+ * @param {object} base The common ancestor.
+ * @param {object} ours Our version.
+ * @param {object} theirs Their version.
+ * @param {MergeContext} context The merge.
+ * @returns {object} The merged object, with properties in our order.
+ */
+const mergeProperties = (base, ours, theirs, context) => {
+    const merged = {};
+    for (const key of union(Object.keys(ours), Object.keys(theirs), Object.keys(base))) {
+        const value = mergeValue(key, base[key], ours[key], theirs[key], context);
+        if (typeof value !== 'undefined') merged[key] = value;
+    }
+    return merged;
+};
+
+/**
+ * Use their position if we didn't move an item.
+ * @param {object} merged The merged item.
+ * @param {object} base The item in the common ancestor.
+ * @param {object} ours Our version of the item.
+ * @param {object} theirs Their version of the item.
+ * @returns {object} The merged item with the merged position.
+ */
+const finishPosition = (merged, base, ours, theirs) => {
+    const position = ours.x === base.x && ours.y === base.y ? theirs : ours;
+    return Object.assign({}, merged, {x: position.x, y: position.y});
+};
+
+const variableType = kind => ({
+    kind,
+    key: item => item.id,
+    matchers: [item => item.id, item => item.name]
+});
+
+const assetType = kind => ({
+    kind,
+    key: item => item.name,
+    matchers: [item => `${item.assetId}/${item.name}`, item => item.assetId, item => item.name]
+});
+
+/**
+ * How each part of a target is compared.
+ * @const {Object.<string, ItemType>}
+ */
+const TARGET_PARTS = {
+    variables: variableType(ItemKind.VARIABLE),
+    lists: variableType(ItemKind.LIST),
+    broadcasts: variableType(ItemKind.BROADCAST),
+    localVariables: variableType(ItemKind.LOCAL_VARIABLE),
+    scripts: {
+        kind: ItemKind.SCRIPT,
+        key: item => item.topKey,
+        matchers: [item => item.content, item => item.topKey],
+        value: describeScript,
+        finish: finishPosition
+    },
+    comments: {
+        kind: ItemKind.COMMENT,
+        key: item => item.text,
+        matchers: [item => item.content, item => item.text],
+        finish: finishPosition
+    },
+    costumes: assetType(ItemKind.COSTUME),
+    sounds: assetType(ItemKind.SOUND)
+};
+
+/**
+ * Report the differences between two versions of a target.
+ * @param {TargetItem} before The old version.
+ * @param {TargetItem} after The new version.
+ * @param {string} name Name of the target in changes.
+ * @param {Array.<ProjectChange>} changes Changes are added to this.
+ */
+const diffTarget = (before, after, name, changes) => {
+    diffProperties(before.properties, after.properties, name, changes);
+    const beforeCostume = before.currentCostume && before.currentCostume.name;
+    const afterCostume = after.currentCostume && after.currentCostume.name;
+    if (beforeCostume !== afterCostume) {
+        changes.push({
+            type: ChangeType.CHANGED,
+            kind: ItemKind.PROPERTY,
+            target: name,
+            key: 'currentCostume',
+            before: beforeCostume,
+            after: afterCostume
+        });
+    }
+    for (const part of Object.keys(TARGET_PARTS)) {
+        diffCollection(TARGET_PARTS[part], before[part], after[part], name, changes);
+    }
+};
+
+/**
+ * Merge two versions of a target that were both changed.
+ * @param {TargetItem} base The target in the common ancestor.
+ * @param {TargetItem} ours Our version of the target.
+ * @param {TargetItem} theirs Their version of the target.
+ * @param {MergeContext} projectContext The merge.
+ * @returns {TargetItem} The merged target. Its content and data are not set.
+ */
+const mergeTarget = (base, ours, theirs, projectContext) => {
+    const context = {target: ours.name, conflicts: projectContext.conflicts};
+    const merged = {
+        name: ours.name,
+        isStage: ours.isStage,
+        properties: mergeProperties(base.properties, ours.properties, theirs.properties, context)
+    };
+    const collections = {};
+    for (const part of Object.keys(TARGET_PARTS)) {
+        collections[part] = mergeCollection(TARGET_PARTS[part], base[part], ours[part], theirs[part], context);
+        merged[part] = collections[part].items;
+    }
+    // Comments need to know which merged script their block is in now
+    merged.scriptsByKey = collections.scripts.merged;
+    merged.scriptKeys = collections.scripts.keys;
+
+    const {keys, merged: costumes} = collections.costumes;
+    const costumeKey = target => target.currentCostume && keys.get(target.currentCostume);
+    const currentCostume = mergeValue('currentCostume', costumeKey(base), costumeKey(ours), costumeKey(theirs),
+        context);
+    merged.currentCostume = costumes.get(currentCostume) || merged.costumes[0] || null;
+    return merged;
+};
+
+const TARGET_TYPE = {
+    kind: ItemKind.TARGET,
+    key: item => item.name,
+    matchers: [item => `${item.isStage ? 'stage' : 'sprite'} ${item.name}`],
+    diff: diffTarget,
+    merge: mergeTarget
+};
+
+const MONITOR_TYPE = {
+    kind: ItemKind.MONITOR,
+    key: item => item.id,
+    matchers: [item => item.id]
+};
+
+const EXTENSION_TYPE = {
+    kind: ItemKind.EXTENSION,
+    key: item => item.id,
+    matchers: [item => item.id]
+};
+
+// Building the merged project
+
+/**
+ * Find the block a comment should be attached to in the merged target.
+ * @param {object} comment The comment.
+ * @param {TargetItem} target The merged target.
+ * @param {Map.<ScriptItem, Array.<string>>} copiedIds The new IDs of the blocks of the merged scripts.
+ * @param {object} blocks The merged target's blocks.
+ * @returns {?string} The ID of the block, or null to leave the comment unattached.
+ */
+const findCommentBlock = (comment, target, copiedIds, blocks) => {
+    if (!comment.script) return null;
+    // When scripts were merged, the comment's script might have been replaced by another version of it.
+    let script = comment.script;
+    if (target.scriptKeys) {
+        script = target.scriptsByKey.get(target.scriptKeys.get(comment.script));
+    }
+    const ids = script && copiedIds.get(script);
+    const id = ids && ids[comment.index];
+    if (!id || Array.isArray(blocks[id]) || blocks[id].opcode !== comment.opcode) return null;
+    return id;
+};
+
+const toObject = items => {
+    const object = {};
+    for (const item of items) object[item.id] = item.raw;
+    return object;
+};
+
+/**
+ * @param {TargetItem} target A merged target, or one version of a target.
+ * @param {Set.<string>} used Block and comment IDs that are taken in the new project.
+ * @returns {object} The serialized target.
+ */
+const buildTarget = (target, used) => {
+    const blocks = {};
+    const copiedIds = new Map();
+    for (const script of target.scripts) {
+        copiedIds.set(script, copyScript(script, blocks, used));
+    }
+
+    const comments = {};
+    for (const comment of target.comments) {
+        const id = used.has(comment.id) ? newId(used) : comment.id;
+        used.add(id);
+        const blockId = findCommentBlock(comment, target, copiedIds, blocks);
+        comments[id] = Object.assign({}, comment.raw, {blockId, x: comment.x, y: comment.y});
+        if (blockId) blocks[blockId].comment = id;
+    }
+
+    const raw = {
+        isStage: target.isStage,
+        name: target.name,
+        variables: toObject(target.variables),
+        lists: toObject(target.lists),
+        broadcasts: toObject(target.broadcasts)
+    };
+    if (target.localVariables.length > 0) {
+        raw.localVariables = toObject(target.localVariables);
+    }
+    raw.blocks = blocks;
+    raw.comments = comments;
+    raw.currentCostume = Math.max(0, target.costumes.indexOf(target.currentCostume));
+    raw.costumes = target.costumes.map(item => item.raw);
+    raw.sounds = target.sounds.map(item => item.raw);
+    return Object.assign(raw, target.properties);
+};
+
+/**
+ * Scripts from one side might refer to a variable that the other side also added, under another ID.
+ * Make them refer to the variable that was kept.
+ * @param {object} target A serialized target of the merged project.
+ * @param {object} stage The serialized stage of the merged project.
+ */
+const fixVariableReferences = (target, stage) => {
+    const findId = (type, id, name) => {
+        for (const owner of [target, stage]) {
+            if (owner && owner[type] && hasOwnProperty.call(owner[type], id)) return id;
+        }
+        for (const owner of [target, stage]) {
+            const variables = (owner && owner[type]) || {};
+            const found = Object.keys(variables).find(other => (
+                (type === 'broadcasts' ? variables[other] : variables[other][0]) === name
+            ));
+            if (found) return found;
+        }
+        return id;
+    };
+    const fixPrimitive = primitive => {
+        const type = VARIABLE_PRIMITIVES[primitive[0]];
+        if (type && primitive.length > 2) primitive[2] = findId(type, primitive[2], primitive[1]);
+    };
+    for (const block of Object.values(target.blocks)) {
+        if (Array.isArray(block)) {
+            fixPrimitive(block);
+            continue;
+        }
+        for (const name of Object.keys(block.fields || {})) {
+            const field = block.fields[name];
+            if (VARIABLE_FIELDS[name] && field.length > 1) {
+                field[1] = findId(VARIABLE_FIELDS[name], field[1], field[0]);
+            }
+        }
+        for (const input of Object.values(block.inputs || {})) {
+            for (let i = 1; i < input.length; i++) {
+                if (Array.isArray(input[i])) fixPrimitive(input[i]);
+            }
+        }
+    }
+};
+
+// Projects
+
+/**
+ * @typedef {object} ProjectItem
+ * @property {object} properties Properties of the project that are compared as a whole, such as meta.
+ * @property {Array.<TargetItem>} targets The targets.
+ * @property {Array.<object>} monitors The monitors.
+ * @property {Array.<object>} extensions The IDs of the extensions the project uses.
+ */
+
+/**
+ * @param {object|string} project An sb3 project.json, or its text.
+ * @param {string} name How to refer to the project in errors.
+ * @returns {ProjectItem} The project.
+ */
+const parseProject = (project, name) => {
+    if (typeof project === 'string') {
+        project = JSON.parse(project);
+    }
+    if (!project || !Array.isArray(project.targets)) {
+        throw new Error(`${name} is not an sb3 project`);
+    }
+    return {
+        properties: pickProperties(project, PROJECT_COLLECTIONS),
+        targets: project.targets.map(parseTarget),
+        monitors: (project.monitors || []).map(raw => ({
+            id: raw.id,
+            raw,
+            content: stringify(raw),
+            data: raw
+        })),
+        extensions: (project.extensions || []).map(id => ({id, content: id, data: id}))
+    };
+};
+
+/**
+ * Find the differences between two versions of a project. Only changes that affect the project are
+ * reported, so moving a script or renaming its blocks' IDs is not a change.
+ * @param {object|string} before The old version, as an sb3 project.json or its text.
+ * @param {object|string} after The new version, as an sb3 project.json or its text.
+ * @returns {Array.<ProjectChange>} The changes.
+ */
+const diffProjects = (before, after) => {
+    const oldProject = parseProject(before, 'The old project');
+    const newProject = parseProject(after, 'The new project');
+    const changes = [];
+    diffProperties(oldProject.properties, newProject.properties, null, changes);
+    diffCollection(TARGET_TYPE, oldProject.targets, newProject.targets, null, changes);
+    diffCollection(MONITOR_TYPE, oldProject.monitors, newProject.monitors, null, changes);
+    diffCollection(EXTENSION_TYPE, oldProject.extensions, newProject.extensions, null, changes);
+    return changes;
+};
+
+/**
+ * @typedef {object} MergeResult
+ * @property {object} project The merged sb3 project.json. Assets that only they added must be copied
+ * from their project.
+ * @property {Array.<MergeConflict>} conflicts Things that both sides changed in different ways. The
+ * merged project uses our version of each of them.
+ */
+
+/**
+ * Merge the changes that two people made to the same project.
+ * @param {object|string} base The version both started from, as an sb3 project.json or its text.
+ * @param {object|string} ours Our version.
+ * @param {object|string} theirs Their version.
+ * @returns {MergeResult} The merged project and the conflicts.
+ */
+const mergeProjects = (base, ours, theirs) => {
+    const baseProject = parseProject(base, 'The base project');
+    const ourProject = parseProject(ours, 'Our project');
+    const theirProject = parseProject(theirs, 'Their project');
+    const context = {target: null, conflicts: []};
+
+    const properties = mergeProperties(baseProject.properties, ourProject.properties, theirProject.properties,
+        context);
+    const targets = mergeCollection(TARGET_TYPE, baseProject.targets, ourProject.targets, theirProject.targets,
+        context).items;
+    const monitors = mergeCollection(MONITOR_TYPE, baseProject.monitors, ourProject.monitors,
+        theirProject.monitors, context).items;
+    const extensions = mergeCollection(EXTENSION_TYPE, baseProject.extensions, ourProject.extensions,
+        theirProject.extensions, context).items;
+
+    // Block and comment IDs must be unique in the whole project
+    const used = new Set();
+    const project = {
+        targets: targets.map(target => buildTarget(target, used)),
+        monitors: monitors.map(item => item.raw),
+        extensions: extensions.map(item => item.id)
+    };
+    const stage = project.targets.find(target => target.isStage);
+    for (const target of project.targets) {
+        fixVariableReferences(target, stage);
+    }
+    Object.assign(project, properties);
+
+    return {project, conflicts: context.conflicts};
+};
+
+module.exports = {
+    diffProjects,
+    mergeProjects,
+    parseScripts,
+    ChangeType,
+    ConflictType,
+    ItemKind
+};
@@ -0,0 +1,803 @@
+/**
+ * @fileoverview
+ * Checks an sb3 project.json for problems that would make it load or run wrongly, such as blocks that
+ * refer to blocks that don't exist or monitors for variables that were deleted, and can repair them.
+ *
+ * Without these checks, deserialize quietly works around some problems and others cause confusing
+ * errors much later. Repairs make the smallest change that makes the project consistent: references
+ * to things that don't exist are removed, blocks that aren't part of any script become scripts of
+ * their own, and variables that blocks use but that don't exist are created, like the runtime
+ * would when running those blocks.
+ */
+
+const StringUtil = require('../util/string-util');
+const uid = require('../util/uid');
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} type One of the ValidationIssueType values.
+ * @property {?string} target Name of the sprite or stage the issue is in, or null for issues with the
+ * project itself and its monitors.
+ * @property {?string} id ID of the block, comment, variable, monitor or asset the issue is about, if any.
+ * @property {string} message Description of the issue.
+ * @property {?string} repair What was changed to fix the issue, or null if it wasn't fixed.
+ */
+
+/**
+ * Types of issues that validateProject can find.
+ * @enum {string}
+ */
+const ValidationIssueType = {
+    /** The project isn't JSON or doesn't have a list of targets. It can't be repaired. */
+    INVALID_PROJECT: 'invalidProject',
+    /** A target without a name, or with blocks, variables, costumes or sounds of the wrong type. */
+    INVALID_TARGET: 'invalidTarget',
+    /** There is no stage. It can't be repaired. */
+    MISSING_STAGE: 'missingStage',
+    /** There is more than one stage. */
+    MULTIPLE_STAGES: 'multipleStages',
+    /** Two sprites have the same name. */
+    DUPLICATE_TARGET_NAME: 'duplicateTargetName',
+    /** A variable, list or broadcast that isn't in the sb3 format. */
+    INVALID_VARIABLE: 'invalidVariable',
+    /** A variable ID with characters that aren't allowed in XML, from projects converted from Scratch 2. */
+    UNSAFE_VARIABLE_ID: 'unsafeVariableId',
+    /** A variable, list or broadcast with the same ID as another, in the same target or another one. */
+    DUPLICATE_VARIABLE_ID: 'duplicateVariableId',
+    /** A block that isn't in the sb3 format. */
+    INVALID_BLOCK: 'invalidBlock',
+    /** A block input that isn't in the sb3 format. */
+    INVALID_INPUT: 'invalidInput',
+    /** A block whose next block doesn't exist. */
+    MISSING_NEXT_BLOCK: 'missingNextBlock',
+    /** A block whose parent doesn't exist. */
+    MISSING_PARENT_BLOCK: 'missingParentBlock',
+    /** A block input that refers to a block that doesn't exist. */
+    MISSING_INPUT_BLOCK: 'missingInputBlock',
+    /** A block that is the next block or an input of more than one block. */
+    BLOCK_USED_TWICE: 'blockUsedTwice',
+    /** A block whose parent isn't the block it is the next block or an input of. */
+    WRONG_PARENT: 'wrongParent',
+    /** A block that isn't part of any script and isn't a script itself. */
+    ORPHANED_BLOCK: 'orphanedBlock',
+    /** A block that is marked as the top of a script but is inside another block. */
+    WRONG_TOP_LEVEL: 'wrongTopLevel',
+    /** Blocks that are each other's parents, so they never reach the top of a script. */
+    BLOCK_CYCLE: 'blockCycle',
+    /** A block that uses a variable, list or broadcast that doesn't exist. */
+    MISSING_VARIABLE: 'missingVariable',
+    /** A block with a comment that doesn't exist. */
+    MISSING_COMMENT: 'missingComment',
+    /** A comment attached to a block that doesn't exist. */
+    MISSING_COMMENT_BLOCK: 'missingCommentBlock',
+    /** A monitor for a sprite that doesn't exist. */
+    MISSING_MONITOR_TARGET: 'missingMonitorTarget',
+    /** A monitor for a variable or list that doesn't exist. */
+    MISSING_MONITOR_VARIABLE: 'missingMonitorVariable',
+    /** A current costume that isn't one of the target's costumes. */
+    INVALID_CURRENT_COSTUME: 'invalidCurrentCostume',
+    /** A costume or sound whose file isn't in the sb3. It can't be repaired, and loads as a placeholder. */
+    MISSING_ASSET: 'missingAsset'
+};
+
+/**
+ * Issues that stop a project from loading, even after repairing it.
+ * @const {Array.<string>}
+ */
+const FATAL_ISSUE_TYPES = [ValidationIssueType.INVALID_PROJECT, ValidationIssueType.MISSING_STAGE];
+
+/**
+ * Error for a project that can't be loaded because of the issues found by validateProject.
+ */
+class ProjectValidationError extends Error {
+    /**
+     * @param {Array.<ValidationIssue>} issues The issues found in the project.
+     */
+    constructor (issues) {
+        const message = issues.length > 1 ?
+            `${issues[0].message}, and ${issues.length - 1} more problems` :
+            issues[0].message;
+        super(`Project is not valid: ${message}`);
+        this.name = 'ProjectValidationError';
+        this.issues = issues;
+    }
+}
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Kinds of variables in a target, by where they are stored in sb3.
+ * @const {Array.<string>}
+ */
+const VARIABLE_KINDS = ['variables', 'lists', 'broadcasts'];
+
+const KIND_NAMES = {
+    variables: 'variable',
+    lists: 'list',
+    broadcasts: 'broadcast'
+};
+
+/**
+ * Fields that refer to a variable by [name, id], mapped to the kind of variable.
+ * @const {object}
+ */
+const FIELD_KINDS = {
+    VARIABLE: 'variables',
+    LIST: 'lists',
+    BROADCAST_OPTION: 'broadcasts'
+};
+
+/**
+ * Compressed primitives that refer to a variable by [type, name, id], mapped to the kind of variable.
+ * @const {object}
+ */
+const PRIMITIVE_KINDS = {
+    11: 'broadcasts',
+    12: 'variables',
+    13: 'lists'
+};
+
+/**
+ * Properties of a target that must be objects or arrays if they are there.
+ * @const {object}
+ */
+const TARGET_COLLECTIONS = {
+    variables: isObject,
+    lists: isObject,
+    broadcasts: isObject,
+    blocks: isObject,
+    comments: isObject,
+    costumes: Array.isArray,
+    sounds: Array.isArray
+};
+
+/**
+ * @param {object} target A target from the project.
+ * @param {string} key One of the TARGET_COLLECTIONS.
+ * @returns {object|Array} The collection, or an empty one if the target doesn't have a valid one.
+ */
+const getCollection = (target, key) => {
+    if (TARGET_COLLECTIONS[key](target[key])) return target[key];
+    return key === 'costumes' || key === 'sounds' ? [] : {};
+};
+
+const isValidTarget = target => isObject(target) && typeof target.name === 'string';
+
+/**
+ * @param {string} kind One of the VARIABLE_KINDS.
+ * @param {*} value A variable as stored in sb3.
+ * @returns {boolean} Whether the variable is in the sb3 format.
+ */
+const isValidVariable = (kind, value) => {
+    if (kind === 'broadcasts') return typeof value === 'string';
+    if (!Array.isArray(value) || value.length < 2 || typeof value[0] !== 'string') return false;
+    return kind === 'variables' || Array.isArray(value[1]);
+};
+
+const getVariableName = (kind, value) => {
+    if (kind === 'broadcasts') return value;
+    return value[0];
+};
+
+const isValidBlock = block => {
+    if (Array.isArray(block)) return typeof block[0] === 'number';
+    return isObject(block) && typeof block.opcode === 'string';
+};
+
+/**
+ * Rename a key of an object, keeping the order of its keys.
+ * @param {object} object The object, which is changed.
+ * @param {string} oldKey The key to rename.
+ * @param {string} newKey Its new name.
+ */
+const renameKey = (object, oldKey, newKey) => {
+    const entries = Object.keys(object).map(key => [key === oldKey ? newKey : key, object[key]]);
+    for (const key of Object.keys(object)) delete object[key];
+    for (const [key, value] of entries) object[key] = value;
+};
+
+/**
+ * @typedef {object} VariableReference
+ * @property {string} kind One of the VARIABLE_KINDS.
+ * @property {string} blockId ID of the block that has the reference.
+ * @property {string} name Name of the variable.
+ * @property {string} id ID of the variable.
+ * @property {function(string)} setId Changes the ID that the block refers to.
+ */
+
+/**
+ * @param {object} blocks A target's blocks, as in sb3.
+ * @returns {Array.<VariableReference>} Every reference to a variable, list or broadcast in the blocks.
+ */
+const getVariableReferences = blocks => {
+    const references = [];
+    // Both fields and primitives have the name just before the ID
+    const addReference = (kind, blockId, reference, idIndex) => {
+        references.push({
+            kind,
+            blockId,
+            name: reference[idIndex - 1],
+            id: reference[idIndex],
+            setId: id => {
+                reference[idIndex] = id;
+            }
+        });
+    };
+    const addPrimitive = (blockId, primitive) => {
+        const kind = PRIMITIVE_KINDS[primitive[0]];
+        if (kind && typeof primitive[2] === 'string') addReference(kind, blockId, primitive, 2);
+    };
+    for (const blockId of Object.keys(blocks)) {
+        const block = blocks[blockId];
+        if (Array.isArray(block)) {
+            addPrimitive(blockId, block);
+            continue;
+        }
+        if (!isValidBlock(block)) continue;
+        if (isObject(block.fields)) {
+            for (const fieldName of Object.keys(block.fields)) {
+                const field = block.fields[fieldName];
+                const kind = FIELD_KINDS[fieldName];
+                if (kind && Array.isArray(field) && typeof field[1] === 'string') {
+                    addReference(kind, blockId, field, 1);
+                }
+            }
+        }
+        if (isObject(block.inputs)) {
+            for (const input of Object.values(block.inputs)) {
+                if (!Array.isArray(input)) continue;
+                for (let i = 1; i < input.length; i++) {
+                    if (Array.isArray(input[i])) addPrimitive(blockId, input[i]);
+                }
+            }
+        }
+    }
+    return references;
+};
+
+/**
+ * State of one validation.
+ */
+class Validation {
+    /**
+     * @param {object} project The project being checked, which is changed if repairing.
+     * @param {boolean} repair Whether to repair the issues found.
+     * @param {?JSZip} zip The sb3 the project is from, if any.
+     */
+    constructor (project, repair, zip) {
+        this.project = project;
+        this.repair = repair;
+        this.zip = zip;
+        /** @type {Array.<ValidationIssue>} */
+        this.issues = [];
+        /**
+         * Every variable ID in the project, so that new ones don't collide with them.
+         * @type {Set.<string>}
+         */
+        this.usedIds = new Set();
+    }
+
+    /**
+     * Record an issue.
+     * @param {string} type One of the ValidationIssueType values.
+     * @param {?string} target Name of the target the issue is in.
+     * @param {?string} id ID of what the issue is about.
+     * @param {string} message Description of the issue.
+     * @param {?string} [repair] What will be changed to fix the issue, or null if it can't be fixed.
+     * @returns {boolean} Whether the caller should make the change to fix the issue.
+     */
+    report (type, target, id, message, repair = null) {
+        const repaired = this.repair && repair !== null;
+        this.issues.push({
+            type,
+            target,
+            id: typeof id === 'string' ? id : null,
+            message,
+            repair: repaired ? repair : null
+        });
+        return repaired;
+    }
+
+    /**
+     * @param {string} [id] An ID to use if it isn't taken.
+     * @returns {string} A variable ID that isn't used in the project. It is marked as used.
+     */
+    newVariableId (id) {
+        while (!id || this.usedIds.has(id)) id = uid();
+        this.usedIds.add(id);
+        return id;
+    }
+
+    get targets () {
+        return this.project.targets.filter(isValidTarget);
+    }
+
+    get stage () {
+        return this.targets.find(target => target.isStage) || null;
+    }
+
+    get monitors () {
+        return Array.isArray(this.project.monitors) ? this.project.monitors : [];
+    }
+
+    /**
+     * Change the ID of a variable, and of the blocks and monitors that use it.
+     * @param {object} owner The target the variable belongs to.
+     * @param {string} kind One of the VARIABLE_KINDS.
+     * @param {string} oldId The variable's ID.
+     * @param {string} newId Its new ID.
+     */
+    renameVariable (owner, kind, oldId, newId) {
+        renameKey(owner[kind], oldId, newId);
+        // Blocks in sprites use a global variable unless they have a local one with the same ID
+        const targets = owner.isStage ?
+            this.targets.filter(target => target === owner || !hasOwn(getCollection(target, kind), oldId)) :
+            [owner];
+        for (const target of targets) {
+            for (const reference of getVariableReferences(getCollection(target, 'blocks'))) {
+                if (reference.kind === kind && reference.id === oldId) reference.setId(newId);
+            }
+        }
+        const opcode = {variables: 'data_variable', lists: 'data_listcontents'}[kind];
+        for (const monitor of this.monitors) {
+            if (isObject(monitor) && monitor.opcode === opcode && monitor.id === oldId &&
+                (owner.isStage ? !monitor.spriteName : monitor.spriteName === owner.name)) {
+                monitor.id = newId;
+            }
+        }
+    }
+
+    checkProject () {
+        const project = this.project;
+        if (!isObject(project) || !Array.isArray(project.targets)) {
+            this.report(ValidationIssueType.INVALID_PROJECT, null, null, 'Project has no list of targets');
+            return false;
+        }
+        if (hasOwn(project, 'monitors') && !Array.isArray(project.monitors) &&
+            this.report(ValidationIssueType.INVALID_PROJECT, null, null, 'Monitors are not a list',
+                'Removed the monitors')) {
+            project.monitors = [];
+        }
+
+        const invalidTargets = project.targets.filter((target, index) => !isValidTarget(target) &&
+            this.report(ValidationIssueType.INVALID_TARGET, null, null, `Target ${index} has no name`, 'Removed it'));
+        if (invalidTargets.length > 0) {
+            project.targets = project.targets.filter(target => !invalidTargets.includes(target));
+        }
+
+        const stages = this.targets.filter(target => target.isStage);
+        if (stages.length === 0) {
+            this.report(ValidationIssueType.MISSING_STAGE, null, null, 'Project has no stage');
+        }
+        for (const stage of stages.slice(1)) {
+            if (this.report(ValidationIssueType.MULTIPLE_STAGES, stage.name, null,
+                `"${stage.name}" is a second stage`, 'Made it a sprite')) {
+                stage.isStage = false;
+            }
+        }
+
+        const names = [];
+        for (const target of this.targets) {
+            for (const key of Object.keys(TARGET_COLLECTIONS)) {
+                if (hasOwn(target, key) && !TARGET_COLLECTIONS[key](target[key]) &&
+                    this.report(ValidationIssueType.INVALID_TARGET, target.name, null,
+                        `"${target.name}" has ${key} that are not valid`, `Removed its ${key}`)) {
+                    target[key] = getCollection(target, key);
+                }
+            }
+            if (target.isStage) continue;
+            if (names.includes(target.name)) {
+                const newName = StringUtil.unusedName(target.name, names);
+                if (this.report(ValidationIssueType.DUPLICATE_TARGET_NAME, target.name, null,
+                    `There is more than one sprite named "${target.name}"`, `Renamed it to "${newName}"`)) {
+                    target.name = newName;
+                }
+            }
+            names.push(target.name);
+        }
+        return true;
+    }
+
+    checkVariables () {
+        for (const target of this.targets) {
+            for (const kind of VARIABLE_KINDS) {
+                for (const id of Object.keys(getCollection(target, kind))) this.usedIds.add(id);
+            }
+        }
+
+        // The stage is checked first, so that its variables keep their IDs
+        const stage = this.stage;
+        const targets = this.targets.filter(target => target !== stage);
+        if (stage) targets.unshift(stage);
+        const seen = new Map();
+        for (const target of targets) {
+            for (const kind of VARIABLE_KINDS) {
+                const variables = getCollection(target, kind);
+                for (const id of Object.keys(variables)) {
+                    if (!isValidVariable(kind, variables[id])) {
+                        if (this.report(ValidationIssueType.INVALID_VARIABLE, target.name, id,
+                            `The ${KIND_NAMES[kind]} "${id}" is not valid`, 'Removed it')) {
+                            delete variables[id];
+                        }
+                        continue;
+                    }
+                    const name = getVariableName(kind, variables[id]);
+                    let currentId = id;
+
+                    const safeId = StringUtil.replaceUnsafeChars(id);
+                    if (safeId !== id) {
+                        const newId = this.repair ? this.newVariableId(safeId) : safeId;
+                        if (this.report(ValidationIssueType.UNSAFE_VARIABLE_ID, target.name, id,
+                            `The ${KIND_NAMES[kind]} "${name}" has an ID with characters that aren't allowed`,
+                            `Changed its ID to "${newId}"`)) {
+                            this.renameVariable(target, kind, currentId, newId);
+                            currentId = newId;
+                        }
+                    }
+
+                    if (seen.has(currentId)) {
+                        const other = seen.get(currentId);
+                        const newId = this.repair ? this.newVariableId() : null;
+                        if (this.report(ValidationIssueType.DUPLICATE_VARIABLE_ID, target.name, currentId,
+                            `The ${KIND_NAMES[kind]} "${name}" has the same ID as the ${KIND_NAMES[other.kind]} ` +
+                            `"${other.name}" in "${other.target}"`, `Changed its ID to "${newId}"`)) {
+                            this.renameVariable(target, kind, currentId, newId);
+                            currentId = newId;
+                        }
+                    }
+                    seen.set(currentId, {kind, name, target: target.name});
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {object} target A target from the project.
+     */
+    checkBlocks (target) {
+        const blocks = getCollection(target, 'blocks');
+        const comments = getCollection(target, 'comments');
+        const name = target.name;
+
+        for (const id of Object.keys(blocks)) {
+            if (!isValidBlock(blocks[id]) && this.report(ValidationIssueType.INVALID_BLOCK, name, id,
+                `Block "${id}" is not valid`, 'Removed it')) {
+                delete blocks[id];
+            }
+        }
+        const exists = id => hasOwn(blocks, id) && isValidBlock(blocks[id]);
+        const blockIds = () => Object.keys(blocks).filter(id => exists(id) && !Array.isArray(blocks[id]));
+
+        for (const id of blockIds()) {
+            const block = blocks[id];
+            if (typeof block.next === 'string' && !exists(block.next) &&
+                this.report(ValidationIssueType.MISSING_NEXT_BLOCK, name, id,
+                    `Block "${id}" is followed by "${block.next}", which doesn't exist`, 'Removed the reference')) {
+                block.next = null;
+            }
+            if (typeof block.parent === 'string' && !exists(block.parent) &&
+                this.report(ValidationIssueType.MISSING_PARENT_BLOCK, name, id,
+                    `Block "${id}" is inside "${block.parent}", which doesn't exist`, 'Removed the reference')) {
+                block.parent = null;
+            }
+            if (isObject(block.inputs)) {
+                for (const inputName of Object.keys(block.inputs)) {
+                    const input = block.inputs[inputName];
+                    if (!Array.isArray(input) || typeof input[0] !== 'number') {
+                        if (this.report(ValidationIssueType.INVALID_INPUT, name, id,
+                            `Input "${inputName}" of block "${id}" is not valid`, 'Removed the input')) {
+                            delete block.inputs[inputName];
+                        }
+                        continue;
+                    }
+                    for (let i = 1; i < input.length; i++) {
+                        if (typeof input[i] === 'string' && !exists(input[i]) &&
+                            this.report(ValidationIssueType.MISSING_INPUT_BLOCK, name, id,
+                                `Input "${inputName}" of block "${id}" has "${input[i]}", which doesn't exist`,
+                                'Removed the reference')) {
+                            input[i] = null;
+                        }
+                    }
+                    // Without the block that covered it, the shadow is visible again
+                    if (this.repair && input.length > 2 && input[1] === null && input[2] !== null) {
+                        block.inputs[inputName] = [1, input[2]];
+                    }
+                }
+            }
+            if (typeof block.comment === 'string' && !hasOwn(comments, block.comment) &&
+                this.report(ValidationIssueType.MISSING_COMMENT, name, id,
+                    `Block "${id}" has the comment "${block.comment}", which doesn't exist`,
+                    'Removed the reference')) {
+                delete block.comment;
+            }
+        }
+
+        for (const id of Object.keys(comments)) {
+            const comment = comments[id];
+            if (isObject(comment) && typeof comment.blockId === 'string' && !exists(comment.blockId) &&
+                this.report(ValidationIssueType.MISSING_COMMENT_BLOCK, name, id,
+                    `Comment "${id}" is attached to "${comment.blockId}", which doesn't exist`,
+                    'Made it a workspace comment')) {
+                comment.blockId = null;
+            }
+        }
+
+        // Find the blocks that each block is the next block or an input of
+        const referrers = new Map();
+        for (const id of blockIds()) {
+            const block = blocks[id];
+            const addReferrer = (childId, clear) => {
+                if (typeof childId !== 'string' || !exists(childId)) return;
+                if (!referrers.has(childId)) referrers.set(childId, []);
+                referrers.get(childId).push({id, clear});
+            };
+            addReferrer(block.next, () => {
+                block.next = null;
+            });
+            if (isObject(block.inputs)) {
+                for (const inputName of Object.keys(block.inputs)) {
+                    const input = block.inputs[inputName];
+                    if (!Array.isArray(input)) continue;
+                    for (let i = 1; i < input.length; i++) {
+                        addReferrer(input[i], () => {
+                            input[i] = null;
+                        });
+                    }
+                }
+            }
+        }
+        const getParent = id => {
+            if (!referrers.has(id)) return null;
+            return referrers.get(id)[0].id;
+        };
+        const makeTopLevel = block => {
+            block.parent = null;
+            block.topLevel = true;
+            if (typeof block.x !== 'number') block.x = 0;
+            if (typeof block.y !== 'number') block.y = 0;
+        };
+        const removeBlock = id => {
+            const block = blocks[id];
+            delete blocks[id];
+            if (!isObject(block)) return;
+            if (typeof block.next === 'string' && exists(block.next)) removeBlock(block.next);
+            for (const input of Object.values(isObject(block.inputs) ? block.inputs : {})) {
+                if (!Array.isArray(input)) continue;
+                for (let i = 1; i < input.length; i++) {
+                    if (typeof input[i] === 'string' && exists(input[i])) removeBlock(input[i]);
+                }
+            }
+        };
+
+        for (const [childId, parents] of referrers) {
+            if (parents.length < 2) continue;
+            const declared = blocks[childId].parent;
+            const kept = parents.find(parent => parent.id === declared) || parents[0];
+            if (this.report(ValidationIssueType.BLOCK_USED_TWICE, name, childId,
+                `Block "${childId}" is inside more than one block: ` +
+                `${parents.map(parent => `"${parent.id}"`).join(', ')}`,
+                `Removed it from all but "${kept.id}"`)) {
+                for (const parent of parents) {
+                    if (parent !== kept) parent.clear();
+                }
+                referrers.set(childId, [kept]);
+            }
+        }
+
+        for (const id of blockIds()) {
+            const block = blocks[id];
+            const parent = getParent(id);
+            const declared = typeof block.parent === 'string' ? block.parent : null;
+            if (parent === null && !block.topLevel) {
+                if (this.report(ValidationIssueType.ORPHANED_BLOCK, name, id,
+                    `Block "${id}" is not part of any script`,
+                    block.shadow ? 'Removed it' : 'Made it a script of its own')) {
+                    if (block.shadow) {
+                        removeBlock(id);
+                    } else {
+                        makeTopLevel(block);
+                    }
+                }
+                continue;
+            }
+            // Missing parents were reported above
+            if (declared !== parent && (declared === null || exists(declared))) {
+                let message = `Block "${id}" is inside "${parent}", but has no parent`;
+                if (parent === null) {
+                    message = `Block "${id}" is a script, but its parent is "${declared}"`;
+                } else if (declared !== null) {
+                    message = `Block "${id}" is inside "${parent}", but its parent is "${declared}"`;
+                }
+                if (this.report(ValidationIssueType.WRONG_PARENT, name, id, message,
+                    parent === null ? 'Removed the reference' : `Changed its parent to "${parent}"`)) {
+                    block.parent = parent;
+                }
+            }
+            if (parent !== null && block.topLevel &&
+                this.report(ValidationIssueType.WRONG_TOP_LEVEL, name, id,
+                    `Block "${id}" is inside "${parent}", but is marked as the top of a script`,
+                    'Marked it as part of the script')) {
+                block.topLevel = false;
+                delete block.x;
+                delete block.y;
+            }
+        }
+
+        const done = new Set();
+        for (const id of blockIds()) {
+            const path = [];
+            let current = id;
+            while (current !== null && !done.has(current)) {
+                if (path.includes(current)) {
+                    const cycle = path.slice(path.indexOf(current));
+                    if (this.report(ValidationIssueType.BLOCK_CYCLE, name, current,
+                        `Blocks ${cycle.map(blockId => `"${blockId}"`).join(', ')} are inside each other`,
+                        `Made "${current}" a script of its own`)) {
+                        referrers.get(current)[0].clear();
+                        referrers.delete(current);
+                        makeTopLevel(blocks[current]);
+                    }
+                    break;
+                }
+                path.push(current);
+                current = getParent(current);
+            }
+            for (const blockId of path) done.add(blockId);
+        }
+    }
+
+    /**
+     * @param {object} target A target from the project.
+     */
+    checkVariableReferences (target) {
+        const stage = this.stage;
+        for (const reference of getVariableReferences(getCollection(target, 'blocks'))) {
+            const {kind, blockId} = reference;
+            const local = getCollection(target, kind);
+            const global = stage ? getCollection(stage, kind) : {};
+            if (hasOwn(local, reference.id) || hasOwn(global, reference.id)) continue;
+
+            const name = String(reference.name);
+            const findByName = variables => Object.keys(variables).find(id => (
+                isValidVariable(kind, variables[id]) && getVariableName(kind, variables[id]) === name
+            ));
+            const existingId = findByName(local) || findByName(global);
+            const message = `Block "${blockId}" uses the ${KIND_NAMES[kind]} "${name}", which doesn't exist`;
+            if (existingId) {
+                if (this.report(ValidationIssueType.MISSING_VARIABLE, target.name, blockId, message,
+                    `Changed it to use the ${KIND_NAMES[kind]} "${name}" with ID "${existingId}"`)) {
+                    reference.setId(existingId);
+                }
+                continue;
+            }
+            // Like the runtime, create variables and lists in the target and broadcasts on the stage
+            const owner = kind === 'broadcasts' && stage ? stage : target;
+            if (this.report(ValidationIssueType.MISSING_VARIABLE, target.name, blockId, message,
+                `Created the ${KIND_NAMES[kind]} in "${owner.name}"`)) {
+                const id = this.newVariableId(reference.id);
+                reference.setId(id);
+                if (!TARGET_COLLECTIONS[kind](owner[kind])) owner[kind] = {};
+                owner[kind][id] = {variables: [name, 0], lists: [name, []], broadcasts: name}[kind];
+            }
+        }
+    }
+
+    checkMonitors () {
+        const monitors = this.monitors;
+        const stage = this.stage;
+        for (let i = 0; i < monitors.length; i++) {
+            const monitor = monitors[i];
+            if (!isObject(monitor)) continue;
+            let owner = stage;
+            let repaired = false;
+            if (monitor.spriteName) {
+                owner = this.targets.find(target => !target.isStage && target.name === monitor.spriteName);
+                if (!owner) {
+                    repaired = this.report(ValidationIssueType.MISSING_MONITOR_TARGET, null, monitor.id,
+                        `Monitor "${monitor.id}" is for the sprite "${monitor.spriteName}", which doesn't exist`,
+                        'Removed it');
+                }
+            }
+            const kind = {data_variable: 'variables', data_listcontents: 'lists'}[monitor.opcode];
+            if (owner && kind && !hasOwn(getCollection(owner, kind), monitor.id)) {
+                const params = isObject(monitor.params) ? monitor.params : {};
+                const variableName = kind === 'variables' ? params.VARIABLE : params.LIST;
+                repaired = this.report(ValidationIssueType.MISSING_MONITOR_VARIABLE, null, monitor.id,
+                    `Monitor "${monitor.id}" shows the ${KIND_NAMES[kind]} "${variableName}", which doesn't exist`,
+                    'Removed it');
+            }
+            if (repaired) {
+                monitors.splice(i, 1);
+                i--;
+            }
+        }
+    }
+
+    /**
+     * @param {object} target A target from the project.
+     */
+    checkAssets (target) {
+        const costumes = getCollection(target, 'costumes');
+        const current = target.currentCostume;
+        if (costumes.length > 0 && hasOwn(target, 'currentCostume') &&
+            !(Number.isInteger(current) && current >= 0 && current < costumes.length)) {
+            const index = Number.isFinite(current) ?
+                Math.min(Math.max(Math.round(current), 0), costumes.length - 1) :
+                0;
+            if (this.report(ValidationIssueType.INVALID_CURRENT_COSTUME, target.name, null,
+                `"${target.name}" is wearing costume ${current}, but has ${costumes.length} costumes`,
+                `Changed it to costume ${index}`)) {
+                target.currentCostume = index;
+            }
+        }
+
+        if (!this.zip) return;
+        const zip = this.zip;
+        const hasFile = fileName => (
+            // Files can also be in a folder, like in deserialize-assets.js
+            Object.keys(zip.files).some(path => path.slice(path.indexOf('/') + 1) === fileName)
+        );
+        const check = (asset, kind, fileName) => {
+            if (!hasFile(fileName)) {
+                this.report(ValidationIssueType.MISSING_ASSET, target.name, fileName,
+                    `The ${kind} "${asset.name}" is missing its file "${fileName}"`);
+            }
+        };
+        for (const costume of costumes) {
+            if (!isObject(costume)) continue;
+            check(costume, 'costume', hasOwn(costume, 'md5ext') ?
+                costume.md5ext :
+                `${costume.assetId}.${costume.dataFormat || 'png'}`);
+        }
+        for (const sound of getCollection(target, 'sounds')) {
+            if (isObject(sound)) check(sound, 'sound', sound.md5ext);
+        }
+    }
+}
+
+/**
+ * Check an sb3 project for problems, and repair them if asked to.
+ * @param {object|string} projectJson The project, as an sb3 project.json or its text.
+ * @param {object} [options] Options.
+ * @param {boolean} [options.repair] Whether to fix the issues that can be fixed. The project that is passed in
+ * isn't changed; a repaired copy is returned.
+ * @param {?JSZip} [options.zip] The sb3 the project is from, to check that its costumes and sounds are in it.
+ * @returns {{project: object, issues: Array.<ValidationIssue>, loadable: boolean}} The project, repaired if
+ * options.repair is set, the issues found in it, and whether it can be loaded, which is only false for
+ * issues that can't be repaired.
+ */
+const validateProject = (projectJson, {repair = false, zip = null} = {}) => {
+    let project = projectJson;
+    try {
+        if (typeof projectJson === 'string') {
+            project = JSON.parse(projectJson);
+        } else if (repair) {
+            project = JSON.parse(JSON.stringify(projectJson));
+        }
+    } catch (e) {
+        project = null;
+    }
+
+    const validation = new Validation(project, repair, zip);
+    if (validation.checkProject()) {
+        validation.checkVariables();
+        for (const target of validation.targets) validation.checkBlocks(target);
+        for (const target of validation.targets) validation.checkVariableReferences(target);
+        validation.checkMonitors();
+        for (const target of validation.targets) validation.checkAssets(target);
+    }
+    const issues = validation.issues;
+    return {
+        project,
+        issues,
+        loadable: !issues.some(issue => FATAL_ISSUE_TYPES.includes(issue.type))
+    };
+};
+
+module.exports = {
+    validateProject,
+    ProjectValidationError,
+    ValidationIssueType
+};
@@ -16,14 +16,11 @@ const uid = require('../util/uid');
 const MathUtil = require('../util/math-util');
 const StringUtil = require('../util/string-util');
 const VariableUtil = require('../util/variable-util');
-const Clone = require('../util/clone');
 const compress = require('./tw-compress-sb3');
-const OldExtensions = require('./extension patcher');
 
-const {loadCostume} = require('../import/load-costume.js');
+const {loadCostume, loadPlaceholderCostume} = require('../import/load-costume.js');
 const {loadSound} = require('../import/load-sound.js');
-const {deserializeCostume, deserializeSound} = require('./deserialize-assets.js');
-const replacersPatch = require('./replacers patch.json');
+const {deserializeCostume, deserializeSound, getAssetFileSize} = require('./deserialize-assets.js');
 
 const hasOwnProperty = Object.prototype.hasOwnProperty;
 
@@ -37,6 +34,7 @@ const hasOwnProperty = Object.prototype.hasOwnProperty;
  * @typedef {object} ImportedExtensionsInfo
  * @property {Set.<string>} extensionIDs - the ID of each extension actually in use by blocks in this project.
  * @property {Map.<string, string>} extensionURLs - map of ID => URL from project metadata. May not match extensionIDs.
+ * @property {Array.<MigrationChange>} migrations - changes made to update blocks from older versions of extensions.
  */
 
 // Constants used during serialization and deserialization
@@ -99,76 +97,6 @@ const primitiveOpcodeInfoMap = {
     data_listcontents: [LIST_PRIMITIVE, 'LIST']
 };
 
-// the list of blocks and there replacements for jwUnite
-const replacments = {
-    'jwUnite_always': 'event_always',
-    'jwUnite_whenanything': 'event_whenanything',
-    'jwUnite_getspritewithattrib': 'sensing_getspritewithattrib',
-    'jwUnite_backToGreenFlag': 'control_backToGreenFlag',
-    'jwUnite_trueBoolean': 'operator_trueBoolean',
-    'jwUnite_falseBoolean': 'operator_falseBoolean',
-    'jwUnite_randomBoolean': 'operator_randomBoolean',
-    'jwUnite_mobile': 'sensing_mobile',
-    'jwUnite_thing_is_text': 'sensing_thing_is_text',
-    'jwUnite_thing_is_number': 'sensing_thing_is_number',
-    'jwUnite_if_return_else_return': 'control_if_return_else_return',
-    'jwUnite_indexOfTextInText': 'operator_indexOfTextInText',
-    'jwUnite_regextest': 'sensing_regextest',
-    'jwUnite_regexmatch': 'operator_regexmatch',
-    'jwUnite_replaceAll': 'operator_replaceAll',
-    'jwUnite_getLettersFromIndexToIndexInText': 'operator_getLettersFromIndexToIndexInText',
-    'jwUnite_readLineInMultilineText': 'operator_readLineInMultilineText',
-    'jwUnite_newLine': 'operator_newLine',
-    'jwUnite_stringify': 'operator_stringify',
-    'jwUnite_lerpFunc': 'operator_lerpFunc',
-    'jwUnite_advMath': 'operator_advMath',
-    'jwUnite_constrainnumber': 'operator_constrainnumber'
-};
-
-// extensions to be patched by the extension patcher
-const ExtensionPatches = {
-    "griffpatch": {id: 'griffpatch', url: 'https://extensions.turbowarp.org/box2d.js'},
-    "cloudlink": {id: 'cloudlink', url: 'https://extensions.turbowarp.org/cloudlink.js'},
-    "jwUnite": (extensions, object, runtime) => {
-        extensions.extensionIDs.delete("jwUnite");
-        let blocks = object.blocks;
-        const blockIDs = Object.keys(blocks);
-        const patcher = extensions.patcher;
-        
-        for (let block, idx = 0; idx < blockIDs.length; idx++) {
-            block = blocks[blockIDs[idx]];
-            if (typeof block !== 'object' || Array.isArray(block)) continue;
-            // handle all 1:1 blocks
-            if (replacments[block.opcode]) {
-                block.opcode = replacments[block.opcode];
-                if (block.opcode === 'sensing_regextest' || block.opcode === 'operator_regexmatch') {
-                    block.inputs.regrule = [
-                        INPUT_SAME_BLOCK_SHADOW, 
-                        [TEXT_PRIMITIVE, "g"]
-                    ];
-                }
-            }
-            // handle replacer blocks
-            if (block.opcode === 'jwUnite_setReplacer' || block.opcode === 'jwUnite_replaceWithReplacers') {
-                if (!patcher.loaded.includes('jgJSON')) {
-                    runtime.extensionManager.loadExtensionURL('jgJSON');
-                    patcher.loaded.push('jgJSON');
-                }
-                blocks = Object.assign(blocks, Clone.simple(replacersPatch.blocks));
-                object.variables = Object.assign(object.variables, Clone.simple(replacersPatch.variables));
-                const repBlock = block.opcode === 'jwUnite_setReplacer' 
-                    ? "setReplacerToDisplay"
-                    : "replaceWithReplacersDisplay";
-                const replacment = Clone.simple(replacersPatch.blocks[repBlock]);
-                block.opcode = 'procedures_call';
-                block.mutation = replacment.mutation;
-            }
-            blocks[blockIDs[idx]] = block;
-        }
-        object.blocks = blocks;
-    }
-};
-
 /**
  * Serializes primitives described above into a more compact format
  * @param {object} block the block to serialize
@@ -516,6 +444,7 @@ const serializeVariables = function (variables) {
     obj.variables = Object.create(null);
     obj.lists = Object.create(null);
     obj.broadcasts = Object.create(null);
+    obj.localVariables = Object.create(null);
     for (const varId in variables) {
         const v = variables[varId];
         if (v.type === Variable.BROADCAST_MESSAGE_TYPE) {
@@ -526,6 +455,11 @@ const serializeVariables = function (variables) {
             obj.lists[varId] = [v.name, makeSafeForJSON(v.value)];
             continue;
         }
+        if (v.type === Variable.LOCAL_TYPE) {
+            // Local variables only have a value while a script uses them
+            obj.localVariables[varId] = [v.name, v.valueType];
+            continue;
+        }
 
         // otherwise should be a scalar type
         obj.variables[varId] = [v.name, makeSafeForJSON(v.value)];
@@ -571,6 +505,10 @@ const serializeTarget = function (target, extensions) {
     obj.variables = vars.variables;
     obj.lists = vars.lists;
     obj.broadcasts = vars.broadcasts;
+    // Not part of vanilla Scratch projects, so only added when a target declares local variables.
+    if (Object.keys(vars.localVariables).length > 0) {
+        obj.localVariables = vars.localVariables;
+    }
     [obj.blocks, targetExtensions] = serializeBlocks(target.blocks);
     obj.comments = serializeComments(target.comments);
 
@@ -676,8 +614,15 @@ const serialize = function (runtime, targetId, {allowOptimization = true} = {})
 
     const serializedTargets = flattenedOriginalTargets.map(t => serializeTarget(t, extensions));
 
+    // Save the version of each extension, so that its blocks can be migrated if they change
+    const extensionVersions = runtime.extensionMigrations.getVersions(extensions);
+
     if (targetId) {
-        return serializedTargets[0];
+        const target = serializedTargets[0];
+        if (Object.keys(extensionVersions).length !== 0) {
+            target.extensionVersions = extensionVersions;
+        }
+        return target;
     }
 
     obj.targets = serializedTargets;
@@ -716,6 +661,10 @@ const serialize = function (runtime, targetId, {allowOptimization = true} = {})
         }
     }
 
+    if (Object.keys(extensionVersions).length !== 0) {
+        obj.extensionVersions = extensionVersions;
+    }
+
     // Assemble metadata
     const meta = Object.create(null);
     meta.semver = '3.0.0';
@@ -994,6 +943,66 @@ const deserializeBlocks = function (blocks) {
     return blocks;
 };
 
+/**
+ * Menu blocks that choose a costume, backdrop or sound, with the field that has its name.
+ * @const {Object.<string, {field: string, assets: string}>}
+ */
+const ASSET_MENUS = {
+    looks_costume: {field: 'COSTUME', assets: 'costumes'},
+    looks_backdrops: {field: 'BACKDROP', assets: 'backdrops'},
+    sound_sounds_menu: {field: 'SOUND_MENU', assets: 'sounds'}
+};
+
+/**
+ * Find the costumes and sounds that are chosen from menus in green flag scripts, which are used as
+ * soon as the project starts. Backdrops chosen by any target are used by the stage.
+ * @param {Array.<object>} targetObjects The serialized targets.
+ * @return {Map.<object, {costumes: Set.<string>, sounds: Set.<string>}>} Names of the costumes and sounds
+ * used by each target.
+ */
+const getStartupAssetNames = function (targetObjects) {
+    const startupAssets = new Map();
+    const backdrops = new Set();
+    for (const object of targetObjects) {
+        const names = {
+            costumes: new Set(),
+            sounds: new Set()
+        };
+        startupAssets.set(object, names);
+        const blocks = object.blocks || {};
+        const stack = Object.keys(blocks).filter(blockId => blocks[blockId] &&
+            blocks[blockId].opcode === 'event_whenflagclicked');
+        const visited = new Set();
+        while (stack.length > 0) {
+            const blockId = stack.pop();
+            const block = blocks[blockId];
+            if (visited.has(blockId) || !block || typeof block !== 'object' || Array.isArray(block)) continue;
+            visited.add(blockId);
+
+            const menu = ASSET_MENUS[block.opcode];
+            const field = menu && block.fields && block.fields[menu.field];
+            if (Array.isArray(field)) {
+                (menu.assets === 'backdrops' ? backdrops : names[menu.assets]).add(field[0]);
+            }
+
+            if (typeof block.next === 'string') stack.push(block.next);
+            for (const input of Object.values(block.inputs || {})) {
+                if (!Array.isArray(input)) continue;
+                // Inputs are [shadow type, block or primitive, shadow block or primitive]
+                for (const value of input.slice(1)) {
+                    if (typeof value === 'string') stack.push(value);
+                }
+            }
+        }
+    }
+    for (const object of targetObjects) {
+        if (object.isStage) {
+            for (const name of backdrops) startupAssets.get(object).costumes.add(name);
+        }
+    }
+    return startupAssets;
+};
+
 /**
  * Parse the assets of a single "Scratch object" and load them. This
  * preprocesses objects to support loading the data for those assets over a
@@ -1002,11 +1011,15 @@ const deserializeBlocks = function (blocks) {
  * @param {!object} object From-JSON "Scratch object:" sprite, stage, watcher.
  * @param {!Runtime} runtime Runtime object to load all structures into.
  * @param {JSZip} zip Sb3 file describing this project (to load assets from)
- * @return {?{costumePromises:Array.<Promise>,soundPromises:Array.<Promise>,soundBank:SoundBank}}
- * Object of arrays of promises for asset objects used in Sprites. As well as a
- * SoundBank for the sound assets. null for unsupported objects.
+ * @param {{costumes: Set.<string>, sounds: Set.<string>}} [startupAssets] Names of the costumes and sounds
+ * that are used when the project starts, which are critical to load. The current costume always is.
+ * @return {?{costumes:Array.<object>,costumePromises:Array.<Promise>,sounds:Array.<object>,
+ * soundPromises:Array.<Promise>,soundBank:SoundBank}}
+ * Object of arrays of the costume and sound objects used in Sprites, which can be used while they
+ * load, and promises for when each has loaded. As well as a SoundBank for the sound assets. null
+ * for unsupported objects.
  */
-const parseScratchAssets = function (object, runtime, zip) {
+const parseScratchAssets = function (object, runtime, zip, startupAssets) {
     if (!object.hasOwnProperty('name')) {
         // Watcher/monitor - skip this object until those are implemented in VM.
         // @todo
@@ -1014,13 +1027,21 @@ const parseScratchAssets = function (object, runtime, zip) {
     }
 
     const assets = {
+        costumes: [],
         costumePromises: null,
+        sounds: [],
         soundPromises: null,
         soundBank: runtime.audioEngine && runtime.audioEngine.createBank()
     };
+    if (!startupAssets) {
+        startupAssets = {
+            costumes: new Set(),
+            sounds: new Set()
+        };
+    }
 
     // Costumes from JSON.
-    assets.costumePromises = (object.costumes || []).map(costumeSource => {
+    assets.costumePromises = (object.costumes || []).map((costumeSource, index) => {
         // @todo: Make sure all the relevant metadata is being pulled out.
         const costume = {
             // costumeSource only has an asset if an image is being uploaded as
@@ -1046,8 +1067,12 @@ const parseScratchAssets = function (object, runtime, zip) {
         // we're always loading the 'sb3' representation of the costume
         // any translation that needs to happen will happen in the process
         // of building up the costume object into an sb3 format
-        return deserializeCostume(costume, runtime, zip)
-            .then(() => loadCostume(costumeMd5Ext, costume, runtime));
+        assets.costumes.push(costume);
+        return runtime.assetLoadTracker.track(costume, deserializeCostume(costume, runtime, zip)
+            .then(() => loadCostume(costumeMd5Ext, costume, runtime)), {
+            size: getAssetFileSize(zip, costumeMd5Ext),
+            critical: index === object.currentCostume || startupAssets.costumes.has(costume.name)
+        });
         // Only attempt to load the costume after the deserialization
         // process has been completed
     });
@@ -1071,8 +1096,12 @@ const parseScratchAssets = function (object, runtime, zip) {
         // we're always loading the 'sb3' representation of the costume
         // any translation that needs to happen will happen in the process
         // of building up the costume object into an sb3 format
-        return deserializeSound(sound, runtime, zip)
-            .then(() => loadSound(sound, runtime, assets.soundBank));
+        assets.sounds.push(sound);
+        return runtime.assetLoadTracker.track(sound, deserializeSound(sound, runtime, zip)
+            .then(() => loadSound(sound, runtime, assets.soundBank)), {
+            size: getAssetFileSize(zip, sound.md5),
+            critical: startupAssets.sounds.has(sound.name)
+        });
         // Only attempt to load the sound after the deserialization
         // process has been completed.
     });
@@ -1080,6 +1109,31 @@ const parseScratchAssets = function (object, runtime, zip) {
     return assets;
 };
 
+/**
+ * Let targets wear a costume that is still loading, by giving it an empty skin until it has loaded.
+ * @param {!object} costume The costume.
+ * @param {!Promise} costumePromise Promise for when the costume has loaded.
+ * @param {!Sprite} sprite The sprite the costume belongs to.
+ * @param {!Runtime} runtime The runtime the sprite is loaded into.
+ */
+const usePlaceholderCostume = function (costume, costumePromise, sprite, runtime) {
+    // The costume may have loaded already
+    if (costume.skinId !== null) return;
+    const placeholderSkinId = loadPlaceholderCostume(costume, runtime);
+    if (placeholderSkinId === null) return;
+    const showCostume = () => {
+        // A costume that failed to load stays empty. The error is logged with the sprite's other assets.
+        if (costume.skinId === placeholderSkinId) return;
+        for (const clone of sprite.clones) {
+            if (runtime.targets.indexOf(clone) !== -1 && clone.getCostumes()[clone.currentCostume] === costume) {
+                clone.setCostume(clone.currentCostume);
+            }
+        }
+        runtime.renderer.destroySkin(placeholderSkinId);
+    };
+    costumePromise.then(showCostume, showCostume);
+};
+
 /**
  * Parse a single "Scratch object" and create all its in-memory VM objects.
  * @param {!object} object From-JSON "Scratch object:" sprite, stage, watcher.
@@ -1088,9 +1142,11 @@ const parseScratchAssets = function (object, runtime, zip) {
  * @param {JSZip} zip Sb3 file describing this project (to load assets from)
  * @param {object} assets - Promises for assets of this scratch object grouped
  *   into costumes and sounds
+ * @param {boolean} [progressive] If true, resolve with the target without waiting for its costumes and
+ *   sounds to load. Costumes are shown as empty until they have loaded.
  * @return {!Promise.<Target>} Promise for the target created (stage or sprite), or null for unsupported objects.
  */
-const parseScratchObject = function (object, runtime, extensions, zip, assets) {
+const parseScratchObject = function (object, runtime, extensions, zip, assets, progressive) {
     if (!object.hasOwnProperty('name')) {
         // Watcher/monitor - skip this object until those are implemented in VM.
         // @todo
@@ -1107,20 +1163,16 @@ const parseScratchObject = function (object, runtime, extensions, zip, assets) {
         sprite.name = object.name;
     }
     if (object.hasOwnProperty('blocks')) {
-        // register and patch extensions
+        // register extensions
         for (const blockId in object.blocks) {
             if (!object.blocks.hasOwnProperty(blockId)) continue;
             const blockJSON = object.blocks[blockId];
-            // this is a internal constant and cant be patched
+            // this is a internal constant and doesn't belong to an extension
             if (typeof blockJSON !== 'object' || Array.isArray(blockJSON)) continue;
             const extensionID = getExtensionIdForOpcode(blockJSON.opcode);
-            const isPatched = extensions.patcher.patchExists(extensionID);
-            if (extensionID && !isPatched) {
+            if (extensionID) {
                 extensions.extensionIDs.add(extensionID);
             }
-            if (isPatched) {
-                extensions.patcher.runExtensionPatch(extensionID, extensions, object);
-            }
         }
 
         deserializeBlocks(object.blocks);
@@ -1200,6 +1252,19 @@ const parseScratchObject = function (object, runtime, extensions, zip, assets) {
             target.variables[newBroadcast.id] = newBroadcast;
         }
     }
+    if (object.hasOwnProperty('localVariables')) {
+        for (const localVariableId in object.localVariables) {
+            const localVariable = object.localVariables[localVariableId];
+            const newLocalVariable = new Variable(
+                localVariableId,
+                localVariable[0],
+                Variable.LOCAL_TYPE,
+                false,
+                localVariable[1]
+            );
+            target.variables[newLocalVariable.id] = newLocalVariable;
+        }
+    }
     if (object.hasOwnProperty('comments')) {
         for (const commentId in object.comments) {
             const comment = object.comments[commentId];
@@ -1251,6 +1316,18 @@ const parseScratchObject = function (object, runtime, extensions, zip, assets) {
     if (object.hasOwnProperty('draggable')) {
         target.draggable = object.draggable;
     }
+    if (progressive) {
+        sprite.costumes = assets.costumes;
+        sprite.sounds = assets.sounds;
+        sprite.soundBank = soundBank || null;
+        assets.costumes.forEach((costume, index) => {
+            usePlaceholderCostume(costume, costumePromises[index], sprite, runtime);
+        });
+        Promise.all(costumePromises.concat(soundPromises)).catch(error => {
+            log.error(`Could not load the assets of ${sprite.name}`, error);
+        });
+        return Promise.resolve(target);
+    }
     Promise.all(costumePromises).then(costumes => {
         sprite.costumes = costumes;
     });
@@ -1413,16 +1490,17 @@ const replaceUnsafeCharsInVariableIds = function (targets) {
  * @param  {Runtime} runtime - Runtime instance
  * @param {JSZip} zip - Sb3 file describing this project (to load assets from)
  * @param {boolean} isSingleSprite - If true treat as single sprite, else treat as whole project
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.progressive] - If true, resolve once the targets are created, while their costumes
+ *   and sounds load. runtime.assetLoadTracker reports when they have loaded.
  * @returns {Promise.<ImportedProject>} Promise that resolves to the list of targets after the project is deserialized
  */
-const deserialize = function (json, runtime, zip, isSingleSprite) {
-    const extensionPatcher = new OldExtensions(runtime);
-    extensionPatcher.registerExtensions(ExtensionPatches);
+const deserialize = function (json, runtime, zip, isSingleSprite, options = {}) {
     const extensions = {
         extensionIDs: new Set(),
         extensionURLs: new Map(),
         extensionData: {},
-        patcher: extensionPatcher
+        migrations: []
     };
 
     // Store the origin field (e.g. project originated at CSFirst) so that we can save it again.
@@ -1440,6 +1518,14 @@ const deserialize = function (json, runtime, zip, isSingleSprite) {
         extensions.extensionData = json.extensionData;
     }
 
+    // Update blocks from extensions that changed since the project was saved
+    extensions.migrations = runtime.extensionMigrations.migrate((isSingleSprite ? [json] : json.targets) || [], {
+        versions: json.extensionVersions,
+        extensionIds: json.extensions,
+        extensions,
+        wholeProject: !isSingleSprite
+    });
+
     // First keep track of the current target order in the json,
     // then sort by the layer order property before parsing the targets
     // so that their corresponding render drawables can be created in
@@ -1450,16 +1536,18 @@ const deserialize = function (json, runtime, zip, isSingleSprite) {
 
     const monitorObjects = json.monitors || [];
 
-    return Promise.resolve(
-        targetObjects.map(target =>
-            parseScratchAssets(target, runtime, zip))
-    )
+    const startupAssets = getStartupAssetNames(targetObjects);
+    const targetAssets = targetObjects.map(target =>
+        parseScratchAssets(target, runtime, zip, startupAssets.get(target)));
+    runtime.assetLoadTracker.emitProgress();
+
+    return Promise.resolve(targetAssets)
         // Force this promise to wait for the next loop in the js tick. Let
         // storage have some time to send off asset requests.
         .then(assets => Promise.resolve(assets))
         .then(assets => Promise.all(targetObjects
             .map((target, index) =>
-                parseScratchObject(target, runtime, extensions, zip, assets[index]))))
+                parseScratchObject(target, runtime, extensions, zip, assets[index], options.progressive))))
         .then(targets => targets // Re-sort targets back into original sprite-pane ordering
             .map((t, i) => {
                 // Add layer order property to deserialized targets.
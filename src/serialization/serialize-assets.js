@@ -17,6 +17,10 @@ const serializeAssets = function (runtime, assetType, optTargetId) {
         for (let j = 0; j < currAssets.length; j++) {
             const currAsset = currAssets[j];
             const asset = currAsset.broken ? currAsset.broken.asset : currAsset.asset;
+            if (!asset && runtime.assetLoadTracker.isLoading(currAsset)) {
+                throw new Error(`Cannot save ${currAsset.name} before it has loaded. ` +
+                    'Wait for vm.whenAssetsLoaded() before saving.');
+            }
             if (asset) {
                 // Serialize asset if it exists, otherwise skip
                 assetDescs.push({
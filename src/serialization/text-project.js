@@ -0,0 +1,355 @@
+/**
+ * @fileoverview
+ * Saves a project as a directory of text files instead of an sb3, so that changes to it can be reviewed
+ * and merged in version control:
+ *
+ *     project.json           Everything but the sprites, and the list of sprite files in layer order
+ *     targets/Stage.json     One file for each sprite and the stage, with their scripts
+ *     assets/<md5>.<ext>     Costumes and sounds, named by their content
+ *
+ * Files are pretty-printed, and scripts are sorted by their top block rather than by where they are in
+ * the code area. Block IDs are replaced with IDs made from the script they are in and their place in it,
+ * so that changing one script doesn't change the IDs in all the others. Blocks that aren't part of any
+ * script are left out.
+ *
+ * VirtualMachine.loadProject loads these files like an sb3.
+ */
+
+const {parseScripts} = require('./project-diff');
+
+let _TextEncoder;
+let _TextDecoder;
+if (typeof TextEncoder === 'undefined') {
+    _TextEncoder = require('text-encoding').TextEncoder;
+    _TextDecoder = require('text-encoding').TextDecoder;
+} else {
+    /* global TextEncoder, TextDecoder */
+    _TextEncoder = TextEncoder;
+    _TextDecoder = TextDecoder;
+}
+
+/**
+ * Name of the file that describes the project.
+ * @const {string}
+ */
+const PROJECT_FILE = 'project.json';
+
+/**
+ * Version of the format, stored in the project file. It tells these files apart from an unzipped sb3.
+ * @const {number}
+ */
+const FORMAT_VERSION = 1;
+
+const TARGETS_DIRECTORY = 'targets/';
+const ASSETS_DIRECTORY = 'assets/';
+
+/**
+ * Lines of JSON longer than this are split.
+ * @const {number}
+ */
+const MAX_LINE_LENGTH = 100;
+
+/**
+ * @param {*} value A value that can be converted to JSON.
+ * @param {string} [indent] Indentation of the line the value starts on.
+ * @returns {string} The value as JSON, on one line if it is short enough and with one item per line if not.
+ */
+const formatJSON = (value, indent = '') => {
+    const line = JSON.stringify(value);
+    if (typeof line === 'undefined') return 'null';
+    if (indent.length + line.length <= MAX_LINE_LENGTH || value === null || typeof value !== 'object') {
+        return line;
+    }
+    const inner = `${indent}  `;
+    if (Array.isArray(value)) {
+        if (value.length === 0) return line;
+        return `[\n${value.map(item => inner + formatJSON(item, inner)).join(',\n')}\n${indent}]`;
+    }
+    const keys = Object.keys(value).filter(key => typeof value[key] !== 'undefined');
+    if (keys.length === 0) return line;
+    const properties = keys.map(key => `${inner}${JSON.stringify(key)}: ${formatJSON(value[key], inner)}`);
+    return `{\n${properties.join(',\n')}\n${indent}}`;
+};
+
+/**
+ * @param {string} string Some text.
+ * @returns {string} A short hash of the text, which is the same every time.
+ */
+const hashString = string => {
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < string.length; i++) {
+        hash ^= string.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+};
+
+/**
+ * Characters that some file systems don't allow in file names: control characters and /\:*?"<>|
+ * @const {RegExp}
+ */
+const RESERVED_FILE_NAME_CHARACTERS = new RegExp(
+    `[/\\\\:*?"<>|${String.fromCharCode(0)}-${String.fromCharCode(0x1f)}]`,
+    'g'
+);
+
+/**
+ * @param {string} name Name of a sprite.
+ * @param {Set.<string>} taken Lower case file names that are taken. The returned name is added to it.
+ * @returns {string} A file name for the sprite that works on any file system.
+ */
+const getTargetFileName = (name, taken) => {
+    const safeName = String(name)
+        .replace(RESERVED_FILE_NAME_CHARACTERS, '_')
+        .replace(/^[.\s]+|[.\s]+$/g, '')
+        .slice(0, 100) || '_';
+    let fileName = `${safeName}.json`;
+    for (let i = 2; taken.has(fileName.toLowerCase()); i++) {
+        fileName = `${safeName} (${i}).json`;
+    }
+    taken.add(fileName.toLowerCase());
+    return fileName;
+};
+
+const compareStrings = (a, b) => {
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+};
+
+/**
+ * Sort variables, lists or broadcasts by name so that where they were created doesn't matter.
+ * @param {object} variables Variables by ID, as in sb3.
+ * @param {function(*): string} getName Gets the name of a variable.
+ * @returns {object} The same variables, sorted by name and then ID.
+ */
+const sortVariables = (variables, getName) => {
+    const sorted = {};
+    const ids = Object.keys(variables).sort((a, b) => (
+        compareStrings(String(getName(variables[a])), String(getName(variables[b]))) || compareStrings(a, b)
+    ));
+    for (const id of ids) sorted[id] = variables[id];
+    return sorted;
+};
+
+/**
+ * Sort a target's scripts and give their blocks and comments stable IDs.
+ * @param {object} target A serialized target.
+ * @returns {{scripts: Array.<object>, comments: object}} The blocks of each script, and the comments.
+ */
+const renumberTarget = target => {
+    const scripts = parseScripts(target.blocks || {}).sort((a, b) => (
+        compareStrings(a.topKey, b.topKey) || compareStrings(a.content, b.content) ||
+        (a.y - b.y) || (a.x - b.x)
+    ));
+
+    // The blocks of a script are named after a hash of its top block. Scripts that were saved before keep
+    // their names, so that changing one of several scripts with the same top block doesn't rename the others.
+    const prefixes = new Map();
+    const taken = new Set();
+    for (const script of scripts) {
+        const match = /^(([0-9a-z]+)(\.\d+)?)_0$/.exec(script.topId);
+        if (match && match[2] === hashString(script.topKey) && !taken.has(match[1])) {
+            prefixes.set(script, match[1]);
+            taken.add(match[1]);
+        }
+    }
+    const newIds = new Map();
+    for (const script of scripts) {
+        let prefix = prefixes.get(script);
+        if (!prefix) {
+            const hash = hashString(script.topKey);
+            prefix = hash;
+            for (let i = 2; taken.has(prefix); i++) {
+                prefix = `${hash}.${i}`;
+            }
+            taken.add(prefix);
+        }
+        script.blockIds.forEach((id, index) => newIds.set(id, `${prefix}_${index}`));
+    }
+    const rename = id => newIds.get(id) || id;
+
+    const comments = {};
+    const commentIds = new Map();
+    const workspaceComments = [];
+    for (const id of Object.keys(target.comments || {})) {
+        const comment = target.comments[id];
+        if (comment.blockId && newIds.has(comment.blockId)) {
+            commentIds.set(id, `${rename(comment.blockId)}_comment`);
+        } else {
+            workspaceComments.push(id);
+        }
+    }
+    workspaceComments
+        .sort((a, b) => {
+            const commentA = target.comments[a];
+            const commentB = target.comments[b];
+            return (commentA.y - commentB.y) || (commentA.x - commentB.x) ||
+                compareStrings(String(commentA.text), String(commentB.text));
+        })
+        .forEach((id, index) => commentIds.set(id, `comment_${index}`));
+    for (const id of Array.from(commentIds.keys()).sort((a, b) => compareStrings(commentIds.get(a),
+        commentIds.get(b)))) {
+        const comment = Object.assign({}, target.comments[id]);
+        comment.blockId = newIds.has(comment.blockId) ? rename(comment.blockId) : null;
+        comments[commentIds.get(id)] = comment;
+    }
+
+    const scriptBlocks = scripts.map(script => {
+        const blocks = {};
+        for (const id of script.blockIds) {
+            const block = JSON.parse(JSON.stringify(target.blocks[id]));
+            if (!Array.isArray(block)) {
+                block.parent = block.parent && rename(block.parent);
+                block.next = block.next && rename(block.next);
+                for (const input of Object.values(block.inputs || {})) {
+                    for (let i = 1; i < input.length; i++) {
+                        if (typeof input[i] === 'string') input[i] = rename(input[i]);
+                    }
+                }
+                if (block.comment) {
+                    if (commentIds.has(block.comment)) {
+                        block.comment = commentIds.get(block.comment);
+                    } else {
+                        delete block.comment;
+                    }
+                }
+            }
+            blocks[rename(id)] = block;
+        }
+        return blocks;
+    });
+    return {scripts: scriptBlocks, comments};
+};
+
+/**
+ * @param {object} target A serialized target.
+ * @returns {object} What to save in the target's file.
+ */
+const serializeTarget = target => {
+    const {scripts, comments} = renumberTarget(target);
+    const result = {};
+    for (const key of Object.keys(target)) {
+        switch (key) {
+        case 'variables':
+        case 'lists':
+        case 'localVariables':
+            result[key] = sortVariables(target[key], value => value[0]);
+            break;
+        case 'broadcasts':
+            result[key] = sortVariables(target[key], value => value);
+            break;
+        case 'blocks':
+            // Scripts are saved last, below everything else about the target
+            break;
+        case 'comments':
+            result.comments = comments;
+            break;
+        default:
+            result[key] = target[key];
+        }
+    }
+    result.scripts = scripts;
+    return result;
+};
+
+/**
+ * Save a project as text files.
+ * @param {object} projectJson The project, as an sb3 project.json.
+ * @param {Array.<{fileName: string, fileContent: Uint8Array}>} assets The project's costumes and sounds.
+ * @returns {Object.<string, (string|Uint8Array)>} The files, by path. Text files are strings.
+ */
+const serialize = (projectJson, assets) => {
+    const files = {};
+    const project = {formatVersion: FORMAT_VERSION};
+    const taken = new Set();
+    for (const key of Object.keys(projectJson)) {
+        if (key !== 'targets') {
+            project[key] = projectJson[key];
+            continue;
+        }
+        project.targets = projectJson.targets.map(target => {
+            const path = TARGETS_DIRECTORY + getTargetFileName(target.name, taken);
+            files[path] = `${formatJSON(serializeTarget(target))}\n`;
+            return path;
+        });
+    }
+    files[PROJECT_FILE] = `${formatJSON(project)}\n`;
+    for (const asset of assets) {
+        files[ASSETS_DIRECTORY + asset.fileName] = asset.fileContent;
+    }
+    return files;
+};
+
+/**
+ * @param {string|Uint8Array|ArrayBuffer} file The content of a file.
+ * @returns {string} The content as text.
+ */
+const readText = file => {
+    if (typeof file === 'string') return file;
+    return new _TextDecoder().decode(file);
+};
+
+/**
+ * @param {*} input Something that might be a project.
+ * @returns {boolean} Whether it is the files of a project saved by serialize.
+ */
+const isTextProject = input => {
+    if (!input || typeof input !== 'object' || !Object.prototype.hasOwnProperty.call(input, PROJECT_FILE) ||
+        input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+        return false;
+    }
+    try {
+        return typeof JSON.parse(readText(input[PROJECT_FILE])).formatVersion === 'number';
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Load a project saved by serialize.
+ * @param {Object.<string, (string|Uint8Array|ArrayBuffer)>} files The files, by path.
+ * @returns {{json: object, assets: Array.<{fileName: string, fileContent: Uint8Array}>}} The project as an
+ * sb3 project.json, and its costumes and sounds.
+ */
+const deserialize = files => {
+    const project = JSON.parse(readText(files[PROJECT_FILE]));
+    if (project.formatVersion > FORMAT_VERSION) {
+        throw new Error(`Project was saved in a newer text format (${project.formatVersion})`);
+    }
+    delete project.formatVersion;
+
+    project.targets = (project.targets || []).map(path => {
+        if (!Object.prototype.hasOwnProperty.call(files, path)) {
+            throw new Error(`Project is missing ${path}`);
+        }
+        const target = JSON.parse(readText(files[path]));
+        target.blocks = Object.assign({}, ...(target.scripts || []));
+        delete target.scripts;
+        return target;
+    });
+
+    const assets = Object.keys(files)
+        .filter(path => path.startsWith(ASSETS_DIRECTORY))
+        .map(path => {
+            const file = files[path];
+            let fileContent;
+            if (typeof file === 'string') {
+                fileContent = new _TextEncoder().encode(file);
+            } else if (file instanceof ArrayBuffer) {
+                fileContent = new Uint8Array(file);
+            } else {
+                fileContent = file;
+            }
+            return {fileName: path.slice(ASSETS_DIRECTORY.length), fileContent};
+        });
+    return {json: project, assets};
+};
+
+module.exports = {
+    serialize,
+    deserialize,
+    isTextProject,
+    PROJECT_FILE
+};
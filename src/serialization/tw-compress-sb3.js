@@ -78,6 +78,11 @@ const compress = projectData => {
         for (const broadcastId of Object.keys(target.broadcasts)) {
             pool.skip(broadcastId);
         }
+        if (target.localVariables) {
+            for (const localVariableId of Object.keys(target.localVariables)) {
+                pool.skip(localVariableId);
+            }
+        }
         for (const blockId of Object.keys(target.blocks)) {
             const block = target.blocks[blockId];
             pool.addReference(blockId);
@@ -136,6 +136,13 @@ class Sprite {
     }
 
     duplicate () {
+        // Costumes and sounds are copied from their assets, so wait for any that are still loading
+        const assetLoadTracker = this.runtime.assetLoadTracker;
+        const assets = this.costumes_.concat(this.sounds);
+        if (assets.some(asset => assetLoadTracker.isLoading(asset))) {
+            return assetLoadTracker.whenLoaded(assets).then(() => this.duplicate());
+        }
+
         const newSprite = new Sprite(null, this.runtime);
         const blocksContainer = this.blocks._blocks;
         const originalBlocks = Object.keys(blocksContainer).map(key => blocksContainer[key]);
@@ -188,9 +188,10 @@ class Cast {
      * @param {*} index Scratch arg, including 1-based numbers or special cases.
      * @param {number} length Length of the list.
      * @param {boolean} acceptAll Whether it should accept "all" or not.
+     * @param {function(): number} [random] Source of random numbers for "random", defaults to Math.random.
      * @return {(number|string)} 1-based index for list, LIST_ALL, or LIST_INVALID.
      */
-    static toListIndex (index, length, acceptAll) {
+    static toListIndex (index, length, acceptAll, random = Math.random) {
         if (typeof index !== 'number') {
             if (index === 'all') {
                 return acceptAll ? Cast.LIST_ALL : Cast.LIST_INVALID;
@@ -202,7 +203,7 @@ class Cast {
                 return Cast.LIST_INVALID;
             } else if (index === 'random' || index === 'any') {
                 if (length > 0) {
-                    return 1 + Math.floor(Math.random() * length);
+                    return 1 + Math.floor(random() * length);
                 }
                 return Cast.LIST_INVALID;
             }
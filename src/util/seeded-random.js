@@ -0,0 +1,51 @@
+/**
+ * @fileoverview
+ * A small seedable pseudorandom number generator, used in place of Math.random()
+ * when the runtime needs to produce the same random numbers every time a project runs.
+ */
+
+/**
+ * Convert a seed to an unsigned 32-bit integer.
+ * Numbers are used directly, anything else is hashed as a string.
+ * @param {number|string} seed The seed.
+ * @returns {number} 32-bit integer seed.
+ */
+const hashSeed = seed => {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+    // FNV-1a
+    const string = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < string.length; i++) {
+        hash ^= string.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Create a random number generator with the given seed.
+ * The generator implements mulberry32, which is fast and good enough for games,
+ * but it is not suitable for anything security related.
+ * @param {number|string} seed The seed. The same seed always produces the same sequence.
+ * The function also has getState() and setState() methods to save and restore its position in the sequence.
+ * @returns {function(): number} A function that behaves like Math.random().
+ */
+const createSeededRandom = seed => {
+    let state = hashSeed(seed);
+    const random = () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.getState = () => state;
+    random.setState = newState => {
+        state = newState | 0;
+    };
+    return random;
+};
+
+module.exports = createSeededRandom;
@@ -19,10 +19,16 @@ const formatMessage = require('format-message');
 
 const Variable = require('./engine/variable');
 const newBlockIds = require('./util/new-block-ids');
+const {InputRecorder, InputPlayer} = require('./io/input-tape');
+const {analyzeProject} = require('./engine/project-analyzer');
+const {runTests} = require('./engine/test-runner');
+const {diffProjects, mergeProjects} = require('./serialization/project-diff');
+const {validateProject, ProjectValidationError} = require('./serialization/project-validator');
 
 const {loadCostume} = require('./import/load-costume.js');
 const {loadSound} = require('./import/load-sound.js');
 const {serializeSounds, serializeCostumes} = require('./serialization/serialize-assets');
+const textProject = require('./serialization/text-project');
 require('canvas-toBlob');
 const {exportCostume} = require('./serialization/tw-costume-import-export');
 const Base64Util = require('./util/base64-util');
@@ -184,11 +190,20 @@ class VirtualMachine extends EventEmitter {
         this.runtime.on(Runtime.INTERPOLATION_CHANGED, framerate => {
             this.emit(Runtime.INTERPOLATION_CHANGED, framerate);
         });
+        this.runtime.on(Runtime.FIXED_TIMESTEP_CHANGED, fixedTimestep => {
+            this.emit(Runtime.FIXED_TIMESTEP_CHANGED, fixedTimestep);
+        });
         this.runtime.on(Runtime.STAGE_SIZE_CHANGED, (width, height) => {
             this.emit(Runtime.STAGE_SIZE_CHANGED, width, height);
         });
-        this.runtime.on(Runtime.COMPILE_ERROR, (target, error) => {
-            this.emit(Runtime.COMPILE_ERROR, target, error);
+        this.runtime.on(Runtime.COMPILE_ERROR, (target, error, blockId) => {
+            this.emit(Runtime.COMPILE_ERROR, target, error, blockId);
+        });
+        this.runtime.on(Runtime.COMPILATION_PROGRESS, progress => {
+            this.emit(Runtime.COMPILATION_PROGRESS, progress);
+        });
+        this.runtime.on(Runtime.RUNTIME_ERROR, data => {
+            this.emit(Runtime.RUNTIME_ERROR, data);
         });
         this.runtime.on(Runtime.TURBO_MODE_OFF, () => {
             this.emit(Runtime.TURBO_MODE_OFF);
@@ -196,6 +211,15 @@ class VirtualMachine extends EventEmitter {
         this.runtime.on(Runtime.TURBO_MODE_ON, () => {
             this.emit(Runtime.TURBO_MODE_ON);
         });
+        this.runtime.on(Runtime.EXTENSIONS_MIGRATED, changes => {
+            this.emit(Runtime.EXTENSIONS_MIGRATED, changes);
+        });
+        this.runtime.on(Runtime.ASSET_LOAD_PROGRESS, progress => {
+            this.emit(Runtime.ASSET_LOAD_PROGRESS, progress);
+        });
+        this.runtime.on(Runtime.ASSETS_LOADED, () => {
+            this.emit(Runtime.ASSETS_LOADED);
+        });
 
         this.extensionManager = new ExtensionManager(this);
         this.securityManager = this.extensionManager.securityManager;
@@ -206,6 +230,18 @@ class VirtualMachine extends EventEmitter {
             this.extensionManager.loadExtensionIdSync(id);
         }
 
+        /**
+         * Records input for later replay. Created by startInputRecording.
+         * @type {?InputRecorder}
+         */
+        this.inputRecorder = null;
+
+        /**
+         * Replays a recorded input tape. Created by playInputTape.
+         * @type {?InputPlayer}
+         */
+        this.inputPlayer = null;
+
         this.blockListener = this.blockListener.bind(this);
         this.flyoutBlockListener = this.flyoutBlockListener.bind(this);
         this.monitorBlockListener = this.monitorBlockListener.bind(this);
@@ -232,9 +268,19 @@ class VirtualMachine extends EventEmitter {
 
     /**
      * "Green flag" handler - start all threads starting with a green flag.
+     * If the costumes and sounds used when the project starts are still loading, the threads start once
+     * they have loaded, unless the project is stopped or replaced first.
      */
     greenFlag () {
-        this.runtime.greenFlag();
+        this.runtime.assetLoadTracker.callWhenCriticalLoaded(() => this.runtime.greenFlag());
+    }
+
+    /**
+     * @returns {Promise} Resolves when the costumes and sounds that are loading have loaded, such as after
+     * loading a project with the progressive option.
+     */
+    whenAssetsLoaded () {
+        return this.runtime.assetLoadTracker.whenLoaded();
     }
 
     /**
@@ -268,6 +314,10 @@ class VirtualMachine extends EventEmitter {
         this.runtime.setInterpolation(interpolationEnabled);
     }
 
+    setFixedTimestep (fixedTimestep) {
+        this.runtime.setFixedTimestep(fixedTimestep);
+    }
+
     setRuntimeOptions (runtimeOptions) {
         this.runtime.setRuntimeOptions(runtimeOptions);
     }
@@ -276,6 +326,22 @@ class VirtualMachine extends EventEmitter {
         this.runtime.setCompilerOptions(compilerOptions);
     }
 
+    /**
+     * Keep compiled scripts between project loads. See Runtime.setCompileCache.
+     * @param {?('memory'|CompileCacheStorage)} storage Where compiled scripts are stored, or null to
+     * disable the cache.
+     */
+    setCompileCacheStorage (storage) {
+        this.runtime.setCompileCache(storage);
+    }
+
+    /**
+     * Compile scripts in a worker instead of on the main thread. See Runtime.enableCompilerWorker.
+     */
+    enableCompilerWorker () {
+        this.runtime.enableCompilerWorker();
+    }
+
     setStageSize (width, height) {
         this.runtime.setStageSize(width, height);
     }
@@ -308,6 +374,82 @@ class VirtualMachine extends EventEmitter {
         return 'enabled debug mode';
     }
 
+    /**
+     * Get the intermediate representation and generated JS of a compiled script.
+     * See Runtime.getCompiledScript.
+     * @param {string} targetId The ID of the target that owns the script.
+     * @param {string} topBlockId The ID of the top block of the script.
+     * @returns {?object} The compiled script, or null if the target does not exist.
+     */
+    getCompiledScript (targetId, topBlockId) {
+        const target = this.runtime.getTargetById(targetId);
+        if (!target) {
+            return null;
+        }
+        return this.runtime.getCompiledScript(target, topBlockId);
+    }
+
+    /**
+     * Look for likely mistakes in the project without running it, such as broadcasts that are never
+     * received, unused variables and blocks that can never run.
+     * @returns {Array.<object>} The issues found, each with a type, targetId, blockId, variableId and name.
+     * See project-analyzer.js for the types of issues.
+     */
+    analyzeProject () {
+        return analyzeProject(this.runtime);
+    }
+
+    /**
+     * Compare two versions of a project by their sprites, scripts, variables, costumes, sounds and
+     * comments, rather than by their JSON. Block IDs and script positions are ignored.
+     * @param {object|string} before The old version, as an sb3 project.json or its text, such as from toJSON.
+     * @param {object|string} after The new version, in the same format.
+     * @returns {Array.<object>} The changes, each with a type, kind, target, key, before and after.
+     * See project-diff.js for their format.
+     */
+    diffProjects (before, after) {
+        return diffProjects(before, after);
+    }
+
+    /**
+     * Merge the changes that two people made to the same project. Things that both changed in different
+     * ways are reported as conflicts, and the merged project keeps our version of them.
+     * @param {object|string} base The version both started from, as an sb3 project.json or its text.
+     * @param {object|string} ours Our version, in the same format.
+     * @param {object|string} theirs Their version, in the same format.
+     * @returns {{project: object, conflicts: Array.<object>}} The merged project.json, which can be loaded
+     * with loadProject, and the conflicts. See project-diff.js for their format.
+     */
+    mergeProjects (base, ours, theirs) {
+        return mergeProjects(base, ours, theirs);
+    }
+
+    /**
+     * Check a project for problems that would make it load or run wrongly, such as blocks that refer to
+     * blocks that don't exist, without loading it. loadProject can also do this.
+     * @param {object|string} input The project, as an sb3 project.json or its text.
+     * @param {object} [options] Options.
+     * @param {boolean} [options.repair] Whether to fix the issues that can be fixed, in a copy of the project.
+     * @returns {{project: object, issues: Array.<object>, loadable: boolean}} The project, repaired if asked to,
+     * the issues found in it and whether it can be loaded. See project-validator.js for the issues.
+     */
+    validateProject (input, options) {
+        return validateProject(input, options);
+    }
+
+    /**
+     * Run each "when test starts" script in the project as a test, starting from the current state
+     * of the project every time. The project is stopped first and restored when the tests finish.
+     * @param {object} [options] Options.
+     * @param {number} [options.framerate] Frames per second to run the tests at. Defaults to 30.
+     * @param {number} [options.timeout] Milliseconds of project time before a test fails. Defaults to 10000.
+     * @returns {Promise.<object>} Report with the number of tests passed and failed and the result of each test.
+     * See test-runner.js for its format.
+     */
+    runTests (options) {
+        return runTests(this.runtime, options);
+    }
+
     /**
      * Stop all threads and running activities.
      */
@@ -348,9 +490,46 @@ class VirtualMachine extends EventEmitter {
      * @param {object} data Any data object to post to the I/O device.
      */
     postIOData (device, data) {
-        if (this.runtime.ioDevices[device]) {
-            this.runtime.ioDevices[device].postData(data);
+        this.runtime.postIOData(device, data);
+    }
+
+    /**
+     * Start recording every postIOData call and answer to "ask and wait" into an input tape.
+     * For the tape to replay accurately, use a fixed framerate and runtimeOptions.seed.
+     */
+    startInputRecording () {
+        if (!this.inputRecorder) {
+            this.inputRecorder = new InputRecorder(this.runtime);
+        }
+        this.inputRecorder.start();
+    }
+
+    /**
+     * Stop recording input.
+     * @returns {?InputTape} The recorded tape, which can be saved with JSON.stringify, or null if not recording.
+     */
+    stopInputRecording () {
+        if (!this.inputRecorder) {
+            return null;
+        }
+        const tape = this.inputRecorder.stop();
+        this.inputRecorder = null;
+        return tape;
+    }
+
+    /**
+     * Replay an input tape made by startInputRecording. Replaying starts from the next frame, so call this
+     * at the same point the recording started, such as right before greenFlag().
+     * @param {InputTape|string} tape The tape or its JSON.
+     * @returns {InputPlayer} The player, which can be stopped early.
+     */
+    playInputTape (tape) {
+        if (this.inputPlayer) {
+            this.inputPlayer.stop();
         }
+        this.inputPlayer = new InputPlayer(this.runtime, tape);
+        this.inputPlayer.start();
+        return this.inputPlayer;
     }
 
     setVideoProvider (videoProvider) {
@@ -396,11 +575,25 @@ class VirtualMachine extends EventEmitter {
     }
 
     /**
-     * Load a Scratch project from a .sb, .sb2, .sb3 or json string.
-     * @param {string | object} input A json string, object, or ArrayBuffer representing the project to load.
-     * @return {!Promise} Promise that resolves after targets are installed.
-     */
-    loadProject (input) {
+     * Load a Scratch project from a .sb, .sb2, .sb3 or json string, or the files from saveProjectText.
+     * @param {string | object} input A json string, object, or ArrayBuffer representing the project to load,
+     * or an object with the files of a project saved as text.
+     * @param {object} [options] Options.
+     * @param {string} [options.validation] 'strict' to check the project first and not load it if it has any
+     * problems, or 'repair' to fix the problems that can be fixed. Only sb3 projects are checked.
+     * @param {boolean} [options.progressive] If true, resolve as soon as the sprites and scripts are loaded,
+     * while the costumes and sounds load. Costumes are empty and sounds wait to play until they have loaded.
+     * Progress is reported with ASSET_LOAD_PROGRESS events, and whenAssetsLoaded resolves when they have all
+     * loaded. Only sb3 projects are loaded progressively.
+     * @return {!Promise} Promise that resolves after targets are installed. With options.validation, it
+     * resolves with the issues found, and rejects with a ProjectValidationError if the project is not loaded
+     * because of them.
+     */
+    loadProject (input, options) {
+        if (textProject.isTextProject(input)) {
+            return this._loadTextProject(input, options);
+        }
+
         if (typeof input === 'object' && !(input instanceof ArrayBuffer) &&
           !ArrayBuffer.isView(input)) {
             // If the input is an object and not any ArrayBuffer
@@ -450,8 +643,11 @@ class VirtualMachine extends EventEmitter {
             });
 
         return validationPromise
-            .then(validatedInput => this.deserializeProject(validatedInput[0], validatedInput[1]))
-            .then(() => this.runtime.emitProjectLoaded())
+            .then(validatedInput => this.deserializeProject(validatedInput[0], validatedInput[1], options))
+            .then(issues => {
+                this.runtime.emitProjectLoaded();
+                return issues;
+            })
             .catch(error => {
                 // Intentionally rejecting here (want errors to be handled by caller)
                 if (error.hasOwnProperty('validationError')) {
@@ -461,6 +657,28 @@ class VirtualMachine extends EventEmitter {
             });
     }
 
+    /**
+     * Load a project that was saved with saveProjectText.
+     * @param {Object.<string, (string|Uint8Array|ArrayBuffer)>} files The project's files, by path.
+     * @param {object} [options] Options, as for loadProject.
+     * @returns {Promise} Resolves when the project has loaded.
+     */
+    _loadTextProject (files, options) {
+        return Promise.resolve()
+            .then(() => {
+                const {json, assets} = textProject.deserialize(files);
+                // Assets are loaded from a zip, like in an sb3
+                const zip = new JSZip();
+                this._addFileDescsToZip(assets, zip);
+                json.projectVersion = 3;
+                return this.deserializeProject(json, zip, options);
+            })
+            .then(issues => {
+                this.runtime.emitProjectLoaded();
+                return issues;
+            });
+    }
+
     /**
      * Load a project from the Scratch web site, by ID.
      * @param {string} id - the ID of the project to download, as a string.
@@ -483,9 +701,13 @@ class VirtualMachine extends EventEmitter {
     }
 
     /**
+     * If costumes or sounds are still loading, the project is saved once they have loaded.
      * @returns {string} Project in a Scratch 3.0 JSON representation.
      */
     saveProjectSb3 () {
+        if (this.runtime.assetLoadTracker.isLoadingAny()) {
+            return this.whenAssetsLoaded().then(() => this.saveProjectSb3());
+        }
         const soundDescs = serializeSounds(this.runtime);
         const costumeDescs = serializeCostumes(this.runtime);
         const projectJson = this.toJSON();
@@ -510,7 +732,10 @@ class VirtualMachine extends EventEmitter {
 
     /**
      * tw: Serailize the project into a map of files without actually zipping the project.
+     * As this is synchronous, it can't wait for costumes and sounds that are still loading: wait for
+     * whenAssetsLoaded() first when the project was loaded progressively.
      * @returns {Record<Uint8Array>} Files of the project.
+     * @throws {Error} If costumes or sounds are still loading.
      */
     saveProjectSb3DontZip () {
         const soundDescs = serializeSounds(this.runtime);
@@ -527,6 +752,21 @@ class VirtualMachine extends EventEmitter {
         return files;
     }
 
+    /**
+     * Save the project as a directory of text files that can be kept in version control, with one file
+     * for each sprite and the stage and the costumes and sounds as they are. loadProject can load them.
+     * See text-project.js for the layout of the files. Like saveProjectSb3DontZip, it can't be used while
+     * costumes or sounds are still loading.
+     * @returns {Object.<string, (string|Uint8Array)>} The files, by path. Text files are strings.
+     * @throws {Error} If costumes or sounds are still loading.
+     */
+    saveProjectText () {
+        const soundDescs = serializeSounds(this.runtime);
+        const costumeDescs = serializeCostumes(this.runtime);
+        const projectJson = JSON.parse(this.toJSON());
+        return textProject.serialize(projectJson, soundDescs.concat(costumeDescs));
+    }
+
     /*
      * @type {Array<object>} Array of all costumes and sounds currently in the runtime
      */
@@ -555,9 +795,13 @@ class VirtualMachine extends EventEmitter {
      * See https://stuk.github.io/jszip/documentation/api_jszip/generate_async.html#type-option
      * for more information about these options.
      * @return {object} A generated zip of the sprite and its assets in the format
-     * specified by optZipType or blob by default.
+     * specified by optZipType or blob by default. If costumes or sounds are still loading, it is
+     * generated once they have loaded.
      */
     exportSprite (targetId, optZipType) {
+        if (this.runtime.assetLoadTracker.isLoadingAny()) {
+            return this.whenAssetsLoaded().then(() => this.exportSprite(targetId, optZipType));
+        }
         const soundDescs = serializeSounds(this.runtime, targetId);
         const costumeDescs = serializeCostumes(this.runtime, targetId);
         const spriteJson = this.toJSON(targetId);
@@ -603,9 +847,20 @@ class VirtualMachine extends EventEmitter {
      * Load a project from a Scratch JSON representation.
      * @param {string} projectJSON JSON string representing a project.
      * @param {?JSZip} zip Optional zipped project containing assets to be loaded.
-     * @returns {Promise} Promise that resolves after the project has loaded
-     */
-    deserializeProject (projectJSON, zip) {
+     * @param {object} [options] Options, as for loadProject.
+     * @returns {Promise} Promise that resolves after the project has loaded, with the issues found if
+     * options.validation is set.
+     */
+    deserializeProject (projectJSON, zip, options = {}) {
+        let issues;
+        if (options.validation) {
+            try {
+                ({projectJSON, issues} = this._validateProject(projectJSON, zip, options.validation));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
         // Clear the current runtime
         this.clear();
 
@@ -621,8 +876,7 @@ class VirtualMachine extends EventEmitter {
             }
             if (projectVersion === 3) {
                 const sb3 = require('./serialization/sb3');
-                // eslint-disable-next-line no-invalid-this
-                return sb3.deserialize(projectJSON, runtime, zip, false, this);
+                return sb3.deserialize(projectJSON, runtime, zip, false, {progressive: options.progressive});
             }
             return Promise.reject('Unable to verify Scratch Project version.');
         };
@@ -642,7 +896,34 @@ class VirtualMachine extends EventEmitter {
                     }
                 }
                 return this.installTargets(targets, extensions, true);
-            });
+            })
+            .then(() => issues);
+    }
+
+    /**
+     * Check a project before loading it, and repair it if asked to.
+     * @param {object} projectJSON The project.
+     * @param {?JSZip} zip The zipped project its assets are in, if any.
+     * @param {string} validation 'strict' or 'repair'.
+     * @returns {{projectJSON: object, issues: Array.<object>}} The project to load and the issues found.
+     * @throws {ProjectValidationError} If the project shouldn't be loaded.
+     */
+    _validateProject (projectJSON, zip, validation) {
+        if (validation !== 'strict' && validation !== 'repair') {
+            throw new Error(`Unknown validation mode: ${validation}`);
+        }
+        // Older projects are converted when they are loaded, and aren't checked
+        if (projectJSON.projectVersion !== 3) {
+            return {projectJSON, issues: []};
+        }
+        const {project, issues, loadable} = validateProject(projectJSON, {
+            repair: validation === 'repair',
+            zip
+        });
+        if (!loadable || (validation === 'strict' && issues.length > 0)) {
+            throw new ProjectValidationError(issues);
+        }
+        return {projectJSON: project, issues};
     }
 
     /**
@@ -726,6 +1007,10 @@ class VirtualMachine extends EventEmitter {
             this.emitWorkspaceUpdate();
             this.runtime.setEditingTarget(this.editingTarget);
             this.runtime.ioDevices.cloud.setStage(this.runtime.getTargetForStage());
+
+            if (extensions.migrations && extensions.migrations.length !== 0) {
+                this.runtime.emit(Runtime.EXTENSIONS_MIGRATED, extensions.migrations);
+            }
         });
     }
 
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview
+ * Stands in for scratch-audio when the VM runs in a worker. Sounds are decoded and played by the real audio
+ * engine on the main thread. Unlike renderer commands, audio calls are sent right away, so sounds start on time.
+ */
+
+/**
+ * Passed to stopAllSounds to stop the sounds of every target.
+ * @const {string}
+ */
+const ALL_TARGETS = '*';
+
+/**
+ * @param {Target} target A sprite or the stage.
+ * @returns {object} What the audio engine needs to know about the target.
+ */
+const describeTarget = target => ({
+    id: target.id,
+    soundEffects: Object.assign({}, target.soundEffects),
+    volume: target.volume
+});
+
+/**
+ * A sound that has been decoded on the main thread.
+ */
+class SoundPlayerProxy {
+    /**
+     * @param {string} id ID of the sound player on the main thread.
+     * @param {{sampleRate: number, length: number, duration: number}} buffer The decoded sound's format.
+     */
+    constructor (id, buffer) {
+        this.id = id;
+        this.buffer = buffer;
+        this.isPlaying = false;
+    }
+}
+
+class SoundBankProxy {
+    /**
+     * @param {AudioEngineProxy} audioEngine The audio engine that created the bank.
+     * @param {number} id ID of the bank.
+     */
+    constructor (audioEngine, id) {
+        this.audioEngine = audioEngine;
+        this.id = id;
+        this.soundPlayers = {};
+    }
+
+    _call (method, ...args) {
+        return this.audioEngine.call('bank', this.id, method, args);
+    }
+
+    addSoundPlayer (soundPlayer) {
+        this.soundPlayers[soundPlayer.id] = soundPlayer;
+        this._call('addSoundPlayer', soundPlayer.id);
+    }
+
+    getSoundPlayer (soundId) {
+        return this.soundPlayers[soundId];
+    }
+
+    playSound (target, soundId) {
+        const player = this.soundPlayers[soundId];
+        if (!player) return Promise.resolve();
+        player.isPlaying = true;
+        return this._call('playSound', describeTarget(target), soundId).then(() => {
+            player.isPlaying = false;
+        });
+    }
+
+    setEffects (target) {
+        this._call('setEffects', describeTarget(target));
+    }
+
+    stop (target, soundId) {
+        this._call('stop', describeTarget(target), soundId);
+    }
+
+    stopAllSounds (target) {
+        this._call('stopAllSounds', target ? describeTarget(target) : ALL_TARGETS);
+    }
+
+    dispose () {
+        this.soundPlayers = {};
+        this._call('dispose');
+    }
+}
+
+class AudioEngineProxy {
+    /**
+     * @param {function(string, ...*): Promise} call Calls a method of the audio host on the main thread.
+     */
+    constructor (call) {
+        this.call = call;
+        this._nextBankId = 0;
+
+        /**
+         * Loudness of the microphone from the last time the main thread was asked.
+         * @type {number}
+         */
+        this.loudness = -1;
+        this._loudnessRequest = null;
+    }
+
+    createBank () {
+        const bank = new SoundBankProxy(this, this._nextBankId++);
+        this.call('createBank', bank.id);
+        return bank;
+    }
+
+    decodeSoundPlayer (sound) {
+        return this.call('decodeSoundPlayer', {
+            data: sound.data,
+            rate: sound.rate,
+            sampleCount: sound.sampleCount,
+            format: sound.format
+        }).then(({id, buffer}) => new SoundPlayerProxy(id, buffer));
+    }
+
+    /**
+     * Loudness can't be measured synchronously from a worker, so this returns the last value that was measured
+     * and asks for a new one.
+     * @returns {number} Loudness of the microphone from 0 to 100, or -1 if it is not available.
+     */
+    getLoudness () {
+        if (!this._loudnessRequest) {
+            this._loudnessRequest = this.call('getLoudness').then(loudness => {
+                this.loudness = loudness;
+                this._loudnessRequest = null;
+            }, () => {
+                this._loudnessRequest = null;
+            });
+        }
+        return this.loudness;
+    }
+}
+
+AudioEngineProxy.ALL_TARGETS = ALL_TARGETS;
+
+module.exports = AudioEngineProxy;
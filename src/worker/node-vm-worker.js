@@ -0,0 +1,24 @@
+/* eslint-env node */
+
+/**
+ * @fileoverview
+ * Entry point of the VM's worker in Node.js. worker-dispatch talks to the main thread through `self`, like in a
+ * Web Worker, so this gives it one that uses worker_threads.
+ */
+
+const {parentPort} = require('worker_threads');
+
+// Some dependencies decide that they are in a browser if `self` exists, so load them before it does.
+require('scratch-storage');
+require('../virtual-machine');
+
+const port = {
+    postMessage: (message, transfer) => parentPort.postMessage(message, transfer),
+    close: () => parentPort.close()
+};
+parentPort.on('message', data => port.onmessage({data}));
+
+global.self = port;
+require('./vm-worker');
+// worker-dispatch keeps its own reference. Modules that are loaded later, such as extensions, shouldn't see it.
+delete global.self;
@@ -0,0 +1,60 @@
+/* eslint-env node */
+
+/**
+ * @fileoverview
+ * Starts the VM's worker in Node.js with worker_threads, for headless use:
+ *
+ *     const WorkerVirtualMachine = require('scratch-vm/src/worker/worker-virtual-machine');
+ *     const startNodeWorker = require('scratch-vm/src/worker/node-worker');
+ *     const vm = new WorkerVirtualMachine(startNodeWorker());
+ */
+
+const path = require('path');
+const {Worker} = require('worker_threads');
+const log = require('../util/log');
+
+/**
+ * Gives a worker_threads Worker the interface of a Web Worker, which is what dispatch uses.
+ */
+class NodeWorker {
+    /**
+     * @param {string} filename Path of the worker's entry point.
+     */
+    constructor (filename) {
+        this.worker = new Worker(filename);
+        this.onmessage = null;
+
+        /**
+         * Tells central dispatch that services provided by this object are in another thread.
+         * @type {boolean}
+         */
+        this.isRemote = true;
+
+        this.worker.on('message', data => {
+            if (this.onmessage) {
+                this.onmessage({data});
+            }
+        });
+        this.worker.on('error', error => {
+            log.error('VM worker failed', error);
+        });
+    }
+
+    postMessage (message, transfer) {
+        this.worker.postMessage(message, transfer);
+    }
+
+    /**
+     * @returns {Promise} Resolves when the worker has stopped.
+     */
+    terminate () {
+        return this.worker.terminate();
+    }
+}
+
+/**
+ * @returns {NodeWorker} A new worker that runs a VM.
+ */
+const startNodeWorker = () => new NodeWorker(path.join(__dirname, 'node-vm-worker.js'));
+
+module.exports = startNodeWorker;
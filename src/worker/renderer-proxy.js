@@ -0,0 +1,525 @@
+/**
+ * @fileoverview
+ * Stands in for scratch-render when the VM runs in a worker. Calls that change the stage are recorded and sent
+ * to the real renderer on the main thread once per frame, when the runtime calls draw().
+ *
+ * Blocks also ask the renderer questions that need an answer right away, such as a sprite's bounds or whether
+ * it is touching another sprite. These are answered from a model of the drawables and skins that is kept here,
+ * using rectangles instead of pixels, so collisions are approximate. "Touching color" can't be answered without
+ * pixels, so vm-worker doesn't load projects that use it.
+ * Skin sizes are estimated when a skin is created and corrected with the sizes the real renderer reports.
+ */
+
+const StageLayering = require('../engine/stage-layering');
+
+/**
+ * How close a sprite is allowed to get to the edge of the stage, from scratch-render.
+ * @const {number}
+ */
+const FENCE_WIDTH = 15;
+
+/**
+ * Name of the command that sets a property on the renderer instead of calling a method.
+ * @const {string}
+ */
+const SET_PROPERTY = '_setProperty';
+
+/**
+ * Renderer methods that only change the stage, so they can be sent with the next frame.
+ * @const {Array.<string>}
+ */
+const DEFERRED_METHODS = [
+    'updateDrawableEffect',
+    'updateDrawableClipBox',
+    'updateDrawableAdditiveBlend',
+    'penLine',
+    'penPoint',
+    'penClear',
+    'penStamp',
+    'setBackgroundColor',
+    'setPrivateSkinAccess',
+    'markSkinAsPrivate'
+];
+
+/**
+ * @param {string} svg An SVG.
+ * @returns {{size: Array.<number>, offset: Array.<number>}} The size of the SVG and the top left of its viewBox.
+ */
+const measureSVG = svg => {
+    const svgTag = (/<svg[^>]*>/i.exec(svg) || [''])[0];
+    const attribute = name => {
+        const match = new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(svgTag);
+        return match ? match[1] : null;
+    };
+    const viewBox = attribute('viewBox');
+    if (viewBox) {
+        const [x, y, width, height] = viewBox.trim()
+            .split(/[\s,]+/)
+            .map(Number);
+        if ([x, y, width, height].every(isFinite)) {
+            return {size: [width, height], offset: [x, y]};
+        }
+    }
+    return {
+        size: [parseFloat(attribute('width')) || 0, parseFloat(attribute('height')) || 0],
+        offset: [0, 0]
+    };
+};
+
+/**
+ * @param {string} text Text of a speech bubble.
+ * @returns {Array.<number>} A guess of the bubble's size, until the renderer reports the real one.
+ */
+const estimateTextBubbleSize = text => {
+    const lines = Math.ceil((String(text).length * 7) / 170) || 1;
+    return [Math.min(Math.max(String(text).length * 7, 50), 170) + 20, (lines * 16) + 32];
+};
+
+/**
+ * A drawable, as far as the proxy knows it.
+ */
+class DrawableModel {
+    /**
+     * @param {RendererProxy} renderer The renderer that owns the drawable.
+     */
+    constructor (renderer) {
+        this.renderer = renderer;
+        this.skinId = -1;
+        this.position = [0, 0];
+        this.direction = 90;
+        this.scale = [100, 100];
+        this.visible = true;
+    }
+
+    /**
+     * @returns {object} The drawable's bounds on the stage, ignoring transparent pixels.
+     */
+    getAABB () {
+        const skin = this.renderer._allSkins[this.skinId];
+        if (!skin) {
+            return {
+                left: this.position[0],
+                right: this.position[0],
+                top: this.position[1],
+                bottom: this.position[1],
+                width: 0,
+                height: 0
+            };
+        }
+        const [width, height] = skin.size;
+        const [centerX, centerY] = skin.rotationCenter;
+        const scaleX = this.scale[0] / 100;
+        const scaleY = this.scale[1] / 100;
+        const radians = (90 - this.direction) * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+
+        let left = Infinity;
+        let right = -Infinity;
+        let bottom = Infinity;
+        let top = -Infinity;
+        for (const [cornerX, cornerY] of [[0, 0], [width, 0], [0, height], [width, height]]) {
+            // Skins have y pointing down, the stage has y pointing up.
+            const x = (cornerX - centerX) * scaleX;
+            const y = (centerY - cornerY) * scaleY;
+            const stageX = this.position[0] + (x * cos) - (y * sin);
+            const stageY = this.position[1] + (x * sin) + (y * cos);
+            left = Math.min(left, stageX);
+            right = Math.max(right, stageX);
+            bottom = Math.min(bottom, stageY);
+            top = Math.max(top, stageY);
+        }
+        return {left, right, top, bottom, width: right - left, height: top - bottom};
+    }
+}
+
+class RendererProxy {
+    /**
+     * @param {function(Array.<Array>): Promise.<Array.<Array>>} sendFrame Sends the commands of a frame to the
+     * main thread. Resolves with the size and rotation center the real renderer has for each skin that changed.
+     * @param {Array.<number>} [nativeSize] Size of the real renderer's stage.
+     */
+    constructor (sendFrame, nativeSize = [480, 360]) {
+        this.sendFrame = sendFrame;
+
+        /**
+         * Commands waiting for the next frame. Each is the name of a method, its arguments, and the ID of
+         * the drawable or skin it creates, if any.
+         * @type {Array.<Array>}
+         */
+        this.commands = [];
+
+        /**
+         * Whether a frame has been sent and the main thread hasn't finished drawing it.
+         * @type {boolean}
+         */
+        this.frameInProgress = false;
+
+        this._allDrawables = [];
+        this._allSkins = [];
+        this._nextDrawableId = 0;
+        this._nextSkinId = 0;
+        this._groupOrdering = [];
+        this._drawLists = {};
+        this._nativeSize = nativeSize.slice();
+        this._clientSize = nativeSize.slice();
+
+        this._offscreenTouching = false;
+        this._useHighQualityRender = false;
+        this.dirty = false;
+    }
+
+    _record (method, args, createdId = -1) {
+        this.commands.push([method, args, createdId]);
+        this.dirty = true;
+    }
+
+    /**
+     * Send the commands of this frame to the main thread. If it is still drawing the previous frame, they are sent
+     * together with the next one.
+     */
+    draw () {
+        if (this.frameInProgress || this.commands.length === 0) return;
+        const commands = this.commands;
+        this.commands = [];
+        this.frameInProgress = true;
+        this.dirty = false;
+        this.sendFrame(commands).then(skins => {
+            this.frameInProgress = false;
+            this.updateSkins(skins);
+        }, () => {
+            this.frameInProgress = false;
+        });
+    }
+
+    /**
+     * Replace estimated skin sizes with the ones the real renderer reported.
+     * @param {Array.<Array>} skins ID, size and rotation center of each skin.
+     */
+    updateSkins (skins) {
+        for (const [skinId, size, rotationCenter] of skins) {
+            const skin = this._allSkins[skinId];
+            if (skin) {
+                skin.size = size;
+                skin.rotationCenter = rotationCenter;
+            }
+        }
+    }
+
+    /**
+     * @param {number} width Width of the stage's canvas on the page.
+     * @param {number} height Height of the stage's canvas on the page.
+     */
+    setClientSize (width, height) {
+        this._clientSize = [width, height];
+    }
+
+    get offscreenTouching () {
+        return this._offscreenTouching;
+    }
+
+    set offscreenTouching (offscreenTouching) {
+        this._offscreenTouching = offscreenTouching;
+        this._record(SET_PROPERTY, ['offscreenTouching', offscreenTouching]);
+    }
+
+    get useHighQualityRender () {
+        return this._useHighQualityRender;
+    }
+
+    setUseHighQualityRender (useHighQualityRender) {
+        this._useHighQualityRender = useHighQualityRender;
+        this._record('setUseHighQualityRender', [useHighQualityRender]);
+    }
+
+    setLayerGroupOrdering (groupOrdering) {
+        this._groupOrdering = groupOrdering.slice();
+        for (const group of groupOrdering) {
+            if (!this._drawLists[group]) {
+                this._drawLists[group] = [];
+            }
+        }
+        this._record('setLayerGroupOrdering', [groupOrdering]);
+    }
+
+    setStageSize (xLeft, xRight, yBottom, yTop) {
+        this._nativeSize = [Math.abs(xRight - xLeft), Math.abs(yBottom - yTop)];
+        this._record('setStageSize', [xLeft, xRight, yBottom, yTop]);
+    }
+
+    getNativeSize () {
+        return this._nativeSize.slice();
+    }
+
+    // Skins
+
+    _createSkin (method, args, size, rotationCenter) {
+        const skinId = this._nextSkinId++;
+        this._allSkins[skinId] = {size, rotationCenter, renderQuality: 1};
+        this._record(method, args, skinId);
+        return skinId;
+    }
+
+    createSVGSkin (svg, rotationCenter) {
+        const {size, offset} = measureSVG(svg);
+        const center = rotationCenter || [size[0] / 2, size[1] / 2];
+        return this._createSkin('createSVGSkin', [svg, rotationCenter], size,
+            [center[0] - offset[0], center[1] - offset[1]]);
+    }
+
+    createBitmapSkin (bitmapData, bitmapResolution = 1, rotationCenter) {
+        const size = [bitmapData.width / bitmapResolution, bitmapData.height / bitmapResolution];
+        return this._createSkin('createBitmapSkin', [bitmapData, bitmapResolution, rotationCenter], size,
+            rotationCenter || [size[0] / 2, size[1] / 2]);
+    }
+
+    createPenSkin () {
+        const size = this._nativeSize.slice();
+        return this._createSkin('createPenSkin', [], size, [size[0] / 2, size[1] / 2]);
+    }
+
+    createTextSkin (type, text, pointsLeft, props) {
+        return this._createSkin('createTextSkin', [type, text, pointsLeft, props], estimateTextBubbleSize(text),
+            [0, 0]);
+    }
+
+    updateSVGSkin (skinId, svg, rotationCenter) {
+        const skin = this._allSkins[skinId];
+        if (skin) {
+            const {size, offset} = measureSVG(svg);
+            const center = rotationCenter || [size[0] / 2, size[1] / 2];
+            skin.size = size;
+            skin.rotationCenter = [center[0] - offset[0], center[1] - offset[1]];
+        }
+        this._record('updateSVGSkin', [skinId, svg, rotationCenter]);
+    }
+
+    updateBitmapSkin (skinId, bitmapData, bitmapResolution = 1, rotationCenter) {
+        const skin = this._allSkins[skinId];
+        if (skin) {
+            skin.size = [bitmapData.width / bitmapResolution, bitmapData.height / bitmapResolution];
+            skin.rotationCenter = rotationCenter || [skin.size[0] / 2, skin.size[1] / 2];
+        }
+        this._record('updateBitmapSkin', [skinId, bitmapData, bitmapResolution, rotationCenter]);
+    }
+
+    updateTextSkin (skinId, type, text, pointsLeft, props) {
+        const skin = this._allSkins[skinId];
+        if (skin) {
+            skin.size = estimateTextBubbleSize(text);
+        }
+        this._record('updateTextSkin', [skinId, type, text, pointsLeft, props]);
+    }
+
+    destroySkin (skinId) {
+        delete this._allSkins[skinId];
+        this._record('destroySkin', [skinId]);
+    }
+
+    getSkinSize (skinId) {
+        const skin = this._allSkins[skinId];
+        return skin ? skin.size.slice() : [0, 0];
+    }
+
+    getSkinRotationCenter (skinId) {
+        const skin = this._allSkins[skinId];
+        return skin ? skin.rotationCenter.slice() : [0, 0];
+    }
+
+    // Drawables
+
+    createDrawable (group) {
+        if (!this._drawLists[group]) {
+            return;
+        }
+        const drawableId = this._nextDrawableId++;
+        this._allDrawables[drawableId] = new DrawableModel(this);
+        this._drawLists[group].push(drawableId);
+        this._record('createDrawable', [group], drawableId);
+        return drawableId;
+    }
+
+    destroyDrawable (drawableId, group) {
+        const drawList = this._drawLists[group];
+        if (!drawList) return;
+        delete this._allDrawables[drawableId];
+        const index = drawList.indexOf(drawableId);
+        if (index !== -1) {
+            drawList.splice(index, 1);
+        }
+        this._record('destroyDrawable', [drawableId, group]);
+    }
+
+    updateDrawableSkinId (drawableId, skinId) {
+        const drawable = this._allDrawables[drawableId];
+        if (drawable) {
+            drawable.skinId = skinId;
+        }
+        this._record('updateDrawableSkinId', [drawableId, skinId]);
+    }
+
+    updateDrawablePosition (drawableId, position) {
+        const drawable = this._allDrawables[drawableId];
+        if (drawable) {
+            drawable.position = [position[0], position[1]];
+        }
+        this._record('updateDrawablePosition', [drawableId, position]);
+    }
+
+    updateDrawableDirectionScale (drawableId, direction, scale, transform) {
+        const drawable = this._allDrawables[drawableId];
+        if (drawable) {
+            drawable.direction = direction;
+            drawable.scale = [scale[0], scale[1]];
+        }
+        this._record('updateDrawableDirectionScale', [drawableId, direction, scale, transform]);
+    }
+
+    updateDrawableVisible (drawableId, visible) {
+        const drawable = this._allDrawables[drawableId];
+        if (drawable) {
+            drawable.visible = visible;
+        }
+        this._record('updateDrawableVisible', [drawableId, visible]);
+    }
+
+    getCurrentSkinSize (drawableId) {
+        const drawable = this._allDrawables[drawableId];
+        return drawable ? this.getSkinSize(drawable.skinId) : [0, 0];
+    }
+
+    /**
+     * @returns {Array.<number>} IDs of every drawable, from back to front.
+     */
+    get _drawList () {
+        return this._groupOrdering.reduce((drawList, group) => drawList.concat(this._drawLists[group]), []);
+    }
+
+    getDrawableOrder (drawableId) {
+        return this._drawList.indexOf(drawableId);
+    }
+
+    setDrawableOrder (drawableId, order, group, optIsRelative, optMin) {
+        const drawList = this._drawLists[group];
+        if (!drawList) return;
+        const oldIndexInGroup = drawList.indexOf(drawableId);
+        if (oldIndexInGroup === -1) return;
+
+        // The order is relative to the whole draw list, like in scratch-render.
+        let startIndex = 0;
+        for (const otherGroup of this._groupOrdering) {
+            if (otherGroup === group) break;
+            startIndex += this._drawLists[otherGroup].length;
+        }
+        const oldIndex = startIndex + oldIndexInGroup;
+        this._record('setDrawableOrder', [drawableId, order, group, optIsRelative, optMin]);
+        if (order === 0) {
+            return oldIndex;
+        }
+
+        drawList.splice(oldIndexInGroup, 1);
+        const endIndex = startIndex + drawList.length;
+        let newIndex = optIsRelative ? order + oldIndex : order;
+        const possibleMin = (optMin || 0) + startIndex;
+        const min = (possibleMin >= startIndex && possibleMin < endIndex) ? possibleMin : startIndex;
+        newIndex = Math.min(Math.max(newIndex, min), endIndex);
+        drawList.splice(newIndex - startIndex, 0, drawableId);
+        return newIndex;
+    }
+
+    getBounds (drawableId) {
+        const drawable = this._allDrawables[drawableId];
+        return drawable ? drawable.getAABB() : null;
+    }
+
+    getBoundsForBubble (drawableId) {
+        return this.getBounds(drawableId);
+    }
+
+    getFencedPositionOfDrawable (drawableId, position) {
+        let x = position[0];
+        let y = position[1];
+        const drawable = this._allDrawables[drawableId];
+        if (!drawable) {
+            return [x, y];
+        }
+
+        const dx = x - drawable.position[0];
+        const dy = y - drawable.position[1];
+        const aabb = drawable.getAABB();
+        const inset = Math.floor(Math.min(aabb.width, aabb.height) / 2);
+
+        const sx = (this._nativeSize[0] / 2) - Math.min(FENCE_WIDTH, inset);
+        if (aabb.right + dx < -sx) {
+            x = Math.ceil(drawable.position[0] - (sx + aabb.right));
+        } else if (aabb.left + dx > sx) {
+            x = Math.floor(drawable.position[0] + (sx - aabb.left));
+        }
+        const sy = (this._nativeSize[1] / 2) - Math.min(FENCE_WIDTH, inset);
+        if (aabb.top + dy < -sy) {
+            y = Math.ceil(drawable.position[1] - (sy + aabb.top));
+        } else if (aabb.bottom + dy > sy) {
+            y = Math.floor(drawable.position[1] + (sy - aabb.bottom));
+        }
+        return [x, y];
+    }
+
+    // Collisions, using bounding boxes
+
+    drawableTouching (drawableId, x, y) {
+        const drawable = this._allDrawables[drawableId];
+        if (!drawable) return false;
+        const bounds = drawable.getAABB();
+        return x >= bounds.left && x <= bounds.right && y >= bounds.bottom && y <= bounds.top;
+    }
+
+    isTouchingDrawables (drawableId, candidateIds = this._drawList) {
+        const drawable = this._allDrawables[drawableId];
+        if (!drawable || !drawable.visible) return false;
+        const bounds = drawable.getAABB();
+        return candidateIds.some(candidateId => {
+            const candidate = this._allDrawables[candidateId];
+            if (candidateId === drawableId || !candidate || !candidate.visible) return false;
+            const other = candidate.getAABB();
+            return bounds.left < other.right && bounds.right > other.left &&
+                bounds.bottom < other.top && bounds.top > other.bottom;
+        });
+    }
+
+    getTouchingDrawablesPoint () {
+        return null;
+    }
+
+    isTouchingColor () {
+        return false;
+    }
+
+    /**
+     * Find the front-most visible sprite at a point.
+     * @param {number} centerX X coordinate of the point, in pixels from the left of the canvas.
+     * @param {number} centerY Y coordinate of the point, in pixels from the top of the canvas.
+     * @returns {number} ID of the drawable, or -1 if there is none.
+     */
+    pick (centerX, centerY) {
+        const x = ((centerX / this._clientSize[0]) - 0.5) * this._nativeSize[0];
+        const y = (0.5 - (centerY / this._clientSize[1])) * this._nativeSize[1];
+        const candidates = this._drawLists[StageLayering.SPRITE_LAYER] || [];
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            const drawable = this._allDrawables[candidates[i]];
+            if (drawable && drawable.visible && this.drawableTouching(candidates[i], x, y)) {
+                return candidates[i];
+            }
+        }
+        return -1;
+    }
+}
+
+for (const method of DEFERRED_METHODS) {
+    RendererProxy.prototype[method] = function (...args) {
+        this._record(method, args);
+    };
+}
+
+RendererProxy.SET_PROPERTY = SET_PROPERTY;
+
+module.exports = RendererProxy;
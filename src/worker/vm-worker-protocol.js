@@ -0,0 +1,55 @@
+/**
+ * @fileoverview
+ * Names shared by a VM running in a worker and the main thread facade that controls it.
+ */
+
+/**
+ * Service on the main thread that workers send events, frames and audio calls to. Every call starts with the
+ * ID of the worker that made it.
+ * @const {string}
+ */
+const HOST_SERVICE = 'vm.host';
+
+/**
+ * @param {string} workerId ID that the worker chose for itself.
+ * @returns {string} Name of the service that the worker provides.
+ */
+const getWorkerService = workerId => `vm.worker.${workerId}`;
+
+/**
+ * Methods of VirtualMachine that the facade forwards to the worker. Their arguments and results are copied
+ * between threads, so they must be plain data.
+ * @const {Array.<string>}
+ */
+const VM_METHODS = [
+    'start',
+    'stop',
+    'greenFlag',
+    'stopAll',
+    'clear',
+    'setTurboMode',
+    'setCompatibilityMode',
+    'setFramerate',
+    'setInterpolation',
+    'setFixedTimestep',
+    'setRuntimeOptions',
+    'setCompilerOptions',
+    'setStageSize',
+    'setInEditor',
+    'loadProject',
+    'deserializeProject',
+    'whenAssetsLoaded',
+    'saveProjectSb3',
+    'toJSON',
+    'setEditingTarget',
+    'setVariableValue',
+    'getVariableValue',
+    'startInputRecording',
+    'stopInputRecording'
+];
+
+module.exports = {
+    HOST_SERVICE,
+    getWorkerService,
+    VM_METHODS
+};
@@ -0,0 +1,131 @@
+/* eslint-env worker */
+
+/**
+ * @fileoverview
+ * Entry point of a worker that runs a VirtualMachine for a WorkerVirtualMachine on the main thread. The main
+ * thread draws the frames and plays the sounds that this worker sends it, and posts input in.
+ */
+
+const dispatch = require('../dispatch/worker-dispatch');
+const ScratchStorage = require('scratch-storage');
+const Runtime = require('../engine/runtime');
+const VirtualMachine = require('../virtual-machine');
+const log = require('../util/log');
+const uid = require('../util/uid');
+const AudioEngineProxy = require('./audio-engine-proxy');
+const RendererProxy = require('./renderer-proxy');
+const {HOST_SERVICE, getWorkerService, VM_METHODS} = require('./vm-worker-protocol');
+
+/**
+ * Events of the VM that are sent to the main thread as they are.
+ * @const {Array.<string>}
+ */
+const FORWARDED_EVENTS = [
+    Runtime.SCRIPT_GLOW_ON,
+    Runtime.SCRIPT_GLOW_OFF,
+    Runtime.BLOCK_GLOW_ON,
+    Runtime.BLOCK_GLOW_OFF,
+    Runtime.PROJECT_START,
+    Runtime.PROJECT_RUN_START,
+    Runtime.PROJECT_RUN_STOP,
+    Runtime.PROJECT_CHANGED,
+    Runtime.VISUAL_REPORT,
+    Runtime.RUNTIME_STARTED,
+    Runtime.RUNTIME_STOPPED,
+    Runtime.TURBO_MODE_ON,
+    Runtime.TURBO_MODE_OFF,
+    Runtime.RUNTIME_OPTIONS_CHANGED,
+    Runtime.COMPILER_OPTIONS_CHANGED,
+    Runtime.FRAMERATE_CHANGED,
+    Runtime.INTERPOLATION_CHANGED,
+    Runtime.FIXED_TIMESTEP_CHANGED,
+    Runtime.STAGE_SIZE_CHANGED,
+    Runtime.COMPILATION_PROGRESS,
+    Runtime.RUNTIME_ERROR,
+    Runtime.HAS_CLOUD_DATA_UPDATE,
+    Runtime.MIC_LISTENING,
+    Runtime.EXTENSIONS_MIGRATED,
+    Runtime.ASSET_LOAD_PROGRESS,
+    Runtime.ASSETS_LOADED,
+    'targetsUpdate',
+    'workspaceUpdate'
+];
+
+/**
+ * Opcodes of blocks that need the pixels of the stage, which only the renderer on the main thread has. The worker
+ * can't answer them, so it doesn't load projects that use them.
+ * @const {Array.<string>}
+ */
+const UNSUPPORTED_OPCODES = [
+    'sensing_touchingcolor',
+    'sensing_coloristouchingcolor'
+];
+
+const workerId = uid();
+const vm = new VirtualMachine();
+vm.attachStorage(new ScratchStorage());
+
+const callHost = (method, ...args) => dispatch.call(HOST_SERVICE, method, workerId, ...args);
+
+const emitOnHost = (event, args) => {
+    callHost('emit', event, args).catch(error => {
+        log.warn(`Could not send ${event} to the main thread`, error);
+    });
+};
+
+for (const event of FORWARDED_EVENTS) {
+    vm.on(event, (...args) => emitOnHost(event, args));
+}
+// Monitor records and targets can't be copied to another thread.
+vm.on(Runtime.MONITORS_UPDATE, monitors => {
+    emitOnHost(Runtime.MONITORS_UPDATE, [monitors.valueSeq().map(monitor => monitor.toJS())
+        .toArray()]);
+});
+vm.on(Runtime.COMPILE_ERROR, (target, error, blockId) => {
+    emitOnHost(Runtime.COMPILE_ERROR, [target.id, error, blockId]);
+});
+
+/**
+ * Unload the project if it uses blocks that the worker can't run.
+ * @throws {Error} If it does.
+ */
+const rejectUnsupportedBlocks = () => {
+    for (const target of vm.runtime.targets) {
+        if (!target.isOriginal) continue;
+        const blocks = target.blocks._blocks;
+        for (const blockId in blocks) {
+            const opcode = blocks[blockId].opcode;
+            if (UNSUPPORTED_OPCODES.includes(opcode)) {
+                vm.clear();
+                throw new Error(`Cannot run projects that use ${opcode} in a worker`);
+            }
+        }
+    }
+};
+
+dispatch.setService(getWorkerService(workerId), {
+    callVM (method, args) {
+        if (!VM_METHODS.includes(method)) {
+            throw new Error(`Cannot call ${method} on a VM in a worker`);
+        }
+        if (method === 'loadProject' || method === 'deserializeProject') {
+            return vm[method](...args).then(rejectUnsupportedBlocks);
+        }
+        return vm[method](...args);
+    },
+
+    postIOData (device, data) {
+        if (device === 'mouse' && vm.renderer instanceof RendererProxy && data.canvasWidth) {
+            vm.renderer.setClientSize(data.canvasWidth, data.canvasHeight);
+        }
+        vm.postIOData(device, data);
+    },
+
+    attachRenderer (nativeSize) {
+        vm.attachRenderer(new RendererProxy(commands => callHost('renderFrame', commands), nativeSize));
+    },
+
+    attachAudioEngine () {
+        vm.attachAudioEngine(new AudioEngineProxy((method, ...args) => callHost('audio', method, args)));
+    }
+}).then(() => callHost('onWorkerReady'));
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview
+ * Runs a VirtualMachine in a worker, so a busy project doesn't make the page unresponsive. The runtime, the
+ * sequencer and the compiler run in the worker. The renderer and the audio engine stay on the main thread:
+ * the worker sends them drawing commands once per frame and audio calls as they happen.
+ *
+ * WorkerVirtualMachine has the methods of VirtualMachine that are needed to run a project, and emits the same
+ * events. Methods return promises. Attach the renderer and the audio engine before loading a project.
+ *
+ * Limitations: collisions are checked with bounding boxes in the worker, and loading a project that uses
+ * "touching color" fails, as the worker can't see the pixels of the stage. Project assets are loaded from the
+ * project itself, so the worker has no web asset stores. Editor integration (block listeners, costume editing)
+ * and extensions that use the renderer directly, such as video sensing, need a VirtualMachine on the main thread.
+ */
+
+const EventEmitter = require('events');
+const {OrderedMap} = require('immutable');
+
+const dispatch = require('../dispatch/central-dispatch');
+const MonitorRecord = require('../engine/monitor-record');
+const log = require('../util/log');
+const AudioEngineProxy = require('./audio-engine-proxy');
+const RendererProxy = require('./renderer-proxy');
+const {HOST_SERVICE, getWorkerService, VM_METHODS} = require('./vm-worker-protocol');
+
+/**
+ * For each renderer method, the positions of arguments that are drawable IDs.
+ * @const {Object.<string, Array.<number>>}
+ */
+const DRAWABLE_ARGUMENTS = {
+    destroyDrawable: [0],
+    setDrawableOrder: [0],
+    updateDrawableSkinId: [0],
+    updateDrawablePosition: [0],
+    updateDrawableDirectionScale: [0],
+    updateDrawableVisible: [0],
+    updateDrawableEffect: [0],
+    updateDrawableClipBox: [0],
+    updateDrawableAdditiveBlend: [0],
+    penStamp: [1]
+};
+
+/**
+ * For each renderer method, the positions of arguments that are skin IDs.
+ * @const {Object.<string, Array.<number>>}
+ */
+const SKIN_ARGUMENTS = {
+    updateDrawableSkinId: [1],
+    updateSVGSkin: [0],
+    updateBitmapSkin: [0],
+    updateTextSkin: [0],
+    destroySkin: [0],
+    markSkinAsPrivate: [0],
+    penLine: [0],
+    penPoint: [0],
+    penClear: [0],
+    penStamp: [0]
+};
+
+/**
+ * Renderer methods that can change the size of a skin, which the worker needs to know.
+ * @const {Array.<string>}
+ */
+const SKIN_SIZE_METHODS = [
+    'createSVGSkin',
+    'createBitmapSkin',
+    'createPenSkin',
+    'createTextSkin',
+    'updateSVGSkin',
+    'updateBitmapSkin',
+    'updateTextSkin'
+];
+
+/**
+ * VMs whose worker hasn't said it's ready yet.
+ * @type {Set.<WorkerVirtualMachine>}
+ */
+const connecting = new Set();
+
+/**
+ * VMs by the ID of their worker.
+ * @type {Map.<string, WorkerVirtualMachine>}
+ */
+const connected = new Map();
+
+const registerHostService = () => {
+    if (dispatch.services[HOST_SERVICE]) return;
+    dispatch.setServiceSync(HOST_SERVICE, {
+        onWorkerReady (workerId) {
+            const service = getWorkerService(workerId);
+            for (const vm of connecting) {
+                // Central dispatch knows which worker registered the service.
+                if (dispatch.services[service] === vm.worker) {
+                    connecting.delete(vm);
+                    connected.set(workerId, vm);
+                    vm._onWorkerReady(service);
+                }
+            }
+        },
+        emit (workerId, event, args) {
+            const vm = connected.get(workerId);
+            if (vm) vm._emitFromWorker(event, args);
+        },
+        renderFrame (workerId, commands) {
+            const vm = connected.get(workerId);
+            return vm ? vm._renderFrame(commands) : [];
+        },
+        audio (workerId, method, args) {
+            const vm = connected.get(workerId);
+            return vm ? vm._callAudioEngine(method, args) : null;
+        }
+    });
+};
+
+/**
+ * @returns {Worker} A new Web Worker that runs a VM.
+ */
+const startWebWorker = () => {
+    const VMWorker = require('worker-loader?name=js/vm-worker/vm-worker.[hash].js!./vm-worker');
+    return new VMWorker();
+};
+
+class WorkerVirtualMachine extends EventEmitter {
+    /**
+     * @param {Worker} [worker] The worker to run the VM in, such as one from node-worker.js. Defaults to a new
+     * Web Worker.
+     */
+    constructor (worker) {
+        super();
+        registerHostService();
+
+        this.worker = worker || startWebWorker();
+        this.renderer = null;
+        this.audioEngine = null;
+        this.serviceName = null;
+
+        // The worker has its own IDs for drawables and skins. These map them to the renderer's.
+        this._drawableIds = [];
+        this._skinIds = [];
+
+        this._soundBanks = [];
+        this._soundPlayers = {};
+        this._audioTargets = {};
+
+        /**
+         * Resolves when the worker is ready to be called.
+         * @type {Promise}
+         */
+        this.ready = new Promise(resolve => {
+            this._resolveReady = resolve;
+        });
+        connecting.add(this);
+        dispatch.addWorker(this.worker);
+    }
+
+    _onWorkerReady (serviceName) {
+        this.serviceName = serviceName;
+        this._resolveReady();
+    }
+
+    _call (method, ...args) {
+        return this.ready.then(() => dispatch.call(this.serviceName, method, ...args));
+    }
+
+    /**
+     * Send input to the VM.
+     * @param {string} device Name of the IO device.
+     * @param {object} data Data to post to the device.
+     * @returns {Promise} Resolves when the worker has received it.
+     */
+    postIOData (device, data) {
+        return this._call('postIOData', device, data);
+    }
+
+    /**
+     * Draw the VM's stage with a renderer. The worker sends drawing commands once per frame.
+     * @param {RenderWebGL} renderer The renderer.
+     * @returns {Promise} Resolves when the worker is using the renderer.
+     */
+    attachRenderer (renderer) {
+        this.renderer = renderer;
+        return this._call('attachRenderer', renderer.getNativeSize());
+    }
+
+    /**
+     * Play the VM's sounds with an audio engine.
+     * @param {AudioEngine} audioEngine The audio engine.
+     * @returns {Promise} Resolves when the worker is using the audio engine.
+     */
+    attachAudioEngine (audioEngine) {
+        this.audioEngine = audioEngine;
+        return this._call('attachAudioEngine');
+    }
+
+    /**
+     * Stop the worker. The VM can't be used afterwards.
+     * @returns {Promise} Resolves when the worker has stopped.
+     */
+    terminate () {
+        connecting.delete(this);
+        for (const [workerId, vm] of connected) {
+            if (vm === this) connected.delete(workerId);
+        }
+        return Promise.resolve(this.worker.terminate());
+    }
+
+    _emitFromWorker (event, args) {
+        if (event === 'MONITORS_UPDATE') {
+            // Monitor records lose their type when they are copied from the worker.
+            const monitors = args[0].map(monitor => [monitor.id, MonitorRecord(monitor)]);
+            this.emit(event, OrderedMap(monitors));
+            return;
+        }
+        this.emit(event, ...args);
+    }
+
+    /**
+     * Run the renderer commands of a frame from the worker, then draw the stage.
+     * @param {Array.<Array>} commands Method, arguments and ID of the created drawable or skin, if any.
+     * @returns {Array.<Array>} Worker ID, size and rotation center of the skins that might have changed size.
+     */
+    _renderFrame (commands) {
+        const renderer = this.renderer;
+        if (!renderer) return [];
+        const changedSkins = new Set();
+        for (const [method, args, createdId] of commands) {
+            if (method === RendererProxy.SET_PROPERTY) {
+                renderer[args[0]] = args[1];
+                continue;
+            }
+            if (typeof renderer[method] !== 'function') {
+                log.warn(`Renderer has no method ${method}`);
+                continue;
+            }
+
+            const rendererArgs = args.slice();
+            for (const index of DRAWABLE_ARGUMENTS[method] || []) {
+                rendererArgs[index] = this._drawableIds[args[index]];
+            }
+            for (const index of SKIN_ARGUMENTS[method] || []) {
+                rendererArgs[index] = this._skinIds[args[index]];
+            }
+            const result = renderer[method](...rendererArgs);
+
+            if (method === 'createDrawable') {
+                this._drawableIds[createdId] = result;
+            } else if (createdId !== -1) {
+                this._skinIds[createdId] = result;
+            }
+            if (SKIN_SIZE_METHODS.includes(method)) {
+                changedSkins.add(createdId === -1 ? args[0] : createdId);
+            } else if (method === 'destroySkin') {
+                changedSkins.delete(args[0]);
+                delete this._skinIds[args[0]];
+            } else if (method === 'destroyDrawable') {
+                delete this._drawableIds[args[0]];
+            }
+        }
+        renderer.draw();
+
+        return Array.from(changedSkins).map(skinId => [
+            skinId,
+            renderer.getSkinSize(this._skinIds[skinId]),
+            renderer.getSkinRotationCenter(this._skinIds[skinId])
+        ]);
+    }
+
+    /**
+     * Keep one object for each target the worker plays sounds for, because sound banks compare targets.
+     * @param {{id: string, soundEffects: object, volume: number}} description The target, from the worker.
+     * @returns {object} An object with the target's sound effects and volume.
+     */
+    _getAudioTarget (description) {
+        if (!this._audioTargets[description.id]) {
+            this._audioTargets[description.id] = {};
+        }
+        return Object.assign(this._audioTargets[description.id], description);
+    }
+
+    _callAudioEngine (method, args) {
+        const audioEngine = this.audioEngine;
+        if (!audioEngine) return null;
+        switch (method) {
+        case 'createBank':
+            this._soundBanks[args[0]] = audioEngine.createBank();
+            return null;
+        case 'decodeSoundPlayer':
+            return audioEngine.decodeSoundPlayer(args[0]).then(player => {
+                this._soundPlayers[player.id] = player;
+                const {sampleRate, length, duration} = player.buffer;
+                return {id: player.id, buffer: {sampleRate, length, duration}};
+            });
+        case 'getLoudness':
+            return audioEngine.getLoudness();
+        case 'bank':
+            return this._callSoundBank(...args);
+        }
+        log.warn(`Audio engine has no method ${method}`);
+        return null;
+    }
+
+    _callSoundBank (bankId, method, args) {
+        const soundBank = this._soundBanks[bankId];
+        if (!soundBank) return null;
+        switch (method) {
+        case 'addSoundPlayer':
+            soundBank.addSoundPlayer(this._soundPlayers[args[0]]);
+            break;
+        case 'playSound':
+            return soundBank.playSound(this._getAudioTarget(args[0]), args[1]);
+        case 'setEffects':
+            soundBank.setEffects(this._getAudioTarget(args[0]));
+            break;
+        case 'stop':
+            soundBank.stop(this._getAudioTarget(args[0]), args[1]);
+            break;
+        case 'stopAllSounds':
+            soundBank.stopAllSounds(args[0] === AudioEngineProxy.ALL_TARGETS ?
+                args[0] :
+                this._getAudioTarget(args[0]));
+            break;
+        case 'dispose':
+            soundBank.dispose();
+            delete this._soundBanks[bankId];
+            break;
+        }
+        return null;
+    }
+}
+
+for (const method of VM_METHODS) {
+    WorkerVirtualMachine.prototype[method] = function (...args) {
+        return this._call('callVM', method, args);
+    };
+}
+
+module.exports = WorkerVirtualMachine;
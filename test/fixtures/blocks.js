@@ -0,0 +1,91 @@
+/**
+ * @fileoverview
+ * Factories for the blocks of scripts built by hand in tests, in the format of Blocks#createBlock.
+ */
+
+/**
+ * @param {string} id - ID of the block.
+ * @param {string} parent - ID of the block whose input it is.
+ * @param {*} value - Value of the text field.
+ * @returns {object} A text shadow block.
+ */
+const text = (id, parent, value) => ({
+    id,
+    opcode: 'text',
+    inputs: {},
+    fields: {TEXT: {name: 'TEXT', value: String(value)}},
+    next: null,
+    parent,
+    topLevel: false,
+    shadow: true
+});
+
+/**
+ * @param {string} id - ID of the block.
+ * @param {string} opcode - Opcode of the block.
+ * @param {?string} next - ID of the next block.
+ * @param {?string} parent - ID of the parent block, or null for the top block of a script.
+ * @param {object} [inputs] - The block's inputs, such as from input().
+ * @param {object} [fields] - The block's fields.
+ * @param {object} [mutation] - The block's mutation.
+ * @returns {object} A block that is not a shadow.
+ */
+const block = (id, opcode, next, parent, inputs = {}, fields = {}, mutation) => {
+    const result = {
+        id,
+        opcode,
+        inputs,
+        fields,
+        next,
+        parent,
+        topLevel: parent === null,
+        shadow: false
+    };
+    if (mutation) {
+        result.mutation = mutation;
+    }
+    return result;
+};
+
+/**
+ * @param {string} name - Name of the input.
+ * @param {string} blockId - ID of the block in the input, which is also its shadow.
+ * @returns {object} Inputs with only that input.
+ */
+const input = (name, blockId) => ({[name]: {name, block: blockId, shadow: blockId}});
+
+/**
+ * @param {string} id - ID of the variable.
+ * @param {string} [name] - Name of the variable. Defaults to its ID.
+ * @returns {object} Fields with only a VARIABLE field.
+ */
+const variable = (id, name = id) => ({VARIABLE: {name: 'VARIABLE', id, value: name}});
+
+/**
+ * @param {Array.<object>} after - Blocks after the loop. The first is the one right after it.
+ * @returns {Array.<object>} Blocks for the script:
+ *   change x by 1          (a)
+ *   repeat 2               (repeat)
+ *     change y by 1        (inner)
+ *   ...after
+ */
+const repeatScript = after => [
+    block('a', 'motion_changexby', 'repeat', null, input('DX', 'a-value')),
+    text('a-value', 'a', 1),
+    block('repeat', 'control_repeat', after.length > 0 ? after[0].id : null, 'a', {
+        ...input('TIMES', 'repeat-value'),
+        ...input('SUBSTACK', 'inner')
+    }),
+    text('repeat-value', 'repeat', 2),
+    block('inner', 'motion_changeyby', null, 'repeat', input('DY', 'inner-value')),
+    text('inner-value', 'inner', 1),
+    ...after
+];
+
+module.exports = {
+    text,
+    block,
+    input,
+    variable,
+    repeatScript
+};
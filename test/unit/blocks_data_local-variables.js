@@ -0,0 +1,165 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const sb3 = require('../../src/serialization/sb3');
+const {text, block, input, variable} = require('../fixtures/blocks');
+
+const mutation = {
+    tagName: 'mutation',
+    children: [],
+    proccode: 'sum %s',
+    argumentids: '["n"]',
+    argumentnames: '["n"]',
+    argumentdefaults: '[""]',
+    warp: 'true'
+};
+
+/**
+ * Run a script until it finishes.
+ * @param {boolean} compiled Whether to run the script with the compiler.
+ * @param {Array.<object>} blocks The blocks. The first one is the top block.
+ * @returns {{rt: Runtime, target: RenderedTarget, isCompiled: boolean}} The runtime and its sprite.
+ */
+const run = (compiled, blocks) => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: compiled});
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    for (const id of ['v', 'w']) {
+        target.variables[id] = new Variable(id, id, Variable.SCALAR_TYPE, false);
+        target.variables[id].value = 0;
+    }
+    target.variables.x = new Variable('x', 'x', Variable.LOCAL_TYPE, false, 'number');
+    target.variables.s = new Variable('s', 's', Variable.LOCAL_TYPE, false, 'string');
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+
+    const thread = rt._pushThread(blocks[0].id, target);
+    for (let frame = 0; frame < 100 && rt.threads.includes(thread); frame++) {
+        rt._step();
+    }
+    return {rt, target, isCompiled: thread.isCompiled};
+};
+
+test('each custom block call has its own local variables', t => {
+    // sum (10)
+    //
+    // define sum (n)
+    // set local x to (n)
+    // if <(n) > 0> then
+    //   sum ((n) - 1)
+    // change v by (local x)
+    const blocks = [
+        block('call', 'procedures_call', null, null, input('n', 'ten'), {}, mutation),
+        text('ten', 'call', 10),
+        block('define', 'procedures_definition', 'setx', null, input('custom_block', 'prototype')),
+        Object.assign(block('prototype', 'procedures_prototype', null, 'define', {}, {}, mutation), {shadow: true}),
+        block('setx', 'data_setlocalvariableto', 'if', 'define', input('VALUE', 'n'), variable('x')),
+        block('n', 'argument_reporter_string_number', null, 'setx', {}, {VALUE: {name: 'VALUE', value: 'n'}}),
+        block('if', 'control_if', 'change', 'setx', {...input('CONDITION', 'gt'), ...input('SUBSTACK', 'recurse')}),
+        block('gt', 'operator_gt', null, 'if', {...input('OPERAND1', 'gt_n'), ...input('OPERAND2', 'zero')}),
+        block('gt_n', 'argument_reporter_string_number', null, 'gt', {}, {VALUE: {name: 'VALUE', value: 'n'}}),
+        text('zero', 'gt', 0),
+        block('recurse', 'procedures_call', null, 'if', input('n', 'minus'), {}, mutation),
+        block('minus', 'operator_subtract', null, 'recurse', {...input('NUM1', 'minus_n'), ...input('NUM2', 'one')}),
+        block('minus_n', 'argument_reporter_string_number', null, 'minus', {}, {
+            VALUE: {name: 'VALUE', value: 'n'}
+        }),
+        text('one', 'minus', 1),
+        block('change', 'data_changevariableby', null, 'if', input('VALUE', 'getx'), variable('v')),
+        block('getx', 'data_localvariable', null, 'change', {}, variable('x'))
+    ];
+
+    for (const compiled of [false, true]) {
+        const {rt, target, isCompiled} = run(compiled, blocks);
+        t.equal(isCompiled, compiled);
+        t.equal(target.variables.v.value, 55);
+        // The declaration keeps its initial value.
+        t.equal(target.variables.x.value, 0);
+        if (compiled) {
+            const procedure = rt.getCompiledScript(target, 'call').procedures['Wsum %s'].source;
+            t.match(procedure, /let l0 = 0;/);
+            t.notMatch(procedure, /variables\["x"\]/);
+        }
+    }
+    t.end();
+});
+
+test('local variables are cast to their type', t => {
+    // set local x to [abc]
+    // change local x by (2)
+    // set v to (local x)
+    // set local s to (local x)
+    // set w to (local s)
+    const blocks = [
+        block('setx', 'data_setlocalvariableto', 'changex', null, input('VALUE', 'abc'), variable('x')),
+        text('abc', 'setx', 'abc'),
+        block('changex', 'data_changelocalvariableby', 'setv', 'setx', input('VALUE', 'two'), variable('x')),
+        text('two', 'changex', 2),
+        block('setv', 'data_setvariableto', 'sets', 'changex', input('VALUE', 'getx'), variable('v')),
+        block('getx', 'data_localvariable', null, 'setv', {}, variable('x')),
+        block('sets', 'data_setlocalvariableto', 'setw', 'setv', input('VALUE', 'getx2'), variable('s')),
+        block('getx2', 'data_localvariable', null, 'sets', {}, variable('x')),
+        block('setw', 'data_setvariableto', null, 'sets', input('VALUE', 'gets'), variable('w')),
+        block('gets', 'data_localvariable', null, 'setw', {}, variable('s'))
+    ];
+
+    for (const compiled of [false, true]) {
+        const {target, isCompiled} = run(compiled, blocks);
+        t.equal(isCompiled, compiled);
+        t.equal(target.variables.v.value, 2);
+        t.equal(target.variables.w.value, '2');
+    }
+    t.end();
+});
+
+test('missing local variables are declared with any type', t => {
+    // set local [y] to [abc]
+    // set v to (local [y])
+    const blocks = [
+        block('sety', 'data_setlocalvariableto', 'setv', null, input('VALUE', 'abc'), variable('y')),
+        text('abc', 'sety', 'abc'),
+        block('setv', 'data_setvariableto', null, 'sety', input('VALUE', 'gety'), variable('v')),
+        block('gety', 'data_localvariable', null, 'setv', {}, variable('y'))
+    ];
+
+    for (const compiled of [false, true]) {
+        const {target} = run(compiled, blocks);
+        t.equal(target.variables.v.value, 'abc');
+        t.equal(target.variables.y.type, Variable.LOCAL_TYPE);
+        t.equal(target.variables.y.valueType, 'any');
+    }
+    t.end();
+});
+
+test('declarations are saved in sb3', t => {
+    const rt = new Runtime();
+    const project = {
+        targets: [{
+            isStage: true,
+            name: 'Stage',
+            variables: {},
+            lists: {},
+            broadcasts: {},
+            localVariables: {x: ['x', 'number']},
+            blocks: {},
+            comments: {},
+            currentCostume: 0,
+            costumes: [],
+            sounds: [],
+            volume: 100
+        }],
+        meta: {semver: '3.0.0'}
+    };
+    return sb3.deserialize(project, rt).then(({targets}) => {
+        const x = targets[0].variables.x;
+        t.equal(x.type, Variable.LOCAL_TYPE);
+        t.equal(x.valueType, 'number');
+        rt.addTarget(targets[0]);
+        const stage = sb3.serialize(rt).targets[0];
+        t.same(stage.localVariables, {x: ['x', 'number']});
+        t.same(stage.variables, {});
+    });
+});
@@ -1,7 +1,8 @@
 const test = require('tap').test;
 const Operators = require('../../src/blocks/scratch3_operators');
+const Runtime = require('../../src/engine/runtime');
 
-const blocks = new Operators(null);
+const blocks = new Operators(new Runtime());
 
 test('getPrimitives', t => {
     t.type(blocks.getPrimitives(), 'object');
@@ -0,0 +1,113 @@
+const {test} = require('tap');
+const {ExitCode, UsageError, parseArguments} = require('../../src/cli/arguments');
+
+test('defaults', t => {
+    const options = parseArguments(['project.sb3']);
+    t.equal(options.file, 'project.sb3');
+    t.equal(options.help, false);
+    t.equal(options.maxTime, Infinity);
+    t.equal(options.maxFrames, Infinity);
+    t.equal(options.turbo, false);
+    t.equal(options.compatibilityMode, false);
+    t.equal(options.framerate, 30);
+    t.equal(options.stageSize, null);
+    t.same(options.runtimeOptions, {});
+    t.same(options.compilerOptions, {});
+    t.equal(options.inputTape, null);
+    t.equal(options.test, false);
+    t.equal(options.testFormat, 'tap');
+    t.equal(options.testTimeout, 10000);
+    t.end();
+});
+
+test('limits', t => {
+    const options = parseArguments(['--max-time', '2.5', '--max-frames=100', 'project.sb3']);
+    t.equal(options.maxTime, 2500);
+    t.equal(options.maxFrames, 100);
+    t.end();
+});
+
+test('runtime settings', t => {
+    const options = parseArguments([
+        'project.sb3',
+        '--turbo',
+        '--framerate', '60',
+        '--stage-size', '640x360',
+        '--runtime-option', 'maxClones=500',
+        '--runtime-option=fencing=false',
+        '--compiler-option', 'warpTimer=true',
+        '--no-compiler'
+    ]);
+    t.equal(options.turbo, true);
+    t.equal(options.framerate, 60);
+    t.same(options.stageSize, [640, 360]);
+    t.same(options.runtimeOptions, {maxClones: 500, fencing: false});
+    t.same(options.compilerOptions, {warpTimer: true, enabled: false});
+    t.end();
+});
+
+test('compatibility mode', t => {
+    const options = parseArguments(['--compatibility-mode', 'a', '--runtime-option', 'maxClones=500']);
+    t.equal(options.compatibilityMode, true);
+    t.equal(options.framerate, 30);
+    t.equal(options.turbo, false);
+    t.same(options.runtimeOptions, {maxClones: 500});
+    t.throws(() => parseArguments(['--framerate', '60', '--compatibility-mode', 'a']), UsageError);
+    t.throws(() => parseArguments(['--compatibility-mode', '--framerate=30', 'a']), UsageError);
+    t.throws(() => parseArguments(['--compatibility-mode', '--turbo', 'a']), UsageError);
+    t.end();
+});
+
+test('seed', t => {
+    t.same(parseArguments(['a', '--seed', '123']).runtimeOptions, {seed: 123});
+    t.same(parseArguments(['a', '--seed=abc']).runtimeOptions, {seed: 'abc'});
+    t.throws(() => parseArguments(['a', '--seed']), UsageError);
+    t.end();
+});
+
+test('input tape', t => {
+    t.equal(parseArguments(['a', '--input-tape', 'session.json']).inputTape, 'session.json');
+    t.throws(() => parseArguments(['a', '--input-tape']), UsageError);
+    t.end();
+});
+
+test('tests', t => {
+    const options = parseArguments(['a', '--test', '--test-format', 'junit', '--test-timeout=2']);
+    t.equal(options.test, true);
+    t.equal(options.testFormat, 'junit');
+    t.equal(options.testTimeout, 2000);
+    t.throws(() => parseArguments(['a', '--test-format', 'xml']), UsageError);
+    t.throws(() => parseArguments(['a', '--test-format']), UsageError);
+    t.end();
+});
+
+test('non-JSON option values stay strings', t => {
+    const options = parseArguments(['a', '--runtime-option', 'name=hello world']);
+    t.same(options.runtimeOptions, {name: 'hello world'});
+    t.end();
+});
+
+test('help does not need a file', t => {
+    t.equal(parseArguments(['--help']).help, true);
+    t.end();
+});
+
+test('invalid arguments', t => {
+    t.throws(() => parseArguments([]), UsageError);
+    t.throws(() => parseArguments(['a.sb3', 'b.sb3']), UsageError);
+    t.throws(() => parseArguments(['a.sb3', '--unknown']), UsageError);
+    t.throws(() => parseArguments(['a.sb3', '--max-time']), UsageError);
+    t.throws(() => parseArguments(['a.sb3', '--max-time', '-1']), UsageError);
+    t.throws(() => parseArguments(['a.sb3', '--max-frames', 'abc']), UsageError);
+    t.throws(() => parseArguments(['a.sb3', '--stage-size', '640']), UsageError);
+    t.throws(() => parseArguments(['a.sb3', '--runtime-option', 'maxClones']), UsageError);
+    t.throws(() => parseArguments(['a.sb3', '--runtime-option', '=1']), UsageError);
+    t.end();
+});
+
+test('exit codes are distinct', t => {
+    const codes = Object.values(ExitCode);
+    t.equal(new Set(codes).size, codes.length);
+    t.equal(ExitCode.SUCCESS, 0);
+    t.end();
+});
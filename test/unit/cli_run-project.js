@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {test} = require('tap');
+const VirtualMachine = require('../../src/virtual-machine');
+const Sprite = require('../../src/sprites/sprite');
+const {TAPE_VERSION} = require('../../src/io/input-tape');
+const {ExitCode} = require('../../src/cli/arguments');
+const {runLoadedProject} = require('../../src/cli/index');
+const {text, block, input} = require('../fixtures/blocks');
+
+test('runs until the input tape has been replayed', t => {
+    // when flag clicked: set x to 5
+    // when space key pressed: set x to 10
+    const vm = new VirtualMachine();
+    const target = new Sprite(null, vm.runtime).createClone();
+    vm.runtime.addTarget(target);
+    const blocks = [
+        block('flag', 'event_whenflagclicked', 'flag-setx', null),
+        block('flag-setx', 'motion_setx', null, 'flag', input('X', 'five')),
+        text('five', 'flag-setx', 5),
+        block('key', 'event_whenkeypressed', 'key-setx', null, {}, {
+            KEY_OPTION: {name: 'KEY_OPTION', value: 'space'}
+        }),
+        block('key-setx', 'motion_setx', null, 'key', input('X', 'ten')),
+        text('ten', 'key-setx', 10)
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+
+    // The key is pressed long after the green flag scripts have finished.
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-run-project-'));
+    const inputTape = path.join(directory, 'tape.json');
+    fs.writeFileSync(inputTape, JSON.stringify({
+        version: TAPE_VERSION,
+        events: [{frame: 5, type: 'io', device: 'keyboard', data: {key: ' ', isDown: true}}]
+    }));
+    t.teardown(() => {
+        fs.unlinkSync(inputTape);
+        fs.rmdirSync(directory);
+    });
+
+    return runLoadedProject(vm, {maxFrames: 100, maxTime: Infinity, inputTape})
+        .then(exitCode => {
+            t.equal(exitCode, ExitCode.SUCCESS);
+            t.equal(target.x, 10);
+            t.ok(vm.inputPlayer.isFinished());
+        });
+});
@@ -0,0 +1,85 @@
+const {test} = require('tap');
+const {formatTAP, formatJUnit} = require('../../src/cli/test-report');
+
+const report = {
+    tests: [
+        {
+            name: 'moves',
+            targetId: 'a',
+            targetName: 'Sprite1',
+            topBlockId: 'hat1',
+            status: 'pass',
+            message: null,
+            frames: 3,
+            time: 100
+        },
+        {
+            name: 'score #1',
+            targetId: 'a',
+            targetName: 'Sprite1',
+            topBlockId: 'hat2',
+            status: 'fail',
+            message: 'expected "5" & got <0>',
+            frames: 1,
+            time: 33.3
+        },
+        {
+            name: 'setup',
+            targetId: 'b',
+            targetName: 'Stage',
+            topBlockId: 'hat3',
+            status: 'error',
+            message: 'oops',
+            frames: 1,
+            time: 50
+        }
+    ],
+    passed: 1,
+    failed: 2
+};
+
+test('formatTAP', t => {
+    t.equal(formatTAP(report), [
+        'TAP version 13',
+        '1..3',
+        'ok 1 - Sprite1: moves',
+        'not ok 2 - Sprite1: score \\#1',
+        '  ---',
+        '  status: fail',
+        '  message: "expected \\"5\\" & got <0>"',
+        '  frames: 1',
+        '  ...',
+        'not ok 3 - Stage: setup',
+        '  ---',
+        '  status: error',
+        '  message: "oops"',
+        '  frames: 1',
+        '  ...',
+        '# pass 1',
+        '# fail 2',
+        ''
+    ].join('\n'));
+    t.end();
+});
+
+test('formatJUnit', t => {
+    t.equal(formatJUnit(report), [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites tests="3" failures="1" errors="1" time="0.183">',
+        '  <testsuite name="Sprite1" tests="2" failures="1" errors="0" time="0.133">',
+        '    <testcase name="moves" classname="Sprite1" time="0.100"/>',
+        '    <testcase name="score #1" classname="Sprite1" time="0.033">',
+        '      <failure message="expected &quot;5&quot; &amp; got &lt;0&gt;" type="fail">' +
+            'expected &quot;5&quot; &amp; got &lt;0&gt;</failure>',
+        '    </testcase>',
+        '  </testsuite>',
+        '  <testsuite name="Stage" tests="1" failures="0" errors="1" time="0.050">',
+        '    <testcase name="setup" classname="Stage" time="0.050">',
+        '      <error message="oops" type="error">oops</error>',
+        '    </testcase>',
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n'));
+    t.end();
+});
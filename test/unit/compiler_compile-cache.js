@@ -0,0 +1,111 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const {CompileCache, MemoryCompileCacheStorage} = require('../../src/compiler/compile-cache');
+const {text, block, input, variable} = require('../fixtures/blocks');
+
+/**
+ * Load a project with the script:
+ *   set a to 3
+ *   set x to ((a) * 2)
+ * @param {'memory'|CompileCacheStorage} storage The compile cache storage.
+ * @returns {{rt: Runtime, target: RenderedTarget}} A runtime with the project loaded, and its sprite.
+ */
+const loadProject = storage => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: true});
+    rt.setCompileCache(storage);
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    target.variables.a = new Variable('a', 'a', Variable.SCALAR_TYPE, false);
+    const blocks = [
+        block('seta', 'data_setvariableto', 'setx', null, input('VALUE', 'three'), variable('a')),
+        text('three', 'seta', 3),
+        block('setx', 'motion_setx', null, 'seta', input('X', 'multiply')),
+        block('multiply', 'operator_multiply', null, 'setx', {...input('NUM1', 'geta'), ...input('NUM2', 'two')}),
+        block('geta', 'data_variable', null, 'multiply', {}, variable('a')),
+        text('two', 'multiply', 2)
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    return {rt, target};
+};
+
+test('scripts that have not changed are loaded from the cache', t => {
+    const storage = new MemoryCompileCacheStorage();
+    const first = loadProject(storage);
+    const compiled = first.rt.getCompiledScript(first.target, 'seta');
+    t.ok(compiled.ir);
+    t.equal(storage.entries.size, 1);
+
+    const second = loadProject(storage);
+    const cached = second.rt.getCompiledScript(second.target, 'seta');
+    t.equal(cached.ir, null);
+    t.equal(cached.entry.source, compiled.entry.source);
+    t.same(cached.entry.sourceMap, compiled.entry.sourceMap);
+    t.match(cached.entry.sourceURL, /^compiled\/cache\//);
+
+    const thread = second.rt._pushThread('seta', second.target);
+    second.rt._step();
+    t.equal(thread.isCompiled, true);
+    t.equal(second.target.x, 6);
+    t.end();
+});
+
+test('changing blocks or compiler options compiles scripts again', t => {
+    const storage = new MemoryCompileCacheStorage();
+    const first = loadProject(storage);
+    first.rt.getCompiledScript(first.target, 'seta');
+
+    const {rt, target} = loadProject(storage);
+    target.blocks.changeBlock({
+        element: 'field',
+        id: 'two',
+        name: 'TEXT',
+        value: '5'
+    });
+    const compiled = rt.getCompiledScript(target, 'seta');
+    t.ok(compiled.ir);
+    t.match(compiled.entry.source, / \* 5\)/);
+
+    rt.setCompilerOptions({warpTimer: true});
+    t.ok(rt.getCompiledScript(target, 'seta').ir);
+    t.equal(storage.entries.size, 3);
+    t.end();
+});
+
+test('storage adapters', t => {
+    const files = {};
+    const adapter = {
+        get: key => {
+            if (!files.hasOwnProperty(key)) return null;
+            return JSON.parse(files[key]);
+        },
+        set: (key, entry) => {
+            files[key] = JSON.stringify(entry);
+        }
+    };
+    const first = loadProject(adapter);
+    first.rt.getCompiledScript(first.target, 'seta');
+    t.equal(Object.keys(files).length, 1);
+
+    const {rt, target} = loadProject(adapter);
+    t.equal(rt.getCompiledScript(target, 'seta').ir, null);
+    rt._pushThread('seta', target);
+    rt._step();
+    t.equal(target.x, 6);
+
+    t.throws(() => rt.setCompileCache({}));
+    t.end();
+});
+
+test('compiled scripts are not saved in projects', t => {
+    // Loading them would run code from the project file.
+    t.throws(() => loadProject('project'), /get and set methods/);
+
+    const memory = loadProject('memory');
+    t.type(memory.rt.compileCache, CompileCache);
+    t.end();
+});
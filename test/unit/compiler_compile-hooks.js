@@ -0,0 +1,219 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const TempVars = require('../../src/extensions/gsa_tempVars');
+const VirtualMachine = require('../../src/virtual-machine');
+const {text, block, input} = require('../fixtures/blocks');
+
+const createRuntime = () => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: true});
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    return {rt, target};
+};
+
+/**
+ * @param {Runtime} rt The runtime to load the temporary variables extension into.
+ */
+const loadTempVars = rt => {
+    // Normally done by the extension manager.
+    const extension = new TempVars(rt);
+    const info = extension.getInfo();
+    for (const blockInfo of info.blocks) {
+        blockInfo.func = extension[blockInfo.opcode].bind(extension);
+    }
+    rt._registerExtensionPrimitives(info);
+    rt.compilerRegisterExtension(info.id, extension);
+};
+
+/**
+ * Create the script:
+ *   set [a] to [5]
+ *   set x to (get [a])
+ * @param {RenderedTarget} target The sprite to create the script in.
+ */
+const createTempVarsScript = target => {
+    const blocks = [
+        block('set', 'tempVars_setVariable', 'setx', null, {
+            ...input('name', 'set-name'),
+            ...input('value', 'set-value')
+        }),
+        text('set-name', 'set', 'a'),
+        text('set-value', 'set', 5),
+        block('setx', 'motion_setx', null, 'set', input('X', 'get')),
+        block('get', 'tempVars_getVariable', null, 'setx', input('name', 'get-name')),
+        text('get-name', 'get', 'a')
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+};
+
+test('extensions compile their blocks with getCompileInfo', t => {
+    const {rt, target} = createRuntime();
+    loadTempVars(rt);
+    t.type(rt.getCompileHook('tempVars_setVariable').js, 'function');
+    t.equal(rt.getCompileHook('tempVars_missing'), null);
+
+    createTempVarsScript(target);
+    const compiled = rt.getCompiledScript(target, 'set');
+    const stack = compiled.ir.entry.stack;
+    t.same(stack.map(node => node.kind), ['extension.hook', 'motion.setX']);
+    t.equal(stack[0].opcode, 'tempVars_setVariable');
+    t.notMatch(compiled.entry.source, 'executeInCompatibilityLayer');
+    t.match(compiled.entry.source, 'runtime.ext_tempVars.getVariable(');
+
+    rt._pushThread('set', target);
+    rt._step();
+    t.equal(target.x, 5);
+    t.end();
+});
+
+test('registerCompileHook', t => {
+    const {rt, target} = createRuntime();
+    const blocks = [
+        block('wait', 'test_wait', 'setx', null),
+        block('setx', 'motion_setx', null, 'wait', input('X', 'double')),
+        block('double', 'test_double', null, 'setx', input('NUM', 'double-value'), {
+            LABEL: {name: 'LABEL', value: 'a "label"'}
+        }),
+        text('double-value', 'double', '4')
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    t.throws(() => rt.getCompiledScript(target, 'wait'));
+
+    const calls = [];
+    rt.registerCompileHook('test_wait', {
+        yields: true,
+        js: () => 'yield'
+    });
+    rt.registerCompileHook('test_double', {
+        inputs: {NUM: 'number'},
+        output: 'number',
+        ir: irBlock => ({id: irBlock.id}),
+        js: (args, compiler, data) => {
+            calls.push({args, data});
+            return `${args.NUM} * 2`;
+        }
+    });
+    t.throws(() => rt.registerCompileHook('test_invalid', {}));
+
+    const compiled = rt.getCompiledScript(target, 'wait');
+    t.same(compiled.ir.entry.stack[1].x.data, {id: 'double'});
+    t.same(calls, [{
+        args: {NUM: '4', LABEL: '"a \\"label\\""'},
+        data: {id: 'double'}
+    }]);
+
+    rt.setRuntimeOptions({seed: 1});
+    const thread = rt._pushThread('wait', target);
+    t.equal(thread.isCompiled, true);
+    rt._step();
+    t.equal(target.x, 8);
+    t.end();
+});
+
+test('registering a hook recompiles scripts', t => {
+    const {rt, target} = createRuntime();
+    loadTempVars(rt);
+    rt._compileHooks = {};
+    rt.resetAllCaches();
+    createTempVarsScript(target);
+    t.equal(rt.getCompiledScript(target, 'set').ir.entry.stack[0].kind, 'compat');
+
+    rt.registerCompileHook('tempVars_setVariable', rt.ext_tempVars.getCompileInfo().setVariable);
+    t.equal(rt.getCompiledScript(target, 'set').ir.entry.stack[0].kind, 'extension.hook');
+    t.end();
+});
+
+/**
+ * Create the scripts:
+ *   set contents of list [l] to contents of array (in array [[1,2]] add [3])
+ *   set x to (length of array (get contents of list [l] as array))
+ * and:
+ *   Create class [A]
+ *   Create class property [p] with value [7] in class [A]
+ *   Create object [o] from class [A]
+ *   set y to (Property [p] of object [o])
+ * @param {RenderedTarget} target The sprite to create the scripts in.
+ */
+const createJSONAndStructsScripts = target => {
+    const blocks = [
+        block('tolist', 'jgJSON_json_array_tolist', 'setx', null, input('array', 'push'), {
+            list: {name: 'list', value: JSON.stringify({id: 'l', name: 'l'})}
+        }),
+        block('push', 'jgJSON_json_array_push', null, 'tolist', {
+            ...input('array', 'push-array'),
+            ...input('item', 'push-item')
+        }),
+        text('push-array', 'push', '[1,2]'),
+        text('push-item', 'push', 3),
+        block('setx', 'motion_setx', null, 'tolist', input('X', 'length')),
+        block('length', 'jgJSON_json_array_length', null, 'setx', input('array', 'toarray')),
+        block('toarray', 'jgJSON_json_array_listtoarray', null, 'length', {}, {
+            list: {name: 'list', value: JSON.stringify({id: 'l', name: 'l'})}
+        }),
+
+        block('class', 'jwStructs_createClass', 'property', null, input('NAME', 'class-name')),
+        text('class-name', 'class', 'A'),
+        block('property', 'jwStructs_createClassProperty', 'object', 'class', {
+            ...input('NAME', 'property-name'),
+            ...input('VALUE', 'property-value'),
+            ...input('CLASS', 'property-class')
+        }),
+        text('property-name', 'property', 'p'),
+        text('property-value', 'property', 7),
+        text('property-class', 'property', 'A'),
+        block('object', 'jwStructs_newObject', 'sety', 'property', {
+            ...input('NAME', 'object-name'),
+            ...input('CLASS', 'object-class')
+        }),
+        text('object-name', 'object', 'o'),
+        text('object-class', 'object', 'A'),
+        block('sety', 'motion_sety', null, 'object', input('Y', 'get')),
+        block('get', 'jwStructs_returnObjectProperty', null, 'sety', {
+            ...input('PROPERTY', 'get-property'),
+            ...input('OBJECT', 'get-object')
+        }),
+        text('get-property', 'get', 'p'),
+        text('get-object', 'get', 'o')
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+};
+
+test('JSON and structs blocks are compiled like they are interpreted', t => {
+    const results = [];
+    for (const compilerEnabled of [true, false]) {
+        const vm = new VirtualMachine();
+        const rt = vm.runtime;
+        rt.setCompilerOptions({enabled: compilerEnabled});
+        vm.extensionManager.loadExtensionIdSync('jgJSON');
+        vm.extensionManager.loadExtensionIdSync('jwStructs');
+        const target = new Sprite(null, rt).createClone();
+        rt.addTarget(target);
+        createJSONAndStructsScripts(target);
+        if (compilerEnabled) {
+            for (const topBlockId of ['tolist', 'class']) {
+                const compiled = rt.getCompiledScript(target, topBlockId);
+                t.notMatch(compiled.entry.source, 'executeInCompatibilityLayer');
+            }
+        }
+
+        rt._pushThread('tolist', target);
+        rt._pushThread('class', target);
+        rt._step();
+        results.push({
+            list: target.lookupOrCreateList('l', 'l').value,
+            x: target.x,
+            y: target.y
+        });
+    }
+    t.same(results[0], {list: [1, 2, 3], x: 3, y: 7});
+    t.same(results[0], results[1]);
+    t.end();
+});
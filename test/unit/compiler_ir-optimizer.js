@@ -0,0 +1,193 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const {text, block, input, variable} = require('../fixtures/blocks');
+
+/**
+ * @param {string} firstBlockId ID of the first block in the procedure.
+ * @returns {Array.<object>} Blocks that call the procedure "physics", which runs without screen refresh,
+ * with the "call" block.
+ */
+const warpProcedure = firstBlockId => {
+    const mutation = {
+        tagName: 'mutation',
+        children: [],
+        proccode: 'physics',
+        argumentids: '[]',
+        argumentnames: '[]',
+        argumentdefaults: '[]',
+        warp: 'true'
+    };
+    return [
+        block('call', 'procedures_call', null, null, {}, {}, mutation),
+        block('define', 'procedures_definition', firstBlockId, null, input('custom_block', 'prototype')),
+        Object.assign(block('prototype', 'procedures_prototype', null, 'define', {}, {}, mutation), {shadow: true})
+    ];
+};
+
+/**
+ * @param {Array.<object>} blocks Blocks to create in the sprite.
+ * @returns {{rt: Runtime, target: RenderedTarget}} A runtime with the compiler enabled, and a sprite
+ * with the variables "a" and "b".
+ */
+const createRuntime = blocks => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: true});
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    for (const id of ['a', 'b']) {
+        target.variables[id] = new Variable(id, id, Variable.SCALAR_TYPE, false);
+        target.variables[id].value = '2';
+    }
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    return {rt, target};
+};
+
+test('constant folding and dead branches', t => {
+    // set a to ((2 * 3) + 4)
+    // set b to (join (a) (1 + 1))
+    // if <(1 = 2)> then
+    //   set x to 5
+    // else
+    //   set x to (a)
+    const {rt, target} = createRuntime([
+        block('seta', 'data_setvariableto', 'setb', null, input('VALUE', 'add'), variable('a')),
+        block('add', 'operator_add', null, 'seta', {...input('NUM1', 'multiply'), ...input('NUM2', 'four')}),
+        block('multiply', 'operator_multiply', null, 'add', {...input('NUM1', 'two'), ...input('NUM2', 'three')}),
+        text('two', 'multiply', 2),
+        text('three', 'multiply', 3),
+        text('four', 'add', 4),
+        block('setb', 'data_setvariableto', 'if', 'seta', input('VALUE', 'join'), variable('b')),
+        block('join', 'operator_join', null, 'setb', {...input('STRING1', 'geta'), ...input('STRING2', 'sum')}),
+        block('geta', 'data_variable', null, 'join', {}, variable('a')),
+        block('sum', 'operator_add', null, 'join', {...input('NUM1', 'one'), ...input('NUM2', 'one2')}),
+        text('one', 'sum', 1),
+        text('one2', 'sum', 1),
+        block('if', 'control_if_else', null, 'setb', {
+            ...input('CONDITION', 'equals'),
+            ...input('SUBSTACK', 'setx5'),
+            ...input('SUBSTACK2', 'setxa')
+        }),
+        block('equals', 'operator_equals', null, 'if', {...input('OPERAND1', 'one3'), ...input('OPERAND2', 'two2')}),
+        text('one3', 'equals', 1),
+        text('two2', 'equals', 2),
+        block('setx5', 'motion_setx', null, 'if', input('X', 'five')),
+        text('five', 'setx5', 5),
+        block('setxa', 'motion_setx', null, 'if', input('X', 'geta2')),
+        block('geta2', 'data_variable', null, 'setxa', {}, variable('a'))
+    ]);
+
+    const stack = rt.getCompiledScript(target, 'seta').ir.entry.stack;
+    t.same(stack.map(node => node.kind), ['var.set', 'var.set', 'motion.setX']);
+    t.same(stack[0].value, {kind: 'constant', value: 10});
+    t.equal(stack[1].value.kind, 'op.join');
+    t.same(stack[1].value.right, {kind: 'constant', value: 2});
+    t.equal(stack[2].blockId, 'setxa');
+
+    rt._pushThread('seta', target);
+    rt._step();
+    t.equal(target.variables.a.value, 10);
+    t.equal(target.variables.b.value, '102');
+    t.equal(target.x, 10);
+    t.end();
+});
+
+test('variable types are known in other stacks until the script yields', t => {
+    // set a to 5
+    // if <mouse down?> then
+    //   set x to (a)
+    // end
+    // wait 0 seconds
+    // set y to (a)
+    const {rt, target} = createRuntime([
+        block('seta', 'data_setvariableto', 'if', null, input('VALUE', 'five'), variable('a')),
+        text('five', 'seta', 5),
+        block('if', 'control_if', 'wait', 'seta', {...input('CONDITION', 'down'), ...input('SUBSTACK', 'setx')}),
+        block('down', 'sensing_mousedown', null, 'if'),
+        block('setx', 'motion_setx', null, 'if', input('X', 'geta')),
+        block('geta', 'data_variable', null, 'setx', {}, variable('a')),
+        block('wait', 'control_wait', 'sety', 'if', input('DURATION', 'zero')),
+        text('zero', 'wait', 0),
+        block('sety', 'motion_sety', null, 'wait', input('Y', 'geta2')),
+        block('geta2', 'data_variable', null, 'sety', {}, variable('a'))
+    ]);
+
+    const compiled = rt.getCompiledScript(target, 'seta');
+    const stack = compiled.ir.entry.stack;
+    t.equal(stack[1].whenTrue[0].x.inferredType, 'number');
+    t.notOk(stack[3].y.inferredType);
+    t.match(compiled.entry.source, /target\.setXY\(b0\.value, target\.y\)/);
+    t.match(compiled.entry.source, /target\.setXY\(target\.x, \(\+b0\.value \|\| 0\)\)/);
+    t.end();
+});
+
+test('loops find the types at the start of every iteration', t => {
+    // define physics (run without screen refresh)
+    //   set a to 0
+    //   repeat 10
+    //     set x to (a)
+    //     if <mouse down?> then
+    //       set a to [text]
+    //     end
+    //     set b to 1
+    //   end
+    //   set y to (b)
+    const {rt, target} = createRuntime([
+        ...warpProcedure('seta'),
+        block('seta', 'data_setvariableto', 'repeat', 'define', input('VALUE', 'zero'), variable('a')),
+        text('zero', 'seta', 0),
+        block('repeat', 'control_repeat', 'sety', 'seta', {...input('TIMES', 'ten'), ...input('SUBSTACK', 'setx')}),
+        text('ten', 'repeat', 10),
+        block('setx', 'motion_setx', 'if', 'repeat', input('X', 'geta')),
+        block('geta', 'data_variable', null, 'setx', {}, variable('a')),
+        block('if', 'control_if', 'setb', 'setx', {...input('CONDITION', 'down'), ...input('SUBSTACK', 'settext')}),
+        block('down', 'sensing_mousedown', null, 'if'),
+        block('settext', 'data_setvariableto', null, 'if', input('VALUE', 'text'), variable('a')),
+        text('text', 'settext', 'text'),
+        block('setb', 'data_setvariableto', null, 'if', input('VALUE', 'one'), variable('b')),
+        text('one', 'setb', 1),
+        block('sety', 'motion_sety', null, 'repeat', input('Y', 'getb')),
+        block('getb', 'data_variable', null, 'sety', {}, variable('b'))
+    ]);
+
+    const stack = rt.getCompiledScript(target, 'call').ir.procedures.Wphysics.stack;
+    // a is a number in the first iteration but may be text in later ones.
+    t.notOk(stack[1].do[0].x.inferredType);
+    t.notOk(stack[1].hoistedVariables);
+    // b is only a number if the loop ran at least once.
+    t.notOk(stack[2].y.inferredType);
+    t.end();
+});
+
+test('loops that do not yield cast variables that do not change once', t => {
+    // define physics (run without screen refresh)
+    //   repeat 10
+    //     change b by (a)
+    //     set y to (b)
+    //   end
+    const {rt, target} = createRuntime([
+        ...warpProcedure('repeat'),
+        block('repeat', 'control_repeat', null, 'define', {...input('TIMES', 'ten'), ...input('SUBSTACK', 'change')}),
+        text('ten', 'repeat', 10),
+        block('change', 'data_changevariableby', 'sety', 'repeat', input('VALUE', 'geta'), variable('b')),
+        block('geta', 'data_variable', null, 'change', {}, variable('a')),
+        block('sety', 'motion_sety', null, 'change', input('Y', 'getb')),
+        block('getb', 'data_variable', null, 'sety', {}, variable('b'))
+    ]);
+
+    const compiled = rt.getCompiledScript(target, 'call');
+    const loop = compiled.ir.procedures.Wphysics.stack[0];
+    t.same(loop.hoistedVariables.map(v => v.id), ['a']);
+    const source = compiled.procedures.Wphysics.source;
+    t.match(source, /var a1 = \(\+b0\.value \|\| 0\);\nfor/);
+    t.match(source, /b1\.value = \(\(\+b1\.value \|\| 0\) \+ a1\);/);
+
+    rt._pushThread('call', target);
+    rt._step();
+    t.equal(target.variables.b.value, 22);
+    t.equal(target.y, 22);
+    t.end();
+});
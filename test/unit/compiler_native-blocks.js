@@ -0,0 +1,309 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const {text, block, input, variable} = require('../fixtures/blocks');
+
+/**
+ * @param {string} id ID of the block.
+ * @param {string} letter Text to add.
+ * @param {string} parent ID of the block before it.
+ * @param {?string} next ID of the block after it.
+ * @returns {Array.<object>} Blocks for "set log to (join (log) [letter])".
+ */
+const appendToLog = (id, letter, parent, next = null) => [
+    block(id, 'data_setvariableto', next, parent, input('VALUE', `${id}_join`), variable('log')),
+    block(`${id}_join`, 'operator_join', null, id, {
+        ...input('STRING1', `${id}_log`),
+        ...input('STRING2', `${id}_letter`)
+    }),
+    block(`${id}_log`, 'data_variable', null, `${id}_join`, {}, variable('log')),
+    text(`${id}_letter`, `${id}_join`, letter)
+];
+
+/**
+ * Run a script until it finishes, waiting for promises between frames. The clock moves 250ms every frame.
+ * @param {boolean} compiled Whether to run the script with the compiler.
+ * @param {Array.<object>} blocks The blocks of the script. The first one is the top block.
+ * @param {function(Runtime, RenderedTarget, number)} [eachFrame] Called after each frame.
+ * @returns {Promise.<{rt: Runtime, target: RenderedTarget, isCompiled: boolean}>} The runtime and its sprite.
+ */
+const run = async (compiled, blocks, eachFrame = () => {}) => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: compiled});
+    let time = 0;
+    rt.now = () => time;
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    for (const id of ['v', 'log']) {
+        target.variables[id] = new Variable(id, id, Variable.SCALAR_TYPE, false);
+        target.variables[id].value = '';
+    }
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+
+    const thread = rt._pushThread(blocks[0].id, target);
+    for (let frame = 0; frame < 100 && rt.threads.includes(thread); frame++) {
+        rt._step();
+        eachFrame(rt, target, frame);
+        await new Promise(resolve => setImmediate(resolve));
+        time += 250;
+    }
+    return {rt, target, isCompiled: thread.isCompiled};
+};
+
+/**
+ * @param {Runtime} rt The runtime.
+ * @param {string} topBlockId ID of a script's top block.
+ * @returns {string} The JS the script compiles to.
+ */
+const compiledSource = (rt, topBlockId) => rt.getCompiledScript(rt.targets[0], topBlockId).entry.source;
+
+/**
+ * @param {*} value The value to switch on.
+ * @returns {Array.<object>} Blocks for the script:
+ *   switch [value]
+ *     case 1
+ *       add "a"
+ *     case 2 and next
+ *     case 3
+ *       add "b"
+ *       exit case
+ *       add "x"
+ *     case 4
+ *       repeat 2
+ *         add "c"
+ *         exit case
+ *     case 5 and next
+ *   default
+ *     add "d"
+ */
+const switchScript = value => [
+    block('switch', 'control_switch_default', null, null, {
+        ...input('CONDITION', 'value'),
+        ...input('SUBSTACK1', 'case1'),
+        ...input('SUBSTACK2', 'addd')
+    }),
+    text('value', 'switch', value),
+    block('case1', 'control_case', 'case2', 'switch', {...input('CONDITION', 'one'), ...input('SUBSTACK', 'adda')}),
+    text('one', 'case1', 1),
+    ...appendToLog('adda', 'a', 'case1'),
+    block('case2', 'control_case_next', 'case3', 'case1', input('CONDITION', 'two')),
+    text('two', 'case2', 2),
+    block('case3', 'control_case', 'case4', 'case2', {...input('CONDITION', 'three'), ...input('SUBSTACK', 'addb')}),
+    text('three', 'case3', 3),
+    ...appendToLog('addb', 'b', 'case3', 'exit1'),
+    block('exit1', 'control_exitCase', 'addx', 'addb'),
+    ...appendToLog('addx', 'x', 'exit1'),
+    block('case4', 'control_case', 'case5', 'case3', {...input('CONDITION', 'four'), ...input('SUBSTACK', 'repeat')}),
+    text('four', 'case4', 4),
+    block('repeat', 'control_repeat', null, 'case4', {...input('TIMES', 'twice'), ...input('SUBSTACK', 'addc')}),
+    text('twice', 'repeat', 2),
+    ...appendToLog('addc', 'c', 'repeat', 'exit2'),
+    block('exit2', 'control_exitCase', null, 'addc'),
+    block('case5', 'control_case_next', null, 'case4', input('CONDITION', 'five')),
+    text('five', 'case5', 5),
+    ...appendToLog('addd', 'd', 'switch')
+];
+
+test('switch and case', async t => {
+    const expected = {1: 'a', 2: 'b', 3: 'b', 4: 'c', 5: 'd', 6: 'd'};
+    for (const value of Object.keys(expected)) {
+        for (const compiled of [false, true]) {
+            const {target, isCompiled} = await run(compiled, switchScript(value));
+            t.equal(isCompiled, compiled);
+            t.equal(target.variables.log.value, expected[value], `${value}, ${compiled ? 'compiler' : 'interpreter'}`);
+        }
+    }
+
+    const {rt} = await run(true, switchScript(1));
+    const source = compiledSource(rt, 'switch');
+    t.match(source, /a\d+: switch \(/);
+    t.match(source, /break a\d+;/);
+    t.notMatch(source, /executeInCompatibilityLayer/);
+});
+
+/**
+ * @param {*} value The value to switch on.
+ * @returns {Array.<object>} Blocks for the script:
+ *   switch [value]
+ *     case 1 and next
+ *     case 2 and next
+ *     case 3
+ *       add "a"
+ *       repeat 3
+ *         add "b"
+ *         repeat 3
+ *           add "c"
+ *           exit case
+ *         add "x"
+ *       add "y"
+ *     case 4
+ *       forever
+ *         add "e"
+ *         if <(log) = "ee"> then
+ *           exit case
+ *   add "!"
+ */
+const nestedSwitchScript = value => [
+    block('switch', 'control_switch', 'addend', null, {
+        ...input('CONDITION', 'value'),
+        ...input('SUBSTACK', 'case1')
+    }),
+    text('value', 'switch', value),
+    block('case1', 'control_case_next', 'case2', 'switch', input('CONDITION', 'one')),
+    text('one', 'case1', 1),
+    block('case2', 'control_case_next', 'case3', 'case1', input('CONDITION', 'two')),
+    text('two', 'case2', 2),
+    block('case3', 'control_case', 'case4', 'case2', {...input('CONDITION', 'three'), ...input('SUBSTACK', 'adda')}),
+    text('three', 'case3', 3),
+    ...appendToLog('adda', 'a', 'case3', 'outer'),
+    block('outer', 'control_repeat', 'addy', 'adda', {...input('TIMES', 'outer_times'), ...input('SUBSTACK', 'addb')}),
+    text('outer_times', 'outer', 3),
+    ...appendToLog('addb', 'b', 'outer', 'inner'),
+    block('inner', 'control_repeat', 'addx', 'addb', {...input('TIMES', 'inner_times'), ...input('SUBSTACK', 'addc')}),
+    text('inner_times', 'inner', 3),
+    ...appendToLog('addc', 'c', 'inner', 'exit1'),
+    block('exit1', 'control_exitCase', null, 'addc'),
+    ...appendToLog('addx', 'x', 'inner'),
+    ...appendToLog('addy', 'y', 'outer'),
+    block('case4', 'control_case', null, 'case3', {...input('CONDITION', 'four'), ...input('SUBSTACK', 'forever')}),
+    text('four', 'case4', 4),
+    block('forever', 'control_forever', null, 'case4', input('SUBSTACK', 'adde')),
+    ...appendToLog('adde', 'e', 'forever', 'if'),
+    block('if', 'control_if', null, 'adde', {...input('CONDITION', 'equals'), ...input('SUBSTACK', 'exit2')}),
+    block('equals', 'operator_equals', null, 'if', {...input('OPERAND1', 'equals_log'), ...input('OPERAND2', 'ee')}),
+    block('equals_log', 'data_variable', null, 'equals', {}, variable('log')),
+    text('ee', 'equals', 'ee'),
+    block('exit2', 'control_exitCase', null, 'if'),
+    ...appendToLog('addend', '!', 'switch')
+];
+
+test('switch falls through "case and next" and exits cases from nested loops', async t => {
+    const expected = {1: 'abc!', 2: 'abc!', 3: 'abc!', 4: 'ee!', 5: '!'};
+    for (const value of Object.keys(expected)) {
+        for (const compiled of [false, true]) {
+            const {target, isCompiled} = await run(compiled, nestedSwitchScript(value));
+            t.equal(isCompiled, compiled);
+            t.equal(target.variables.log.value, expected[value], `${value}, ${compiled ? 'compiler' : 'interpreter'}`);
+        }
+    }
+});
+
+test('sound, speech bubble and transform blocks', async t => {
+    // set volume to 30
+    // change volume by -50
+    // set x to (volume)
+    // set pitch effect to 50
+    // change pan effect by -20
+    // set y to (length of sound [missing])
+    // set horizontal transform to 50
+    // set vertical transform to 200
+    // think ((1) / (3))
+    const blocks = [
+        block('setvolume', 'sound_setvolumeto', 'changevolume', null, input('VOLUME', 'thirty')),
+        text('thirty', 'setvolume', 30),
+        block('changevolume', 'sound_changevolumeby', 'setx', 'setvolume', input('VOLUME', 'minusfifty')),
+        text('minusfifty', 'changevolume', -50),
+        block('setx', 'motion_setx', 'pitch', 'changevolume', input('X', 'volume')),
+        block('volume', 'sound_volume', null, 'setx'),
+        block('pitch', 'sound_seteffectto', 'pan', 'setx', input('VALUE', 'fifty'), {
+            EFFECT: {name: 'EFFECT', value: 'PITCH'}
+        }),
+        text('fifty', 'pitch', 50),
+        block('pan', 'sound_changeeffectby', 'sety', 'pitch', input('VALUE', 'minustwenty'), {
+            EFFECT: {name: 'EFFECT', value: 'PAN'}
+        }),
+        text('minustwenty', 'pan', -20),
+        block('sety', 'motion_sety', 'horizontal', 'pan', input('Y', 'length')),
+        block('length', 'sound_getLength', null, 'sety', input('SOUND_MENU', 'missing')),
+        text('missing', 'length', 'missing'),
+        block('horizontal', 'looks_setHorizTransform', 'vertical', 'sety', input('PERCENT', 'half')),
+        text('half', 'horizontal', 50),
+        block('vertical', 'looks_setVertTransform', 'think', 'horizontal', input('PERCENT', 'double')),
+        text('double', 'vertical', 200),
+        block('think', 'looks_think', null, 'vertical', input('MESSAGE', 'divide')),
+        block('divide', 'operator_divide', null, 'think', {
+            ...input('NUM1', 'numerator'),
+            ...input('NUM2', 'denominator')
+        }),
+        text('numerator', 'divide', 1),
+        text('denominator', 'divide', 3)
+    ];
+
+    for (const compiled of [false, true]) {
+        const {rt, target, isCompiled} = await run(compiled, blocks);
+        t.equal(isCompiled, compiled);
+        t.equal(target.volume, 0);
+        t.equal(target.x, 0);
+        t.equal(target.y, 0);
+        t.same(rt.ext_scratch3_sound._getSoundState(target).effects, {pitch: 50, pan: -20});
+        t.same(target.transform, [2, 0.5]);
+        // Numbers are rounded in bubbles.
+        t.equal(rt.ext_scratch3_looks._getBubbleState(target).type, 'think');
+        t.equal(rt.ext_scratch3_looks._getBubbleState(target).text, '0.33');
+        if (compiled) {
+            t.notMatch(compiledSource(rt, 'setvolume'), /executeInCompatibilityLayer/);
+        }
+
+        // say [1.234]
+        const said = await run(compiled, [
+            block('say', 'looks_say', null, null, input('MESSAGE', 'decimal')),
+            text('decimal', 'say', '1.234')
+        ]);
+        t.equal(said.rt.ext_scratch3_looks._getBubbleState(said.target).text, '1.234');
+    }
+});
+
+test('glide', async t => {
+    // glide 1 secs to x: 100 y: 50
+    // glide 0.5 secs to (mouse-pointer)
+    const blocks = [
+        block('glide', 'motion_glidesecstoxy', 'glideto', null, {
+            ...input('SECS', 'one'),
+            ...input('X', 'hundred'),
+            ...input('Y', 'fifty')
+        }),
+        text('one', 'glide', 1),
+        text('hundred', 'glide', 100),
+        text('fifty', 'glide', 50),
+        block('glideto', 'motion_glideto', null, 'glide', {...input('SECS', 'half'), ...input('TO', 'mouse')}),
+        text('half', 'glideto', 0.5),
+        text('mouse', 'glideto', '_mouse_')
+    ];
+
+    const positions = [[], []];
+    for (const compiled of [false, true]) {
+        const {target, isCompiled} = await run(compiled, blocks, (rt, sprite) => {
+            positions[Number(compiled)].push([sprite.x, sprite.y]);
+        });
+        t.equal(isCompiled, compiled);
+        t.equal(target.x, 0);
+        t.equal(target.y, 0);
+    }
+    t.same(positions[1], positions[0]);
+    t.same(positions[0].slice(0, 5), [[0, 0], [25, 12.5], [50, 25], [75, 37.5], [100, 50]]);
+});
+
+test('ask and wait', async t => {
+    // ask [name?] and wait
+    // set log to (answer)
+    const blocks = [
+        block('ask', 'sensing_askandwait', 'setlog', null, input('QUESTION', 'question')),
+        text('question', 'ask', 'name?'),
+        block('setlog', 'data_setvariableto', null, 'ask', input('VALUE', 'answer'), variable('log')),
+        block('answer', 'sensing_answer', null, 'setlog')
+    ];
+
+    for (const compiled of [false, true]) {
+        const {target, isCompiled} = await run(compiled, blocks, (rt, sprite, frame) => {
+            if (frame === 2) {
+                t.equal(sprite.variables.log.value, '');
+                rt.emit('ANSWER', 'Scratch Cat');
+            }
+        });
+        t.equal(isCompiled, compiled);
+        t.equal(target.variables.log.value, 'Scratch Cat');
+    }
+});
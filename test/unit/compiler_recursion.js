@@ -0,0 +1,287 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const {text, block, input, variable} = require('../fixtures/blocks');
+
+const argument = (id, parent, name) => block(id, 'argument_reporter_string_number', null, parent, {}, {
+    VALUE: {name: 'VALUE', value: name}
+});
+
+/**
+ * @param {string} proccode The procedure's code.
+ * @param {boolean} returns Whether the procedure reports a value.
+ * @returns {object} The mutation of the procedure's blocks. Its arguments are "n" and "acc", if used.
+ */
+const mutation = (proccode, returns = false) => {
+    const names = ['n', 'acc'].slice(0, proccode.split('%s').length - 1);
+    return {
+        tagName: 'mutation',
+        children: [],
+        proccode,
+        argumentids: JSON.stringify(names),
+        argumentnames: JSON.stringify(names),
+        argumentdefaults: JSON.stringify(names.map(() => '')),
+        warp: 'true',
+        returns: String(returns)
+    };
+};
+
+/**
+ * @param {string} proccode The procedure's code.
+ * @param {string} firstBlockId ID of the first block in the procedure.
+ * @param {boolean} returns Whether the procedure reports a value.
+ * @returns {Array.<object>} The definition of the procedure, which runs without screen refresh.
+ */
+const definition = (proccode, firstBlockId, returns = false) => [
+    block('define', returns ? 'procedures_definition_return' : 'procedures_definition', firstBlockId, null,
+        input('custom_block', 'prototype')),
+    Object.assign(block('prototype', 'procedures_prototype', null, 'define', {}, {}, mutation(proccode, returns)), {
+        shadow: true
+    })
+];
+
+/**
+ * @param {string} id ID of the block.
+ * @param {string} name Opcode of the block, without "operator_".
+ * @param {string} parent ID of the block it's in.
+ * @param {number} [value] The right side. The left side is the argument "n".
+ * @returns {Array.<object>} Blocks for the operator.
+ */
+const operator = (id, name, parent, value = 1) => {
+    const names = ['gt', 'lt'].includes(name) ? ['OPERAND1', 'OPERAND2'] : ['NUM1', 'NUM2'];
+    return [
+        block(id, `operator_${name}`, null, parent, {
+            ...input(names[0], `${id}_n`),
+            ...input(names[1], `${id}_value`)
+        }),
+        argument(`${id}_n`, id, 'n'),
+        text(`${id}_value`, id, value)
+    ];
+};
+
+/**
+ * Run a script that starts with a procedure call until it finishes.
+ * @param {boolean} compiled Whether to run the script with the compiler.
+ * @param {Array.<object>} blocks The blocks. The script's top block is "call".
+ * @param {object} [runtimeOptions] Runtime options to use.
+ * @returns {{rt: Runtime, target: RenderedTarget, errors: Array.<object>, isCompiled: boolean}} The runtime and
+ * its sprite, with the runtime errors that happened.
+ */
+const run = (compiled, blocks, runtimeOptions = {}) => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: compiled});
+    rt.setRuntimeOptions(runtimeOptions);
+    const errors = [];
+    rt.on(Runtime.RUNTIME_ERROR, error => errors.push(error));
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    target.variables.v = new Variable('v', 'v', Variable.SCALAR_TYPE, false);
+    target.variables.v.value = 0;
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+
+    const thread = rt._pushThread('call', target);
+    for (let frame = 0; frame < 1000 && rt.threads.includes(thread); frame++) {
+        rt._step();
+    }
+    return {rt, target, errors, isCompiled: thread.isCompiled};
+};
+
+/**
+ * @param {number} n How many times to count.
+ * @returns {Array.<object>} Blocks for:
+ *   count (n)
+ *
+ *   define count (n)
+ *   if <(n) > 0> then
+ *     change v by 1
+ *     count ((n) - 1)
+ */
+const countScript = n => [
+    block('call', 'procedures_call', null, null, input('n', 'total'), {}, mutation('count %s')),
+    text('total', 'call', n),
+    ...definition('count %s', 'if'),
+    block('if', 'control_if', null, 'define', {...input('CONDITION', 'positive'), ...input('SUBSTACK', 'change')}),
+    ...operator('positive', 'gt', 'if', 0),
+    block('change', 'data_changevariableby', 'recurse', 'if', input('VALUE', 'one'), variable('v')),
+    text('one', 'change', 1),
+    block('recurse', 'procedures_call', null, 'change', input('n', 'minus'), {}, mutation('count %s')),
+    ...operator('minus', 'subtract', 'recurse')
+];
+
+/**
+ * @param {number} n The number to add up to.
+ * @returns {Array.<object>} Blocks for:
+ *   sum (n)
+ *
+ *   define sum (n)
+ *   if <(n) > 0> then
+ *     sum ((n) - 1)
+ *     change v by (n)
+ */
+const sumScript = n => [
+    block('call', 'procedures_call', null, null, input('n', 'total'), {}, mutation('sum %s')),
+    text('total', 'call', n),
+    ...definition('sum %s', 'if'),
+    block('if', 'control_if', null, 'define', {...input('CONDITION', 'positive'), ...input('SUBSTACK', 'recurse')}),
+    ...operator('positive', 'gt', 'if', 0),
+    block('recurse', 'procedures_call', 'change', 'if', input('n', 'minus'), {}, mutation('sum %s')),
+    ...operator('minus', 'subtract', 'recurse'),
+    block('change', 'data_changevariableby', null, 'recurse', input('VALUE', 'n'), variable('v')),
+    argument('n', 'change', 'n')
+];
+
+/**
+ * @param {Runtime} rt The runtime.
+ * @param {string} proccode Code of a procedure the script "call" uses.
+ * @returns {{entry: string, procedure: string}} JS generated for the script and for the procedure.
+ */
+const compiledSources = (rt, proccode) => {
+    const compiled = rt.getCompiledScript(rt.targets[0], 'call');
+    return {
+        entry: compiled.entry.source,
+        procedure: compiled.procedures[`W${proccode}`].source
+    };
+};
+
+test('tail calls', t => {
+    for (const compiled of [false, true]) {
+        const {target, errors, isCompiled} = run(compiled, countScript(20000));
+        t.equal(isCompiled, compiled);
+        t.same(errors, []);
+        t.equal(target.variables.v.value, 20000);
+    }
+
+    const {rt} = run(true, countScript(1));
+    const {entry, procedure} = compiledSources(rt, 'count %s');
+    t.match(procedure, /tailCall: while \(true\)/);
+    t.match(procedure, /continue tailCall;/);
+    t.notMatch(procedure, /thread\.procedures/);
+    t.notMatch(entry, /runOnHeapStack/);
+    t.end();
+});
+
+test('a procedure that calls itself forever in tail position does not freeze', t => {
+    // define loop
+    // loop
+    const blocks = [
+        block('call', 'procedures_call', null, null, {}, {}, mutation('loop')),
+        ...definition('loop', 'recurse'),
+        block('recurse', 'procedures_call', null, 'define', {}, {}, mutation('loop'))
+    ];
+    for (const compiled of [false, true]) {
+        const rt = new Runtime();
+        rt.setCompilerOptions({enabled: compiled});
+        const errors = [];
+        rt.on(Runtime.RUNTIME_ERROR, error => errors.push(error));
+        const target = new Sprite(null, rt).createClone();
+        rt.addTarget(target);
+        for (const b of blocks) {
+            target.blocks.createBlock(b);
+        }
+
+        const thread = rt._pushThread('call', target);
+        rt._step();
+        t.equal(thread.isCompiled, compiled);
+        if (compiled) {
+            // Like a forever loop that runs without screen refresh, it yields when it is stuck.
+            t.ok(rt.threads.includes(thread));
+            t.match(compiledSources(rt, 'loop').procedure, /if \(isStuck\(\)\) yield;\ncontinue tailCall;/);
+        } else {
+            t.notOk(rt.threads.includes(thread));
+            t.equal(errors[0].error.message, 'Maximum recursion depth exceeded');
+        }
+    }
+    t.end();
+});
+
+test('recursion that is not a tail call uses a heap stack', t => {
+    for (const compiled of [false, true]) {
+        const {target, errors, isCompiled} = run(compiled, sumScript(20000));
+        t.equal(isCompiled, compiled);
+        t.same(errors, []);
+        t.equal(target.variables.v.value, 20000 * 20001 / 2);
+    }
+
+    const {rt} = run(true, sumScript(1));
+    const {entry, procedure} = compiledSources(rt, 'sum %s');
+    t.match(entry, /yield\* runOnHeapStack\(thread\.procedures\["Wsum %s"\]/);
+    t.match(procedure, /yield thread\.procedures\["Wsum %s"\]/);
+    t.end();
+});
+
+test('reporters', t => {
+    // set v to (add (20000) to (0))
+    //
+    // define add (n) to (acc)
+    // if <(n) < 1> then
+    //   return (acc)
+    // return (add ((n) - 1) to ((acc) + (n)))
+    const tail = [
+        block('call', 'data_setvariableto', null, null, input('VALUE', 'add'), variable('v')),
+        block('add', 'procedures_call', null, 'call', {...input('n', 'total'), ...input('acc', 'zero')}, {},
+            mutation('add %s to %s', true)),
+        text('total', 'add', 20000),
+        text('zero', 'add', 0),
+        ...definition('add %s to %s', 'if', true),
+        block('if', 'control_if', 'recurse', 'define', {...input('CONDITION', 'less'), ...input('SUBSTACK', 'done')}),
+        ...operator('less', 'lt', 'if', 1),
+        block('done', 'procedures_return', null, 'if', input('return', 'acc')),
+        argument('acc', 'done', 'acc'),
+        block('recurse', 'procedures_return', null, 'if', input('return', 'call2')),
+        block('call2', 'procedures_call', null, 'recurse', {...input('n', 'minus'), ...input('acc', 'sum')}, {},
+            mutation('add %s to %s', true)),
+        ...operator('minus', 'subtract', 'call2'),
+        block('sum', 'operator_add', null, 'call2', {...input('NUM1', 'sum_acc'), ...input('NUM2', 'sum_n')}),
+        argument('sum_acc', 'sum', 'acc'),
+        argument('sum_n', 'sum', 'n')
+    ];
+    const tailResult = run(true, tail);
+    t.same(tailResult.errors, []);
+    t.equal(Number(tailResult.target.variables.v.value), 20000 * 20001 / 2);
+    t.match(compiledSources(tailResult.rt, 'add %s to %s').procedure, /continue tailCall;/);
+
+    // set v to (total (20000))
+    //
+    // define total (n)
+    // if <(n) < 1> then
+    //   return (0)
+    // return ((n) + (total ((n) - 1)))
+    const notTail = [
+        block('call', 'data_setvariableto', null, null, input('VALUE', 'total'), variable('v')),
+        block('total', 'procedures_call', null, 'call', input('n', 'count'), {}, mutation('total %s', true)),
+        text('count', 'total', 20000),
+        ...definition('total %s', 'if', true),
+        block('if', 'control_if', 'recurse', 'define', {...input('CONDITION', 'less'), ...input('SUBSTACK', 'done')}),
+        ...operator('less', 'lt', 'if', 1),
+        block('done', 'procedures_return', null, 'if', input('return', 'zero')),
+        text('zero', 'done', 0),
+        block('recurse', 'procedures_return', null, 'if', input('return', 'sum')),
+        block('sum', 'operator_add', null, 'recurse', {...input('NUM1', 'sum_n'), ...input('NUM2', 'call2')}),
+        argument('sum_n', 'sum', 'n'),
+        block('call2', 'procedures_call', null, 'sum', input('n', 'minus'), {}, mutation('total %s', true)),
+        ...operator('minus', 'subtract', 'call2')
+    ];
+    const notTailResult = run(true, notTail);
+    t.same(notTailResult.errors, []);
+    t.equal(Number(notTailResult.target.variables.v.value), 20000 * 20001 / 2);
+    t.match(compiledSources(notTailResult.rt, 'total %s').procedure, /\(yield thread\.procedures/);
+    t.end();
+});
+
+test('maxRecursionDepth runtime option', t => {
+    t.equal(new Runtime().runtimeOptions.maxRecursionDepth, Runtime.MAX_RECURSION_DEPTH);
+    for (const compiled of [false, true]) {
+        const {target, errors} = run(compiled, sumScript(200), {maxRecursionDepth: 100});
+        t.equal(errors.length, 1);
+        t.equal(errors[0].error.message, 'Maximum recursion depth exceeded');
+        t.equal(target.variables.v.value, 0);
+
+        const {target: fine, errors: none} = run(compiled, sumScript(99), {maxRecursionDepth: 100});
+        t.same(none, []);
+        t.equal(fine.variables.v.value, 99 * 100 / 2);
+    }
+    t.end();
+});
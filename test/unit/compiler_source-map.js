@@ -0,0 +1,129 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const {SourceMap, findLineInStack, getBlockIdForError} = require('../../src/compiler/source-map');
+const {block, repeatScript} = require('../fixtures/blocks');
+
+/**
+ * Create a runtime with one sprite that has the script:
+ *   change x by 1          (a)
+ *   repeat 2               (repeat)
+ *     change y by 1        (inner)
+ *   throw                  (throw)
+ * @returns {{rt: Runtime, target: RenderedTarget}} The runtime and sprite.
+ */
+const createRuntime = () => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: true});
+    // This opcode is run through the compatibility layer
+    rt._primitives.looks_hideallsprites = () => {
+        throw new Error('test error');
+    };
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    const blocks = repeatScript([
+        block('throw', 'looks_hideallsprites', null, 'repeat')
+    ]);
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    return {rt, target};
+};
+
+test('getCompiledScript', t => {
+    const {rt, target} = createRuntime();
+    const compiled = rt.getCompiledScript(target, 'a');
+    t.same(compiled.ir.entry.stack.map(node => node.blockId), ['a', 'repeat', 'throw']);
+    t.same(compiled.procedures, {});
+    t.type(compiled.entry.source, 'string');
+    t.match(compiled.entry.sourceURL, /^compiled\/factory\d+\.js$/);
+
+    const sourceMap = compiled.entry.sourceMap;
+    t.same(sourceMap.map(mapping => mapping.blockId), ['a', 'repeat', 'inner', 'repeat', 'throw', null]);
+    const lines = compiled.entry.source.split('\n');
+    const linesOf = blockId => {
+        const index = sourceMap.findIndex(mapping => mapping.blockId === blockId);
+        return lines.slice(sourceMap[index].line - 1, sourceMap[index + 1].line - 1).join('\n');
+    };
+    t.match(linesOf('a'), 'target.setXY(');
+    t.match(linesOf('inner'), 'target.setXY(');
+    t.match(linesOf('throw'), 'executeInCompatibilityLayer');
+
+    // The result is cached, and is used when the script runs
+    t.equal(rt.getCompiledScript(target, 'a').ir, compiled.ir);
+    const thread = rt._pushThread('a', target);
+    t.same(thread.sourceMaps.map(map => map.sourceURL), [compiled.entry.sourceURL]);
+    t.end();
+});
+
+test('getCompiledScript throws compile errors', t => {
+    const {rt, target} = createRuntime();
+    t.throws(() => rt.getCompiledScript(target, 'does not exist'));
+    t.end();
+});
+
+test('errors in compiled scripts are reported against the block', t => {
+    const {rt, target} = createRuntime();
+    const compileErrors = [];
+    const runtimeErrors = [];
+    rt.on(Runtime.COMPILE_ERROR, (errorTarget, error, blockId) => {
+        compileErrors.push({errorTarget, error, blockId});
+    });
+    rt.on(Runtime.RUNTIME_ERROR, data => runtimeErrors.push(data));
+
+    const thread = rt._pushThread('a', target);
+    t.equal(thread.isCompiled, true);
+    for (let i = 0; i < 3; i++) {
+        rt._step();
+    }
+    t.equal(target.x, 1);
+    t.equal(target.y, 2);
+    t.equal(rt.threads.length, 0);
+
+    t.equal(compileErrors.length, 1);
+    t.equal(compileErrors[0].errorTarget, target);
+    t.equal(compileErrors[0].error.message, 'test error');
+    t.equal(compileErrors[0].blockId, 'throw');
+    t.same(runtimeErrors, [{
+        error: compileErrors[0].error,
+        targetId: target.id,
+        topBlockId: 'a',
+        blockId: 'throw',
+        opcode: 'looks_hideallsprites',
+        isCompiled: true
+    }]);
+    t.end();
+});
+
+test('SourceMap', t => {
+    const map = new SourceMap('compiled/test.js');
+    map.addMapping(1, null);
+    map.addMapping(3, 'a');
+    // Replaces the previous mapping on the same line
+    map.addMapping(3, 'b');
+    map.addMapping(5, 'b');
+    map.addMapping(6, null);
+    t.same(map.toJSON(), [{line: 1, blockId: null}, {line: 3, blockId: 'b'}, {line: 6, blockId: null}]);
+    t.equal(map.getBlockId(2), null);
+    t.equal(map.getBlockId(5), 'b');
+    t.equal(map.getBlockId(100), null);
+
+    map.lineOffset = 10;
+    const stack = [
+        'Error: test',
+        '    at inner (compiled/test.js:4:5)',
+        '    at outer (compiled/test.js:14:5)',
+        '    at other (compiled/other.js:4:1)'
+    ].join('\n');
+    t.equal(findLineInStack(stack, 'compiled/test.js'), 4);
+    t.equal(findLineInStack(stack, 'compiled/missing.js'), null);
+    // Line 4 is before the factory, so it is skipped
+    t.equal(map.getBlockIdForError({stack}), 'b');
+    t.equal(map.getBlockIdForError(new Error('no stack frames in the script')), null);
+
+    const other = new SourceMap('compiled/other.js');
+    other.addMapping(1, 'c');
+    t.equal(getBlockIdForError({stack}, [other, map]), 'b');
+    t.equal(getBlockIdForError({}, [other, map]), null);
+    t.end();
+});
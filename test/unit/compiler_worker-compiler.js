@@ -0,0 +1,157 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Thread = require('../../src/engine/thread');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const {createCompileJob, compileJob} = require('../../src/compiler/compile-job');
+const {text, block, input, variable} = require('../fixtures/blocks');
+
+/**
+ * Compiles jobs asynchronously, with the job and the result copied like messages to a worker.
+ */
+class FakeWorker {
+    constructor () {
+        this.jobs = 0;
+        this.fail = false;
+    }
+
+    compile (job) {
+        this.jobs++;
+        const copy = JSON.parse(JSON.stringify(job));
+        return new Promise(resolve => setTimeout(resolve)).then(() => {
+            if (this.fail) {
+                throw new Error('worker crashed');
+            }
+            return JSON.parse(JSON.stringify(compileJob(copy)));
+        });
+    }
+}
+
+/**
+ * Create a project with the script:
+ *   when flag clicked
+ *   set a to 3
+ *   change x by (a)
+ * @returns {{rt: Runtime, target: RenderedTarget}} A runtime with the project, and its sprite.
+ */
+const createProject = () => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: true});
+    rt._hats.event_whenflagclicked = {};
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    target.variables.a = new Variable('a', 'a', Variable.SCALAR_TYPE, false);
+    const blocks = [
+        block('flag', 'event_whenflagclicked', 'seta', null),
+        block('seta', 'data_setvariableto', 'changex', 'flag', input('VALUE', 'three'), variable('a')),
+        text('three', 'seta', 3),
+        block('changex', 'motion_changexby', null, 'seta', input('DX', 'geta')),
+        block('geta', 'data_variable', null, 'changex', {}, variable('a'))
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    return {rt, target};
+};
+
+/**
+ * @param {string} source JS generated by the compiler.
+ * @returns {string} The source without the names of generated functions, which differ between compilers.
+ */
+const withoutNames = source => source.replace(/\b(factory|gen|fun)\d+\b/g, '$1');
+
+test('jobs compile to the same JS as the main thread', t => {
+    const {rt, target} = createProject();
+    // This variable is missing, so the compiler creates it.
+    target.blocks.getBlock('geta').fields.VARIABLE = {name: 'VARIABLE', id: 'missing', value: 'b'};
+
+    const thread = new Thread('flag');
+    thread.target = target;
+    thread.blockContainer = target.blocks;
+    const job = JSON.parse(JSON.stringify(createCompileJob(thread)));
+    t.equal(job.blocks.length, 5);
+    t.same(job.hats, {event_whenflagclicked: false});
+
+    const result = compileJob(job);
+    t.same(result.createdVariables, [['missing', 'b', '']]);
+    t.equal(withoutNames(result.entry.source), withoutNames(rt.getCompiledScript(target, 'flag').entry.source));
+    t.end();
+});
+
+test('threads use the interpreter until the worker has compiled their script', t => {
+    const {rt, target} = createProject();
+    const worker = new FakeWorker();
+    rt.enableCompilerWorker(worker);
+    const progress = [];
+    rt.on(Runtime.COMPILATION_PROGRESS, event => progress.push(event));
+
+    const precompiled = rt.precompile();
+    t.equal(worker.jobs, 1);
+    const interpreted = rt._pushThread('flag', target);
+    t.equal(interpreted.isCompiled, false);
+    // Starting the script again doesn't compile it again.
+    t.equal(worker.jobs, 1);
+    rt._step();
+    t.equal(target.x, 3);
+    t.same(progress, []);
+
+    return precompiled.then(() => {
+        t.same(progress, [{compiled: 1, total: 1}]);
+        const compiled = rt._pushThread('flag', target);
+        t.equal(compiled.isCompiled, true);
+        t.match(compiled.sourceMaps[0].sourceURL, /^compiled\/worker\//);
+        rt._step();
+        t.equal(target.x, 6);
+        t.equal(worker.jobs, 1);
+    });
+});
+
+test('results for blocks that changed while compiling are ignored', t => {
+    const {rt, target} = createProject();
+    const worker = new FakeWorker();
+    rt.enableCompilerWorker(worker);
+
+    const precompiled = rt.precompile();
+    target.blocks.resetCache();
+    return precompiled.then(() => {
+        t.equal(target.blocks.getCachedCompileResult('flag'), null);
+        t.equal(rt._pushThread('flag', target).isCompiled, false);
+        t.equal(worker.jobs, 2);
+    });
+});
+
+test('scripts are compiled on the main thread if the worker fails', t => {
+    const {rt, target} = createProject();
+    const worker = new FakeWorker();
+    worker.fail = true;
+    rt.enableCompilerWorker(worker);
+
+    return rt.precompile().then(() => {
+        t.equal(target.blocks.getCachedCompileResult('flag').success, true);
+        t.equal(rt._pushThread('flag', target).isCompiled, true);
+    });
+});
+
+test('scripts that use compile hooks are compiled on the main thread', t => {
+    const {rt, target} = createProject();
+    const worker = new FakeWorker();
+    rt.enableCompilerWorker(worker);
+    rt.registerCompileHook('test_moveRight', {
+        js: () => 'target.setXY(target.x + 10, target.y);\n'
+    });
+    target.blocks.createBlock(block('flag2', 'event_whenflagclicked', 'right', null));
+    target.blocks.createBlock(block('right', 'test_moveRight', null, 'flag2'));
+
+    const progress = [];
+    rt.on(Runtime.COMPILATION_PROGRESS, event => progress.push(event));
+    const precompiled = rt.precompile();
+    t.equal(worker.jobs, 1);
+    t.same(progress, [{compiled: 1, total: 2}]);
+    const thread = rt._pushThread('flag2', target);
+    t.equal(thread.isCompiled, true);
+    rt._step();
+    t.equal(target.x, 10);
+    return precompiled.then(() => {
+        t.same(progress, [{compiled: 1, total: 2}, {compiled: 2, total: 2}]);
+    });
+});
@@ -0,0 +1,346 @@
+const {test} = require('tap');
+const JSZip = require('jszip');
+const ScratchStorage = require('scratch-storage');
+const VirtualMachine = require('../../src/virtual-machine');
+const Runtime = require('../../src/engine/runtime');
+const FakeRenderer = require('../fixtures/fake-renderer');
+
+const deferred = () => {
+    const result = {};
+    result.promise = new Promise((resolve, reject) => {
+        result.resolve = resolve;
+        result.reject = reject;
+    });
+    return result;
+};
+
+const block = (opcode, properties) => Object.assign({
+    opcode,
+    next: null,
+    parent: null,
+    inputs: {},
+    fields: {},
+    shadow: false,
+    topLevel: false
+}, properties);
+
+const costume = assetId => ({
+    name: assetId,
+    assetId,
+    md5ext: `${assetId}.svg`,
+    dataFormat: 'svg',
+    rotationCenterX: 0,
+    rotationCenterY: 0
+});
+
+const createProject = () => ({
+    projectVersion: 3,
+    targets: [
+        {
+            isStage: true,
+            name: 'Stage',
+            variables: {},
+            lists: {},
+            broadcasts: {},
+            blocks: {},
+            comments: {},
+            currentCostume: 0,
+            costumes: [costume('backdrop')],
+            sounds: [],
+            volume: 100
+        },
+        {
+            isStage: false,
+            name: 'Sprite1',
+            variables: {},
+            lists: {},
+            broadcasts: {},
+            blocks: {
+                flag: block('event_whenflagclicked', {
+                    next: 'switch',
+                    topLevel: true,
+                    x: 0,
+                    y: 0
+                }),
+                switch: block('looks_switchcostumeto', {
+                    parent: 'flag',
+                    inputs: {COSTUME: [1, 'menu']}
+                }),
+                menu: block('looks_costume', {
+                    parent: 'switch',
+                    shadow: true,
+                    fields: {COSTUME: ['startup', null]}
+                })
+            },
+            comments: {},
+            currentCostume: 0,
+            costumes: [costume('current'), costume('startup'), costume('unused')],
+            sounds: [{
+                name: 'pop',
+                assetId: 'pop',
+                md5ext: 'pop.wav',
+                dataFormat: 'wav',
+                rate: 48000,
+                sampleCount: 1
+            }],
+            volume: 100,
+            visible: true,
+            x: 0,
+            y: 0,
+            size: 100,
+            direction: 90,
+            draggable: false,
+            rotationStyle: 'all around'
+        }
+    ],
+    monitors: [],
+    extensions: [],
+    meta: {semver: '3.0.0'}
+});
+
+test('tracks progress', t => {
+    const runtime = new Runtime();
+    const tracker = runtime.assetLoadTracker;
+    const events = [];
+    runtime.on(Runtime.ASSET_LOAD_PROGRESS, progress => events.push(progress));
+    runtime.on(Runtime.ASSETS_LOADED, () => events.push('loaded'));
+
+    const first = {name: 'first'};
+    const second = {name: 'second'};
+    const loadFirst = deferred();
+    const loadSecond = deferred();
+    tracker.track(first, loadFirst.promise, {size: 10, critical: true});
+    tracker.track(second, loadSecond.promise);
+    t.ok(tracker.isLoading(first));
+    t.ok(tracker.isLoadingCritical());
+    t.same(tracker.getProgress(), {loadedAssets: 0, totalAssets: 2, loadedBytes: 0, totalBytes: 10});
+
+    loadFirst.resolve();
+    return tracker.whenCriticalLoaded()
+        .then(() => {
+            t.notOk(tracker.isLoading(first));
+            t.notOk(tracker.isLoadingCritical());
+            t.ok(tracker.isLoading(second));
+
+            // The size of assets that weren't known before is counted once they've loaded
+            second.asset = {data: new Uint8Array(5)};
+            loadSecond.resolve();
+            return tracker.whenLoaded();
+        })
+        .then(() => {
+            t.same(events, [
+                {loadedAssets: 1, totalAssets: 2, loadedBytes: 10, totalBytes: 10},
+                {loadedAssets: 2, totalAssets: 2, loadedBytes: 15, totalBytes: 15},
+                'loaded'
+            ]);
+        });
+});
+
+test('failed assets count as loaded, and reset forgets old assets', t => {
+    const runtime = new Runtime();
+    const tracker = runtime.assetLoadTracker;
+    const item = {};
+    const failed = tracker.track(item, Promise.reject(new Error('failed')), {size: 3});
+    t.rejects(failed);
+    return tracker.whenLoaded()
+        .then(() => {
+            t.same(tracker.getProgress(), {loadedAssets: 1, totalAssets: 1, loadedBytes: 3, totalBytes: 3});
+
+            const old = deferred();
+            tracker.track({}, old.promise, {size: 5});
+            runtime.dispose();
+            old.resolve();
+            return old.promise;
+        })
+        .then(() => {
+            t.same(tracker.getProgress(), {loadedAssets: 0, totalAssets: 0, loadedBytes: 0, totalBytes: 0});
+        });
+});
+
+test('progress of assets from a zip', t => {
+    const storage = new ScratchStorage();
+    const data = storage.get(storage.defaultAssetId.ImageVector).data;
+    const project = createProject();
+    project.targets = [project.targets[0]];
+    const zip = new JSZip();
+    zip.file('backdrop.svg', data);
+
+    const vm = new VirtualMachine();
+    vm.attachStorage(storage);
+    const events = [];
+    vm.on(Runtime.ASSET_LOAD_PROGRESS, progress => events.push(progress));
+    // The sizes are known before the assets are read from a saved zip
+    return zip.generateAsync({type: 'uint8array'})
+        .then(JSZip.loadAsync)
+        .then(savedZip => vm.deserializeProject(project, savedZip))
+        .then(() => {
+            t.same(events, [
+                {loadedAssets: 0, totalAssets: 1, loadedBytes: 0, totalBytes: data.byteLength},
+                {loadedAssets: 1, totalAssets: 1, loadedBytes: data.byteLength, totalBytes: data.byteLength}
+            ]);
+        });
+});
+
+/**
+ * Load the project progressively, with a storage whose loads finish when the test says so.
+ * @param {object} [renderer] A renderer to attach to the VM.
+ * @returns {Promise.<{vm: VirtualMachine, finishLoading: function(Array.<string>): Promise}>} The VM, once
+ * the project has loaded, and a function to finish loading assets by ID.
+ */
+const loadProgressively = renderer => {
+    const storage = new ScratchStorage();
+    const loads = {};
+    storage.load = (assetType, assetId) => {
+        loads[assetId] = deferred();
+        return loads[assetId].promise;
+    };
+    const finishLoading = assetIds => Promise.all(assetIds.map(assetId => {
+        const defaultAssetId = assetId === 'pop' ? storage.defaultAssetId.Sound : storage.defaultAssetId.ImageVector;
+        loads[assetId].resolve(storage.get(defaultAssetId));
+        return loads[assetId].promise;
+    }));
+
+    const vm = new VirtualMachine();
+    vm.attachStorage(storage);
+    if (renderer) vm.attachRenderer(renderer);
+    return vm.deserializeProject(createProject(), null, {progressive: true})
+        .then(() => {
+            vm.loads = loads;
+            return {vm, finishLoading};
+        });
+};
+
+const CRITICAL_ASSETS = ['backdrop', 'current', 'startup'];
+const OTHER_ASSETS = ['unused', 'pop'];
+
+test('progressive loading', t => {
+    let vm;
+    let finishLoading;
+    let assetsLoaded = false;
+    return loadProgressively()
+        .then(loaded => {
+            ({vm, finishLoading} = loaded);
+            vm.on(Runtime.ASSETS_LOADED, () => {
+                assetsLoaded = true;
+            });
+            const sprite = vm.runtime.getSpriteTargetByName('Sprite1');
+            t.same(sprite.getCostumes().map(item => item.name), ['current', 'startup', 'unused']);
+            t.equal(sprite.sprite.sounds.length, 1);
+            t.same(Object.keys(vm.loads).sort(), ['backdrop', 'current', 'pop', 'startup', 'unused']);
+            t.ok(vm.runtime.assetLoadTracker.isLoadingCritical());
+
+            // The green flag waits for the current costumes and those used by green flag scripts
+            vm.greenFlag();
+            t.equal(vm.runtime.threads.length, 0);
+            return finishLoading(CRITICAL_ASSETS);
+        })
+        .then(() => vm.runtime.assetLoadTracker.whenCriticalLoaded())
+        .then(() => {
+            t.equal(vm.runtime.threads.length, 1);
+            t.notOk(assetsLoaded);
+            return finishLoading(OTHER_ASSETS);
+        })
+        .then(() => vm.whenAssetsLoaded())
+        .then(() => {
+            t.ok(assetsLoaded);
+            const progress = vm.runtime.assetLoadTracker.getProgress();
+            t.equal(progress.loadedAssets, 5);
+            t.equal(progress.totalAssets, 5);
+        });
+});
+
+test('green flag pressed twice while loading starts the scripts once', t => {
+    let vm;
+    let starts = 0;
+    return loadProgressively()
+        .then(({vm: loadedVM, finishLoading}) => {
+            vm = loadedVM;
+            vm.runtime.on(Runtime.PROJECT_START, () => starts++);
+            vm.greenFlag();
+            vm.greenFlag();
+            return finishLoading(CRITICAL_ASSETS);
+        })
+        .then(() => vm.runtime.assetLoadTracker.whenCriticalLoaded())
+        .then(() => {
+            t.equal(starts, 1);
+            t.equal(vm.runtime.threads.length, 1);
+        });
+});
+
+test('stopping or replacing the project before its assets load cancels the green flag', t => {
+    let vm;
+    let finishLoading;
+    return loadProgressively()
+        .then(loaded => {
+            ({vm, finishLoading} = loaded);
+            vm.greenFlag();
+            vm.stopAll();
+            return finishLoading(CRITICAL_ASSETS);
+        })
+        .then(() => vm.runtime.assetLoadTracker.whenCriticalLoaded())
+        .then(() => {
+            t.equal(vm.runtime.threads.length, 0);
+            return loadProgressively();
+        })
+        .then(loaded => {
+            ({vm, finishLoading} = loaded);
+            let starts = 0;
+            vm.runtime.on(Runtime.PROJECT_START, () => starts++);
+            vm.greenFlag();
+            vm.clear();
+            return finishLoading(CRITICAL_ASSETS).then(() => {
+                t.equal(starts, 0);
+            });
+        });
+});
+
+test('saving while assets load', t => {
+    let vm;
+    let finishLoading;
+    return loadProgressively()
+        .then(loaded => {
+            ({vm, finishLoading} = loaded);
+            // Saving without zipping is synchronous, so it can't wait
+            t.ok(vm.runtime.assetLoadTracker.isLoadingAny());
+            t.throws(() => vm.saveProjectSb3DontZip(), /Cannot save pop before it has loaded/);
+            t.throws(() => vm.saveProjectText(), /whenAssetsLoaded/);
+
+            // Zipped projects and sprites are saved once the assets have loaded
+            const sprite = vm.runtime.getSpriteTargetByName('Sprite1');
+            const exported = vm.exportSprite(sprite.id, 'uint8array');
+            return finishLoading(CRITICAL_ASSETS.concat(OTHER_ASSETS)).then(() => exported);
+        })
+        .then(JSZip.loadAsync)
+        .then(zip => {
+            const storage = vm.runtime.storage;
+            t.same(Object.keys(zip.files).sort(), [
+                `${storage.defaultAssetId.ImageVector}.svg`,
+                `${storage.defaultAssetId.Sound}.wav`,
+                'sprite.json'
+            ].sort());
+            t.ok(vm.saveProjectSb3DontZip()['project.json']);
+        });
+});
+
+test('costumes that fail to load while they are shown as empty', t => {
+    const renderer = new FakeRenderer();
+    let vm;
+    let finishLoading;
+    return loadProgressively(renderer)
+        .then(loaded => {
+            ({vm, finishLoading} = loaded);
+            // Even the default costume that replaces a missing one fails to load
+            renderer.createSVGSkin = () => {
+                throw new Error('Could not create skin');
+            };
+            vm.loads.current.reject(new Error('Could not load current'));
+            return finishLoading(['backdrop', 'startup', 'unused', 'pop']);
+        })
+        .then(() => vm.whenAssetsLoaded())
+        // Give rejections a chance to be reported as unhandled
+        .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+        .then(() => {
+            const sprite = vm.runtime.getSpriteTargetByName('Sprite1');
+            t.equal(sprite.getCostumes()[0].name, 'current');
+        });
+});
@@ -0,0 +1,281 @@
+const {test} = require('tap');
+const BlockProfiler = require('../../src/engine/block-profiler');
+const Runtime = require('../../src/engine/runtime');
+const Sequencer = require('../../src/engine/sequencer');
+const Sprite = require('../../src/sprites/sprite');
+
+const createThread = () => ({
+    target: {getName: () => 'Sprite1'},
+    topBlock: 'top',
+    stack: ['a'],
+    status: 0,
+    isKilled: false
+});
+
+test('self and total time', t => {
+    let time = 0;
+    const profiler = new BlockProfiler({now: () => time});
+    const thread = createThread();
+
+    profiler.startStep(thread);
+    profiler.enterBlock(thread, 'procedures_call', 'foo');
+    time = 2;
+    profiler.enterBlock(thread, 'motion_movesteps', null);
+    time = 5;
+    profiler.exitBlock(thread);
+    time = 6;
+    profiler.endStep(thread);
+
+    // Time while the thread is yielded doesn't count
+    time = 100;
+    profiler.startStep(thread);
+    time = 101;
+    // Recursive call
+    profiler.enterBlock(thread, 'procedures_call', 'foo');
+    time = 103;
+    profiler.exitBlock(thread);
+    time = 104;
+    profiler.exitBlock(thread);
+    time = 105;
+    thread.stack = [];
+    profiler.endStep(thread);
+
+    const report = profiler.getReport();
+    t.equal(report.duration, 105);
+    t.same(report.opcodes, [
+        {name: 'procedures_call', count: 2, selfTime: 7, totalTime: 10},
+        {name: 'motion_movesteps', count: 1, selfTime: 3, totalTime: 3}
+    ]);
+    t.same(report.customBlocks, [
+        {name: 'foo', target: 'Sprite1', count: 2, selfTime: 10, totalTime: 10}
+    ]);
+    t.same(report.scripts, [
+        {name: 'top', target: 'Sprite1', count: 2, selfTime: 11, totalTime: 11}
+    ]);
+    t.same(report.targets, [
+        {name: 'Sprite1', count: 2, selfTime: 11, totalTime: 11}
+    ]);
+    t.same(profiler.toJSON(), report);
+    t.end();
+});
+
+test('frames are closed when the thread finishes', t => {
+    let time = 0;
+    const profiler = new BlockProfiler({now: () => time});
+    const thread = createThread();
+    profiler.startStep(thread);
+    profiler.enterBlock(thread, 'control_stop', null);
+    time = 1;
+    // Stopping the script skips exitBlock
+    thread.isKilled = true;
+    profiler.endStep(thread);
+    t.same(profiler.getReport().opcodes, [{name: 'control_stop', count: 1, selfTime: 1, totalTime: 1}]);
+    // Extra calls to exitBlock are ignored
+    profiler.exitBlock(thread);
+    t.end();
+});
+
+test('frames are closed when a yielded thread is retired', t => {
+    let time = 0;
+    const profiler = new BlockProfiler({now: () => time});
+    const thread = createThread();
+    profiler.startStep(thread);
+    profiler.enterBlock(thread, 'control_wait', null);
+    time = 1;
+    profiler.endStep(thread);
+    time = 10;
+    // The thread is stopped before it resumes, so it never exits the block
+    profiler.retireThread(thread);
+    t.same(profiler.getReport().opcodes, [{name: 'control_wait', count: 1, selfTime: 1, totalTime: 1}]);
+    t.same(profiler.toChromeTrace().traceEvents.map(event => event.ph), ['M', 'B', 'E', 'X']);
+    // Threads that were never profiled are ignored
+    profiler.retireThread(createThread());
+    t.end();
+});
+
+test('chrome trace', t => {
+    let time = 0;
+    const profiler = new BlockProfiler({now: () => time});
+    const thread = createThread();
+    profiler.startStep(thread);
+    profiler.enterBlock(thread, 'control_wait', null);
+    time = 1;
+    profiler.endStep(thread);
+    time = 10;
+    profiler.startStep(thread);
+    time = 11;
+    profiler.exitBlock(thread);
+    profiler.endStep(thread);
+
+    const trace = JSON.parse(JSON.stringify(profiler.toChromeTrace()));
+    t.equal(trace.displayTimeUnit, 'ms');
+    t.equal(trace.otherData.truncated, false);
+    t.same(trace.traceEvents.map(event => [event.ph, event.name, event.ts]), [
+        ['M', 'thread_name', undefined],
+        ['B', 'control_wait', 0],
+        ['E', 'control_wait', 1000],
+        ['X', 'top', 0],
+        ['B', 'control_wait', 10000],
+        ['E', 'control_wait', 11000],
+        ['X', 'top', 10000]
+    ]);
+    t.equal(trace.traceEvents[3].dur, 1000);
+    t.end();
+});
+
+test('trace is limited', t => {
+    const profiler = new BlockProfiler({maxTraceEvents: 2});
+    const thread = createThread();
+    for (let i = 0; i < 5; i++) {
+        profiler.startStep(thread);
+        profiler.endStep(thread);
+    }
+    t.equal(profiler.toChromeTrace().traceEvents.length, 2);
+    t.equal(profiler.toChromeTrace().otherData.truncated, true);
+    t.equal(profiler.getReport().scripts[0].count, 5);
+    t.end();
+});
+
+for (const compiler of [false, true]) {
+    test(`profiles ${compiler ? 'compiled' : 'interpreted'} scripts`, t => {
+        const rt = new Runtime();
+        rt.setCompilerOptions({enabled: compiler});
+        rt.setRuntimeOptions({seed: 1});
+        const sprite = new Sprite(null, rt);
+        sprite.name = 'Sprite1';
+        const target = sprite.createClone();
+        rt.addTarget(target);
+        target.blocks.createBlock({
+            id: 'forever',
+            opcode: 'control_forever',
+            inputs: {SUBSTACK: {name: 'SUBSTACK', block: 'show', shadow: null}},
+            fields: {},
+            next: null,
+            parent: null,
+            topLevel: true,
+            shadow: false
+        });
+        target.blocks.createBlock({
+            id: 'show',
+            opcode: 'looks_show',
+            inputs: {},
+            fields: {},
+            next: null,
+            parent: 'forever',
+            topLevel: false,
+            shadow: false
+        });
+
+        rt.enableBlockProfiling();
+        const thread = rt._pushThread('forever', target);
+        t.equal(thread.isCompiled, compiler);
+        rt._step();
+        rt._step();
+
+        const report = rt.disableBlockProfiling();
+        t.equal(rt.blockProfiler, null);
+        t.equal(rt.disableBlockProfiling(), null);
+        const opcodes = report.opcodes.map(entry => entry.name).sort();
+        t.same(opcodes, ['control_forever', 'looks_show']);
+        const show = report.opcodes.find(entry => entry.name === 'looks_show');
+        t.ok(show.count >= 2);
+        t.ok(show.selfTime <= show.totalTime);
+        t.equal(report.scripts.length, 1);
+        t.equal(report.scripts[0].name, 'forever');
+        t.equal(report.scripts[0].count, 2 * Sequencer.DETERMINISTIC_TICKS);
+        t.equal(report.targets[0].name, 'Sprite1');
+
+        // Compiled scripts keep running after profiling is disabled
+        rt._step();
+        t.end();
+    });
+}
+
+for (const compiler of [false, true]) {
+    test(`closes the frames of ${compiler ? 'compiled' : 'interpreted'} scripts stopped while waiting`, t => {
+        let time = 0;
+        const rt = new Runtime();
+        rt.setCompilerOptions({enabled: compiler});
+        const sprite = new Sprite(null, rt);
+        sprite.name = 'Sprite1';
+        const target = sprite.createClone();
+        rt.addTarget(target);
+        target.blocks.createBlock({
+            id: 'wait',
+            opcode: 'control_wait',
+            inputs: {DURATION: {name: 'DURATION', block: 'duration', shadow: 'duration'}},
+            fields: {},
+            next: null,
+            parent: null,
+            topLevel: true,
+            shadow: false
+        });
+        target.blocks.createBlock({
+            id: 'duration',
+            opcode: 'math_positive_number',
+            inputs: {},
+            fields: {NUM: {name: 'NUM', value: '10'}},
+            next: null,
+            parent: 'wait',
+            topLevel: false,
+            shadow: true
+        });
+
+        // Every measurement takes a millisecond
+        rt.enableBlockProfiling({now: () => time++});
+        rt._pushThread('wait', target);
+        rt._step();
+        rt.stopAll();
+
+        const report = rt.disableBlockProfiling();
+        t.same(report.opcodes.map(entry => entry.name), ['control_wait']);
+        t.ok(report.opcodes[0].totalTime > 0);
+        t.end();
+    });
+}
+
+test('profiled compiled scripts are still optimized', t => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: true});
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    target.blocks.createBlock({
+        id: 'if',
+        opcode: 'control_if',
+        inputs: {SUBSTACK: {name: 'SUBSTACK', block: 'show', shadow: null}},
+        fields: {},
+        next: 'hide',
+        parent: null,
+        topLevel: true,
+        shadow: false
+    });
+    target.blocks.createBlock({
+        id: 'show',
+        opcode: 'looks_show',
+        inputs: {},
+        fields: {},
+        next: null,
+        parent: 'if',
+        topLevel: false,
+        shadow: false
+    });
+    target.blocks.createBlock({
+        id: 'hide',
+        opcode: 'looks_hide',
+        inputs: {},
+        fields: {},
+        next: null,
+        parent: 'if',
+        topLevel: false,
+        shadow: false
+    });
+
+    rt.enableBlockProfiling();
+    // The if has no condition, so it is removed with its branch
+    const stack = rt.getCompiledScript(target, 'if').ir.entry.stack;
+    t.same(stack.map(node => node.kind), ['looks.hide']);
+    rt._pushThread('if', target);
+    rt._step();
+    t.same(rt.disableBlockProfiling().opcodes.map(entry => entry.name), ['looks_hide']);
+    t.end();
+});
@@ -0,0 +1,176 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const {text, block, input, repeatScript} = require('../fixtures/blocks');
+
+/**
+ * Create a runtime with one sprite running:
+ *   change x by 1          (a)
+ *   repeat 2               (repeat)
+ *     change y by 1        (inner)
+ *   change x by 100        (after)
+ * @param {boolean} compiler Whether to use the compiler.
+ * @returns {{rt: Runtime, target: RenderedTarget}} The runtime and sprite.
+ */
+const createRuntime = compiler => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: compiler});
+    rt.setRuntimeOptions({seed: 1});
+    const stage = new Sprite(null, rt).createClone();
+    stage.isStage = true;
+    rt.addTarget(stage);
+    stage.variables.score = new Variable('score', 'score', Variable.SCALAR_TYPE, false);
+    stage.variables.score.value = 5;
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+
+    const blocks = repeatScript([
+        block('after', 'motion_changexby', null, 'repeat', input('DX', 'after-value')),
+        text('after-value', 'after', 100)
+    ]);
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    rt.enableDebug();
+    return {rt, target};
+};
+
+for (const compiler of [false, true]) {
+    const mode = compiler ? 'compiler' : 'interpreter';
+
+    test(`${mode}: breakpoints pause before the block`, t => {
+        const {rt, target} = createRuntime(compiler);
+        const hits = [];
+        rt.on(Runtime.BREAKPOINT_HIT, hit => hits.push(hit));
+        rt.setBreakpoint('after');
+        t.same(rt.getBreakpoints(), ['after']);
+
+        const thread = rt._pushThread('a', target);
+        t.equal(thread.isCompiled, compiler);
+        rt._step();
+        t.equal(target.x, 1);
+        t.equal(target.y, 2);
+        t.equal(rt.isExecutionPaused(), true);
+        t.equal(hits.length, 1);
+        t.equal(hits[0].thread, thread);
+        t.equal(hits[0].target, target);
+        t.equal(hits[0].blockId, 'after');
+        t.equal(hits[0].reason, 'breakpoint');
+        t.same(hits[0].variables, [{id: 'score', name: 'score', type: '', value: 5, isLocal: false}]);
+
+        // Nothing runs while paused
+        rt._step();
+        t.equal(target.x, 1);
+
+        rt.resumeExecution();
+        rt._step();
+        t.equal(target.x, 101);
+        t.equal(hits.length, 1);
+        t.end();
+    });
+
+    test(`${mode}: breakpoints inside a loop pause in every iteration`, t => {
+        const {rt, target} = createRuntime(compiler);
+        const hits = [];
+        rt.on(Runtime.BREAKPOINT_HIT, hit => hits.push([hit.blockId, target.y]));
+        rt.setBreakpoint('repeat');
+        rt.setBreakpoint('inner');
+        rt._pushThread('a', target);
+        for (let i = 0; i < 5; i++) {
+            rt._step();
+            rt.resumeExecution();
+        }
+        // The loop itself only pauses once, when it is reached
+        t.same(hits, [['repeat', 0], ['inner', 0], ['inner', 1]]);
+        t.equal(target.x, 101);
+        t.end();
+    });
+
+    test(`${mode}: step into and step over`, t => {
+        const {rt, target} = createRuntime(compiler);
+        const hits = [];
+        rt.on(Runtime.BREAKPOINT_HIT, hit => hits.push(hit.blockId));
+        rt.setBreakpoint('repeat');
+        rt._pushThread('a', target);
+        rt._step();
+        t.same(hits, ['repeat']);
+
+        rt.stepInto();
+        rt._step();
+        t.same(hits, ['repeat', 'inner']);
+        t.equal(target.y, 0);
+
+        // The next block after "change y by 1" is itself, in the next iteration of the loop
+        rt.stepOver();
+        rt._step();
+        t.same(hits, ['repeat', 'inner', 'inner']);
+        t.equal(target.y, 1);
+
+        rt.stepOver();
+        rt._step();
+        t.same(hits, ['repeat', 'inner', 'inner', 'after']);
+        t.equal(target.y, 2);
+        t.equal(target.x, 1);
+
+        rt.resumeExecution();
+        rt._step();
+        t.equal(target.x, 101);
+        t.equal(rt.threads.length, 0);
+        t.end();
+    });
+
+    test(`${mode}: step over a loop`, t => {
+        const {rt, target} = createRuntime(compiler);
+        const hits = [];
+        rt.on(Runtime.BREAKPOINT_HIT, hit => hits.push(hit.blockId));
+        rt.setBreakpoint('repeat');
+        rt._pushThread('a', target);
+        rt._step();
+        rt.stepOver();
+        rt._step();
+        t.same(hits, ['repeat', 'after']);
+        t.equal(target.y, 2);
+        t.equal(target.x, 1);
+        t.end();
+    });
+}
+
+test('pausing without a thread steps into the next block of any thread', t => {
+    const {rt, target} = createRuntime(false);
+    const hits = [];
+    rt.on(Runtime.BREAKPOINT_HIT, hit => hits.push(hit.blockId));
+    rt._pushThread('a', target);
+    rt.pauseExecution();
+    rt._step();
+    t.equal(target.x, 0);
+    rt.stepInto();
+    rt._step();
+    t.same(hits, ['a']);
+    t.end();
+});
+
+test('breakpoints are ignored when debug mode is disabled', t => {
+    const {rt, target} = createRuntime(false);
+    rt.disableDebug();
+    rt.setBreakpoint('after');
+    rt._pushThread('a', target);
+    rt._step();
+    t.equal(target.x, 101);
+    t.equal(rt.isExecutionPaused(), false);
+    t.end();
+});
+
+test('stopping the project resumes execution', t => {
+    const {rt, target} = createRuntime(false);
+    rt.setBreakpoint('after');
+    rt._pushThread('a', target);
+    rt._step();
+    t.equal(rt.isExecutionPaused(), true);
+    rt.stopAll();
+    t.equal(rt.isExecutionPaused(), false);
+    t.same(rt.getBreakpoints(), ['after']);
+    rt.removeBreakpoint('after');
+    t.same(rt.getBreakpoints(), []);
+    t.end();
+});
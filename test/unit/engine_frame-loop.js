@@ -0,0 +1,93 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+
+/**
+ * @param {number} framerate The framerate.
+ * @returns {{rt: Runtime, advance: function(number): number}} A runtime in fixed timestep mode, and a function
+ * that runs a display frame after some milliseconds and returns how many steps ran in it.
+ */
+const createRuntime = framerate => {
+    const rt = new Runtime();
+    let time = 0;
+    rt.frameLoop.now = () => time;
+    rt.setFramerate(framerate);
+    rt.setFixedTimestep(true);
+    // Only display frames that the test asks for should run.
+    rt.frameLoop.start();
+    rt.frameLoop.stop();
+
+    let steps = 0;
+    rt.on(Runtime.RUNTIME_STEP_START, () => steps++);
+    const advance = ms => {
+        time += ms;
+        steps = 0;
+        rt.frameLoop.fixedTimestepCallback();
+        return steps;
+    };
+    return {rt, advance};
+};
+
+test('fixed timestep runs steps at the framerate', t => {
+    const {rt, advance} = createRuntime(25);
+    t.equal(rt.currentStepTime, 40);
+
+    // A 50Hz display draws every frame but runs a step every other one.
+    const steps = [];
+    for (let i = 0; i < 6; i++) {
+        steps.push(advance(20));
+    }
+    t.same(steps, [0, 1, 0, 1, 0, 1]);
+    t.equal(rt.deltaTime, 0.02);
+
+    // A 144Hz display runs the same number of steps per second.
+    let total = 0;
+    for (let i = 0; i < 144; i++) {
+        total += advance(1000 / 144);
+    }
+    t.ok(total >= 24 && total <= 26, `${total} steps in a second`);
+    t.end();
+});
+
+test('fixed timestep catches up after a stutter', t => {
+    const {rt, advance} = createRuntime(50);
+    t.equal(advance(60), 3);
+    t.equal(rt.deltaTime, 0.06);
+
+    // At most maxStepsPerFrame steps run, and the rest of the time is dropped.
+    t.equal(advance(1000), Runtime.MAX_STEPS_PER_FRAME);
+    t.equal(advance(20), 1);
+
+    rt.setRuntimeOptions({maxStepsPerFrame: 2});
+    t.equal(advance(1000), 2);
+    t.end();
+});
+
+test('0 FPS uses 60 steps per second in fixed timestep mode', t => {
+    const {rt, advance} = createRuntime(0);
+    t.equal(rt.currentStepTime, 1000 / 60);
+    t.equal(advance(34), 2);
+    t.end();
+});
+
+test('fixed timestep mode is stored in project options', t => {
+    const rt = new Runtime();
+    const events = [];
+    rt.on(Runtime.FIXED_TIMESTEP_CHANGED, fixedTimestep => events.push(fixedTimestep));
+    t.same(rt.generateDifferingProjectOptions(), {});
+    rt.setFixedTimestep(true);
+    t.same(events, [true]);
+    t.same(rt.generateDifferingProjectOptions(), {fixedTimestep: true});
+    t.end();
+});
+
+test('steps in other modes update delta time', t => {
+    const rt = new Runtime();
+    let time = 1000;
+    rt.frameLoop.now = () => time;
+    rt.frameLoop.start();
+    rt.frameLoop.stop();
+    time += 40;
+    rt.frameLoop.stepCallback();
+    t.equal(rt.deltaTime, 0.04);
+    t.end();
+});
@@ -0,0 +1,180 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const {analyzeProject, AnalysisIssueType} = require('../../src/engine/project-analyzer');
+
+const block = (id, opcode, options = {}) => Object.assign({
+    id,
+    opcode,
+    inputs: {},
+    fields: {},
+    next: null,
+    parent: null,
+    topLevel: false,
+    shadow: false
+}, options);
+
+const field = (name, value, id) => ({[name]: {name, value, id}});
+
+const input = (name, blockId) => ({[name]: {name, block: blockId, shadow: blockId}});
+
+const createRuntime = () => {
+    const rt = new Runtime();
+    // Normally set by the VM. No extensions are loaded.
+    rt.extensionManager = {
+        isExtensionLoaded: () => false
+    };
+
+    const stageSprite = new Sprite(null, rt);
+    stageSprite.costumes = [{name: 'backdrop1'}];
+    const stage = stageSprite.createClone();
+    stage.isStage = true;
+    rt.addTarget(stage);
+    stage.variables.used = new Variable('used', 'used', Variable.SCALAR_TYPE, false);
+    stage.variables.unused = new Variable('unused', 'unused', Variable.SCALAR_TYPE, false);
+    stage.variables.unusedList = new Variable('unusedList', 'unused list', Variable.LIST_TYPE, false);
+    stage.variables.byName = new Variable('byName', 'by name', Variable.SCALAR_TYPE, false);
+    stage.variables.message = new Variable('message', 'message', Variable.BROADCAST_MESSAGE_TYPE, false);
+
+    const sprite = new Sprite(null, rt);
+    sprite.name = 'Sprite1';
+    sprite.costumes = [{name: 'costume1'}];
+    const target = sprite.createClone();
+    rt.addTarget(target);
+    rt.addTarget(target.makeClone());
+
+    const blocks = [
+        // when flag clicked, set used to 0, broadcast "sent", stop all, move 10 steps
+        block('flag', 'event_whenflagclicked', {topLevel: true, next: 'set'}),
+        block('set', 'data_setvariableto', {
+            parent: 'flag',
+            next: 'broadcast',
+            fields: field('VARIABLE', 'used', 'used')
+        }),
+        block('broadcast', 'event_broadcast', {
+            parent: 'set',
+            next: 'stop',
+            inputs: input('BROADCAST_INPUT', 'broadcast-menu')
+        }),
+        block('broadcast-menu', 'event_broadcast_menu', {
+            parent: 'broadcast',
+            shadow: true,
+            fields: field('BROADCAST_OPTION', 'Sent', 'sent')
+        }),
+        block('stop', 'control_stop', {
+            parent: 'broadcast',
+            next: 'unreachable',
+            fields: field('STOP_OPTION', 'all')
+        }),
+        block('unreachable', 'motion_movesteps', {parent: 'stop'}),
+
+        // Broadcasts are matched ignoring case
+        block('received', 'event_whenbroadcastreceived', {
+            topLevel: true,
+            next: 'call',
+            fields: field('BROADCAST_OPTION', 'sent', 'sent')
+        }),
+        block('call', 'procedures_call', {
+            parent: 'received',
+            next: 'goto',
+            mutation: {proccode: 'missing %s'}
+        }),
+        block('goto', 'motion_goto', {
+            parent: 'call',
+            next: 'costume',
+            inputs: input('TO', 'goto-menu')
+        }),
+        block('goto-menu', 'motion_goto_menu', {
+            parent: 'goto',
+            shadow: true,
+            fields: field('TO', 'Sprite2')
+        }),
+        block('costume', 'looks_switchcostumeto', {
+            parent: 'goto',
+            next: 'backdrop',
+            inputs: input('COSTUME', 'costume-menu')
+        }),
+        block('costume-menu', 'looks_costume', {
+            parent: 'costume',
+            shadow: true,
+            fields: field('COSTUME', 'costume2')
+        }),
+        block('backdrop', 'looks_switchbackdropto', {
+            parent: 'costume',
+            next: 'pen',
+            inputs: input('BACKDROP', 'backdrop-menu')
+        }),
+        block('backdrop-menu', 'looks_backdrops', {
+            parent: 'backdrop',
+            shadow: true,
+            fields: field('BACKDROP', 'next backdrop')
+        }),
+        block('pen', 'pen_clear', {parent: 'backdrop', next: 'of'}),
+        block('of', 'sensing_of', {
+            parent: 'pen',
+            fields: field('PROPERTY', 'by name')
+        }),
+
+        block('never-sent', 'event_whenbroadcastreceived', {
+            topLevel: true,
+            next: 'mouse',
+            fields: field('BROADCAST_OPTION', 'other', 'other')
+        }),
+        block('mouse', 'motion_goto', {
+            parent: 'never-sent',
+            inputs: input('TO', 'mouse-menu')
+        }),
+        block('mouse-menu', 'motion_goto_menu', {
+            parent: 'mouse',
+            shadow: true,
+            fields: field('TO', '_mouse_')
+        }),
+
+        block('empty', 'event_whenkeypressed', {
+            topLevel: true,
+            fields: field('KEY_OPTION', 'space')
+        })
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    return {rt, stage, target};
+};
+
+test('analyzeProject', t => {
+    const {rt, stage, target} = createRuntime();
+    const issues = analyzeProject(rt);
+    const simplified = issues.map(issue => [issue.type, issue.targetId, issue.blockId, issue.name]);
+    t.same(simplified.sort(), [
+        [AnalysisIssueType.UNDEFINED_PROCEDURE, target.id, 'call', 'missing %s'],
+        [AnalysisIssueType.UNREACHABLE_BLOCK, target.id, 'unreachable', 'motion_movesteps'],
+        [AnalysisIssueType.MISSING_SPRITE, target.id, 'goto-menu', 'Sprite2'],
+        [AnalysisIssueType.MISSING_COSTUME, target.id, 'costume-menu', 'costume2'],
+        [AnalysisIssueType.MISSING_EXTENSION, target.id, 'pen', 'pen'],
+        [AnalysisIssueType.EMPTY_HAT_SCRIPT, target.id, 'empty', 'event_whenkeypressed'],
+        [AnalysisIssueType.BROADCAST_NEVER_SENT, target.id, 'never-sent', 'other'],
+        [AnalysisIssueType.UNUSED_VARIABLE, stage.id, null, 'unused'],
+        [AnalysisIssueType.UNUSED_LIST, stage.id, null, 'unused list']
+    ].sort());
+    t.equal(issues.find(issue => issue.type === AnalysisIssueType.UNUSED_LIST).variableId, 'unusedList');
+    t.end();
+});
+
+test('broadcasts that are never received', t => {
+    const {rt, target} = createRuntime();
+    target.blocks.deleteBlock('received');
+    const issues = analyzeProject(rt).filter(issue => issue.type === AnalysisIssueType.BROADCAST_NEVER_RECEIVED);
+    t.same(issues.map(issue => [issue.blockId, issue.name]), [['broadcast', 'Sent']]);
+    t.end();
+});
+
+test('broadcasts with a reporter could send anything', t => {
+    const {rt, target} = createRuntime();
+    target.blocks.createBlock(block('join', 'operator_join', {parent: 'broadcast'}));
+    target.blocks.getBlock('broadcast').inputs.BROADCAST_INPUT.block = 'join';
+    const types = analyzeProject(rt).map(issue => issue.type);
+    t.notOk(types.includes(AnalysisIssueType.BROADCAST_NEVER_SENT));
+    t.notOk(types.includes(AnalysisIssueType.BROADCAST_NEVER_RECEIVED));
+    t.end();
+});
@@ -0,0 +1,131 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const {text, block, input} = require('../fixtures/blocks');
+
+/**
+ * Create a runtime with one sprite that has the scripts:
+ *   change x by 1          (a)
+ *   hide all sprites       (fail) - throws, or returns a rejected promise
+ *   change x by 100        (after)
+ * and:
+ *   forever                (forever)
+ *     change y by 1
+ * @param {boolean} compiler Whether to use the compiler.
+ * @param {function} primitive The implementation of the failing block.
+ * @returns {{rt: Runtime, target: RenderedTarget}} The runtime and sprite.
+ */
+const createRuntime = (compiler, primitive) => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: compiler});
+    rt.setRuntimeOptions({seed: 1});
+    // This block is run through the compatibility layer by the compiler
+    rt._primitives.looks_hideallsprites = primitive;
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+    const blocks = [
+        block('a', 'motion_changexby', 'fail', null, input('DX', 'a-value')),
+        text('a-value', 'a', 1),
+        block('fail', 'looks_hideallsprites', 'after', 'a'),
+        block('after', 'motion_changexby', null, 'fail', input('DX', 'after-value')),
+        text('after-value', 'after', 100),
+        block('forever', 'control_forever', null, null, input('SUBSTACK', 'changey')),
+        block('changey', 'motion_changeyby', null, 'forever', input('DY', 'changey-value')),
+        text('changey-value', 'changey', 1)
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    return {rt, target};
+};
+
+const throwError = () => {
+    throw new Error('test error');
+};
+
+for (const compiler of [false, true]) {
+    const mode = compiler ? 'compiler' : 'interpreter';
+
+    test(`${mode}: errors halt the thread by default`, t => {
+        const {rt, target} = createRuntime(compiler, throwError);
+        const errors = [];
+        rt.on(Runtime.RUNTIME_ERROR, error => errors.push(error));
+        t.equal(rt.runtimeOptions.errorBehavior, Runtime.ERROR_HALT_THREAD);
+        rt._pushThread('a', target);
+        rt._pushThread('forever', target);
+        rt._step();
+
+        t.equal(target.x, 1);
+        t.ok(target.y > 0);
+        t.same(rt.threads.map(thread => thread.topBlock), ['forever']);
+        t.equal(errors.length, 1);
+        t.equal(errors[0].error.message, 'test error');
+        t.same(Object.assign({}, errors[0], {error: null}), {
+            error: null,
+            targetId: target.id,
+            topBlockId: 'a',
+            blockId: 'fail',
+            opcode: 'looks_hideallsprites',
+            isCompiled: compiler
+        });
+        t.end();
+    });
+
+    test(`${mode}: errors can halt the project`, t => {
+        const {rt, target} = createRuntime(compiler, throwError);
+        rt.setRuntimeOptions({errorBehavior: Runtime.ERROR_HALT_PROJECT});
+        rt._pushThread('forever', target);
+        rt._pushThread('a', target);
+        rt._step();
+        t.equal(target.x, 1);
+        t.equal(rt.threads.length, 0);
+        t.end();
+    });
+
+    test(`${mode}: errors can be ignored`, t => {
+        const {rt, target} = createRuntime(compiler, throwError);
+        let errors = 0;
+        rt.on(Runtime.RUNTIME_ERROR, () => errors++);
+        rt.setRuntimeOptions({errorBehavior: Runtime.ERROR_CONTINUE});
+        rt._pushThread('a', target);
+        rt._step();
+        t.equal(target.x, 101);
+        t.equal(errors, 1);
+        t.end();
+    });
+
+    test(`${mode}: rejected promises are reported`, t => {
+        const {rt, target} = createRuntime(compiler, () => Promise.reject(new Error('rejected')));
+        const errors = [];
+        rt.on(Runtime.RUNTIME_ERROR, error => errors.push(error));
+        rt._pushThread('a', target);
+        rt._step();
+        t.equal(target.x, 1);
+        return new Promise(resolve => setTimeout(resolve)).then(() => {
+            t.equal(errors.length, 1);
+            t.equal(errors[0].error.message, 'rejected');
+            t.equal(errors[0].topBlockId, 'a');
+            t.equal(errors[0].isCompiled, compiler);
+            rt._step();
+            t.equal(target.x, 1);
+            t.equal(rt.threads.length, 0);
+        });
+    });
+}
+
+test('interpreter: errors in reporters are reported against the reporter', t => {
+    const {rt, target} = createRuntime(false, throwError);
+    rt._primitives.operator_round = throwError;
+    target.blocks.createBlock(block('round', 'operator_round', null, 'after'));
+    target.blocks.getBlock('after').inputs.DX.block = 'round';
+    const errors = [];
+    rt.on(Runtime.RUNTIME_ERROR, error => errors.push(error));
+    rt.setRuntimeOptions({errorBehavior: Runtime.ERROR_CONTINUE});
+    rt._pushThread('a', target);
+    rt._step();
+    t.same(errors.map(error => error.opcode), ['looks_hideallsprites', 'operator_round']);
+    t.equal(errors[1].blockId, 'round');
+    // The reporter reported an empty string
+    t.equal(target.x, 1);
+    t.end();
+});
@@ -0,0 +1,199 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sequencer = require('../../src/engine/sequencer');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const {StateHistory} = require('../../src/engine/runtime-state');
+
+const createRuntime = ({compiler = false} = {}) => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: compiler});
+    // Without a renderer, every step runs a fixed number of ticks in deterministic mode
+    rt.setRuntimeOptions({seed: 1});
+    const stage = new Sprite(null, rt).createClone();
+    stage.isStage = true;
+    rt.addTarget(stage);
+    const sprite = new Sprite(null, rt);
+    sprite.name = 'Sprite1';
+    const target = sprite.createClone();
+    rt.addTarget(target);
+    target.variables.list = new Variable('list', 'my list', Variable.LIST_TYPE, false);
+    target.variables.list.value = ['a'];
+
+    // forever { change x by 1 }
+    target.blocks.createBlock({
+        id: 'forever',
+        opcode: 'control_forever',
+        inputs: {SUBSTACK: {name: 'SUBSTACK', block: 'change', shadow: null}},
+        fields: {},
+        next: null,
+        parent: null,
+        topLevel: true,
+        shadow: false
+    });
+    target.blocks.createBlock({
+        id: 'change',
+        opcode: 'motion_changexby',
+        inputs: {DX: {name: 'DX', block: 'dx', shadow: 'dx'}},
+        fields: {},
+        next: null,
+        parent: 'forever',
+        topLevel: false,
+        shadow: false
+    });
+    target.blocks.createBlock({
+        id: 'dx',
+        opcode: 'math_number',
+        inputs: {},
+        fields: {NUM: {name: 'NUM', value: '1'}},
+        next: null,
+        parent: 'change',
+        topLevel: false,
+        shadow: true
+    });
+    return {rt, stage, target};
+};
+
+test('restores targets, variables and custom state', t => {
+    const {rt, target} = createRuntime();
+    target.setCustomState('test', {value: 1, nested: [1, 2]});
+    const clone = target.makeClone();
+    rt.addTarget(clone);
+    clone.x = 50;
+
+    const state = rt.captureState();
+
+    target.x = 100;
+    target.variables.list.value.push('b');
+    target.getCustomState('test').nested.push(3);
+    rt.disposeTarget(clone);
+    const newClone = target.makeClone();
+    rt.addTarget(newClone);
+
+    rt.restoreState(state);
+    t.equal(target.x, 0);
+    t.same(target.variables.list.value, ['a']);
+    t.same(target.getCustomState('test'), {value: 1, nested: [1, 2]});
+    t.notOk(rt.targets.includes(newClone));
+    t.equal(rt._cloneCounter, 1);
+
+    const restoredClone = rt.getTargetById(clone.id);
+    t.ok(restoredClone);
+    t.not(restoredClone, clone);
+    t.equal(restoredClone.isOriginal, false);
+    t.equal(restoredClone.x, 50);
+    t.same(restoredClone.variables.list.value, ['a']);
+    t.not(restoredClone.variables.list.value, target.variables.list.value);
+
+    // The snapshot can be restored more than once
+    target.variables.list.value.push('c');
+    rt.restoreState(state);
+    t.same(target.variables.list.value, ['a']);
+    t.end();
+});
+
+test('interpreted threads resume where they were', t => {
+    const {rt, target} = createRuntime();
+    const ticks = Sequencer.DETERMINISTIC_TICKS;
+    rt._pushThread('forever', target);
+    rt._step();
+    rt._step();
+    t.equal(target.x, 2 * ticks);
+
+    const state = rt.captureState();
+    rt._step();
+    rt._step();
+    t.equal(target.x, 4 * ticks);
+
+    rt.restoreState(state);
+    t.equal(target.x, 2 * ticks);
+    t.equal(rt.threads.length, 1);
+    t.same(rt.threads[0].stack, state.threads[0].stack);
+    t.equal(rt.threads[0].isCompiled, false);
+    rt._step();
+    t.equal(target.x, 3 * ticks);
+    t.end();
+});
+
+test('compiled threads restart from the top of their script', t => {
+    const {rt, target} = createRuntime({compiler: true});
+    rt._pushThread('forever', target);
+    rt._step();
+    t.equal(rt.threads[0].isCompiled, true);
+
+    const state = rt.captureState();
+    rt._step();
+    rt.restoreState(state);
+    t.equal(rt.threads.length, 1);
+    t.equal(rt.threads[0].isCompiled, true);
+    t.equal(rt.threads[0].topBlock, 'forever');
+    t.equal(target.x, Sequencer.DETERMINISTIC_TICKS);
+    t.end();
+});
+
+test('restores io devices, timers and random numbers', t => {
+    const rt = new Runtime();
+    rt.setRuntimeOptions({seed: 1});
+    rt._step();
+    rt.postIOData('keyboard', {key: 'a', isDown: true});
+    rt.postIOData('mouse', {x: 10, y: 0, canvasWidth: 480, canvasHeight: 360});
+    const state = rt.captureState();
+    const randomNumbers = [rt.random(), rt.random()];
+    const timer = rt.ioDevices.clock.projectTimer();
+
+    rt.postIOData('keyboard', {key: 'a', isDown: false});
+    rt.postIOData('mouse', {x: 20, y: 0, canvasWidth: 480, canvasHeight: 360});
+    rt._step();
+    rt._step();
+
+    rt.restoreState(state);
+    t.equal(rt.ioDevices.keyboard.getKeyIsDown('a'), true);
+    t.equal(rt.ioDevices.mouse.getClientX(), 10);
+    t.equal(rt.ioDevices.clock.projectTimer(), timer);
+    t.equal(rt.frameCount, state.frame);
+    t.equal(rt.currentMSecs, state.currentMSecs);
+    t.same([rt.random(), rt.random()], randomNumbers);
+    t.end();
+});
+
+test('state history', t => {
+    const rt = new Runtime();
+    let restoredFrame = null;
+    rt.on(Runtime.STATE_RESTORED, frame => {
+        restoredFrame = frame;
+    });
+    t.equal(rt.rewindToFrame(0), false);
+
+    rt.enableStateHistory(3);
+    for (let i = 0; i < 5; i++) rt._step();
+    t.same(rt.stateHistory.getFrames(), [3, 4, 5]);
+
+    t.equal(rt.rewindToFrame(1), false);
+    t.equal(rt.rewindToFrame(3), true);
+    t.equal(rt.frameCount, 3);
+    t.equal(restoredFrame, 3);
+    // Scrubbing forward again still works until the runtime steps
+    t.equal(rt.rewindToFrame(5), true);
+    t.equal(rt.rewindToFrame(3), true);
+
+    rt._step();
+    t.same(rt.stateHistory.getFrames(), [3, 4]);
+
+    rt.disableStateHistory();
+    rt._step();
+    t.equal(rt.stateHistory, null);
+    t.end();
+});
+
+test('StateHistory drops the oldest frame', t => {
+    const history = new StateHistory(2);
+    history.push({frame: 1});
+    history.push({frame: 2});
+    history.push({frame: 3});
+    t.same(history.getFrames(), [2, 3]);
+    t.equal(history.get(1), null);
+    t.same(history.get(3), {frame: 3});
+    history.clear();
+    t.same(history.getFrames(), []);
+    t.end();
+});
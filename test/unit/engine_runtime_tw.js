@@ -242,3 +242,44 @@ test('convertToPackagedRuntime and attachStorage call order', t => {
     rt2.attachStorage({});
     t.end();
 });
+
+test('seed runtime option makes random numbers repeatable', t => {
+    const rt = new Runtime();
+    t.equal(rt.isDeterministic(), false);
+    rt.setRuntimeOptions({seed: 1234});
+    t.equal(rt.isDeterministic(), true);
+    const first = [rt.random(), rt.random(), rt.random()];
+    rt.resetDeterministicState();
+    t.same([rt.random(), rt.random(), rt.random()], first);
+
+    const other = new Runtime();
+    other.setRuntimeOptions({seed: 1234});
+    t.same([other.random(), other.random(), other.random()], first);
+
+    // Changing an unrelated option does not reseed
+    const next = rt.random();
+    other.setRuntimeOptions({maxClones: 5});
+    t.equal(other.random(), next);
+    t.end();
+});
+
+test('seed runtime option enables a virtual clock', t => {
+    const rt = new Runtime();
+    rt.setRuntimeOptions({seed: 'abc'});
+    t.equal(rt.now(), Runtime.DETERMINISTIC_EPOCH);
+    rt.currentStepTime = 1000 / 30;
+    for (let i = 0; i < 30; i++) {
+        rt._step();
+    }
+    t.equal(rt.now(), Runtime.DETERMINISTIC_EPOCH + 1000);
+    t.equal(rt.currentMSecs, Runtime.DETERMINISTIC_EPOCH + 1000);
+
+    rt.greenFlag();
+    t.equal(rt.now(), Runtime.DETERMINISTIC_EPOCH);
+
+    rt.setRuntimeOptions({seed: null});
+    t.equal(rt.isDeterministic(), false);
+    t.equal(rt.virtualTime, null);
+    t.ok(Math.abs(rt.now() - Date.now()) < 1000);
+    t.end();
+});
@@ -0,0 +1,125 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const JgRuntimeBlocks = require('../../src/extensions/jg_runtime/index');
+
+/**
+ * Create a runtime with the scripts "fast" and "slow". Each of them runs a block forever that logs its
+ * name; the block takes 1ms in "fast" and 8ms in "slow".
+ * @param {string} scheduling The scheduling policy.
+ * @returns {{rt: Runtime, log: Array.<string>, threads: object}} The runtime, the names logged and the threads.
+ */
+const createRuntime = scheduling => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: false});
+    rt.setRuntimeOptions({scheduling});
+    rt.turboMode = true;
+    const log = [];
+    rt._primitives.test_busy = (args, util) => {
+        const end = Date.now() + Number(args.MS);
+        while (Date.now() < end) {
+            // Spin
+        }
+        log.push(util.thread.topBlock);
+    };
+    const target = new Sprite(null, rt).createClone();
+    rt.addTarget(target);
+
+    const threads = {};
+    for (const [name, ms] of [['fast', 1], ['slow', 8]]) {
+        target.blocks.createBlock({
+            id: name,
+            opcode: 'control_forever',
+            inputs: {SUBSTACK: {name: 'SUBSTACK', block: `${name}_busy`, shadow: null}},
+            fields: {},
+            next: null,
+            parent: null,
+            topLevel: true,
+            shadow: false
+        });
+        target.blocks.createBlock({
+            id: `${name}_busy`,
+            opcode: 'test_busy',
+            inputs: {},
+            fields: {MS: {name: 'MS', value: ms}},
+            next: null,
+            parent: name,
+            topLevel: false,
+            shadow: false
+        });
+        threads[name] = rt._pushThread(name, target);
+    }
+    return {rt, log, threads};
+};
+
+const count = (log, name) => log.filter(item => item === name).length;
+
+test('round robin runs threads in execution order', t => {
+    const {rt, log, threads} = createRuntime(Runtime.SCHEDULE_ROUND_ROBIN);
+    t.equal(new Runtime().runtimeOptions.scheduling, Runtime.SCHEDULE_ROUND_ROBIN);
+    threads.slow.priority = 10;
+    rt.sequencer.stepThreads();
+    t.same(log.slice(0, 2), ['fast', 'slow']);
+    t.equal(count(log, 'fast'), count(log, 'slow'));
+    t.end();
+});
+
+test('priority scheduling runs threads with a higher priority first', t => {
+    const {rt, log, threads} = createRuntime(Runtime.SCHEDULE_PRIORITY);
+    threads.slow.priority = 10;
+    rt.sequencer.stepThreads();
+    t.same(log.slice(0, 4), ['slow', 'fast', 'slow', 'fast']);
+
+    // Changes apply on the next tick.
+    threads.fast.priority = 20;
+    log.length = 0;
+    rt.sequencer.stepThreads();
+    t.same(log.slice(0, 2), ['fast', 'slow']);
+    t.end();
+});
+
+test('priority scheduling keeps the thread list in execution order', t => {
+    const {rt, log, threads} = createRuntime(Runtime.SCHEDULE_PRIORITY);
+    threads.slow.priority = 10;
+    rt.sequencer.stepThreads();
+    t.same(rt.threads.map(thread => thread.topBlock), ['fast', 'slow']);
+
+    rt.setRuntimeOptions({scheduling: Runtime.SCHEDULE_ROUND_ROBIN});
+    log.length = 0;
+    rt.sequencer.stepThreads();
+    t.same(log.slice(0, 2), ['fast', 'slow']);
+    t.end();
+});
+
+test('time sliced scheduling shares the work time equally', t => {
+    const {rt, log, threads} = createRuntime(Runtime.SCHEDULE_TIME_SLICED);
+    rt.sequencer.stepThreads();
+    // Each thread gets half of 25ms.
+    t.ok(count(log, 'slow') <= 2, `slow ran ${count(log, 'slow')} times`);
+    t.ok(count(log, 'fast') > 2 * count(log, 'slow'), `fast ran ${count(log, 'fast')} times`);
+    t.ok(threads.slow.cpuTime >= 8 * count(log, 'slow'));
+    t.end();
+});
+
+test('blocks for thread priority and CPU time', t => {
+    const {rt, threads} = createRuntime(Runtime.SCHEDULE_PRIORITY);
+    const blocks = new JgRuntimeBlocks(rt);
+    const util = {thread: threads.fast};
+    blocks.setThreadPriority({PRIORITY: '3'}, util);
+    t.equal(threads.fast.priority, 3);
+    t.equal(blocks.getThreadPriority({}, util), 3);
+
+    t.equal(blocks.getThreadCpuTime({}, util), 0);
+    rt.sequencer.stepThreads();
+    t.ok(blocks.getThreadCpuTime({}, util) > 0);
+    t.end();
+});
+
+test('CPU time is not measured in deterministic mode', t => {
+    const {rt, threads} = createRuntime(Runtime.SCHEDULE_TIME_SLICED);
+    rt.setRuntimeOptions({seed: 1});
+    rt.sequencer.stepThreads();
+    t.equal(threads.fast.cpuTime, 0);
+    t.equal(threads.slow.cpuTime, 0);
+    t.end();
+});
@@ -0,0 +1,146 @@
+const {test} = require('tap');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+const TestingBlocks = require('../../src/extensions/pm_testing');
+const {TestStatus, runTests} = require('../../src/engine/test-runner');
+const {text, block, input, variable} = require('../fixtures/blocks');
+
+/**
+ * @param {string} id ID of the hat.
+ * @param {string} name Name of the test.
+ * @param {string} next ID of the first block in the test.
+ * @returns {Array.<object>} The "when test starts" block and its name input.
+ */
+const testHat = (id, name, next) => [
+    block(id, 'testing_whenTestStarts', next, null, input('NAME', `${id}-name`)),
+    text(`${id}-name`, id, name)
+];
+
+/**
+ * @param {string} id ID of the block.
+ * @param {string} value Value the score variable should have.
+ * @param {string} parent ID of the previous block.
+ * @returns {Array.<object>} An "expect variable score to equal" block and its input.
+ */
+const expectScore = (id, value, parent) => [
+    block(id, 'testing_expectVariableToEqual', null, parent, input('VALUE', `${id}-value`), {
+        VARIABLE_NAME: {name: 'VARIABLE_NAME', value: 'score'}
+    }),
+    text(`${id}-value`, id, value)
+];
+
+/**
+ * Create a runtime with the testing blocks and a sprite with these tests:
+ *   sets score: set score to 5, expect score to equal 5         (passes)
+ *   isolated: expect score to equal 0                             (passes as the previous test is undone)
+ *   fails: fail test with message "nope"                          (fails)
+ *   asserts: assert <> with message "condition"                   (fails)
+ *   errors: hide all sprites                                      (throws an error)
+ *   forever: forever                                              (times out)
+ * @param {boolean} compiler Whether to use the compiler.
+ * @returns {{rt: Runtime, target: RenderedTarget}} The runtime and sprite.
+ */
+const createRuntime = compiler => {
+    const rt = new Runtime();
+    rt.setCompilerOptions({enabled: compiler});
+    // Normally done by the extension manager when the project is loaded.
+    const extension = new TestingBlocks(rt);
+    const info = extension.getInfo();
+    for (const blockInfo of info.blocks) {
+        if (blockInfo.blockType !== 'event') {
+            blockInfo.func = extension[blockInfo.opcode].bind(extension);
+        }
+    }
+    info.menus.variables.items = extension.getVariableMenu.bind(extension);
+    rt._registerExtensionPrimitives(info);
+    rt._primitives.looks_hideallsprites = () => {
+        throw new Error('test error');
+    };
+
+    const sprite = new Sprite(null, rt);
+    sprite.name = 'Sprite1';
+    const target = sprite.createClone();
+    rt.addTarget(target);
+    target.variables.score = new Variable('score', 'score', Variable.SCALAR_TYPE, false);
+    target.variables.score.value = 0;
+
+    const blocks = [
+        ...testHat('sets', 'sets score', 'set'),
+        block('set', 'data_setvariableto', 'expect5', 'sets', input('VALUE', 'set-value'), variable('score')),
+        text('set-value', 'set', '5'),
+        ...expectScore('expect5', '5', 'set'),
+
+        ...testHat('isolated', 'isolated', 'expect0'),
+        ...expectScore('expect0', '0', 'isolated'),
+
+        ...testHat('fails', 'fails', 'fail'),
+        block('fail', 'testing_fail', null, 'fails', input('MESSAGE', 'fail-message')),
+        text('fail-message', 'fail', 'nope'),
+
+        ...testHat('asserts', 'asserts', 'assert'),
+        block('assert', 'testing_assert', null, 'asserts', input('MESSAGE', 'assert-message')),
+        text('assert-message', 'assert', 'condition'),
+
+        ...testHat('errors', 'errors', 'hide'),
+        block('hide', 'looks_hideallsprites', null, 'errors'),
+
+        ...testHat('forever', 'forever', 'loop'),
+        block('loop', 'control_forever', null, 'forever')
+    ];
+    for (const b of blocks) {
+        target.blocks.createBlock(b);
+    }
+    return {rt, target};
+};
+
+for (const compiler of [false, true]) {
+    const mode = compiler ? 'compiler' : 'interpreter';
+
+    test(`${mode}: runTests`, async t => {
+        const {rt, target} = createRuntime(compiler);
+        rt.setRuntimeOptions({errorBehavior: Runtime.ERROR_CONTINUE});
+        const runtimeOptions = rt.runtimeOptions;
+        const report = await runTests(rt, {framerate: 10, timeout: 1000});
+
+        t.same(report.tests.map(result => [result.name, result.status, result.message]), [
+            ['sets score', TestStatus.PASS, null],
+            ['isolated', TestStatus.PASS, null],
+            ['fails', TestStatus.FAIL, 'nope'],
+            ['asserts', TestStatus.FAIL, 'condition'],
+            ['errors', TestStatus.ERROR, 'test error'],
+            ['forever', TestStatus.TIMEOUT, 'Test did not finish within 10 frames']
+        ]);
+        t.equal(report.passed, 2);
+        t.equal(report.failed, 4);
+
+        const timedOut = report.tests[5];
+        t.equal(timedOut.frames, 10);
+        t.equal(timedOut.time, 1000);
+        t.equal(timedOut.targetId, target.id);
+        t.equal(timedOut.targetName, 'Sprite1');
+        t.equal(timedOut.topBlockId, 'forever');
+
+        // The project is left how it was
+        t.equal(target.variables.score.value, 0);
+        t.equal(rt.threads.length, 0);
+        t.equal(rt.runtimeOptions, runtimeOptions);
+        t.equal(rt.currentStepTime, 1000 / 30);
+    });
+}
+
+test('expectVariableToEqual', t => {
+    const {rt, target} = createRuntime(false);
+    const extension = new TestingBlocks(rt);
+    const util = {target};
+    t.doesNotThrow(() => extension.expectVariableToEqual({VARIABLE_NAME: 'score', VALUE: '0.0'}, util));
+    t.throws(() => extension.expectVariableToEqual({VARIABLE_NAME: 'score', VALUE: '1'}, util), {
+        name: 'AssertionError',
+        message: 'Expected variable score to equal 1 but it was 0'
+    });
+    t.throws(() => extension.expectVariableToEqual({VARIABLE_NAME: 'missing', VALUE: '1'}, util), {
+        name: 'AssertionError',
+        message: 'Variable missing does not exist'
+    });
+    t.end();
+});
@@ -0,0 +1,131 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const {TAPE_VERSION, InputRecorder, InputPlayer} = require('../../src/io/input-tape');
+
+const mouseAt = x => ({
+    x,
+    y: 0,
+    canvasWidth: 480,
+    canvasHeight: 360
+});
+
+test('records postIOData and answers with frame numbers', t => {
+    const rt = new Runtime();
+    rt._step();
+    const recorder = new InputRecorder(rt);
+    recorder.start();
+
+    rt.postIOData('mouse', mouseAt(10));
+    rt._step();
+    rt._step();
+    rt.postIOData('keyboard', {key: 'a', isDown: true});
+    rt.emit('ANSWER', 'hello');
+    rt._step();
+    // Unknown devices are ignored
+    rt.postIOData('doesNotExist', {});
+
+    const tape = recorder.stop();
+    t.equal(tape.version, TAPE_VERSION);
+    t.equal(tape.frames, 3);
+    t.same(tape.events, [
+        {frame: 0, type: 'io', device: 'mouse', data: mouseAt(10)},
+        {frame: 2, type: 'io', device: 'keyboard', data: {key: 'a', isDown: true}},
+        {frame: 2, type: 'answer', answer: 'hello'}
+    ]);
+
+    // Events after stopping are not recorded
+    rt.postIOData('mouse', mouseAt(20));
+    t.equal(recorder.toJSON().events.length, 3);
+    t.end();
+});
+
+test('recorded data is copied', t => {
+    const rt = new Runtime();
+    const recorder = new InputRecorder(rt);
+    recorder.start();
+    const data = mouseAt(10);
+    rt.postIOData('mouse', data);
+    data.x = 50;
+    t.equal(recorder.stop().events[0].data.x, 10);
+    t.end();
+});
+
+test('replays events at the start of the next frame', t => {
+    const recording = new Runtime();
+    const recorder = new InputRecorder(recording);
+    recorder.start();
+    recording.postIOData('mouse', mouseAt(10));
+    recording._step();
+    recording._step();
+    recording.postIOData('mouse', mouseAt(20));
+    recording.emit('ANSWER', 'hello');
+    recording._step();
+    const tape = JSON.stringify(recorder.stop());
+
+    const rt = new Runtime();
+    const answers = [];
+    rt.on('ANSWER', answer => answers.push(answer));
+    const player = new InputPlayer(rt, tape);
+    player.start();
+    t.equal(rt.ioDevices.mouse.getClientX(), 0);
+
+    rt._step();
+    t.equal(rt.ioDevices.mouse.getClientX(), 10);
+    t.equal(player.isFinished(), false);
+
+    rt._step();
+    t.equal(rt.ioDevices.mouse.getClientX(), 10);
+    t.same(answers, []);
+
+    rt._step();
+    t.equal(rt.ioDevices.mouse.getClientX(), 20);
+    t.same(answers, ['hello']);
+    t.equal(player.isFinished(), true);
+    t.equal(player.playing, false);
+    t.end();
+});
+
+test('replay applies framerate and seed', t => {
+    const recording = new Runtime();
+    recording.setFramerate(60);
+    recording.setRuntimeOptions({seed: 5});
+    const recorder = new InputRecorder(recording);
+    recorder.start();
+    const tape = recorder.stop();
+    t.equal(tape.framerate, 60);
+    t.equal(tape.seed, 5);
+
+    const rt = new Runtime();
+    new InputPlayer(rt, tape).start();
+    t.equal(rt.frameLoop.framerate, 60);
+    t.equal(rt.runtimeOptions.seed, 5);
+    t.end();
+});
+
+test('replay turns on turbo mode until it stops', t => {
+    const recording = new Runtime();
+    recording.turboMode = true;
+    const recorder = new InputRecorder(recording);
+    recorder.start();
+    const tape = recorder.stop();
+    t.equal(tape.turbo, true);
+
+    const rt = new Runtime();
+    const events = [];
+    rt.on(Runtime.TURBO_MODE_ON, () => events.push('on'));
+    rt.on(Runtime.TURBO_MODE_OFF, () => events.push('off'));
+    const player = new InputPlayer(rt, tape);
+    player.start();
+    t.equal(rt.turboMode, true);
+    player.stop();
+    t.equal(rt.turboMode, false);
+    t.same(events, ['on', 'off']);
+    t.end();
+});
+
+test('invalid tapes', t => {
+    const rt = new Runtime();
+    t.throws(() => new InputPlayer(rt, {}));
+    t.throws(() => new InputPlayer(rt, {version: TAPE_VERSION + 1, events: []}));
+    t.end();
+});
@@ -0,0 +1,222 @@
+const {test} = require('tap');
+const ScratchStorage = require('scratch-storage');
+const VirtualMachine = require('../../src/virtual-machine');
+const Runtime = require('../../src/engine/runtime');
+const ExtensionMigrations = require('../../src/serialization/extension-migrations');
+const sb3 = require('../../src/serialization/sb3');
+
+const block = (opcode, properties) => Object.assign({
+    opcode,
+    next: null,
+    parent: null,
+    inputs: {},
+    fields: {},
+    shadow: false,
+    topLevel: true,
+    x: 0,
+    y: 0
+}, properties);
+
+const stage = blocks => ({
+    isStage: true,
+    name: 'Stage',
+    variables: {},
+    lists: {},
+    broadcasts: {},
+    blocks,
+    comments: {},
+    currentCostume: 0,
+    costumes: [],
+    sounds: [],
+    volume: 100
+});
+
+const testMigrations = {
+    version: 3,
+    migrations: [
+        {
+            version: 3,
+            blocks: {
+                test_move: {opcode: 'test_walk', addInputs: {SPEED: [1, [4, '1']]}}
+            }
+        },
+        {
+            version: 2,
+            blocks: {
+                test_move: {inputs: {STEPS: 'DISTANCE', OLD: null}, fields: {UNIT: 'UNITS'}}
+            }
+        }
+    ]
+};
+
+test('migrate renames blocks, inputs and fields in order', t => {
+    const migrations = new ExtensionMigrations({});
+    migrations.register('test', testMigrations);
+    const targets = [stage({
+        a: block('test_move', {
+            inputs: {STEPS: [1, [4, '10']], OLD: [1, [10, '']]},
+            fields: {UNIT: ['pixels', null]}
+        }),
+        b: block('test_move', {inputs: {SPEED: [1, [4, '5']]}}),
+        c: block('looks_say'),
+        d: [12, 'my variable', 'id', 0, 0]
+    })];
+
+    const changes = migrations.migrate(targets, {versions: {test: 1}});
+    t.same(targets[0].blocks.a, block('test_walk', {
+        inputs: {DISTANCE: [1, [4, '10']], SPEED: [1, [4, '1']]},
+        fields: {UNITS: ['pixels', null]}
+    }));
+    // Inputs the block already has are kept
+    t.same(targets[0].blocks.b.inputs, {SPEED: [1, [4, '5']]});
+    t.equal(targets[0].blocks.c.opcode, 'looks_say');
+    t.same(changes.map(change => [change.version, change.message, change.blockIds]), [
+        [2, 'test_move: renamed STEPS to DISTANCE input', ['a']],
+        [2, 'test_move: removed OLD input', ['a']],
+        [2, 'test_move: renamed UNIT to UNITS field', ['a']],
+        [3, 'test_move: added SPEED input', ['a']],
+        [3, 'test_move: changed to test_walk', ['a', 'b']]
+    ]);
+    t.equal(changes[0].target, 'Stage');
+    t.end();
+});
+
+test('migrate skips versions the project already has', t => {
+    const migrations = new ExtensionMigrations({});
+    migrations.register('test', testMigrations);
+    const targets = [stage({a: block('test_move', {inputs: {STEPS: [1, [4, '10']]}})})];
+    const changes = migrations.migrate(targets, {versions: {test: 2}});
+    t.same(targets[0].blocks.a.inputs, {STEPS: [1, [4, '10']], SPEED: [1, [4, '1']]});
+    t.same(changes.map(change => change.version), [3, 3]);
+
+    const current = [stage({a: block('test_move')})];
+    t.same(migrations.migrate(current, {versions: {test: 3}}), []);
+    t.equal(current[0].blocks.a.opcode, 'test_move');
+    t.end();
+});
+
+test('migrateBlock and migrateProject', t => {
+    const migrations = new ExtensionMigrations({});
+    const seen = [];
+    migrations.register('test', {
+        version: 1,
+        migrations: [{
+            version: 1,
+            migrateProject: context => {
+                seen.push(`project ${context.targets.length}`);
+                context.report('Project changed');
+            },
+            migrateBlock: (migrated, context) => {
+                seen.push(`${context.target.name} ${context.blockId}`);
+                migrated.fields.NEW = ['value', null];
+                context.report('Added NEW');
+            }
+        }]
+    });
+    const extensions = {extensionIDs: new Set(), extensionURLs: new Map(), extensionData: {}};
+    const changes = migrations.migrate([stage({a: block('test_thing')})], {extensions});
+    t.same(seen, ['project 1', 'Stage a']);
+    t.same(changes.map(change => [change.target, change.message, change.blockIds]), [
+        [null, 'Project changed', []],
+        ['Stage', 'Added NEW', ['a']]
+    ]);
+    t.end();
+});
+
+test('register rejects migrations without valid versions', t => {
+    const migrations = new ExtensionMigrations({});
+    t.throws(() => migrations.register('test', {migrations: []}), /no version/);
+    t.throws(() => migrations.register('test', {version: 1, migrations: [{version: 2}]}), /between 1 and 1/);
+    t.throws(() => migrations.register('test', {version: 1, migrations: [{version: 0}]}), /between 1 and 1/);
+    t.end();
+});
+
+test('getVersions keeps the saved version of extensions without migrations', t => {
+    const migrations = new ExtensionMigrations({});
+    migrations.register('test', testMigrations);
+    migrations.migrate([stage({a: block('unknown_block')})], {versions: {unknown: 4, test: 1}});
+    t.same(migrations.getVersions(['test', 'unknown', 'other']), {test: 3, unknown: 4});
+
+    // Loading another project forgets them
+    migrations.migrate([stage({})]);
+    t.same(migrations.getVersions(['unknown']), {});
+    t.end();
+});
+
+test('jwUnite blocks become core blocks', t => {
+    const runtime = new Runtime();
+    const json = {
+        targets: [stage({
+            a: block('jwUnite_always', {next: 'b'}),
+            b: block('jwUnite_regextest', {
+                parent: 'a',
+                topLevel: false,
+                inputs: {text: [1, [10, 'abc']]}
+            }),
+            c: block('jwUnite_setReplacer')
+        })],
+        extensions: ['jwUnite']
+    };
+    return sb3.deserialize(json, runtime).then(({targets, extensions}) => {
+        const blocks = targets[0].blocks;
+        t.equal(blocks.getBlock('a').opcode, 'event_always');
+        t.equal(blocks.getBlock('b').opcode, 'sensing_regextest');
+        t.same(Object.keys(blocks.getBlock('b').inputs).sort(), ['regrule', 'text']);
+        t.equal(blocks.getBlock('c').opcode, 'procedures_call');
+        t.ok(blocks.getBlock('setReplacerToDisplay'));
+        t.notOk(extensions.extensionIDs.has('jwUnite'));
+        t.ok(extensions.extensionIDs.has('jgJSON'));
+        t.ok(extensions.migrations.every(change => change.extensionId === 'jwUnite'));
+        t.end();
+    });
+});
+
+test('griffpatch is loaded from a URL', t => {
+    const runtime = new Runtime();
+    const json = {targets: [stage({a: block('griffpatch_doTick')})]};
+    return sb3.deserialize(json, runtime).then(({extensions}) => {
+        t.ok(extensions.extensionIDs.has('griffpatch'));
+        t.equal(extensions.extensionURLs.get('griffpatch'), 'https://extensions.turbowarp.org/box2d.js');
+        t.same(extensions.migrations.map(change => change.extensionId), ['griffpatch']);
+        t.end();
+    });
+});
+
+test('deserializeProject migrates blocks and saves extension versions', t => {
+    const storage = new ScratchStorage();
+    const vm = new VirtualMachine();
+    vm.attachStorage(storage);
+    vm.runtime.extensionMigrations.register('pen', {
+        version: 1,
+        migrations: [{
+            version: 1,
+            blocks: {pen_erase: {opcode: 'pen_clear'}}
+        }]
+    });
+    const project = {
+        projectVersion: 3,
+        targets: [Object.assign(stage({a: block('pen_erase')}), {
+            costumes: [{
+                name: 'backdrop',
+                assetId: storage.defaultAssetId.ImageVector,
+                md5ext: `${storage.defaultAssetId.ImageVector}.svg`,
+                dataFormat: 'svg',
+                rotationCenterX: 0,
+                rotationCenterY: 0
+            }]
+        })],
+        monitors: [],
+        extensions: ['pen'],
+        meta: {semver: '3.0.0'}
+    };
+    let migrated = null;
+    vm.on(Runtime.EXTENSIONS_MIGRATED, changes => {
+        migrated = changes;
+    });
+    return vm.deserializeProject(project).then(() => {
+        t.equal(vm.runtime.getTargetForStage().blocks.getBlock('a').opcode, 'pen_clear');
+        t.same(migrated.map(change => change.message), ['pen_erase: changed to pen_clear']);
+        const saved = JSON.parse(vm.toJSON());
+        t.same(saved.extensionVersions, {pen: 1});
+    });
+});
@@ -0,0 +1,276 @@
+const {test} = require('tap');
+const {
+    diffProjects,
+    mergeProjects,
+    ChangeType,
+    ConflictType,
+    ItemKind
+} = require('../../src/serialization/project-diff');
+
+const costume = (name, assetId = `${name}-asset`) => ({
+    name,
+    assetId,
+    md5ext: `${assetId}.svg`,
+    dataFormat: 'svg',
+    rotationCenterX: 0,
+    rotationCenterY: 0
+});
+
+const stage = (options = {}) => Object.assign({
+    isStage: true,
+    name: 'Stage',
+    variables: {},
+    lists: {},
+    broadcasts: {},
+    blocks: {},
+    comments: {},
+    currentCostume: 0,
+    costumes: [costume('backdrop1')],
+    sounds: [],
+    volume: 100
+}, options);
+
+const sprite = (name, options = {}) => Object.assign({
+    isStage: false,
+    name,
+    variables: {},
+    lists: {},
+    broadcasts: {},
+    blocks: {},
+    comments: {},
+    currentCostume: 0,
+    costumes: [costume('costume1'), costume('costume2')],
+    sounds: [],
+    volume: 100,
+    visible: true,
+    x: 0,
+    y: 0,
+    size: 100,
+    direction: 90,
+    draggable: false,
+    rotationStyle: 'all around'
+}, options);
+
+const createProject = targets => ({
+    targets,
+    monitors: [],
+    extensions: [],
+    meta: {semver: '3.0.0'}
+});
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+// when green flag clicked
+// say [message]
+const sayScript = (prefix, message, position = {x: 0, y: 0}) => ({
+    [`${prefix}hat`]: {
+        opcode: 'event_whenflagclicked',
+        next: `${prefix}say`,
+        parent: null,
+        inputs: {},
+        fields: {},
+        shadow: false,
+        topLevel: true,
+        x: position.x,
+        y: position.y
+    },
+    [`${prefix}say`]: {
+        opcode: 'looks_say',
+        next: null,
+        parent: `${prefix}hat`,
+        inputs: {MESSAGE: [1, [10, message]]},
+        fields: {},
+        shadow: false,
+        topLevel: false
+    }
+});
+
+// when [key] key pressed
+// change [score] by (1)
+const keyScript = (prefix, key, variableId) => ({
+    [`${prefix}hat`]: {
+        opcode: 'event_whenkeypressed',
+        next: `${prefix}change`,
+        parent: null,
+        inputs: {},
+        fields: {KEY_OPTION: [key, null]},
+        shadow: false,
+        topLevel: true,
+        x: 300,
+        y: 0
+    },
+    [`${prefix}change`]: {
+        opcode: 'data_changevariableby',
+        next: null,
+        parent: `${prefix}hat`,
+        inputs: {VALUE: [1, [4, '1']]},
+        fields: {VARIABLE: ['score', variableId]},
+        shadow: false,
+        topLevel: false
+    }
+});
+
+const base = createProject([
+    stage({variables: {scoreId: ['score', 0]}}),
+    sprite('Cat', {
+        blocks: Object.assign(sayScript('a', 'Hello'), keyScript('b', 'space', 'scoreId'))
+    }),
+    sprite('Dog')
+]);
+
+test('block IDs and script positions are not changes', t => {
+    const other = copy(base);
+    // The same scripts with different IDs, as after compressing the project again
+    other.targets[1].blocks = Object.assign(
+        keyScript('x', 'space', 'scoreId'),
+        sayScript('y', 'Hello', {x: 50, y: 80})
+    );
+    t.same(diffProjects(base, JSON.stringify(other)), []);
+    t.end();
+});
+
+test('diffProjects', t => {
+    const after = copy(base);
+    const cat = after.targets[1];
+    cat.blocks = Object.assign(sayScript('a', 'Goodbye'), keyScript('b', 'space', 'scoreId'));
+    cat.costumes[1].name = 'walking';
+    cat.x = 10;
+    after.targets[0].variables.livesId = ['lives', 3];
+    after.targets.splice(2, 1);
+
+    const changes = diffProjects(base, after);
+    const summary = changes.map(change => [change.type, change.kind, change.target, change.key]);
+    t.same(summary, [
+        [ChangeType.ADDED, ItemKind.VARIABLE, 'Stage', 'livesId'],
+        [ChangeType.CHANGED, ItemKind.PROPERTY, 'Cat', 'x'],
+        [ChangeType.CHANGED, ItemKind.SCRIPT, 'Cat', 'event_whenflagclicked'],
+        [ChangeType.CHANGED, ItemKind.COSTUME, 'Cat', 'costume2'],
+        [ChangeType.REMOVED, ItemKind.TARGET, null, 'Dog']
+    ]);
+    t.same(changes[0].after, {id: 'livesId', name: 'lives', value: 3, isCloud: false});
+    t.same(changes[2].before.blocks.asay.inputs.MESSAGE, [1, [10, 'Hello']]);
+    t.same(changes[2].after.blocks.asay.inputs.MESSAGE, [1, [10, 'Goodbye']]);
+    t.equal(changes[3].after.name, 'walking');
+
+    t.throws(() => diffProjects(base, {objName: 'Stage'}), /not an sb3 project/);
+    t.end();
+});
+
+test('mergeProjects combines changes to different things', t => {
+    const ours = copy(base);
+    ours.targets[1].blocks = Object.assign(sayScript('a', 'Ours'), keyScript('b', 'space', 'scoreId'));
+    ours.targets[1].x = 50;
+    ours.targets[0].variables.livesId = ['lives', 3];
+
+    const theirs = copy(base);
+    theirs.targets[1].blocks = Object.assign(sayScript('a', 'Hello'), keyScript('b', 'up arrow', 'scoreId'));
+    theirs.targets[1].costumes.push(costume('costume3'));
+    theirs.targets[1].currentCostume = 2;
+    theirs.targets.push(sprite('Bird'));
+    theirs.extensions.push('pen');
+
+    const {project, conflicts} = mergeProjects(base, ours, theirs);
+    t.same(conflicts, []);
+    t.same(project.targets.map(target => target.name), ['Stage', 'Cat', 'Dog', 'Bird']);
+    t.same(Object.keys(project.targets[0].variables), ['scoreId', 'livesId']);
+    t.same(project.extensions, ['pen']);
+
+    const cat = project.targets[1];
+    t.equal(cat.x, 50);
+    t.equal(cat.costumes.length, 3);
+    t.equal(cat.currentCostume, 2);
+    const blocks = Object.values(cat.blocks);
+    t.ok(blocks.some(block => block.opcode === 'looks_say' && block.inputs.MESSAGE[1][1] === 'Ours'));
+    t.ok(blocks.some(block => block.opcode === 'event_whenkeypressed' && block.fields.KEY_OPTION[0] === 'up arrow'));
+    t.equal(blocks.length, 4);
+
+    // Without conflicts, it doesn't matter which side is ours
+    t.same(diffProjects(project, mergeProjects(base, theirs, ours).project), []);
+    t.end();
+});
+
+test('mergeProjects reports conflicts and keeps our version', t => {
+    const ours = copy(base);
+    ours.targets[1].blocks = Object.assign(sayScript('a', 'Ours'), keyScript('b', 'space', 'scoreId'));
+    ours.targets[1].size = 50;
+    ours.targets.splice(2, 1);
+
+    const theirs = copy(base);
+    theirs.targets[1].blocks = Object.assign(sayScript('a', 'Theirs'), keyScript('b', 'space', 'scoreId'));
+    theirs.targets[1].size = 200;
+    theirs.targets[2].x = 100;
+
+    const {project, conflicts} = mergeProjects(base, ours, theirs);
+    t.same(conflicts.map(conflict => [conflict.type, conflict.kind, conflict.target, conflict.key]), [
+        [ConflictType.CHANGED_ON_BOTH_SIDES, ItemKind.PROPERTY, 'Cat', 'size'],
+        [ConflictType.CHANGED_ON_BOTH_SIDES, ItemKind.SCRIPT, 'Cat', 'event_whenflagclicked'],
+        [ConflictType.REMOVED_AND_CHANGED, ItemKind.TARGET, null, 'Dog']
+    ]);
+    t.same([conflicts[0].base, conflicts[0].ours, conflicts[0].theirs], [100, 50, 200]);
+    t.equal(typeof conflicts[2].ours, 'undefined');
+    t.equal(conflicts[2].theirs.x, 100);
+
+    t.same(project.targets.map(target => target.name), ['Stage', 'Cat']);
+    t.equal(project.targets[1].size, 50);
+    const say = Object.values(project.targets[1].blocks).find(block => block.opcode === 'looks_say');
+    t.same(say.inputs.MESSAGE, [1, [10, 'Ours']]);
+    t.end();
+});
+
+test('mergeProjects keeps block and comment IDs unique and references intact', t => {
+    const ours = copy(base);
+    Object.assign(ours.targets[2].blocks, sayScript('n', 'Woof'));
+    ours.targets[1].comments.c = {
+        blockId: 'asay',
+        x: 0,
+        y: 0,
+        width: 200,
+        height: 200,
+        minimized: false,
+        text: 'hi'
+    };
+    ours.targets[1].blocks.asay.comment = 'c';
+    ours.targets[0].variables.livesId = ['lives', 3];
+
+    // They added a script with the same block IDs to another sprite, and a variable with the same name
+    // that one of their scripts uses.
+    const theirs = copy(base);
+    theirs.targets[1].blocks = Object.assign(
+        sayScript('n', 'Meow', {x: 0, y: 200}),
+        keyScript('b', 'space', 'scoreId'),
+        sayScript('a', 'Hello')
+    );
+    theirs.targets[0].variables.otherLivesId = ['lives', 3];
+    Object.assign(theirs.targets[1].blocks, keyScript('m', 'left arrow', 'otherLivesId'));
+    theirs.targets[1].blocks.mchange.fields.VARIABLE[0] = 'lives';
+
+    const {project, conflicts} = mergeProjects(base, ours, theirs);
+    t.same(conflicts, []);
+    t.same(Object.keys(project.targets[0].variables), ['scoreId', 'livesId']);
+
+    const cat = project.targets[1];
+    const dog = project.targets[2];
+    const catIds = Object.keys(cat.blocks);
+    const dogIds = Object.keys(dog.blocks);
+    t.equal(catIds.length, 8);
+    t.equal(dogIds.length, 2);
+    t.same(catIds.filter(id => dogIds.includes(id)), []);
+    for (const id of catIds) {
+        const block = cat.blocks[id];
+        if (block.parent) t.equal(cat.blocks[block.parent].next, id);
+    }
+
+    // The comment is still attached to the block, whatever its ID is now.
+    const [commentId] = Object.keys(cat.comments);
+    const commentBlock = cat.blocks[cat.comments[commentId].blockId];
+    t.equal(commentBlock.opcode, 'looks_say');
+    t.equal(commentBlock.inputs.MESSAGE[1][1], 'Hello');
+    t.equal(commentBlock.comment, commentId);
+
+    // Their script uses the variable that was kept.
+    const change = Object.values(cat.blocks).find(block => (
+        block.opcode === 'data_changevariableby' && block.fields.VARIABLE[0] === 'lives'
+    ));
+    t.same(change.fields.VARIABLE, ['lives', 'livesId']);
+    t.end();
+});
@@ -0,0 +1,321 @@
+const {test} = require('tap');
+const JSZip = require('jszip');
+const ScratchStorage = require('scratch-storage');
+const VirtualMachine = require('../../src/virtual-machine');
+const {
+    validateProject,
+    ProjectValidationError,
+    ValidationIssueType
+} = require('../../src/serialization/project-validator');
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+const costume = assetId => ({
+    name: 'costume1',
+    assetId,
+    md5ext: `${assetId}.svg`,
+    dataFormat: 'svg',
+    rotationCenterX: 0,
+    rotationCenterY: 0
+});
+
+// when green flag clicked
+// set [score] to (0)
+// say (score)
+const createProject = (assetId = 'asset') => ({
+    targets: [
+        {
+            isStage: true,
+            name: 'Stage',
+            variables: {scoreId: ['score', 0]},
+            lists: {},
+            broadcasts: {},
+            blocks: {},
+            comments: {},
+            currentCostume: 0,
+            costumes: [costume(assetId)],
+            sounds: [],
+            volume: 100
+        },
+        {
+            isStage: false,
+            name: 'Cat',
+            variables: {},
+            lists: {itemsId: ['items', []]},
+            broadcasts: {},
+            blocks: {
+                flag: {
+                    opcode: 'event_whenflagclicked',
+                    next: 'set',
+                    parent: null,
+                    inputs: {},
+                    fields: {},
+                    shadow: false,
+                    topLevel: true,
+                    x: 0,
+                    y: 0
+                },
+                set: {
+                    opcode: 'data_setvariableto',
+                    next: 'say',
+                    parent: 'flag',
+                    inputs: {VALUE: [1, [10, '0']]},
+                    fields: {VARIABLE: ['score', 'scoreId']},
+                    shadow: false,
+                    topLevel: false,
+                    comment: 'note'
+                },
+                say: {
+                    opcode: 'looks_say',
+                    next: null,
+                    parent: 'set',
+                    inputs: {MESSAGE: [3, [12, 'score', 'scoreId'], [10, 'Hello']]},
+                    fields: {},
+                    shadow: false,
+                    topLevel: false
+                }
+            },
+            comments: {
+                note: {blockId: 'set', x: 0, y: 0, width: 200, height: 200, minimized: false, text: 'reset'}
+            },
+            currentCostume: 0,
+            costumes: [costume(assetId)],
+            sounds: [],
+            volume: 100,
+            visible: true,
+            x: 0,
+            y: 0,
+            size: 100,
+            direction: 90,
+            draggable: false,
+            rotationStyle: 'all around'
+        }
+    ],
+    monitors: [
+        {
+            id: 'scoreId',
+            mode: 'default',
+            opcode: 'data_variable',
+            params: {VARIABLE: 'score'},
+            spriteName: null,
+            value: 0,
+            width: 0,
+            height: 0,
+            x: 5,
+            y: 5,
+            visible: true
+        }
+    ],
+    extensions: [],
+    meta: {semver: '3.0.0', vm: '0.2.0', agent: ''}
+});
+
+const block = (opcode, properties) => Object.assign({
+    opcode,
+    next: null,
+    parent: null,
+    inputs: {},
+    fields: {},
+    shadow: false,
+    topLevel: false
+}, properties);
+
+const summarize = issues => issues.map(issue => [issue.type, issue.target, issue.id]);
+
+test('a valid project has no issues', t => {
+    const project = createProject();
+    const result = validateProject(JSON.stringify(project));
+    t.same(result.issues, []);
+    t.ok(result.loadable);
+    t.same(validateProject(project, {repair: true}).project, project);
+    t.end();
+});
+
+test('broken references between blocks', t => {
+    const project = createProject();
+    const blocks = project.targets[1].blocks;
+    blocks.say.next = 'gone';
+    blocks.say.inputs.MESSAGE = [3, 'missing', [10, 'Hello']];
+    blocks.set.comment = 'deleted';
+    project.targets[1].comments.note.blockId = 'removed';
+    // Not attached to anything, and not a script
+    blocks.lost = block('looks_hide');
+    blocks.junk = 5;
+    const before = copy(project);
+
+    const {issues} = validateProject(project);
+    t.same(summarize(issues), [
+        [ValidationIssueType.INVALID_BLOCK, 'Cat', 'junk'],
+        [ValidationIssueType.MISSING_COMMENT, 'Cat', 'set'],
+        [ValidationIssueType.MISSING_NEXT_BLOCK, 'Cat', 'say'],
+        [ValidationIssueType.MISSING_INPUT_BLOCK, 'Cat', 'say'],
+        [ValidationIssueType.MISSING_COMMENT_BLOCK, 'Cat', 'note'],
+        [ValidationIssueType.ORPHANED_BLOCK, 'Cat', 'lost']
+    ]);
+    t.ok(issues.every(issue => issue.repair === null));
+    t.equal(issues[2].message, 'Block "say" is followed by "gone", which doesn\'t exist');
+    // Only checking doesn't change the project
+    t.same(project, before);
+
+    const repaired = validateProject(project, {repair: true});
+    t.same(summarize(repaired.issues), summarize(issues));
+    t.ok(repaired.issues.every(issue => issue.repair !== null));
+    const repairedBlocks = repaired.project.targets[1].blocks;
+    t.notOk(repairedBlocks.junk);
+    t.equal(repairedBlocks.say.next, null);
+    // The shadow that the missing block was covering is visible again
+    t.same(repairedBlocks.say.inputs.MESSAGE, [1, [10, 'Hello']]);
+    t.notOk(repairedBlocks.set.comment);
+    t.equal(repaired.project.targets[1].comments.note.blockId, null);
+    t.equal(repairedBlocks.lost.topLevel, true);
+    t.same(validateProject(repaired.project).issues, []);
+    t.end();
+});
+
+test('blocks in the wrong place', t => {
+    const project = createProject();
+    const blocks = project.targets[1].blocks;
+    // A second script that also has "say" as its next block
+    blocks.flag2 = Object.assign({}, blocks.flag, {next: 'say'});
+    blocks.set.parent = 'say';
+    blocks.say.topLevel = true;
+    // Two blocks inside each other
+    blocks.a = block('looks_show', {next: 'b', parent: 'b'});
+    blocks.b = block('looks_hide', {next: 'a', parent: 'a'});
+
+    const {issues, project: repaired} = validateProject(project, {repair: true});
+    t.same(summarize(issues), [
+        [ValidationIssueType.BLOCK_USED_TWICE, 'Cat', 'say'],
+        [ValidationIssueType.WRONG_PARENT, 'Cat', 'set'],
+        [ValidationIssueType.WRONG_TOP_LEVEL, 'Cat', 'say'],
+        [ValidationIssueType.BLOCK_CYCLE, 'Cat', 'a']
+    ]);
+    const repairedBlocks = repaired.targets[1].blocks;
+    t.equal(repairedBlocks.flag2.next, null);
+    t.equal(repairedBlocks.set.next, 'say');
+    t.equal(repairedBlocks.set.parent, 'flag');
+    t.equal(repairedBlocks.say.topLevel, false);
+    t.equal(repairedBlocks.a.topLevel, true);
+    t.equal(repairedBlocks.a.parent, null);
+    t.equal(repairedBlocks.b.next, null);
+    t.same(validateProject(repaired).issues, []);
+    t.end();
+});
+
+test('variables', t => {
+    const project = createProject();
+    const [stage, cat] = project.targets;
+    // Converted from Scratch 2, with a name in the ID
+    stage.variables['my "var"'] = ['my "var"', 1];
+    cat.blocks.set.fields.VARIABLE = ['my "var"', 'my "var"'];
+    // A local variable with the same ID as a global one
+    cat.variables.scoreId = ['local score', 5];
+    cat.blocks.say.inputs.MESSAGE = [3, [12, 'local score', 'scoreId'], [10, 'Hello']];
+    // Blocks that use variables, lists and broadcasts that don't exist
+    const script = {topLevel: true, x: 0, y: 0};
+    cat.blocks.hide = block('data_hidelist', Object.assign({fields: {LIST: ['items', 'oldItemsId']}}, script));
+    cat.blocks.show = block('data_showvariable', Object.assign({fields: {VARIABLE: ['lives', 'livesId']}}, script));
+    cat.blocks.receive = block('event_whenbroadcastreceived',
+        Object.assign({fields: {BROADCAST_OPTION: ['go', 'goId']}}, script));
+    cat.lists.bad = 'not a list';
+
+    const {issues, project: repaired} = validateProject(project, {repair: true});
+    t.same(summarize(issues), [
+        [ValidationIssueType.UNSAFE_VARIABLE_ID, 'Stage', 'my "var"'],
+        [ValidationIssueType.DUPLICATE_VARIABLE_ID, 'Cat', 'scoreId'],
+        [ValidationIssueType.INVALID_VARIABLE, 'Cat', 'bad'],
+        [ValidationIssueType.MISSING_VARIABLE, 'Cat', 'hide'],
+        [ValidationIssueType.MISSING_VARIABLE, 'Cat', 'show'],
+        [ValidationIssueType.MISSING_VARIABLE, 'Cat', 'receive']
+    ]);
+
+    const [repairedStage, repairedCat] = repaired.targets;
+    t.same(Object.keys(repairedStage.variables), ['scoreId', 'my quotvarquot']);
+    t.same(repairedCat.blocks.set.fields.VARIABLE, ['my "var"', 'my quotvarquot']);
+
+    const [localId] = Object.keys(repairedCat.variables);
+    t.not(localId, 'scoreId');
+    t.same(repairedCat.variables[localId], ['local score', 5]);
+    t.same(repairedCat.blocks.say.inputs.MESSAGE[1], [12, 'local score', localId]);
+    // The monitor still shows the global variable
+    t.equal(repaired.monitors[0].id, 'scoreId');
+
+    // A variable with the same name is used, and the others are created
+    t.same(repairedCat.blocks.hide.fields.LIST, ['items', 'itemsId']);
+    t.same(repairedCat.variables.livesId, ['lives', 0]);
+    t.equal(repairedStage.broadcasts.goId, 'go');
+    t.same(Object.keys(repairedCat.lists), ['itemsId']);
+    t.same(validateProject(repaired).issues, []);
+    t.end();
+});
+
+test('targets, monitors and costumes', t => {
+    const project = createProject();
+    const cat = project.targets[1];
+    project.targets.push(Object.assign(copy(cat), {variables: {}, lists: {}}));
+    project.targets.push({isStage: true});
+    cat.currentCostume = 3;
+    project.monitors.push(
+        {id: 'deletedId', opcode: 'data_listcontents', params: {LIST: 'deleted'}, spriteName: null},
+        {id: 'Dog_xposition', opcode: 'motion_xposition', params: {}, spriteName: 'Dog'}
+    );
+
+    const {issues, project: repaired} = validateProject(project, {repair: true});
+    t.same(summarize(issues), [
+        [ValidationIssueType.INVALID_TARGET, null, null],
+        [ValidationIssueType.DUPLICATE_TARGET_NAME, 'Cat', null],
+        [ValidationIssueType.MISSING_MONITOR_VARIABLE, null, 'deletedId'],
+        [ValidationIssueType.MISSING_MONITOR_TARGET, null, 'Dog_xposition'],
+        [ValidationIssueType.INVALID_CURRENT_COSTUME, 'Cat', null]
+    ]);
+    t.same(repaired.targets.map(target => target.name), ['Stage', 'Cat', 'Cat2']);
+    t.same(repaired.monitors.map(monitor => monitor.id), ['scoreId']);
+    t.equal(repaired.targets[1].currentCostume, 0);
+
+    const missingStage = validateProject(Object.assign(copy(project), {targets: [cat]}));
+    t.same(summarize(missingStage.issues)[0], [ValidationIssueType.MISSING_STAGE, null, null]);
+    t.notOk(missingStage.loadable);
+
+    const notJSON = validateProject('{"targets":');
+    t.same(summarize(notJSON.issues), [[ValidationIssueType.INVALID_PROJECT, null, null]]);
+    t.notOk(notJSON.loadable);
+    t.end();
+});
+
+test('assets missing from the sb3', t => {
+    const zip = new JSZip();
+    zip.file('project/asset.svg', '<svg></svg>');
+    t.same(validateProject(createProject(), {zip}).issues, []);
+
+    const {issues} = validateProject(createProject('other'), {zip, repair: true});
+    t.same(summarize(issues), [
+        [ValidationIssueType.MISSING_ASSET, 'Stage', 'other.svg'],
+        [ValidationIssueType.MISSING_ASSET, 'Cat', 'other.svg']
+    ]);
+    t.equal(issues[0].repair, null);
+    t.end();
+});
+
+test('deserializeProject with validation', t => {
+    const storage = new ScratchStorage();
+    const project = createProject(storage.defaultAssetId.ImageVector);
+    project.projectVersion = 3;
+    project.targets[1].blocks.say.next = 'gone';
+
+    const vm = new VirtualMachine();
+    vm.attachStorage(storage);
+    return vm.deserializeProject(copy(project), null, {validation: 'strict'})
+        .then(() => t.fail('strict validation should reject'), error => {
+            t.type(error, ProjectValidationError);
+            t.equal(error.message, 'Project is not valid: Block "say" is followed by "gone", which doesn\'t exist');
+            t.same(summarize(error.issues), [[ValidationIssueType.MISSING_NEXT_BLOCK, 'Cat', 'say']]);
+            // Nothing was loaded
+            t.equal(vm.runtime.targets.length, 0);
+            return vm.deserializeProject(copy(project), null, {validation: 'repair'});
+        })
+        .then(issues => {
+            t.same(summarize(issues), [[ValidationIssueType.MISSING_NEXT_BLOCK, 'Cat', 'say']]);
+            const cat = vm.runtime.getSpriteTargetByName('Cat');
+            t.equal(cat.blocks.getBlock('say').next, null);
+        });
+});
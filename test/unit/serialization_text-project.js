@@ -0,0 +1,215 @@
+const {test} = require('tap');
+const ScratchStorage = require('scratch-storage');
+const VirtualMachine = require('../../src/virtual-machine');
+const {diffProjects} = require('../../src/serialization/project-diff');
+const textProject = require('../../src/serialization/text-project');
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+const hat = (opcode, next, fields = {}) => ({
+    opcode,
+    next,
+    parent: null,
+    inputs: {},
+    fields,
+    shadow: false,
+    topLevel: true,
+    x: 0,
+    y: 0
+});
+
+const say = (parent, message) => ({
+    opcode: 'looks_say',
+    next: null,
+    parent,
+    inputs: {MESSAGE: [1, [10, message]]},
+    fields: {},
+    shadow: false,
+    topLevel: false
+});
+
+const costume = assetId => ({
+    name: assetId,
+    assetId,
+    md5ext: `${assetId}.svg`,
+    dataFormat: 'svg',
+    rotationCenterX: 0,
+    rotationCenterY: 0
+});
+
+const project = {
+    targets: [
+        {
+            isStage: true,
+            name: 'Stage',
+            variables: {zId: ['zebra', 0], aId: ['apple', 1]},
+            lists: {},
+            broadcasts: {},
+            blocks: {},
+            comments: {},
+            currentCostume: 0,
+            costumes: [costume('backdrop')],
+            sounds: [],
+            volume: 100
+        },
+        {
+            isStage: false,
+            name: 'Cat/Dog',
+            variables: {},
+            lists: {},
+            broadcasts: {},
+            blocks: {
+                k: hat('event_whenkeypressed', 'l', {KEY_OPTION: ['space', null]}),
+                l: say('k', 'space'),
+                f: hat('event_whenflagclicked', 'g'),
+                g: Object.assign(say('f', 'flag'), {comment: 'c'})
+            },
+            comments: {
+                c: {blockId: 'g', x: 0, y: 0, width: 200, height: 200, minimized: false, text: 'says flag'},
+                d: {blockId: null, x: 10, y: 10, width: 200, height: 200, minimized: false, text: 'note'}
+            },
+            currentCostume: 0,
+            costumes: [costume('cat')],
+            sounds: [],
+            volume: 100,
+            visible: true,
+            x: 0,
+            y: 0,
+            size: 100,
+            direction: 90,
+            draggable: false,
+            rotationStyle: 'all around'
+        }
+    ],
+    monitors: [],
+    extensions: [],
+    meta: {semver: '3.0.0', vm: '0.2.0', agent: ''}
+};
+
+const assets = [
+    {fileName: 'backdrop.svg', fileContent: new Uint8Array([1, 2, 3])},
+    {fileName: 'cat.svg', fileContent: new Uint8Array([4, 5, 6])}
+];
+
+test('serialize', t => {
+    const files = textProject.serialize(project, assets);
+    t.same(Object.keys(files).sort(), [
+        'assets/backdrop.svg',
+        'assets/cat.svg',
+        'project.json',
+        'targets/Cat_Dog.json',
+        'targets/Stage.json'
+    ]);
+    t.ok(textProject.isTextProject(files));
+    t.notOk(textProject.isTextProject(project));
+
+    const projectFile = JSON.parse(files['project.json']);
+    t.same(projectFile.targets, ['targets/Stage.json', 'targets/Cat_Dog.json']);
+    t.same(Object.keys(JSON.parse(files['targets/Stage.json']).variables), ['aId', 'zId']);
+
+    const sprite = JSON.parse(files['targets/Cat_Dog.json']);
+    t.notOk(sprite.blocks);
+    t.same(sprite.scripts.map(script => Object.values(script)[0].opcode),
+        ['event_whenflagclicked', 'event_whenkeypressed']);
+    const [flagScript] = sprite.scripts;
+    const [hatId, sayId] = Object.keys(flagScript);
+    t.equal(flagScript[hatId].next, sayId);
+    t.equal(flagScript[sayId].comment, `${sayId}_comment`);
+    t.same(Object.keys(sprite.comments), ['comment_0', `${sayId}_comment`].sort());
+    t.equal(sprite.comments[`${sayId}_comment`].blockId, sayId);
+
+    // Pretty-printed, one property per line
+    t.match(files['targets/Cat_Dog.json'], /\n {2}"name": "Cat\/Dog",\n/);
+    t.end();
+});
+
+test('serialize does not depend on block IDs or the order of scripts', t => {
+    const other = copy(project);
+    const sprite = other.targets[1];
+    sprite.blocks = {
+        B: Object.assign(say('A', 'flag'), {comment: 'X'}),
+        A: hat('event_whenflagclicked', 'B'),
+        D: say('C', 'space'),
+        C: hat('event_whenkeypressed', 'D', {KEY_OPTION: ['space', null]})
+    };
+    sprite.comments = {
+        Y: sprite.comments.d,
+        X: Object.assign(sprite.comments.c, {blockId: 'B'})
+    };
+    t.same(textProject.serialize(other, assets), textProject.serialize(project, assets));
+
+    // Changing one script doesn't change the IDs in the others
+    const changed = copy(project);
+    changed.targets[1].blocks.l.inputs.MESSAGE = [1, [10, 'changed']];
+    const before = JSON.parse(textProject.serialize(project, assets)['targets/Cat_Dog.json']).scripts;
+    const after = JSON.parse(textProject.serialize(changed, assets)['targets/Cat_Dog.json']).scripts;
+    t.same(after.map(Object.keys), before.map(Object.keys));
+    t.end();
+});
+
+test('scripts with the same top block keep their IDs when one of them changes', t => {
+    const twoFlags = copy(project);
+    twoFlags.targets[1].blocks = {
+        f1: hat('event_whenflagclicked', 's1'),
+        s1: say('f1', 'b'),
+        f2: hat('event_whenflagclicked', 's2'),
+        s2: say('f2', 'c')
+    };
+    twoFlags.targets[1].comments = {};
+    const scriptsOf = files => JSON.parse(files['targets/Cat_Dog.json']).scripts;
+    const saved = textProject.serialize(twoFlags, assets);
+    const [first, second] = scriptsOf(saved);
+    t.notSame(Object.keys(first), Object.keys(second));
+
+    // Edit the first script after loading the files, like in the editor, and save them again
+    const {json} = textProject.deserialize(saved);
+    const [hatId, sayId] = Object.keys(first);
+    t.same(json.targets[1].blocks[sayId].inputs.MESSAGE, [1, [10, 'b']]);
+    json.targets[1].blocks[sayId].inputs.MESSAGE = [1, [10, 'd']];
+    const [untouched, edited] = scriptsOf(textProject.serialize(json, assets));
+    t.same(untouched, second);
+    t.same(Object.keys(edited), [hatId, sayId]);
+    t.end();
+});
+
+test('deserialize', t => {
+    const files = textProject.serialize(project, assets);
+    const {json, assets: loadedAssets} = textProject.deserialize(files);
+    t.same(diffProjects(project, json), []);
+    t.same(loadedAssets, assets);
+
+    delete files['targets/Stage.json'];
+    t.throws(() => textProject.deserialize(files), /missing targets\/Stage\.json/);
+    t.end();
+});
+
+test('saveProjectText and loadProject', t => {
+    const storage = new ScratchStorage();
+    const assetId = storage.defaultAssetId.ImageVector;
+    const loaded = copy(project);
+    loaded.projectVersion = 3;
+    for (const target of loaded.targets) {
+        target.costumes = [costume(assetId)];
+    }
+
+    const vm = new VirtualMachine();
+    vm.attachStorage(storage);
+    let files;
+    return vm.deserializeProject(loaded)
+        .then(() => {
+            files = vm.saveProjectText();
+            t.ok(files[`assets/${assetId}.svg`] instanceof Uint8Array);
+
+            const other = new VirtualMachine();
+            other.attachStorage(new ScratchStorage());
+            // Text files can also be loaded as bytes
+            const bytes = Object.assign({}, files, {'project.json': Buffer.from(files['project.json'])});
+            return other.loadProject(bytes).then(() => other);
+        })
+        .then(other => {
+            t.same(other.saveProjectText(), files);
+            t.same(diffProjects(vm.toJSON(), other.toJSON()), []);
+            const sprite = other.runtime.getSpriteTargetByName('Cat/Dog');
+            t.equal(Object.keys(sprite.blocks._blocks).length, 6);
+        });
+});
@@ -0,0 +1,42 @@
+const {test} = require('tap');
+const createSeededRandom = require('../../src/util/seeded-random');
+
+test('same seed produces the same sequence', t => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    for (let i = 0; i < 100; i++) {
+        t.equal(a(), b());
+    }
+    t.end();
+});
+
+test('different seeds produce different sequences', t => {
+    t.notEqual(createSeededRandom(1)(), createSeededRandom(2)());
+    t.notEqual(createSeededRandom('hello')(), createSeededRandom('world')());
+    t.end();
+});
+
+test('string seeds are supported', t => {
+    t.equal(createSeededRandom('seed')(), createSeededRandom('seed')());
+    t.end();
+});
+
+test('results are in the same range as Math.random', t => {
+    const random = createSeededRandom(0);
+    for (let i = 0; i < 1000; i++) {
+        const value = random();
+        t.ok(value >= 0 && value < 1);
+    }
+    t.end();
+});
+
+test('state can be saved and restored', t => {
+    const random = createSeededRandom(5);
+    random();
+    const state = random.getState();
+    const expected = [random(), random()];
+    const other = createSeededRandom(0);
+    other.setState(state);
+    t.same([other(), other()], expected);
+    t.end();
+});
@@ -0,0 +1,328 @@
+const {test} = require('tap');
+const ScratchStorage = require('scratch-storage');
+const Runtime = require('../../src/engine/runtime');
+const StageLayering = require('../../src/engine/stage-layering');
+const Scratch3PenBlocks = require('../../src/extensions/scratch3_pen/index');
+const Sprite = require('../../src/sprites/sprite');
+const AudioEngineProxy = require('../../src/worker/audio-engine-proxy');
+const RendererProxy = require('../../src/worker/renderer-proxy');
+const WorkerVirtualMachine = require('../../src/worker/worker-virtual-machine');
+const startNodeWorker = require('../../src/worker/node-worker');
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20" viewBox="0 0 40 20"></svg>';
+
+/**
+ * @returns {{renderer: RendererProxy, frames: Array.<Array>}} A renderer proxy and the frames it has sent.
+ */
+const createRendererProxy = () => {
+    const frames = [];
+    const renderer = new RendererProxy(commands => {
+        frames.push(commands);
+        return Promise.resolve([]);
+    });
+    renderer.setLayerGroupOrdering(StageLayering.LAYER_GROUPS);
+    return {renderer, frames};
+};
+
+test('renderer proxy batches commands until draw', t => {
+    const {renderer, frames} = createRendererProxy();
+    const skinId = renderer.createSVGSkin(SVG);
+    const drawableId = renderer.createDrawable(StageLayering.SPRITE_LAYER);
+    renderer.updateDrawableSkinId(drawableId, skinId);
+    renderer.updateDrawablePosition(drawableId, [10, 20]);
+    renderer.offscreenTouching = true;
+    t.same(frames, []);
+
+    renderer.draw();
+    t.same(frames, [[
+        ['setLayerGroupOrdering', [StageLayering.LAYER_GROUPS], -1],
+        ['createSVGSkin', [SVG, undefined], skinId],
+        ['createDrawable', [StageLayering.SPRITE_LAYER], drawableId],
+        ['updateDrawableSkinId', [drawableId, skinId], -1],
+        ['updateDrawablePosition', [drawableId, [10, 20]], -1],
+        [RendererProxy.SET_PROPERTY, ['offscreenTouching', true], -1]
+    ]]);
+
+    // Nothing changed, so there is nothing to send.
+    renderer.draw();
+    t.equal(frames.length, 1);
+    t.end();
+});
+
+test('renderer proxy answers queries from its model', t => {
+    const {renderer} = createRendererProxy();
+    const skinId = renderer.createSVGSkin(SVG);
+    t.same(renderer.getSkinSize(skinId), [40, 20]);
+    t.same(renderer.getSkinRotationCenter(skinId), [20, 10]);
+
+    const sprites = [0, 1, 2].map(() => {
+        const drawableId = renderer.createDrawable(StageLayering.SPRITE_LAYER);
+        renderer.updateDrawableSkinId(drawableId, skinId);
+        return drawableId;
+    });
+    const [a, b, c] = sprites;
+    renderer.updateDrawablePosition(a, [100, 50]);
+    t.same(renderer.getBounds(a), {left: 80, right: 120, top: 60, bottom: 40, width: 40, height: 20});
+    renderer.updateDrawableDirectionScale(a, 0, [200, 200]);
+    const rotated = renderer.getBounds(a);
+    t.same([rotated.left, rotated.right, rotated.top, rotated.bottom].map(Math.round), [80, 120, 90, 10]);
+
+    t.ok(renderer.isTouchingDrawables(b, [c]));
+    t.notOk(renderer.isTouchingDrawables(b, [a]));
+    renderer.updateDrawableVisible(c, false);
+    t.notOk(renderer.isTouchingDrawables(b, [c]));
+    t.notOk(renderer.isTouchingColor(b, [0, 0, 0]));
+
+    // Sprites can't leave the stage.
+    t.same(renderer.getFencedPositionOfDrawable(b, [1000, 0]), [250, 0]);
+
+    // Layers work like in scratch-render.
+    t.same(sprites.map(id => renderer.getDrawableOrder(id)), [0, 1, 2]);
+    t.equal(renderer.setDrawableOrder(a, Infinity, StageLayering.SPRITE_LAYER), 2);
+    t.equal(renderer.setDrawableOrder(c, -1, StageLayering.SPRITE_LAYER, true), 0);
+    t.same(sprites.map(id => renderer.getDrawableOrder(id)), [2, 1, 0]);
+    const stage = renderer.createDrawable(StageLayering.BACKGROUND_LAYER);
+    t.equal(renderer.getDrawableOrder(stage), 0);
+    t.equal(renderer.getDrawableOrder(a), 3);
+
+    // Clicks are in pixels of the canvas on the page.
+    renderer.setClientSize(960, 720);
+    t.equal(renderer.pick(480 + 200, 360 - 100), a);
+    t.equal(renderer.pick(0, 0), -1);
+    t.end();
+});
+
+test('renderer proxy uses skin sizes from the main thread', t => {
+    const renderer = new RendererProxy(() => Promise.resolve([[0, [64, 32], [1, 2]]]));
+    renderer.setLayerGroupOrdering(StageLayering.LAYER_GROUPS);
+    const skinId = renderer.createTextSkin('say', 'Hello!', false, {});
+    renderer.draw();
+    return Promise.resolve().then(() => {
+        t.same(renderer.getSkinSize(skinId), [64, 32]);
+        t.same(renderer.getSkinRotationCenter(skinId), [1, 2]);
+    });
+});
+
+test('pen blocks that draw on a canvas do nothing without a document', t => {
+    const {renderer} = createRendererProxy();
+    const rt = new Runtime();
+    rt.attachRenderer(renderer);
+    const target = new Sprite(null, rt).createClone();
+    const pen = new Scratch3PenBlocks(rt);
+    pen.printText({TEXT: 'Hello!', X: 0, Y: 0});
+    pen.drawRect({X: 0, Y: 0, WIDTH: 10, HEIGHT: 10, COLOR: 0});
+    pen.drawComplexShape({SHAPE: [{x: 0, y: 0}, {x: 10, y: 0}, {x: 0, y: 10}], COLOR: 0}, {target});
+    t.notOk(renderer.commands.some(([method]) => method === 'penStamp'));
+    return pen.drawUriImage({URI: 'data:,', X: 0, Y: 0}).then(() => {
+        t.notOk(renderer.commands.some(([method]) => method === 'penStamp'));
+    });
+});
+
+test('audio engine proxy', t => {
+    const calls = [];
+    const audioEngine = new AudioEngineProxy((method, ...args) => {
+        calls.push([method, ...args]);
+        if (method === 'decodeSoundPlayer') {
+            return Promise.resolve({id: 'player', buffer: {sampleRate: 22050, length: 22050, duration: 1}});
+        }
+        if (method === 'getLoudness') {
+            return Promise.resolve(42);
+        }
+        return Promise.resolve();
+    });
+    const bank = audioEngine.createBank();
+    const target = {id: 'sprite', soundEffects: {pitch: 10, pan: 0}, volume: 50};
+    t.equal(audioEngine.getLoudness(), -1);
+    return audioEngine.decodeSoundPlayer({data: new Uint8Array(4), rate: 22050, sampleCount: 22050, format: ''})
+        .then(player => {
+            t.equal(player.buffer.sampleRate, 22050);
+            bank.addSoundPlayer(player);
+            const playing = bank.playSound(target, player.id);
+            t.ok(player.isPlaying);
+            bank.stopAllSounds();
+            t.equal(audioEngine.getLoudness(), 42);
+            t.same(calls.slice(3, 6), [
+                ['bank', bank.id, 'addSoundPlayer', ['player']],
+                ['bank', bank.id, 'playSound', [target, 'player']],
+                ['bank', bank.id, 'stopAllSounds', [AudioEngineProxy.ALL_TARGETS]]
+            ]);
+            return playing;
+        })
+        .then(() => {
+            t.notOk(bank.getSoundPlayer('player').isPlaying);
+        });
+});
+
+test('VM in a Node worker', t => {
+    const vm = new WorkerVirtualMachine(startNodeWorker());
+    t.teardown(() => vm.terminate());
+
+    // A renderer that records what it is asked to do.
+    const rendered = [];
+    let nextId = 100;
+    const renderer = {
+        getNativeSize: () => [480, 360],
+        createDrawable: () => nextId++,
+        createSVGSkin: () => nextId++,
+        getSkinSize: () => [95, 100],
+        getSkinRotationCenter: () => [47, 50],
+        draw: () => rendered.push(['draw'])
+    };
+    for (const method of ['setLayerGroupOrdering', 'setPrivateSkinAccess', 'updateDrawablePosition',
+        'updateDrawableDirectionScale', 'updateDrawableVisible', 'updateDrawableSkinId', 'updateDrawableEffect',
+        'setDrawableOrder']) {
+        renderer[method] = (...args) => rendered.push([method, ...args]);
+    }
+
+    const events = [];
+    vm.on(Runtime.PROJECT_RUN_START, () => events.push(Runtime.PROJECT_RUN_START));
+    let stageId = null;
+    vm.on('targetsUpdate', data => {
+        if (data.targetList.length) stageId = data.targetList[0].id;
+    });
+
+    // when flag clicked
+    // go to x: (30) y: (40)
+    // set [v] to [done]
+    const assetId = new ScratchStorage().defaultAssetId.ImageVector;
+    const costumes = [{name: 'c', assetId, md5ext: `${assetId}.svg`, dataFormat: 'svg'}];
+    const target = isStage => ({
+        isStage,
+        name: isStage ? 'Stage' : 'Sprite',
+        variables: isStage ? {v: ['v', 0]} : {},
+        lists: {},
+        broadcasts: {},
+        blocks: {},
+        comments: {},
+        currentCostume: 0,
+        costumes,
+        sounds: [],
+        volume: 100
+    });
+    const sprite = Object.assign(target(false), {
+        x: 0,
+        y: 0,
+        blocks: {
+            flag: {
+                opcode: 'event_whenflagclicked',
+                next: 'go',
+                parent: null,
+                inputs: {},
+                fields: {},
+                shadow: false,
+                topLevel: true,
+                x: 0,
+                y: 0
+            },
+            go: {
+                opcode: 'motion_gotoxy',
+                next: 'set',
+                parent: 'flag',
+                inputs: {X: [1, [4, '30']], Y: [1, [4, '40']]},
+                fields: {},
+                shadow: false,
+                topLevel: false
+            },
+            set: {
+                opcode: 'data_setvariableto',
+                next: null,
+                parent: 'go',
+                inputs: {VALUE: [1, [10, 'done']]},
+                fields: {VARIABLE: ['v', 'v']},
+                shadow: false,
+                topLevel: false
+            }
+        }
+    });
+    const project = {
+        targets: [target(true), sprite],
+        monitors: [],
+        extensions: [],
+        meta: {semver: '3.0.0'},
+        projectVersion: 3
+    };
+
+    return vm.attachRenderer(renderer)
+        .then(() => vm.deserializeProject(project))
+        .then(() => vm.setCompilerOptions({enabled: false}))
+        .then(() => vm.start())
+        .then(() => vm.greenFlag())
+        .then(() => new Promise(resolve => setTimeout(resolve, 500)))
+        .then(() => vm.getVariableValue(stageId, 'v'))
+        .then(value => {
+            t.equal(value, 'done');
+            t.same(events, [Runtime.PROJECT_RUN_START]);
+
+            // The worker's IDs were replaced with the renderer's.
+            const skins = rendered.filter(call => call[0] === 'updateDrawableSkinId').map(call => call[2]);
+            t.ok(skins.length > 0 && skins.every(skinId => skinId >= 100), `skins ${skins}`);
+            t.ok(rendered.some(call => (
+                call[0] === 'updateDrawablePosition' && call[1] >= 100 && call[2][0] === 30 && call[2][1] === 40
+            )), 'sprite moved');
+            t.ok(rendered.some(call => call[0] === 'draw'));
+            return vm.stop();
+        });
+});
+
+test('VM in a Node worker does not load projects that use touching color', t => {
+    const vm = new WorkerVirtualMachine(startNodeWorker());
+    t.teardown(() => vm.terminate());
+
+    // when flag clicked
+    // wait until <touching color (#ff0000)?>
+    const assetId = new ScratchStorage().defaultAssetId.ImageVector;
+    const project = {
+        targets: [{
+            isStage: true,
+            name: 'Stage',
+            variables: {},
+            lists: {},
+            broadcasts: {},
+            blocks: {
+                flag: {
+                    opcode: 'event_whenflagclicked',
+                    next: 'wait',
+                    parent: null,
+                    inputs: {},
+                    fields: {},
+                    shadow: false,
+                    topLevel: true,
+                    x: 0,
+                    y: 0
+                },
+                wait: {
+                    opcode: 'control_wait_until',
+                    next: null,
+                    parent: 'flag',
+                    inputs: {CONDITION: [2, 'touching']},
+                    fields: {},
+                    shadow: false,
+                    topLevel: false
+                },
+                touching: {
+                    opcode: 'sensing_touchingcolor',
+                    next: null,
+                    parent: 'wait',
+                    inputs: {COLOR: [1, [9, '#ff0000']]},
+                    fields: {},
+                    shadow: false,
+                    topLevel: false
+                }
+            },
+            comments: {},
+            currentCostume: 0,
+            costumes: [{name: 'c', assetId, md5ext: `${assetId}.svg`, dataFormat: 'svg'}],
+            sounds: [],
+            volume: 100
+        }],
+        monitors: [],
+        extensions: [],
+        meta: {semver: '3.0.0'},
+        projectVersion: 3
+    };
+
+    return vm.deserializeProject(project)
+        .then(() => t.fail('project loaded'), error => {
+            t.match(`${error}`, /Cannot run projects that use sensing_touchingcolor in a worker/);
+        });
+});